@@ -0,0 +1,282 @@
+// ai-providers.js
+const appState = require('./state.js');
+const projectLedger = require('./project-ledger');
+const generationSettings = require('./generation-settings');
+
+/**
+ * AI Providers
+ * Every provider module exports a class with the same interface as
+ * AiApiService (client.js): verifyAiAPI, prepareFileAndCache,
+ * streamWithThinking, clearFilesAndCaches, countTokens and countTokensDetailed.
+ * Modules are only required when a provider is first used, so a missing
+ * SDK or API key for one provider never affects the others.
+ */
+const DEFAULT_PROVIDER = 'gemini';
+
+const PROVIDERS = {
+  gemini: {
+    label: 'Google Gemini',
+    modulePath: './client',
+    apiKeyEnv: 'GEMINI_API_KEY'
+  },
+  claude: {
+    label: 'Anthropic Claude',
+    modulePath: './client-claude',
+    apiKeyEnv: 'ANTHROPIC_API_KEY'
+  },
+  // Manuscripts stay on this machine; no API key needed
+  local: {
+    label: 'Local model (OpenAI-compatible server)',
+    modulePath: './client-local',
+    apiKeyEnv: null
+  },
+  // Replays fixture files; used by tool-harness.js, never offered in the UI
+  mock: {
+    label: 'Mock (fixture replay)',
+    modulePath: './mock-ai-api-service',
+    apiKeyEnv: null,
+    hidden: true
+  }
+};
+
+// One service per provider, shared by all tools so manuscript caches carry over between runs
+const services = new Map();
+
+// Each service's config as constructed, before any saved generation settings
+const defaultConfigs = new Map();
+
+/**
+ * List the available providers for the UI
+ * @returns {Array<Object>} - [{id, label, apiKeyEnv}]
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).filter(([id, provider]) => !provider.hidden).map(([id, provider]) => ({
+    id,
+    label: provider.label,
+    apiKeyEnv: provider.apiKeyEnv
+  }));
+}
+
+function isKnownProvider(providerId) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, providerId);
+}
+
+/**
+ * Get (creating on first use) the API service for a provider
+ * @param {string} providerId - Provider id, e.g. 'gemini', 'claude' or 'local'
+ * @param {Object} config - Settings passed to the service constructor
+ * @returns {Object} - The provider's API service
+ */
+function getAiApiService(providerId = DEFAULT_PROVIDER, config = {}) {
+  if (!isKnownProvider(providerId)) {
+    throw new Error(`Unknown AI provider: ${providerId}`);
+  }
+
+  if (!services.has(providerId)) {
+    const ServiceClass = require(PROVIDERS[providerId].modulePath);
+    const service = new ServiceClass(config);
+    services.set(providerId, service);
+    defaultConfigs.set(providerId, { ...service.config });
+    console.log(`Created AI API service for provider: ${providerId}`);
+  }
+
+  return services.get(providerId);
+}
+
+/**
+ * Get a provider's service set up for one tool run: its default config,
+ * then the saved provider settings, then the tool's overrides
+ * @param {string} providerId - e.g. 'gemini'
+ * @param {string} toolId - Tool about to run
+ * @returns {Object} - The provider's API service
+ */
+function getConfiguredAiApiService(providerId, toolId) {
+  const service = getAiApiService(providerId);
+  service.config = {
+    ...defaultConfigs.get(providerId),
+    ...getSavedGenerationSettings(providerId, toolId)
+  };
+  return service;
+}
+
+/**
+ * Saved generation settings for a provider, with a tool's overrides on top,
+ * within the provider's ranges (generation-settings.js)
+ * @param {string} providerId - e.g. 'gemini'
+ * @param {string|null} toolId - Tool, or null for the provider settings alone
+ * @returns {Object}
+ */
+function getSavedGenerationSettings(providerId, toolId = null) {
+  const saved = appState.getGenerationSettings();
+  const toolSettings = toolId && saved.tools[toolId] ? saved.tools[toolId][providerId] : null;
+  return generationSettings.clampSettings(providerId, {
+    ...(saved.providers[providerId] || {}),
+    ...(toolSettings || {})
+  });
+}
+
+/**
+ * A provider's built-in values for the settings form fields, used as
+ * placeholders; empty if the provider's SDK can't be loaded
+ * @param {string} providerId - e.g. 'gemini'
+ * @returns {Object}
+ */
+function getProviderDefaults(providerId) {
+  try {
+    getAiApiService(providerId);
+  } catch (error) {
+    console.error(`Could not load provider ${providerId} for its defaults:`, error.message);
+    return {};
+  }
+  const defaults = defaultConfigs.get(providerId);
+  const fieldDefaults = {};
+  generationSettings.getSchema(providerId).forEach(field => {
+    fieldDefaults[field.name] = defaults[field.name];
+  });
+  return fieldDefaults;
+}
+
+// Provider every tool uses whatever the saved settings say; only set by tool-harness.js
+let forcedProviderId = null;
+
+/**
+ * Force one provider for every tool, for headless runs (tool-harness.js
+ * uses 'mock'). The app never calls this, so saved choices always apply there.
+ * @param {string|null} providerId - Provider id, or null to follow the settings again
+ */
+function setForcedProviderId(providerId) {
+  if (providerId !== null && !isKnownProvider(providerId)) {
+    throw new Error(`Unknown AI provider: ${providerId}`);
+  }
+  forcedProviderId = providerId;
+}
+
+/**
+ * The provider forced by setForcedProviderId()
+ * @returns {string|null} - Provider id, or null when not set
+ */
+function getForcedProviderId() {
+  return forcedProviderId;
+}
+
+/**
+ * Work out which provider a tool should use: a forced provider, then the
+ * tool's own override, then the current project's choice, then the default.
+ * @param {string} toolId - Tool ID
+ * @returns {string} - Provider id
+ */
+function getProviderIdForTool(toolId) {
+  const forcedProvider = getForcedProviderId();
+  if (forcedProvider) {
+    return forcedProvider;
+  }
+
+  const settings = appState.getAiProviderSettings();
+
+  const toolProvider = settings.tools[toolId];
+  if (toolProvider && isKnownProvider(toolProvider)) {
+    return toolProvider;
+  }
+
+  const projectProvider = settings.projects[appState.CURRENT_PROJECT];
+  if (projectProvider && isKnownProvider(projectProvider)) {
+    return projectProvider;
+  }
+
+  return DEFAULT_PROVIDER;
+}
+
+function getProviderLabel(providerId) {
+  return isKnownProvider(providerId) ? PROVIDERS[providerId].label : providerId;
+}
+
+/**
+ * Providers that have API resources recorded in the project's ledger
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<string[]>}
+ */
+async function getLedgerProviders(projectPath) {
+  const entries = await projectLedger.getEntries(projectPath);
+  return [...new Set(entries.map(entry => entry.provider))].filter(isKnownProvider);
+}
+
+/**
+ * Get the service for a provider that keeps server-side files and caches
+ * (only those implement listProjectResources)
+ */
+function getResourceService(providerId) {
+  if (!isKnownProvider(providerId)) {
+    throw new Error(`Unknown AI provider: ${providerId}`);
+  }
+  const service = getAiApiService(providerId);
+  if (typeof service.listProjectResources !== 'function') {
+    throw new Error(`${getProviderLabel(providerId)} does not keep files or caches on the server`);
+  }
+  return service;
+}
+
+/**
+ * Release one project's files and caches, for every provider that has
+ * used it; called when switching away from the project.
+ * Other projects' files and caches are left alone.
+ * @param {string} projectPath - Project being left
+ */
+async function releaseProjectResources(projectPath) {
+  const providerIds = new Set([...services.keys(), ...(await getLedgerProviders(projectPath))]);
+  for (const providerId of providerIds) {
+    console.log(`Releasing files and caches for provider: ${providerId}`);
+    await getAiApiService(providerId).clearFilesAndCaches(projectPath);
+  }
+}
+
+/**
+ * List a project's files and caches, with time remaining, for the cache manager
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<{resources: Array<Object>, errors: string[]}>}
+ */
+async function listProjectResources(projectPath) {
+  const resources = [];
+  const errors = [];
+  for (const providerId of await getLedgerProviders(projectPath)) {
+    try {
+      const found = await getResourceService(providerId).listProjectResources(projectPath);
+      resources.push(...found.map(resource => ({ ...resource, providerLabel: getProviderLabel(providerId) })));
+    } catch (error) {
+      errors.push(`${getProviderLabel(providerId)}: ${error.message}`);
+    }
+  }
+  return { resources, errors };
+}
+
+/**
+ * Extend one of a project's caches
+ * @returns {Promise<string>} - New expireTime
+ */
+async function extendProjectCache(projectPath, providerId, name, ttlSeconds) {
+  return getResourceService(providerId).extendProjectCache(projectPath, name, ttlSeconds);
+}
+
+/**
+ * Delete one of a project's files or caches
+ */
+async function dropProjectResource(projectPath, providerId, kind, name) {
+  await getResourceService(providerId).dropProjectResource(projectPath, kind, name);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  listProviders,
+  isKnownProvider,
+  getAiApiService,
+  getConfiguredAiApiService,
+  getSavedGenerationSettings,
+  getProviderDefaults,
+  setForcedProviderId,
+  getForcedProviderId,
+  getProviderIdForTool,
+  getProviderLabel,
+  releaseProjectResources,
+  listProjectResources,
+  extendProjectCache,
+  dropProjectResource
+};
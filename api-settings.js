@@ -0,0 +1,81 @@
+// api-settings.js
+// AI settings window: model and generation settings per provider
+const providerSelect = document.getElementById('provider-select');
+const settingsFields = document.getElementById('settings-fields');
+const statusElement = document.getElementById('status');
+const saveBtn = document.getElementById('save-btn');
+const resetBtn = document.getElementById('reset-btn');
+const closeBtn = document.getElementById('close-btn');
+
+// The schema shown, so Save reads the same fields
+let currentSchema = [];
+
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.className = isError ? 'status-text error' : 'status-text';
+}
+
+// Load a provider's fields, defaults and saved values (the project's provider when none given)
+async function loadSettings(providerId = null) {
+  try {
+    const info = await window.electronAPI.getGenerationSettings(providerId);
+    
+    if (providerSelect.options.length === 0) {
+      info.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+      });
+    }
+    providerSelect.value = info.providerId;
+    
+    currentSchema = info.schema;
+    settingsFields.innerHTML = '';
+    if (currentSchema.length === 0) {
+      settingsFields.textContent = 'This provider has no settings.';
+      return;
+    }
+    buildGenerationSettingsFields(settingsFields, currentSchema, info.saved, info.defaults, 'setting');
+  } catch (error) {
+    console.error('Error loading AI settings:', error);
+    showStatus(`Error loading settings: ${error.message}`, true);
+  }
+}
+
+providerSelect.addEventListener('change', () => {
+  showStatus('');
+  loadSettings(providerSelect.value);
+});
+
+saveBtn.addEventListener('click', async () => {
+  const settings = readGenerationSettingsFields(currentSchema, 'setting');
+  const result = await window.electronAPI.saveGenerationSettings(providerSelect.value, settings);
+  if (result.success) {
+    showStatus('Saved. The next tool run will use these settings.');
+  } else {
+    showStatus(result.message, true);
+  }
+});
+
+resetBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.saveGenerationSettings(providerSelect.value, {});
+  if (result.success) {
+    showStatus('Reset to defaults.');
+    loadSettings(providerSelect.value);
+  } else {
+    showStatus(result.message, true);
+  }
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeApiSettings();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+});
+
+window.electronAPI.onSetTheme((theme) => {
+  document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+});
@@ -4,6 +4,7 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseChapters } = require('./manuscript-chapters');
 
 /**
  * Chapter Writer Tool
@@ -87,7 +88,8 @@ class ChapterWriter extends ToolBase {
         outlineFile,
         worldFile,
         language,
-        saveDir
+        saveDir,
+        options
       );
       
       if (result) {
@@ -124,33 +126,27 @@ class ChapterWriter extends ToolBase {
    * @returns {Promise<string>} - First missing chapter to write (format: "Chapter X: Title")
    */
   async findFirstMissingChapter(manuscriptContent, outlineContent) {
-    // Extract chapters from the manuscript and put numbers in a Set for quick lookup
-    const manuscriptChapterNumbers = new Set();
-    const chapterRegex = /Chapter\s+(\d+):\s+(.*?)(?=\n\n|\n*$)/gs;
-    let match;
-    
-    while ((match = chapterRegex.exec(manuscriptContent)) !== null) {
-      manuscriptChapterNumbers.add(parseInt(match[1], 10));
-    }
+    // Chapters are found the same way as everywhere else (manuscript-chapters.js),
+    // so "Chapter Seven" or "CHAPTER VII." in the manuscript counts as chapter 7
+    const manuscriptChapterNumbers = new Set(
+      parseChapters(manuscriptContent)
+        .filter(chapter => chapter.number !== null)
+        .map(chapter => chapter.number)
+    );
     
     this.emitOutput(`Found ${manuscriptChapterNumbers.size} chapters in manuscript.\n`);
     
-    // Find all chapters in the outline with a more specific regex
-    const outlineChapters = [];
-    // This improved regex looks specifically for lines that start with "Chapter" at beginning of line
-    const outlineChapterRegex = /^Chapter\s+(\d+):\s+(.+)$/gm;
-    let outlineMatch;
-    
-    while ((outlineMatch = outlineChapterRegex.exec(outlineContent)) !== null) {
-      // Debug output for each chapter found
-      this.emitOutput(`Found in outline: Chapter ${outlineMatch[1]}: ${outlineMatch[2]}\n`);
-      
-      outlineChapters.push({
-        number: parseInt(outlineMatch[1], 10),
-        title: outlineMatch[2],
-        full: `Chapter ${outlineMatch[1]}: ${outlineMatch[2]}`
+    // Outline chapters need a title, which becomes the new chapter's heading
+    const outlineChapters = parseChapters(outlineContent)
+      .filter(chapter => chapter.number !== null && chapter.title)
+      .map(chapter => {
+        this.emitOutput(`Found in outline: Chapter ${chapter.number}: ${chapter.title}\n`);
+        return {
+          number: chapter.number,
+          title: chapter.title,
+          full: `Chapter ${chapter.number}: ${chapter.title}`
+        };
       });
-    }
     
     // Sort outline chapters by chapter number
     outlineChapters.sort((a, b) => a.number - b.number);
@@ -177,6 +173,7 @@ class ChapterWriter extends ToolBase {
    * @param {string} worldFile - Path to world file
    * @param {string} language - Language to write in
    * @param {string} saveDir - Directory to save output files
+   * @param {Object} options - Tool options, for the prompt template
    * @returns {Promise<Object>} - Result of chapter processing
    */
   async processChapter(
@@ -185,7 +182,8 @@ class ChapterWriter extends ToolBase {
     outlineFile,
     worldFile,
     language,
-    saveDir
+    saveDir,
+    options
   ) {
     try {
       // Extract chapter number and formatted chapter number
@@ -241,15 +239,18 @@ class ChapterWriter extends ToolBase {
       const formattedHeading = this.formatChapterHeading(chapterHeading);
       const formattedOutlineHeading = this.formatOutlineHeading(chapterHeading);
       
-      // Create prompt
-      const prompt = this.createChapterPrompt(
-        formattedHeading,
-        formattedOutlineHeading,
-        outlineContent,
-        worldContent,
-        novelContent,
-        language
-      );
+      // The prompt is chapter_writer.txt in the prompts folder, with the input files filled in
+      const prompt = await this.getPrompt(options, {
+        chapter_heading: formattedHeading,
+        outline_heading: formattedOutlineHeading,
+        outline_text: outlineContent,
+        world_text: worldContent,
+        manuscript_text: novelContent,
+        lang: language
+      });
+      if (prompt.error) {
+        throw new Error(`No usable prompt for ${this.title}`);
+      }
       
       const promptTokens = await this.apiService.countTokens(prompt);
       
@@ -260,7 +261,7 @@ class ChapterWriter extends ToolBase {
       let fullResponse = "";
 
       try {
-        await this.apiService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           (textDelta) => {
             fullResponse += textDelta;
@@ -292,6 +293,9 @@ class ChapterWriter extends ToolBase {
       
       const chapterTokenCount = await this.apiService.countTokens(fullResponse);
       
+      // Never touch the manuscript once the run has been stopped
+      this.throwIfCancelled();
+      
       // Append the new chapter to the manuscript file
       const appendSuccess = await this.appendToManuscript(
         fullResponse, 
@@ -429,79 +433,6 @@ class ChapterWriter extends ToolBase {
     return chapterHeading;
   }
   
-  /**
-   * Create the chapter prompt
-   * @param {string} formattedHeading - Formatted chapter heading
-   * @param {string} formattedOutlineHeading - Formatted outline heading for consistency
-   * @param {string} outlineContent - Content of outline file
-   * @param {string} worldContent - Content of world file
-   * @param {string} novelContent - Content of manuscript file
-   * @param {string} language - Language to write in
-   * @returns {string} - Complete prompt for AI API
-   */
-  createChapterPrompt(formattedHeading, formattedOutlineHeading, outlineContent, worldContent, novelContent, language) {
-    return `
-You are a professional fiction writer with expertise in creating engaging, readable prose.
-
-=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-=== WORLD ===
-${worldContent}
-=== END WORLD ===
-
-=== EXISTING MANUSCRIPT ===
-${novelContent}
-=== END EXISTING MANUSCRIPT ===
-
-You are a skilled novelist writing ${formattedHeading} in fluent, authentic ${language}. 
-Draw upon your knowledge of worldwide literary traditions, narrative techniques, and creative approaches from across cultures, while expressing everything in natural, idiomatic ${language} that honors its unique linguistic character.
-
-YOUR TASK:
-Write ${formattedHeading} according to these guidelines. DO NOT SHOW ANY THOUGHT PROCESS - ONLY WRITE THE ACTUAL CHAPTER TEXT.
-
-WRITING REQUIREMENTS:
-- Read thoroughly the included OUTLINE, WORLD, and MANUSCRIPT
-- Refer to the world of characters and settings provided
-- Create compelling opening and closing scenes
-- Incorporate sensory details and vivid descriptions
-- Maintain consistent tone and style with previous chapters
-- Begin with: ${formattedOutlineHeading} and write in plain text only
-- Write 2,500-3,000 words
-- Do not repeat content from existing chapters
-- Do not start working on the next chapter
-
-CHARACTER RESTRICTIONS:
-- Do NOT create any new named characters
-- Only use characters explicitly mentioned in the WORLD, OUTLINE, or MANUSCRIPT
-- Only add minimal unnamed incidental characters when absolutely necessary (e.g., waiter, cashier)
-
-WORLD BUILDING:
-- Make extensive use of the world details provided in the WORLD section
-- Incorporate the settings, locations, history, culture, and atmosphere described there
-
-DIALOGUE EMPHASIS:
-- Significantly increase the amount of dialogue (40% of content)
-- Include both external conversations and internal thoughts/monologues
-- Ensure each character's dialogue reflects their unique personality
-
-STYLISTIC REQUIREMENTS:
-- NO Markdown formatting - plain text only
-- Use hyphens only for legitimate ${language} words
-- Write all times in 12-hour numerical format with a space before lowercase am/pm (e.g., "10:30 am")
-- Maintain engaging narrative pacing through varied sentence structure
-- Avoid whispers, echoes, eyes widening, and other overused phrases
-- EXPAND your vocabulary beyond common expressions, especially for:
-  • Dialogue attribution (beyond said, asked, replied)
-  • Character movements (beyond nodding, sighing, shrugging)
-  • Emotional reactions (beyond physical clichés like racing hearts)
-  • Environmental descriptions (use specific terminology)
-
-IMPORTANT: Provide ONLY the chapter text itself with no explanation, commentary, or thinking process.
-  `;
-  }
-  
   /**
    * Append the new chapter to the manuscript file
    * @param {string} chapterText - Text of the new chapter
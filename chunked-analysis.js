@@ -0,0 +1,294 @@
+// chunked-analysis.js
+// "Chapter by chapter" analysis for manuscripts too long for one request:
+// the manuscript is split at its chapter headings (manuscript-chapters.js,
+// the same headings chapter-writer.js writes), each part is analyzed with
+// the end of the previous part as context, and a consolidation request
+// merges the partial reports into one. Also sends just a selected range of
+// chapters (the 'chapter' option type), with the text around it as context.
+const { parseChapters, describeChapter } = require('./manuscript-chapters');
+
+const ANALYSIS_MODES = {
+  WHOLE: 'whole',
+  CHAPTERS: 'chapters'
+};
+
+// Paragraphs from the end of the previous part sent along with each part
+const CONTEXT_PARAGRAPHS = 3;
+
+// Options added to every tool that analyzes a manuscript with ToolBase.execute
+const CHAPTER_SELECTION_OPTIONS = [
+  {
+    "name": "chapters",
+    "label": "Chapters",
+    "type": "chapter",
+    "description": "Chapter or range of chapters to analyze, from the headings in the manuscript file.",
+    "manuscriptOption": "manuscript_file",
+    "default": "",
+    "group": "Input Files"
+  },
+  {
+    "name": "context_paragraphs",
+    "label": "Context Paragraphs",
+    "type": "number",
+    "description": "When analyzing selected chapters, paragraphs before and after them to send along as context. They are not analyzed.",
+    "default": CONTEXT_PARAGRAPHS,
+    "min": 0,
+    "max": 20,
+    "group": "Input Files"
+  }
+];
+
+const ANALYSIS_MODE_OPTIONS = [
+  {
+    "name": "analysis_mode",
+    "label": "Analysis Mode",
+    "type": "select",
+    "description": "Whole manuscript sends it in one request. Chapter by chapter analyzes it a few chapters at a time and then merges the reports, for manuscripts that exceed the model's context or output limit.",
+    "default": ANALYSIS_MODES.WHOLE,
+    "choices": [
+      { "value": ANALYSIS_MODES.WHOLE, "label": "Whole manuscript" },
+      { "value": ANALYSIS_MODES.CHAPTERS, "label": "Chapter by chapter" }
+    ],
+    "group": "Analysis"
+  },
+  {
+    "name": "chapters_per_chunk",
+    "label": "Chapters per Request",
+    "type": "number",
+    "description": "In chapter by chapter mode, how many chapters to analyze in each request.",
+    "default": 3,
+    "min": 1,
+    "max": 50,
+    "group": "Analysis"
+  }
+];
+
+/**
+ * Split a manuscript into parts of whole chapters
+ * Text before the first chapter heading goes with the first part. A
+ * manuscript without chapter headings is one part.
+ * @param {string} text - Manuscript text
+ * @param {number} [chaptersPerChunk=1] - Chapters in each part
+ * @param {number} [contextParagraphs=CONTEXT_PARAGRAPHS] - Paragraphs of the previous part to send as context
+ * @returns {Array<{label: string, start: number, end: number, text: string, context: string}>}
+ */
+function splitIntoChunks(text, chaptersPerChunk = 1, contextParagraphs = CONTEXT_PARAGRAPHS) {
+  const chapters = parseChapters(text);
+  const size = Math.max(1, parseInt(chaptersPerChunk, 10) || 1);
+
+  const groups = [];
+  let frontMatter = null;
+  chapters.forEach(chapter => {
+    if (!chapter.heading) {
+      frontMatter = chapter;
+      return;
+    }
+    const current = groups[groups.length - 1];
+    if (!current || current.length === size) {
+      groups.push([chapter]);
+    } else {
+      current.push(chapter);
+    }
+  });
+  if (groups.length === 0) {
+    return [{ label: 'Manuscript', start: 0, end: text.length, text: text.trim(), context: '' }];
+  }
+  if (frontMatter) {
+    groups[0].unshift(frontMatter);
+  }
+
+  return groups.map((group, index) => {
+    const headed = group.filter(chapter => chapter.heading);
+    const first = headed[0];
+    const last = headed[headed.length - 1];
+    const start = group[0].start;
+    const end = last.end;
+
+    let context = '';
+    if (index > 0 && contextParagraphs > 0) {
+      const previous = groups[index - 1];
+      const paragraphs = previous[previous.length - 1].paragraphs.slice(-contextParagraphs);
+      if (paragraphs.length > 0) {
+        context = text.slice(paragraphs[0].start, paragraphs[paragraphs.length - 1].end);
+      }
+    }
+
+    return {
+      label: first === last ? describeChapter(first) : `${describeChapter(first)} to ${describeChapter(last)}`,
+      start,
+      end,
+      text: text.slice(start, end).trim(),
+      context
+    };
+  });
+}
+
+/**
+ * Parse a chapter range, as the 'chapter' option type stores it
+ * The numbers are positions in parseChapters(), not the numbers in the
+ * headings, which can repeat (an omnibus whose books each start at Chapter 1).
+ * @param {string} range - '3', '3-5', or '' for all chapters
+ * @returns {{from: number, to: number}|null} - null for all chapters
+ * @throws {Error} - If the range isn't one of those forms
+ */
+function parseChapterRange(range) {
+  const value = String(range || '').trim();
+  if (!value) {
+    return null;
+  }
+  const match = value.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+  if (!match) {
+    throw new Error(`Not a chapter range: "${value}" (use e.g. 3 or 3-5)`);
+  }
+  const from = parseInt(match[1], 10);
+  const to = match[2] ? parseInt(match[2], 10) : from;
+  return { from: Math.min(from, to), to: Math.max(from, to) };
+}
+
+// The text of a chapter's first or last paragraphs
+function paragraphsText(text, chapter, count, fromEnd) {
+  if (!chapter || count <= 0) {
+    return '';
+  }
+  const paragraphs = fromEnd ? chapter.paragraphs.slice(-count) : chapter.paragraphs.slice(0, count);
+  return paragraphs.length > 0 ? text.slice(paragraphs[0].start, paragraphs[paragraphs.length - 1].end) : '';
+}
+
+/**
+ * Cut a range of chapters out of a manuscript
+ * Each selected chapter is sent as its own span, heading to end.
+ * @param {string} text - Manuscript text
+ * @param {string} range - '3' or '3-5', positions in parseChapters() (see parseChapterRange)
+ * @param {number} [contextParagraphs=CONTEXT_PARAGRAPHS] - Paragraphs before and after the range to send as context
+ * @returns {{label, start, end, text, context, contextAfter, excerpt: true}}
+ * @throws {Error} - If the manuscript has none of those chapters
+ */
+function selectChapters(text, range, contextParagraphs = CONTEXT_PARAGRAPHS) {
+  const { from, to } = parseChapterRange(range);
+  const chapters = parseChapters(text);
+  const selected = chapters.filter((chapter, index) => chapter.heading && index >= from && index <= to);
+  if (selected.length === 0) {
+    throw new Error(`The manuscript has no chapters at ${from === to ? from : `${from} to ${to}`}; choose the chapters again`);
+  }
+
+  const first = selected[0];
+  const last = selected[selected.length - 1];
+  const count = Math.max(0, parseInt(contextParagraphs, 10) || 0);
+  return {
+    label: first === last ? describeChapter(first) : `${describeChapter(first)} to ${describeChapter(last)}`,
+    start: first.start,
+    end: last.end,
+    text: selected.map(chapter => text.slice(chapter.start, chapter.end).trim()).join('\n\n'),
+    context: paragraphsText(text, chapters[chapters.indexOf(first) - 1], count, true),
+    contextAfter: paragraphsText(text, chapters[chapters.indexOf(last) + 1], count, false),
+    excerpt: true
+  };
+}
+
+/**
+ * Decide how a run sends the manuscript, from its options
+ * @param {string} text - Manuscript text
+ * @param {Object} options - Tool options: chapters, context_paragraphs, analysis_mode, chapters_per_chunk
+ * @returns {Array<Object>|null} - Parts to send with their requests, or null to
+ *   send the whole manuscript the usual way (uploaded and cached)
+ */
+function planParts(text, options) {
+  const selection = options.chapters
+    ? selectChapters(text, options.chapters, options.context_paragraphs === undefined ? CONTEXT_PARAGRAPHS : options.context_paragraphs)
+    : null;
+  if (options.analysis_mode !== ANALYSIS_MODES.CHAPTERS) {
+    return selection ? [selection] : null;
+  }
+
+  const chunks = splitIntoChunks(selection ? selection.text : text, options.chapters_per_chunk);
+  if (selection) {
+    chunks[0].context = selection.context;
+    chunks[chunks.length - 1].contextAfter = selection.contextAfter;
+    if (chunks.length === 1) {
+      chunks[0] = selection;
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Prompt for one part: the part's text (and context), then the tool's prompt
+ * @param {string} toolPrompt - The tool's prompt
+ * @param {Object} chunk - From splitIntoChunks()
+ * @param {number} index - 0-based part number
+ * @param {number} total - Number of parts
+ * @returns {string}
+ */
+function buildChunkPrompt(toolPrompt, chunk, index, total) {
+  let prompt = '';
+  if (chunk.context) {
+    prompt += `=== CONTEXT: TEXT JUST BEFORE THIS PART (for continuity only; do not analyze it) ===\n`;
+    prompt += `${chunk.context}\n`;
+    prompt += `=== END OF CONTEXT ===\n\n`;
+  }
+  prompt += `=== MANUSCRIPT: ${chunk.label} ===\n`;
+  prompt += `${chunk.text}\n`;
+  prompt += `=== END OF MANUSCRIPT ===\n\n`;
+  if (chunk.contextAfter) {
+    prompt += `=== CONTEXT: TEXT JUST AFTER THIS PART (for continuity only; do not analyze it) ===\n`;
+    prompt += `${chunk.contextAfter}\n`;
+    prompt += `=== END OF CONTEXT ===\n\n`;
+  }
+  if (total > 1) {
+    prompt += `This is part ${index + 1} of ${total} of the manuscript, which is analyzed chapter by chapter. `;
+    prompt += `Analyze only this part; the other parts are analyzed separately and the reports are merged afterwards.\n\n`;
+  } else if (chunk.excerpt) {
+    prompt += `This is only ${chunk.label} of the manuscript. Wherever the instructions below refer to the manuscript, analyze only this part.\n\n`;
+  }
+  prompt += toolPrompt;
+  return prompt;
+}
+
+/**
+ * Prompt for the consolidation pass that merges the partial reports into one
+ * @param {string} toolPrompt - The tool's prompt
+ * @param {Array<{label: string, report: string}>} partReports - One report per part
+ * @returns {string}
+ */
+function buildConsolidationPrompt(toolPrompt, partReports) {
+  let prompt = `${toolPrompt}\n\n`;
+  prompt += `=== INSTRUCTIONS FOR THIS REQUEST ===\n`;
+  prompt += `The manuscript was too long to analyze at once, so it was analyzed in ${partReports.length} parts, `;
+  prompt += `chapter by chapter, following the instructions above. The partial reports are below. `;
+  prompt += `Merge them into one report, in the format the instructions above ask for:\n`;
+  prompt += `- Keep every distinct issue, with its quoted passages exactly as they appear in the partial reports.\n`;
+  prompt += `- Merge duplicates (the same issue reported in more than one part) into one entry that names every chapter it affects.\n`;
+  prompt += `- Base any whole-manuscript observations (summaries, patterns, overall assessments) on all the parts together.\n`;
+  prompt += `- Don't mention the parts or the merging.\n\n`;
+  partReports.forEach((part, index) => {
+    prompt += `=== PARTIAL REPORT ${index + 1} OF ${partReports.length}: ${part.label} ===\n`;
+    prompt += `${part.report.trim()}\n\n`;
+  });
+  prompt += `=== END OF PARTIAL REPORTS ===\n`;
+  return prompt;
+}
+
+/**
+ * The partial reports joined under their chapter headings, for when the
+ * consolidation pass can't be run
+ * @param {Array<{label: string, report: string}>} partReports - One report per part
+ * @returns {string}
+ */
+function joinPartReports(partReports) {
+  return partReports
+    .map(part => `## ${part.label}\n\n${part.report.trim()}\n`)
+    .join('\n');
+}
+
+module.exports = {
+  ANALYSIS_MODES,
+  CHAPTER_SELECTION_OPTIONS,
+  ANALYSIS_MODE_OPTIONS,
+  parseChapterRange,
+  selectChapters,
+  planParts,
+  splitIntoChunks,
+  buildChunkPrompt,
+  buildConsolidationPrompt,
+  joinPartReports
+};
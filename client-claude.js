@@ -0,0 +1,332 @@
+// client-claude.js
+const fs = require('fs/promises');
+const path = require('path');
+const { hashText } = require('./hash-utils');
+const { countTokensWithFallback } = require('./token-estimator');
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Claude API Service
+ * Same interface as AiApiService (client.js), backed by Anthropic's Claude.
+ * Claude has no file uploads or named caches, so the manuscript "cache" is
+ * the manuscript text sent as a system block marked with cache_control;
+ * Anthropic caches that prompt prefix and reuses it across requests.
+ */
+class ClaudeApiService {
+  constructor(config = {}) {
+    // Store the configuration with defaults
+    this.config = {
+      model_name: 'claude-sonnet-4-20250514',
+      max_output_tokens: 64000,
+      thinking_budget: 32000,      // 0 turns extended thinking off
+      temperature: null,           // only used with thinking off; Claude requires 1 while thinking
+      ...config
+    };
+
+    const apiKeyFromEnv = process.env.ANTHROPIC_API_KEY;
+    if (!apiKeyFromEnv) {
+      console.error('ANTHROPIC_API_KEY environment variable not found');
+      this.apiKeyMissing = true;
+      return;
+    }
+
+    this.aiApiCache = null;
+
+    this.client = new Anthropic({
+      apiKey: apiKeyFromEnv
+    });
+  }
+
+  /**
+   * Verifies the AI API key and connection to the specified model.
+   * @returns {Promise<boolean>} True if the API key is valid and model is accessible, false otherwise.
+   */
+  async verifyAiAPI() {
+    if (this.apiKeyMissing || !this.client) {
+      return false;
+    }
+
+    try {
+      const modelInfo = await this.client.models.retrieve(this.config.model_name);
+      console.log(`\nthis.client.models.retrieve:`);
+      console.dir(modelInfo);
+      console.log(`\n`);
+      return true;
+    } catch (error) {
+      console.error(`API verification failed for model:\n${this.config.model_name}:\n${error.message}\n`);
+      return false;
+    }
+  }
+
+  /**
+   * Prepares the manuscript for prompt caching.
+   * Reads the manuscript so streamWithThinking can send it as a cached
+   * system block; the cache itself is created by the first request.
+   * @param {string} manuscriptFile - Path to the manuscript file
+   * @returns {Promise<Object>} - Returns {cache, messages, errors}
+   */
+  async prepareFileAndCache(manuscriptFile) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Claude API client not initialized - API key missing');
+    }
+
+    const messages = [];
+    const errors = [];
+
+    const log = (message) => {
+      messages.push(message);
+      console.log(message);
+    };
+
+    const logError = (message) => {
+      errors.push(message);
+      console.error(message);
+    };
+
+    log(`\n--- Preparing manuscript for Claude prompt caching ---`);
+
+    const displayName = path.resolve(manuscriptFile);
+    let cache = null;
+
+    try {
+      const manuscript = await fs.readFile(manuscriptFile, 'utf8');
+      const contentHash = hashText(manuscript);
+      cache = {
+        name: `prompt-cache:${contentHash}`,
+        displayName,
+        model: this.config.model_name,
+        manuscript
+      };
+      log(`Manuscript will be sent as a cached prompt block: ${displayName}`);
+      log(`Content hash: ${contentHash}`);
+      log(`Claude keeps the cached block for about 5 minutes after each use.`);
+    } catch (readError) {
+      logError(`Error reading manuscript for caching: ${readError.message}`);
+      log(`Will proceed without cache.`);
+    }
+
+    this.aiApiCache = cache;
+
+    return {
+      cache,
+      messages,
+      errors
+    };
+  }
+
+  /**
+   * Claude prompt caches expire on their own and there are no uploaded
+   * files, so switching projects only needs to forget the manuscript.
+   */
+  async clearFilesAndCaches() {
+    this.aiApiCache = null;
+    console.log('Claude API: cleared cached manuscript (server-side prompt caches expire automatically).');
+  }
+
+  /**
+   * Build the system blocks for a request, with the manuscript last and
+   * marked for caching so every tool run shares the same cached prefix.
+   * @param {boolean} noCache - Whether to leave the manuscript out
+   * @returns {Array<Object>|undefined}
+   */
+  buildSystem(noCache) {
+    if (!this.aiApiCache || noCache) {
+      console.log(`Not using cached content (noCache: ${noCache}, aiApiCache available: ${!!this.aiApiCache})`);
+      return undefined;
+    }
+
+    console.log(`Using cached content: ${this.aiApiCache.name}`);
+
+    const instructions = `
+You will analyze the creative fiction manuscript provided for the specific issues described in the user's follow-up prompt.
+In your final output/response, DO NOT include any introductory or concluding remarks (e.g., "Okay, here's the analysis...", "Overall, the manuscript is...").
+DO NOT repeat any parts of the manuscript that are correct or do not have specific issues described in the user's follow-up prompt.
+    `;
+
+    return [
+      { type: 'text', text: instructions },
+      {
+        type: 'text',
+        text: `=== MANUSCRIPT ===\n${this.aiApiCache.manuscript}\n=== END MANUSCRIPT ===`,
+        cache_control: { type: 'ephemeral' }
+      }
+    ];
+  }
+
+  /**
+   * Stream a response
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for response text
+   * @param {boolean} [noCache=false] - Whether to skip using cached content
+   * @param {boolean} [includeMetaData=true] - Whether to append response metadata
+   * @param {object} [options={}] - includeThinking, signal (an AbortSignal to stop the stream),
+   *   onFinish (called with {finishReason, modelVersion, usageMetadata} when the stream ends),
+   *   and maxOutputTokens (a lower response limit for this request, see ToolBase.checkTokenBudget)
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Claude API client not initialized - API key missing');
+    }
+
+    const includeThoughts = options.includeThinking !== undefined ? options.includeThinking : false;
+
+    try {
+      const maxTokens = options.maxOutputTokens
+        ? Math.min(options.maxOutputTokens, this.config.max_output_tokens)
+        : this.config.max_output_tokens;
+      const request = {
+        model: this.config.model_name,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      };
+
+      if (this.config.thinking_budget > 0) {
+        // The budget must be at least 1024 and leave room for the answer
+        request.thinking = {
+          type: 'enabled',
+          budget_tokens: Math.max(1024, Math.min(this.config.thinking_budget, maxTokens - 1024))
+        };
+      } else if (this.config.temperature !== null && this.config.temperature !== undefined) {
+        request.temperature = this.config.temperature;
+      }
+
+      const system = this.buildSystem(noCache);
+      if (system) {
+        request.system = system;
+      }
+
+      const stream = this.client.messages.stream(request, { signal: options.signal });
+
+      for await (const event of stream) {
+        // Stop reading as soon as the run is cancelled
+        if (options.signal && options.signal.aborted) {
+          const abortError = new Error('Request cancelled');
+          abortError.name = 'AbortError';
+          throw abortError;
+        }
+
+        if (event.type !== 'content_block_delta') {
+          continue;
+        }
+
+        if (event.delta.type === 'text_delta' && event.delta.text) {
+          onText(event.delta.text);
+        } else if (event.delta.type === 'thinking_delta' && includeThoughts && event.delta.thinking) {
+          onText(event.delta.thinking);
+        }
+      }
+
+      const finalMessage = await stream.finalMessage();
+      const metadata = {
+        finishReason: finalMessage.stop_reason,
+        modelVersion: finalMessage.model,
+        usageMetadata: finalMessage.usage
+      };
+
+      if (options.onFinish) {
+        options.onFinish(metadata);
+      }
+
+      const doMetaData = includeMetaData !== undefined ? includeMetaData : true;
+
+      if (doMetaData) {
+        onText('\n\n--- RESPONSE METADATA ---\n' + JSON.stringify(metadata, null, 2));
+      }
+    } catch (error) {
+      if (error.name === 'AbortError' || (options.signal && options.signal.aborted)) {
+        console.log('Streaming request cancelled');
+        throw error;
+      }
+      console.error('API Connection Error:', {
+        message: error.message,
+        status: error.status,
+        type: error.error?.error?.type || error.type
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a JSON response that follows a schema, by making Claude call a
+   * tool whose input is the schema. Claude doesn't allow forced tool use
+   * with extended thinking, so thinking is left off for these requests.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} schema - JSON schema of the response (see findings.js)
+   * @param {object} [options={}] - noCache (skip the cached manuscript) and signal
+   * @returns {Promise<{data: Object, metadata: Object}>} - Parsed response and
+   *   {finishReason, modelVersion, usageMetadata}
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Claude API client not initialized - API key missing');
+    }
+
+    const toolName = 'record_response';
+    const request = {
+      model: this.config.model_name,
+      max_tokens: this.config.max_output_tokens,
+      messages: [{ role: 'user', content: prompt }],
+      tools: [{
+        name: toolName,
+        description: 'Record the response in the required structure.',
+        input_schema: schema
+      }],
+      tool_choice: { type: 'tool', name: toolName }
+    };
+    if (this.config.temperature !== null && this.config.temperature !== undefined) {
+      request.temperature = this.config.temperature;
+    }
+
+    const system = this.buildSystem(options.noCache);
+    if (system) {
+      request.system = system;
+    }
+
+    // Streamed only because the SDK refuses long non-streaming requests
+    const finalMessage = await this.client.messages.stream(request, { signal: options.signal }).finalMessage();
+    const toolUse = finalMessage.content.find(block => block.type === 'tool_use');
+
+    const metadata = {
+      finishReason: finalMessage.stop_reason,
+      modelVersion: finalMessage.model,
+      usageMetadata: finalMessage.usage
+    };
+
+    if (!toolUse) {
+      throw new Error(`Claude returned no structured response (stop reason: ${finalMessage.stop_reason})`);
+    }
+
+    return { data: toolUse.input, metadata };
+  }
+
+  /**
+   * Count tokens in a text string
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>} - Token count (an offline estimate if the API can't be reached)
+   */
+  async countTokens(text) {
+    const result = await this.countTokensDetailed(text);
+    return result.tokens;
+  }
+
+  /**
+   * Count tokens, saying whether the count came from the API or the offline estimator
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{tokens: number, estimated: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    const countWithApi = (this.client && !this.apiKeyMissing)
+      ? async () => {
+          const result = await this.client.messages.countTokens({
+            model: this.config.model_name,
+            messages: [{ role: 'user', content: text }]
+          });
+          return result.input_tokens;
+        }
+      : null;
+    return countTokensWithFallback(text, countWithApi, 'Claude');
+  }
+}
+
+module.exports = ClaudeApiService;
@@ -0,0 +1,397 @@
+// client-local.js
+const fs = require('fs/promises');
+const path = require('path');
+const { hashText } = require('./hash-utils');
+const { estimateTokens } = require('./token-estimator');
+
+// Hosts that count as "this machine"; anything else is refused
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+/**
+ * Local AI API Service
+ * Same interface as AiApiService (client.js), for any OpenAI-compatible
+ * server running on this machine (Ollama, llama.cpp server, LM Studio...),
+ * so manuscripts never leave the computer.
+ * There is no file or cache API, so the manuscript is inlined into each
+ * prompt, and token counts are local estimates.
+ *
+ * Configured in ~/.env:
+ *   LOCAL_AI_BASE_URL - default http://localhost:11434/v1 (Ollama)
+ *   LOCAL_AI_MODEL    - default llama3.1
+ *   LOCAL_AI_API_KEY  - optional, for servers started with an api key
+ *   LOCAL_AI_CONTEXT_WINDOW - optional, the model's context size in tokens,
+ *                     enables the pre-flight budget check (see model-catalog.js)
+ */
+class LocalApiService {
+  constructor(config = {}) {
+    // Store the configuration with defaults
+    this.config = {
+      base_url: process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+      model_name: process.env.LOCAL_AI_MODEL || 'llama3.1',
+      api_key: process.env.LOCAL_AI_API_KEY || '',
+      context_window: process.env.LOCAL_AI_CONTEXT_WINDOW || null,
+      temperature: null,
+      max_output_tokens: null,
+      ...config
+    };
+
+    const configuredUrl = this.config.base_url;
+    this.config.base_url = this.config.base_url.replace(/\/+$/, '');
+    this.aiApiCache = null;
+
+    // Why the configured server can't be used, if it can't
+    this.configError = null;
+
+    let url = null;
+    try {
+      url = new URL(this.config.base_url);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      this.configError = `LOCAL_AI_BASE_URL is not a valid http(s) URL: ${configuredUrl}`;
+    } else if (!LOCAL_HOSTS.includes(url.hostname)) {
+      this.configError = `Local AI server must run on this machine (localhost), but LOCAL_AI_BASE_URL is: ${this.config.base_url}`;
+    }
+    if (this.configError) {
+      console.error(this.configError);
+    }
+  }
+
+  /**
+   * Throws unless the configured server is a valid URL on this machine
+   */
+  ensureLocal() {
+    if (this.configError) {
+      throw new Error(this.configError);
+    }
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.api_key) {
+      headers.Authorization = `Bearer ${this.config.api_key}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Verifies the local server is running and serves the configured model.
+   * @returns {Promise<boolean>} True if the model is available, false otherwise.
+   */
+  async verifyAiAPI() {
+    if (this.configError) {
+      console.error(`API verification failed for local model:\n${this.config.model_name}:\n${this.configError}\n`);
+      return false;
+    }
+
+    try {
+      const response = await fetch(`${this.config.base_url}/models`, { headers: this.getHeaders() });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const models = await response.json();
+      const modelIds = (models.data || []).map(model => model.id);
+      console.log(`\nLocal AI models: ${modelIds.join(', ')}\n`);
+      // Ollama lists "llama3.1:latest" for "llama3.1"
+      return modelIds.some(id => id === this.config.model_name || id.split(':')[0] === this.config.model_name);
+    } catch (error) {
+      console.error(`API verification failed for local model:\n${this.config.model_name}:\n${error.message}\n`);
+      return false;
+    }
+  }
+
+  /**
+   * Reads the manuscript so streamWithThinking can inline it into the prompt,
+   * standing in for the remote providers' file upload and cache.
+   * @param {string} manuscriptFile - Path to the manuscript file
+   * @returns {Promise<Object>} - Returns {cache, messages, errors}
+   */
+  async prepareFileAndCache(manuscriptFile) {
+    this.ensureLocal();
+
+    const messages = [];
+    const errors = [];
+
+    const log = (message) => {
+      messages.push(message);
+      console.log(message);
+    };
+
+    const logError = (message) => {
+      errors.push(message);
+      console.error(message);
+    };
+
+    log(`\n--- Preparing manuscript for local model ---`);
+
+    const displayName = path.resolve(manuscriptFile);
+    let cache = null;
+
+    try {
+      const manuscript = await fs.readFile(manuscriptFile, 'utf8');
+      const contentHash = hashText(manuscript);
+      cache = {
+        name: `inline:${contentHash}`,
+        displayName,
+        model: this.config.model_name,
+        manuscript
+      };
+      log(`Manuscript will be included in the prompt: ${displayName}`);
+      log(`Content hash: ${contentHash}`);
+      log(`Local server: ${this.config.base_url} (nothing is sent off this machine)`);
+    } catch (readError) {
+      logError(`Error reading manuscript: ${readError.message}`);
+      log(`Will proceed without the manuscript.`);
+    }
+
+    this.aiApiCache = cache;
+
+    return {
+      cache,
+      messages,
+      errors
+    };
+  }
+
+  /**
+   * Nothing is stored on a local server, so just forget the manuscript.
+   */
+  async clearFilesAndCaches() {
+    this.aiApiCache = null;
+    console.log('Local AI: cleared inlined manuscript.');
+  }
+
+  /**
+   * Build the chat messages, with the manuscript inlined ahead of the prompt
+   * @param {string} prompt - Prompt to complete
+   * @param {boolean} noCache - Whether to leave the manuscript out
+   * @returns {Array<Object>}
+   */
+  buildMessages(prompt, noCache) {
+    if (!this.aiApiCache || noCache) {
+      console.log(`Not using inlined manuscript (noCache: ${noCache}, aiApiCache available: ${!!this.aiApiCache})`);
+      return [{ role: 'user', content: prompt }];
+    }
+
+    console.log(`Using inlined manuscript: ${this.aiApiCache.name}`);
+
+    const instructions = `
+You will analyze the creative fiction manuscript provided for the specific issues described in the user's follow-up prompt.
+In your final output/response, DO NOT include any introductory or concluding remarks (e.g., "Okay, here's the analysis...", "Overall, the manuscript is...").
+DO NOT repeat any parts of the manuscript that are correct or do not have specific issues described in the user's follow-up prompt.
+    `;
+
+    return [
+      { role: 'system', content: instructions },
+      { role: 'user', content: `=== MANUSCRIPT ===\n${this.aiApiCache.manuscript}\n=== END MANUSCRIPT ===\n\n${prompt}` }
+    ];
+  }
+
+  /**
+   * Stream a response from /chat/completions (server-sent events)
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for response text
+   * @param {boolean} [noCache=false] - Whether to leave out the inlined manuscript
+   * @param {boolean} [includeMetaData=true] - Whether to append response metadata
+   * @param {object} [options={}] - includeThinking, signal (an AbortSignal to stop the stream),
+   *   and onFinish (called with {finishReason, modelVersion, usageMetadata} when the stream ends)
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
+    this.ensureLocal();
+
+    const includeThoughts = options.includeThinking !== undefined ? options.includeThinking : false;
+
+    try {
+      const body = {
+        model: this.config.model_name,
+        messages: this.buildMessages(prompt, noCache),
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+
+      // Generation settings (api-settings window); unset means the server's default
+      if (this.config.temperature !== null && this.config.temperature !== undefined) {
+        body.temperature = this.config.temperature;
+      }
+      if (this.config.max_output_tokens) {
+        body.max_tokens = this.config.max_output_tokens;
+      }
+
+      const response = await fetch(`${this.config.base_url}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(body),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`Local AI server error ${response.status} ${response.statusText}: ${body}`);
+      }
+
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let finishReason = null;
+      let modelVersion = this.config.model_name;
+      let usage = null;
+
+      // Each event is a "data: {...}" line
+      const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+          return;
+        }
+        const data = trimmed.replace(/^data:\s*/, '');
+        if (!data || data === '[DONE]') {
+          return;
+        }
+
+        const chunk = JSON.parse(data);
+        modelVersion = chunk.model || modelVersion;
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) {
+          return;
+        }
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        // Ollama and llama.cpp stream a model's thinking as reasoning_content
+        if (includeThoughts && choice.delta?.reasoning_content) {
+          onText(choice.delta.reasoning_content);
+        }
+        if (choice.delta?.content) {
+          onText(choice.delta.content);
+        }
+      };
+
+      for await (const bytes of response.body) {
+        // Stop reading as soon as the run is cancelled
+        if (options.signal && options.signal.aborted) {
+          const abortError = new Error('Request cancelled');
+          abortError.name = 'AbortError';
+          throw abortError;
+        }
+
+        buffer += decoder.decode(bytes, { stream: true });
+
+        // Keep any partial line for the next read
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+
+      const metadata = {
+        finishReason,
+        modelVersion,
+        usageMetadata: usage
+      };
+
+      if (options.onFinish) {
+        options.onFinish(metadata);
+      }
+
+      const doMetaData = includeMetaData !== undefined ? includeMetaData : true;
+
+      if (doMetaData) {
+        onText('\n\n--- RESPONSE METADATA ---\n' + JSON.stringify(metadata, null, 2));
+      }
+    } catch (error) {
+      if (error.name === 'AbortError' || (options.signal && options.signal.aborted)) {
+        console.log('Streaming request cancelled');
+        throw error;
+      }
+      console.error('Local AI Connection Error:', {
+        message: error.message,
+        baseUrl: this.config.base_url,
+        model: this.config.model_name
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a JSON response that follows a schema, using the server's
+   * response_format support (Ollama, llama.cpp server and LM Studio have it)
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} schema - JSON schema of the response (see findings.js)
+   * @param {object} [options={}] - noCache (leave out the inlined manuscript) and signal
+   * @returns {Promise<{data: Object, metadata: Object}>} - Parsed response and
+   *   {finishReason, modelVersion, usageMetadata}
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    this.ensureLocal();
+
+    const body = {
+      model: this.config.model_name,
+      messages: this.buildMessages(prompt, options.noCache),
+      stream: false,
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema, strict: true }
+      }
+    };
+    if (this.config.temperature !== null && this.config.temperature !== undefined) {
+      body.temperature = this.config.temperature;
+    }
+    if (this.config.max_output_tokens) {
+      body.max_tokens = this.config.max_output_tokens;
+    }
+
+    const response = await fetch(`${this.config.base_url}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Local AI server error ${response.status} ${response.statusText}: ${errorBody}`);
+    }
+
+    const result = await response.json();
+    const choice = result.choices?.[0];
+    const metadata = {
+      finishReason: choice?.finish_reason || null,
+      modelVersion: result.model || this.config.model_name,
+      usageMetadata: result.usage || null
+    };
+
+    let data;
+    try {
+      data = JSON.parse(choice?.message?.content || '');
+    } catch (parseError) {
+      throw new Error(`Local AI server returned invalid JSON (finish reason: ${metadata.finishReason || 'none'}): ${parseError.message}`);
+    }
+
+    return { data, metadata };
+  }
+
+  /**
+   * Estimate tokens in a text string; local servers have no counting endpoint
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>} - Estimated token count
+   */
+  async countTokens(text) {
+    return estimateTokens(text);
+  }
+
+  /**
+   * Same as countTokens, in the shape the other providers return
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{tokens: number, estimated: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    return { tokens: estimateTokens(text), estimated: true };
+  }
+}
+
+module.exports = LocalApiService;
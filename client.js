@@ -6,6 +6,11 @@ const {
     createUserContent,
     createPartFromUri,
 } = require('@google/genai');
+const { hashText, hashFile } = require('./hash-utils');
+const { formatRemainingTime, getIfExists, extendCache } = require('./gemini-cache-utils');
+const projectLedger = require('./project-ledger');
+const { countTokensWithFallback } = require('./token-estimator');
+const { toGeminiSchema } = require('./findings');
 
 /**
  * AI API Service
@@ -17,6 +22,11 @@ class AiApiService {
     this.config = {
       // model_name: 'gemini-2.5-flash-preview-05-20', // cheaper but not as good
       model_name: 'gemini-2.5-pro-preview-05-06',
+      // Generation settings, changed in the api-settings window (see generation-settings.js)
+      thinking_budget: 24576,
+      temperature: null,           // null = the model's default
+      max_output_tokens: null,     // null = the model's maximum
+      safety_threshold: 'OFF',
       ...config
     };
 
@@ -56,11 +66,18 @@ class AiApiService {
   }
 
   /**
-   * Prepares file upload and caching for manuscript processing
+   * Prepares file upload and caching for manuscript processing.
+   * Uploads and caches are matched to this exact manuscript by its path and
+   * content hash (kept in their displayName), so editing the manuscript or
+   * switching to another file re-uploads and re-caches instead of silently
+   * reusing a stale copy. Stale uploads/caches for the same path are deleted.
+   * When projectPath is given, the upload and cache are recorded in that
+   * project's ledger (project-ledger.js).
    * @param {string} manuscriptFile - Path to the manuscript file
-   * @returns {Promise<Object>} - Returns {cache, messages, errors} where cache is the existing cache object
+   * @param {string} [projectPath=null] - Project the manuscript belongs to
+   * @returns {Promise<Object>} - Returns {cache, file, messages, errors} where cache is the cache to use
    */
-  async prepareFileAndCache(manuscriptFile) {
+  async prepareFileAndCache(manuscriptFile, projectPath = null) {
     if (!this.client || this.apiKeyMissing) {
       throw new Error('Gemini API client not initialized - API key missing');
     }
@@ -68,7 +85,6 @@ class AiApiService {
     const path = require('path');
     let uploadedFileMetadata = null;
     let existingCache = null;
-    let activeModelName = this.config.model_name;
     
     // Create arrays to collect messages and errors
     const messages = [];
@@ -86,34 +102,47 @@ class AiApiService {
       console.error(message); // Also log to console for debugging
     };
 
-    // Step 1: Check for existing file uploads
-    log(`\n--- Checking for existing file uploads ---`);
+    // Identify this manuscript by path and content
+    const absolutePath = path.resolve(manuscriptFile);
+    const identity = await this.getManuscriptIdentity(absolutePath);
+    log(`\nManuscript: ${absolutePath}`);
+    log(`Content hash: ${identity.contentHash}`);
+    
+    // Names of outdated uploads/caches deleted below, to drop from the ledger
+    const staleNames = [];
+
+    // Step 1: Find the upload for this manuscript's current content
+    log(`\n--- Checking for an upload of this manuscript ---`);
     
     if (this.client && this.client.files && 
         typeof this.client.files.list === 'function') {
-      const fileListParams = {};
       try {
-        const fileListResponsePager = await this.client.files.list(fileListParams);
+        const fileListResponsePager = await this.client.files.list({});
+        const staleFiles = [];
         
-        let fileCount = 0;
         for await (const file of fileListResponsePager) {
-          fileCount++;
-          log(`Found file #${fileCount}:`);
-          log(`- Name: ${file.name}`);
-          log(`- Display Name: ${file.displayName || 'N/A'}`);
-          log(`- Size: ${file.sizeBytes || 'N/A'} bytes`);
-          
-          // Use the first active file found
-          if (file.state === 'ACTIVE' && !uploadedFileMetadata) {
-            log(`Using this file for processing.`);
+          const match = this.matchManuscriptIdentity(file.displayName, identity, absolutePath);
+          if (match === 'current' && file.state === 'ACTIVE' && !uploadedFileMetadata) {
             uploadedFileMetadata = file;
+          } else if (match === 'stale') {
+            staleFiles.push(file);
+          }
+        }
+        
+        for (const file of staleFiles) {
+          log(`Deleting outdated upload of this manuscript: ${file.name} (${file.displayName})`);
+          try {
+            await this.client.files.delete({ name: file.name });
+            staleNames.push(file.name);
+          } catch (deleteError) {
+            logError(`Error deleting outdated upload ${file.name}: ${deleteError.message}`);
           }
         }
         
-        if (fileCount === 0) {
-          log(`No existing files found. Will upload manuscript.`);
-        } else if (!uploadedFileMetadata) {
-          log(`No ACTIVE files found. Will upload manuscript.`);
+        if (uploadedFileMetadata) {
+          log(`Found upload matching the current manuscript: ${uploadedFileMetadata.name}`);
+        } else {
+          log(`No upload matches the current manuscript. Will upload it.`);
         }
       } catch (fileListError) {
         logError(`Error listing files: ${fileListError.message}`);
@@ -123,7 +152,7 @@ class AiApiService {
       log(`Files API not available. Will proceed without file upload.`);
     }
     
-    // Upload file if no existing file is found
+    // Upload file if no matching file is found
     if (!uploadedFileMetadata && this.client && this.client.files && 
         typeof this.client.files.upload === 'function') {
       try {
@@ -132,7 +161,7 @@ class AiApiService {
           file: manuscriptFile,
           config: {
             mimeType: 'text/plain',
-            displayName: path.resolve(manuscriptFile)
+            displayName: identity.displayName
           }
         });
         log(`Successfully uploaded file: ${uploadedFileMetadata.name}`);
@@ -143,55 +172,42 @@ class AiApiService {
       }
     }
     
-    // Step 2: Check for existing caches
-    log(`\n--- Checking for existing caches ---`);
+    // Step 2: Find the cache for this manuscript's current content
+    log(`\n--- Checking for a cache of this manuscript ---`);
     
     if (this.client && this.client.caches && 
         typeof this.client.caches.list === 'function') {
-      const cacheListParams = { pageSize: 20 };
       try {
-        const cacheListResponsePager = await this.client.caches.list(cacheListParams);
-        
-        let cacheCount = 0;
+        const cacheListResponsePager = await this.client.caches.list({ pageSize: 20 });
+        const staleCaches = [];
         
         for await (const cache of cacheListResponsePager) {
-          cacheCount++;
-          // Use formatRemainingTime if available, otherwise calculate directly
-          let remainingTime = "unknown";
-          if (typeof this.formatRemainingTime === 'function') {
-            remainingTime = this.formatRemainingTime(cache.expireTime);
-          } else if (cache.expireTime) {
-            const now = new Date();
-            const expireTime = new Date(cache.expireTime);
-            const remainingMs = expireTime.getTime() - now.getTime();
-            
-            if (remainingMs <= 0) {
-              remainingTime = "expired";
-            } else {
-              const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
-              const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-              remainingTime = `${remainingHours}h ${remainingMinutes}m`;
-            }
-          }
+          const match = this.matchManuscriptIdentity(cache.displayName, identity, absolutePath);
+          const notExpired = new Date(cache.expireTime) > new Date();
+          // A cache made for another model can't be used with this one
+          const sameModel = !cache.model || cache.model.endsWith(this.config.model_name);
           
-          log(`Found cache #${cacheCount}:`);
-          log(`- Name: ${cache.name}`);
-          log(`- Model: ${cache.model}`);
-          log(`- Display Name: ${cache.displayName || 'N/A'}`);
-          log(`- Expires: ${new Date(cache.expireTime).toLocaleString()} (Remaining: ${remainingTime})`);
-          
-          // Use the first non-expired cache found
-          if (new Date(cache.expireTime) > new Date() && !existingCache) {
-            log(`Using this cache for processing.`);
+          if (match === 'current' && notExpired && sameModel && !existingCache) {
             existingCache = cache;
-            activeModelName = cache.model;
+          } else if (match === 'stale') {
+            staleCaches.push(cache);
           }
         }
         
-        if (cacheCount === 0) {
-          log(`No existing caches found. Will proceed without cache.`);
-        } else if (!existingCache) {
-          log(`All found caches are expired. Will proceed without cache.`);
+        for (const cache of staleCaches) {
+          log(`Deleting outdated cache of this manuscript: ${cache.name} (${cache.displayName})`);
+          try {
+            await this.client.caches.delete({ name: cache.name });
+            staleNames.push(cache.name);
+          } catch (deleteError) {
+            logError(`Error deleting outdated cache ${cache.name}: ${deleteError.message}`);
+          }
+        }
+        
+        if (existingCache) {
+          log(`Found cache matching the current manuscript: ${existingCache.name}`);
+        } else {
+          log(`No usable cache matches the current manuscript.`);
         }
       } catch (cacheListError) {
         logError(`Error listing caches: ${cacheListError.message}`);
@@ -201,7 +217,7 @@ class AiApiService {
       log(`Caches API not available. Will proceed without cache.`);
     }
     
-    // Create a cache if we have an uploaded file but no existing cache
+    // Create a cache if we have an uploaded file but no matching cache
     if (uploadedFileMetadata && !existingCache && 
         this.client && this.client.caches && 
         typeof this.client.caches.create === 'function') {
@@ -221,7 +237,7 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
           model: this.config.model_name,
           config: {
             contents: [createUserContent(createPartFromUri(uploadedFileMetadata.uri, uploadedFileMetadata.mimeType))],
-            displayName: path.resolve(manuscriptFile),
+            displayName: identity.displayName,
             systemInstruction: instructions,
             ttl: ttl
           }
@@ -229,7 +245,6 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         
         existingCache = await this.client.caches.create(cacheConfig);
         log(`Successfully created cache: ${existingCache.name}`);
-        log(`Cache expires: ${new Date(existingCache.expireTime).toLocaleString()}`);
       } catch (cacheCreateError) {
         logError(`Error creating cache: ${cacheCreateError.message}`);
         log(`Will proceed without cache.`);
@@ -237,95 +252,242 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
       }
     }
     
+    // Say exactly what this run will analyze
+    log(`\n--- Manuscript used for this run ---`);
+    if (uploadedFileMetadata) {
+      log(`Upload: ${uploadedFileMetadata.name} (${uploadedFileMetadata.displayName || identity.displayName})`);
+    } else {
+      log(`Upload: none`);
+    }
+    if (existingCache) {
+      log(`Cache: ${existingCache.name} (${existingCache.displayName || identity.displayName})`);
+      log(`Cache expires: ${new Date(existingCache.expireTime).toLocaleString()} (Remaining: ${formatRemainingTime(existingCache.expireTime)})`);
+    } else {
+      logError(`No cache for this manuscript, so requests will NOT include the manuscript.`);
+    }
+    
     this.aiApiCache = existingCache;
 
+    if (projectPath) {
+      await this.recordInLedger(projectPath, absolutePath, identity, uploadedFileMetadata, existingCache, staleNames, logError);
+    }
+
     // Return both the cache and collected messages/errors
     return {
       cache: existingCache,
+      file: uploadedFileMetadata,
       messages,
       errors
     };
   }
 
+  /**
+   * Record this run's upload and cache in the project's ledger, and forget
+   * the outdated ones that were just deleted
+   */
+  async recordInLedger(projectPath, absolutePath, identity, file, cache, staleNames, logError) {
+    try {
+      await projectLedger.removeEntries(projectPath, staleNames);
+      const common = {
+        provider: 'gemini',
+        manuscript: absolutePath,
+        contentHash: identity.contentHash,
+        model: this.config.model_name
+      };
+      if (file) {
+        await projectLedger.recordEntry(projectPath, {
+          ...common,
+          kind: 'file',
+          name: file.name,
+          displayName: file.displayName || identity.displayName,
+          expireTime: file.expirationTime || null
+        });
+      }
+      if (cache) {
+        await projectLedger.recordEntry(projectPath, {
+          ...common,
+          kind: 'cache',
+          name: cache.name,
+          displayName: cache.displayName || identity.displayName,
+          expireTime: cache.expireTime || null
+        });
+      }
+    } catch (ledgerError) {
+      logError(`Error updating the project's API ledger: ${ledgerError.message}`);
+    }
+  }
+
+  /**
+   * Identify a manuscript by its path and current content.
+   * The displayName carries both hashes (the API limits cache displayNames
+   * to 128 characters, so the full path can't be used):
+   *   sg-<pathHash>-<contentHash> <file name>
+   * @param {string} absolutePath - Absolute path to the manuscript
+   * @returns {Promise<Object>} - {pathHash, contentHash, prefix, displayName}
+   */
+  async getManuscriptIdentity(absolutePath) {
+    const path = require('path');
+    const pathHash = hashText(absolutePath, 8);
+    const contentHash = await hashFile(absolutePath);
+    const prefix = `sg-${pathHash}-`;
+    return {
+      pathHash,
+      contentHash,
+      prefix,
+      displayName: `${prefix}${contentHash} ${path.basename(absolutePath)}`.slice(0, 128)
+    };
+  }
+
+  /**
+   * Compare an upload's or cache's displayName with the manuscript
+   * @param {string} displayName - displayName from files.list or caches.list
+   * @param {Object} identity - From getManuscriptIdentity
+   * @param {string} absolutePath - Absolute path to the manuscript
+   * @returns {string} - 'current' (same path and content), 'stale' (same path,
+   *   older content, or the old path-only naming), or 'other'
+   */
+  matchManuscriptIdentity(displayName, identity, absolutePath) {
+    if (!displayName) {
+      return 'other';
+    }
+    if (displayName.startsWith(`${identity.prefix}${identity.contentHash} `)) {
+      return 'current';
+    }
+    if (displayName.startsWith(identity.prefix) || displayName === absolutePath) {
+      return 'stale';
+    }
+    return 'other';
+  }
 
   /**
-   * Method to clear ALL uploaded files and ALL caches
-   * from the Gemini API associated with this API key.
-   * Called when switching projects in the app.
+   * Release the uploads and caches recorded in a project's ledger.
+   * Only that project's resources are deleted; anything else on the API key
+   * (other projects, other machines) is left alone.
+   * Called when switching away from a project in the app.
+   * @param {string} projectPath - Project whose resources to release
    */
-  async clearFilesAndCaches() {
+  async clearFilesAndCaches(projectPath) {
+    this.aiApiCache = null;
+
     if (!this.client || this.apiKeyMissing) {
       console.warn('Gemini API Client not initialized. Skipping API cleanup.');
       return;
     }
+    if (!projectPath) {
+      console.log('Gemini API: no project given, nothing to release.');
+      return;
+    }
 
-    let anyErrors = false;
     const operationDescription = "Gemini API";
+    const entries = (await projectLedger.getEntries(projectPath)).filter(entry => entry.provider === 'gemini');
 
-    // Clear All Uploaded Files
-    if (this.client.files && typeof this.client.files.list === 'function' && typeof this.client.files.delete === 'function') {
-      console.log(`${operationDescription} Attempting to clear ALL uploaded API files.`);
-      let deletedFilesCount = 0;
-      try {
-        const fileListResponsePager = await this.client.files.list({}); // List all files
-        const filesToDelete = [];
-        for await (const file of fileListResponsePager) {
-            filesToDelete.push(file); // Collect all files
-        }
+    if (entries.length === 0) {
+      console.log(`${operationDescription} No files or caches recorded for project: ${projectPath}`);
+      return;
+    }
 
-        if (filesToDelete.length === 0) {
-            console.log(`${operationDescription} No API files found to delete.`);
-        } else {
-            console.log(`${operationDescription} Found ${filesToDelete.length} API file(s) to delete.`);
-            for (const file of filesToDelete) {
-                console.log(`${operationDescription} Deleting API file: ${file.name} (Display Name: ${file.displayName || 'N/A'})`);
-                await this.client.files.delete({ name: file.name });
-                deletedFilesCount++;
-            }
-            console.log(`${operationDescription} Deleted ${deletedFilesCount} API files.`);
-        }
+    // Caches first, since they refer to the uploaded files
+    const ordered = [
+      ...entries.filter(entry => entry.kind === 'cache'),
+      ...entries.filter(entry => entry.kind === 'file')
+    ];
+
+    const released = [];
+    for (const entry of ordered) {
+      try {
+        await this.deleteResource(entry.kind, entry.name);
+        console.log(`${operationDescription} Released ${entry.kind}: ${entry.name} (${entry.displayName || 'N/A'})`);
+        released.push(entry.name);
       } catch (error) {
-        console.error(`${operationDescription} Error clearing uploaded API files:`, error.message);
-        anyErrors = true;
+        console.error(`${operationDescription} Error releasing ${entry.kind} ${entry.name}:`, error.message);
       }
-    } else {
-      console.warn(`${operationDescription} Files API (list/delete) not available. Skipping API file cleanup.`);
     }
 
-    // Clear All API Caches
-    if (this.client.caches && typeof this.client.caches.list === 'function' && typeof this.client.caches.delete === 'function') {
-      console.log(`${operationDescription} Attempting to clear ALL API caches.`);
-      let deletedCachesCount = 0;
-      try {
-        const cacheListResponsePager = await this.client.caches.list({}); // List all caches
-        const cachesToDelete = [];
-        for await (const cache of cacheListResponsePager) {
-            cachesToDelete.push(cache); // Collect all caches
-        }
-        
-        if (cachesToDelete.length === 0) {
-            console.log(`${operationDescription} No API caches found to delete.`);
-        } else {
-            console.log(`${operationDescription} Found ${cachesToDelete.length} API cache(s) to delete.`);
-            for (const cache of cachesToDelete) {
-                console.log(`${operationDescription} Deleting API cache: ${cache.name} (Display Name: ${cache.displayName || 'N/A'})`);
-                await this.client.caches.delete({ name: cache.name });
-                deletedCachesCount++;
-            }
-            console.log(`${operationDescription} Deleted ${deletedCachesCount} API caches.`);
-        }
-      } catch (error) {
-        console.error(`${operationDescription} Error clearing API caches:`, error.message);
-        anyErrors = true;
+    await projectLedger.removeEntries(projectPath, released);
+    console.log(`${operationDescription} Released ${released.length} of ${ordered.length} file(s)/cache(s) for project: ${projectPath}`);
+  }
+
+  /**
+   * Delete one upload or cache, treating "already gone" as success
+   * @param {string} kind - 'file' or 'cache'
+   * @param {string} name - files/xxx or cachedContents/xxx
+   */
+  async deleteResource(kind, name) {
+    const api = kind === 'cache' ? this.client.caches : this.client.files;
+    const existing = await getIfExists(api, name);
+    if (existing) {
+      await api.delete({ name });
+    }
+  }
+
+  /**
+   * List the uploads and caches recorded for a project, with their live
+   * status from the API. Entries that no longer exist are dropped from the ledger.
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Array<Object>>} - Ledger entries plus expireTime and remaining
+   */
+  async listProjectResources(projectPath) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Gemini API client not initialized - API key missing');
+    }
+
+    const entries = (await projectLedger.getEntries(projectPath)).filter(entry => entry.provider === 'gemini');
+    const resources = [];
+    const gone = [];
+
+    for (const entry of entries) {
+      const api = entry.kind === 'cache' ? this.client.caches : this.client.files;
+      const live = await getIfExists(api, entry.name);
+      if (!live) {
+        gone.push(entry.name);
+        continue;
       }
-    } else {
-      console.warn(`${operationDescription} Caches API (list/delete) not available. Skipping API cache cleanup.`);
+      const expireTime = entry.kind === 'cache' ? live.expireTime : live.expirationTime;
+      resources.push({
+        ...entry,
+        expireTime,
+        remaining: formatRemainingTime(expireTime)
+      });
     }
 
-    if (anyErrors) {
-        console.warn(`${operationDescription} Some errors occurred during the global API cleanup. Check logs.`);
-    } else {
-        console.log(`${operationDescription} Successfully completed global cleanup of API files and caches.`);
+    if (gone.length > 0) {
+      console.log(`Gemini API: ${gone.length} recorded file(s)/cache(s) no longer exist, removing them from the ledger.`);
+      await projectLedger.removeEntries(projectPath, gone);
+    }
+
+    return resources;
+  }
+
+  /**
+   * Give one of the project's caches a new time-to-live, counted from now
+   * @param {string} projectPath - Project directory
+   * @param {string} name - Cache name
+   * @param {number} ttlSeconds - New TTL in seconds
+   * @returns {Promise<string>} - New expireTime
+   */
+  async extendProjectCache(projectPath, name, ttlSeconds) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Gemini API client not initialized - API key missing');
+    }
+    const updated = await extendCache(this.client, name, ttlSeconds);
+    await projectLedger.updateEntry(projectPath, name, { expireTime: updated.expireTime });
+    return updated.expireTime;
+  }
+
+  /**
+   * Delete one of the project's uploads or caches
+   * @param {string} projectPath - Project directory
+   * @param {string} kind - 'file' or 'cache'
+   * @param {string} name - files/xxx or cachedContents/xxx
+   */
+  async dropProjectResource(projectPath, kind, name) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Gemini API client not initialized - API key missing');
+    }
+    await this.deleteResource(kind, name);
+    await projectLedger.removeEntries(projectPath, [name]);
+    if (this.aiApiCache && this.aiApiCache.name === name) {
+      this.aiApiCache = null;
     }
   }
 
@@ -478,11 +640,29 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
   //     throw error;
   //   }
   // }
+
+  /**
+   * Safety settings for the configured threshold (api-settings window)
+   * @returns {Array<Object>}
+   */
+  getSafetySettings() {
+    const threshold = HarmBlockThreshold[this.config.safety_threshold] || HarmBlockThreshold.OFF;
+    return [
+      { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold },
+      { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold },
+      { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold },
+      { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold }
+    ];
+  }
+
   /**
    * Stream a response
    * @param {string} prompt - Prompt to complete
    * @param {Function} onText - Callback for response text
    * @param {boolean} [noCache=false] - Whether to skip using cached content
+   * @param {boolean} [includeMetaData=true] - Whether to append response metadata
+   * @param {object} [options={}] - includeThinking, signal (an AbortSignal to stop the stream),
+   *   and onFinish (called with {finishReason, modelVersion, usageMetadata} when the stream ends)
    * @returns {Promise<void>}
    */
   async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
@@ -500,15 +680,10 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
     
       const thinkingConfig = {
         includeThoughts: includeThoughts,
-        thinkingBudget: 24576
+        thinkingBudget: this.config.thinking_budget
       }
 
-      const safetySettings = [
-        { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.OFF },
-        { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.OFF },
-        { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.OFF },
-        { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.OFF }
-      ];
+      const safetySettings = this.getSafetySettings();
 
       const contentsForRequest = [
         {
@@ -526,6 +701,18 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         safetySettings: safetySettings
       };
       
+      if (this.config.temperature !== null && this.config.temperature !== undefined) {
+        configObj.temperature = this.config.temperature;
+      }
+      if (this.config.max_output_tokens) {
+        configObj.maxOutputTokens = this.config.max_output_tokens;
+      }
+      
+      // Let the tool runner abort the request when the user stops the tool
+      if (options.signal) {
+        configObj.abortSignal = options.signal;
+      }
+      
       // Only include cached content if we have a cache and noCache is false
       if (this.aiApiCache && !noCache) {
         console.log(`Using cached content: ${this.aiApiCache.name}`);
@@ -540,9 +727,27 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         config: configObj
       });
 
+      // Metadata of the chunk that carried a finishReason; stays null if the stream was cut off
+      let finishMetadata = null;
+
       for await (const chunk of responseStream) {
+        // Stop reading as soon as the run is cancelled
+        if (options.signal && options.signal.aborted) {
+          const abortError = new Error('Request cancelled');
+          abortError.name = 'AbortError';
+          throw abortError;
+        }
+        
         let currentText = chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
         
+        if (chunk.candidates?.[0]?.finishReason) {
+          finishMetadata = {
+            finishReason: chunk.candidates[0].finishReason,
+            modelVersion: chunk.modelVersion,
+            usageMetadata: chunk.usageMetadata
+          };
+        }
+        
         // Check if this is the final chunk with finishReason: 'STOP'
         const isLastChunk = chunk.candidates?.[0]?.finishReason === 'STOP';
         
@@ -572,7 +777,16 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
         
         onText(currentText);
       }
+
+      // Let the caller see how the response ended (MAX_TOKENS, SAFETY, or nothing when cut off)
+      if (options.onFinish) {
+        options.onFinish(finishMetadata || { finishReason: null });
+      }
     } catch (error) {
+      if (error.name === 'AbortError' || (options.signal && options.signal.aborted)) {
+        console.log('Streaming request cancelled');
+        throw error;
+      }
       console.error('API Connection Error:', {
         message: error.message,
         status: error.status,
@@ -588,23 +802,83 @@ DO NOT repeat any parts of the manuscript that are correct or do not have specif
     }
   }
 
+  /**
+   * Get a JSON response that follows a schema (not streamed)
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} schema - JSON schema of the response (see findings.js)
+   * @param {object} [options={}] - noCache (skip the cached manuscript) and signal
+   * @returns {Promise<{data: Object, metadata: Object}>} - Parsed response and
+   *   {finishReason, modelVersion, usageMetadata}
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    if (!this.client || this.apiKeyMissing) {
+      throw new Error('Gemini API client not initialized - API key missing');
+    }
+
+    const configObj = {
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(schema),
+      thinkingConfig: { includeThoughts: false, thinkingBudget: this.config.thinking_budget },
+      safetySettings: this.getSafetySettings()
+    };
+    if (this.config.max_output_tokens) {
+      configObj.maxOutputTokens = this.config.max_output_tokens;
+    }
+    if (options.signal) {
+      configObj.abortSignal = options.signal;
+    }
+    if (this.aiApiCache && !options.noCache) {
+      configObj.cachedContent = this.aiApiCache.name;
+    }
+
+    const response = await this.client.models.generateContent({
+      model: this.config.model_name,
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      config: configObj
+    });
+
+    const metadata = {
+      finishReason: response.candidates?.[0]?.finishReason || null,
+      modelVersion: response.modelVersion,
+      usageMetadata: response.usageMetadata
+    };
+
+    let data;
+    try {
+      data = JSON.parse(response.text);
+    } catch (parseError) {
+      throw new Error(`Gemini returned invalid JSON (finish reason: ${metadata.finishReason || 'none'}): ${parseError.message}`);
+    }
+
+    return { data, metadata };
+  }
+
   /**
    * Count tokens in a text string
    * @param {string} text - Text to count tokens in
-   * @returns {Promise<number>} - Token count (returns 0 on error)
+   * @returns {Promise<number>} - Token count (an offline estimate if the API can't be reached)
    */
   async countTokens(text) {
-    try {
-      const result = await this.client.models.countTokens({
-        model: this.config.model_name,
-        contents: [{ role: "user", parts: [{ text: text }] }] 
-      });
-      
-      return result.totalTokens;
-    } catch (error) {
-      console.error('Token counting error:', error);
-      return -1;
-    }
+    const result = await this.countTokensDetailed(text);
+    return result.tokens;
+  }
+
+  /**
+   * Count tokens, saying whether the count came from the API or the offline estimator
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<{tokens: number, estimated: boolean}>}
+   */
+  async countTokensDetailed(text) {
+    const countWithApi = (this.client && !this.apiKeyMissing)
+      ? async () => {
+          const result = await this.client.models.countTokens({
+            model: this.config.model_name,
+            contents: [{ role: "user", parts: [{ text: text }] }] 
+          });
+          return result.totalTokens;
+        }
+      : null;
+    return countTokensWithFallback(text, countWithApi, 'Gemini');
   }
 }
 
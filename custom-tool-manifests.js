@@ -0,0 +1,114 @@
+// custom-tool-manifests.js
+// Custom tools, defined without code: a manifest such as house_style.json in
+// ~/writing/tool-prompts names the tool, its options and its prompt file,
+// and tool-system.js registers it as a CustomTool (custom-tool.js), which
+// runs the prompt against the manuscript like the built-in editing tools.
+//
+//   {
+//     "id": "house_style",
+//     "title": "House Style Check",
+//     "description": "Checks the manuscript against our house style.",
+//     "prompt": "house_style.txt",
+//     "findings": true,
+//     "options": [ ... ]
+//   }
+//
+// "prompt" defaults to <id>.txt next to the manifest, "findings" to false
+// and "options" to a manuscript file option. Options can use the built-in
+// tools' shared options, such as { "shared": "analysis_level" }.
+const fs = require('fs/promises');
+const path = require('path');
+const promptManager = require('./tool-prompts-manager');
+const { expandSharedOptions, validateToolManifest } = require('./tool-manifests');
+
+const MANUSCRIPT_OPTION = {
+  "name": "manuscript_file",
+  "label": "Manuscript File",
+  "type": "file",
+  "description": "File containing the manuscript to analyze",
+  "required": true,
+  "default": "manuscript.txt",
+  "group": "Input Files"
+};
+
+/**
+ * Check a manifest and turn it into a tool definition
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} manifestFile - Path of the manifest
+ * @param {Set<string>} takenIds - Ids of the tools registered so far
+ * @returns {Object} - Tool definition, as in TOOL_DEFS, without Class
+ * @throws {Error} - If the manifest isn't valid (see tool-manifests.js)
+ */
+function manifestToToolDef(manifest, manifestFile, takenIds) {
+  manifest = expandSharedOptions(manifest);
+  const problems = validateToolManifest(manifest, { custom: true });
+  if (problems.length === 0 && takenIds.has(manifest.id)) {
+    problems.push(`a tool with the id "${manifest.id}" already exists`);
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  const { id, title, description, prompt, findings, options } = manifest;
+  const toolOptions = options || [MANUSCRIPT_OPTION];
+
+  // The prompt file is read from the manifest's folder
+  const manifestDir = path.dirname(manifestFile);
+  const promptFile = path.resolve(manifestDir, prompt || `${id}.txt`);
+  if (path.relative(manifestDir, promptFile).startsWith('..')) {
+    throw new Error(`"prompt" must be a file in ${manifestDir}`);
+  }
+
+  return {
+    id,
+    title: title.trim(),
+    description: description || '',
+    // Custom tools run ToolBase.execute, which needs a manuscript
+    options: toolOptions.some(option => option.name === 'manuscript_file') ? toolOptions : [MANUSCRIPT_OPTION, ...toolOptions],
+    findings: !!findings,
+    custom: true,
+    promptFile,
+    manifestFile
+  };
+}
+
+/**
+ * Read the custom tool manifests (*.json) in ~/writing/tool-prompts
+ * A manifest that can't be read or isn't valid is skipped and reported in errors.
+ * @param {Array<string>} builtInIds - Ids of the built-in tools, which custom tools can't reuse
+ * @param {string} [manifestsDir] - Folder to read, defaults to the prompts folder
+ * @returns {Promise<{defs: Array<Object>, errors: Array<{file: string, message: string}>}>}
+ */
+async function loadCustomToolDefs(builtInIds, manifestsDir = promptManager.promptsDir) {
+  const defs = [];
+  const errors = [];
+
+  let entries;
+  try {
+    entries = await fs.readdir(manifestsDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading custom tool manifests:', error);
+    }
+    return { defs, errors };
+  }
+
+  const takenIds = new Set(builtInIds);
+  for (const entry of entries.filter(name => name.toLowerCase().endsWith('.json')).sort()) {
+    const manifestFile = path.join(manifestsDir, entry);
+    try {
+      const manifest = JSON.parse(await fs.readFile(manifestFile, 'utf8'));
+      const def = manifestToToolDef(manifest, manifestFile, takenIds);
+      takenIds.add(def.id);
+      defs.push(def);
+    } catch (error) {
+      console.error(`Skipping custom tool manifest ${manifestFile}: ${error.message}`);
+      errors.push({ file: manifestFile, message: error.message });
+    }
+  }
+  return { defs, errors };
+}
+
+module.exports = {
+  manifestToToolDef,
+  loadCustomToolDefs
+};
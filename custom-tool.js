@@ -0,0 +1,52 @@
+// custom-tool.js
+const fs = require('fs/promises');
+const ToolBase = require('./tool-base');
+
+/**
+ * Custom Tool
+ * A tool defined by a manifest in ~/writing/tool-prompts (see custom-tool-manifests.js):
+ * reads a manuscript file and runs the manifest's prompt file against it.
+ */
+class CustomTool extends ToolBase {
+  constructor(apiService, config = {}) {
+    super(config.name, config);
+    this.apiService = apiService;
+  }
+
+  /**
+   * Get the manifest's prompt file, filled in for this run
+   * @param {Object} [options] - Option values for this run
+   * @returns {Promise<string|{error: string}>} - The prompt, or {error} after saying
+   *   what's wrong (see ToolBase.getPrompt)
+   */
+  async getPrompt(options = {}) {
+    try {
+      const promptText = await fs.readFile(this.config.promptFile, 'utf8');
+      if (promptText.trim()) {
+        let prompt;
+        try {
+          prompt = await this.renderPrompt(promptText, options);
+        } catch (error) {
+          this.emitOutput(`\n⛔️ Error in the prompt for '${this.config.title}' (${this.config.promptFile}):\n${error.message}\n`);
+          return { error: 'invalid_prompt' };
+        }
+        this.emitOutput(`Using this prompt for ${this.name}:\n`);
+        this.emitOutput(`${prompt}\n`);
+        return prompt;
+      }
+      this.emitOutput(`\n⛔️ The prompt file for '${this.config.title}' is empty:\n${this.config.promptFile}\n`);
+      return { error: 'missing_prompt' };
+    } catch (error) {
+      console.error(`Error reading prompt for ${this.name}:`, error);
+      let errorMessage = `\n`;
+      errorMessage += `⛔️ PROMPT FILE NOT FOUND ⛔️\n\n`;
+      errorMessage += `The manifest for '${this.config.title}' names this prompt file:\n`;
+      errorMessage += `${this.config.promptFile}\n\n`;
+      errorMessage += `Create it, or fix the "prompt" in ${this.config.manifestFile}\n`;
+      this.emitOutput(errorMessage);
+      return { error: 'missing_prompt' };
+    }
+  }
+}
+
+module.exports = CustomTool;
@@ -6,6 +6,7 @@
 // - Tab functionality completely disabled for clean writing
 // - Placeholder text to guide new users
 // - One Dark theme for dark mode
+// - Jumping to a quoted passage, and report quotes that link to the manuscript
 
 // =============================================================================
 // SECTION 1: GLOBAL VARIABLES AND STATE MANAGEMENT
@@ -25,6 +26,7 @@ let closeButton; // Window close button
 let notification; // Popup notification element
 let wordWrapToggle; // Button to control line wrapping
 let removeMarkdownButton; // Button to strip markdown formatting
+let viewHtmlButton; // Button to view the document as an HTML report
 let fontSizeIncrease; // Button to make text larger
 let fontSizeDecrease; // Button to make text smaller
 let fontSizeDisplay; // Shows current font size
@@ -39,6 +41,8 @@ let documentChanged = false; // Whether the document has unsaved changes
 let originalContent = ''; // Content when file was last saved (for change detection)
 let isWordWrapEnabled = true; // Current word wrap setting
 let currentFontSize = 14; // Current font size in pixels
+let quoteLinks = null; // Report quotes that jump to the manuscript: {manuscriptPath, links}
+let passageHighlight = null; // Highlight on the passage jumped to
 
 // =============================================================================
 // SECTION 2: INITIALIZATION AND STARTUP SEQUENCE
@@ -92,6 +96,7 @@ function initDomReferences() {
   saveAsButton = document.getElementById('save-as-button');
   closeButton = document.getElementById('close-button');
   removeMarkdownButton = document.getElementById('remove-markdown-button');
+  viewHtmlButton = document.getElementById('view-html-button');
   notification = document.getElementById('notification');
   wordWrapToggle = document.getElementById('word-wrap-toggle');
   fontSizeIncrease = document.getElementById('font-size-increase');
@@ -450,6 +455,9 @@ function setupCodeMirrorEvents() {
     }, 100);
   });
   
+  // Quotes in reports link to the manuscript
+  setupQuoteLinkClicks();
+  
   // Initialize position and statistics display
   updatePositionAndStats();
 }
@@ -546,6 +554,15 @@ function setupControlEvents() {
     showNotification('Markdown formatting removed');
   });
   
+  // View the report as HTML, including any unsaved edits
+  viewHtmlButton.addEventListener('click', () => {
+    if (!currentFilePath) {
+      showNotification('Save the file first to view it as HTML');
+      return;
+    }
+    window.electronAPI.showReportView(currentFilePath, documentChanged ? editor.getValue() : undefined);
+  });
+  
   // File save operations
   saveButton.addEventListener('click', () => saveFile(false));
   saveAsButton.addEventListener('click', () => saveFile(true));
@@ -793,7 +810,76 @@ function countWords(text) {
 }
 
 // =============================================================================
-// SECTION 14: ELECTRON API INTEGRATION
+// SECTION 14: JUMPING TO PASSAGES
+// =============================================================================
+
+// Scroll to a passage and highlight it until the text is next edited
+// target comes from main.js: {from, to} positions (to is null for a whole line),
+// or {notFound, message} when the passage couldn't be found
+function goToTarget(target) {
+  if (target.notFound) {
+    showNotification(target.message, 5000);
+    return;
+  }
+
+  clearPassageHighlight();
+  const line = Math.min(target.from.line, editor.lineCount() - 1);
+  const from = { line, ch: target.from.ch };
+  const to = target.to || { line, ch: editor.getLine(line).length };
+  passageHighlight = editor.markText(target.to ? from : { line, ch: 0 }, to, { className: 'cm-passage-highlight' });
+  editor.on('change', clearPassageHighlight);
+
+  editor.setCursor(from);
+  // Leave some lines above the passage rather than pinning it to the top edge
+  editor.scrollIntoView({ from, to }, editor.getScrollInfo().clientHeight / 3);
+  editor.focus();
+
+  if (target.similarity !== undefined && target.similarity < 1) {
+    showNotification(`Closest match (${Math.round(target.similarity * 100)}%); the text differs a little from the quote`, 4000);
+  }
+}
+
+function clearPassageHighlight() {
+  if (passageHighlight) {
+    passageHighlight.clear();
+    passageHighlight = null;
+  }
+  editor.off('change', clearPassageHighlight);
+}
+
+// Underline each quote in a report; clicking one opens the manuscript at that passage
+function markQuoteLinks() {
+  quoteLinks.links.forEach(link => {
+    editor.markText(link.from, link.to, {
+      className: 'cm-quote-link',
+      attributes: { 'data-quote': link.quote, 'data-chapter': link.chapter || '', title: 'Click to find this passage in the manuscript' }
+    });
+  });
+}
+
+function setupQuoteLinkClicks() {
+  editor.getWrapperElement().addEventListener('click', (event) => {
+    const link = event.target.closest('.cm-quote-link');
+    if (!link || !quoteLinks) {
+      return;
+    }
+    if (documentChanged && !confirm('Discard unsaved changes to this file and open the manuscript?')) {
+      return;
+    }
+    window.electronAPI.openFileInEditor(quoteLinks.manuscriptPath, { quote: link.dataset.quote, chapter: link.dataset.chapter || null })
+      .then(result => {
+        if (!result.success) {
+          showNotification('Error opening manuscript: ' + (result.error || 'Unknown error'));
+        }
+      })
+      .catch(error => {
+        showNotification('Error opening manuscript: ' + error.message);
+      });
+  });
+}
+
+// =============================================================================
+// SECTION 15: ELECTRON API INTEGRATION
 // =============================================================================
 
 // Handle file opened message from the main Electron process
@@ -812,6 +898,19 @@ if (window.electronAPI && window.electronAPI.onFileOpened) {
       // Update interface elements
       updatePositionAndStats();
       updatePreview();
+
+      quoteLinks = data.quoteLinks || null;
+      if (quoteLinks) {
+        markQuoteLinks();
+      }
+
+      // Wait for the editor to settle (see ensureCodeMirrorReady) before scrolling
+      if (data.target) {
+        setTimeout(() => {
+          editor.refresh();
+          goToTarget(data.target);
+        }, 200);
+      }
       
       // Ensure spellcheck is active for the new content
       setTimeout(() => {
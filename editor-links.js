@@ -0,0 +1,212 @@
+// editor-links.js
+// Positions and links for the editor dialog: where a quote (or a line and
+// column) is in a file, so the editor can scroll to and highlight it, and
+// where a report quotes the manuscript, so those quotes can be clicked to
+// jump to the passage. Positions are CodeMirror's {line, ch}, both 0-based.
+const fs = require('fs');
+const path = require('path');
+const findingsUtils = require('./findings');
+const { getManuscriptPath } = require('./manuscript-changes');
+const quoteVerifier = require('./quote-verifier');
+
+/**
+ * Convert a character offset to a CodeMirror position
+ * Counting from the last newline keeps this right for \r\n files,
+ * which CodeMirror shows without the \r.
+ * @param {string} text - File content
+ * @param {number} offset - Character offset into text
+ * @returns {{line: number, ch: number}}
+ */
+function offsetToPosition(text, offset) {
+  let line = 0;
+  let lineStart = 0;
+  let newline = text.indexOf('\n');
+  while (newline !== -1 && newline < offset) {
+    line++;
+    lineStart = newline + 1;
+    newline = text.indexOf('\n', lineStart);
+  }
+  return { line, ch: offset - lineStart };
+}
+
+/**
+ * Find a quoted passage in a file: word for word if possible, otherwise
+ * the way quotes are checked against the manuscript (see quote-verifier.js)
+ * A passage that appears more than once is only found when one of the
+ * places is in the given chapter, the same rule as applying findings.
+ * @param {string} text - File content
+ * @param {string} quote - The passage to find
+ * @param {string} [chapter] - Chapter the report gave for the quote, e.g. "Chapter 3"
+ * @returns {Object|null} - {start, end, similarity}, {ambiguous: true, occurrences}, or null if not found
+ */
+function findPassage(text, quote, chapter = null) {
+  const trimmed = (quote || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const exact = text.indexOf(trimmed);
+  if (exact !== -1 && text.indexOf(trimmed, exact + 1) === -1) {
+    return { start: exact, end: exact + trimmed.length, similarity: 1 };
+  }
+
+  const location = quoteVerifier.verifyQuote(quoteVerifier.indexManuscript(text), trimmed, chapter);
+  if (location.status !== 'exact' && location.status !== 'close') {
+    return null;
+  }
+  if (location.occurrences > 1) {
+    return { ambiguous: true, occurrences: location.occurrences };
+  }
+  return { start: location.start, end: location.end, similarity: location.similarity };
+}
+
+/**
+ * Work out where the editor should go when it opens a file
+ * @param {string} text - File content
+ * @param {Object} target - {quote, chapter} (chapter optional) or {line, column} (1-based; column optional)
+ * @returns {Object|null} - {from, to} positions to highlight (to is null to
+ *   highlight the whole line), or {notFound: true, message}; null if no target
+ */
+function getEditorTarget(text, target) {
+  if (!target) {
+    return null;
+  }
+
+  if (target.quote) {
+    const passage = findPassage(text, target.quote, target.chapter);
+    if (!passage) {
+      return {
+        notFound: true,
+        message: 'The quoted passage was not found in this file; it may have been paraphrased or changed since.'
+      };
+    }
+    if (passage.ambiguous) {
+      return {
+        notFound: true,
+        message: `The quoted passage appears ${passage.occurrences} times in this file, so it isn't clear which one the report means.`
+      };
+    }
+    return {
+      from: offsetToPosition(text, passage.start),
+      to: offsetToPosition(text, passage.end),
+      similarity: passage.similarity
+    };
+  }
+
+  const lineNumber = parseInt(target.line, 10);
+  if (lineNumber > 0) {
+    const lineCount = text.split('\n').length;
+    const column = parseInt(target.column, 10);
+    return {
+      from: { line: Math.min(lineNumber, lineCount) - 1, ch: column > 0 ? column - 1 : 0 },
+      to: null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Work out which manuscript a report is about: the one given, else the one
+ * recorded in the report's findings file
+ * @param {string} reportPath - Path to the report
+ * @param {string} [manuscriptPath] - Manuscript the report's tool ran on, if known
+ * @param {string} [projectPath] - Project directory, for a relative manuscriptPath
+ * @returns {Promise<string|null>} - Absolute manuscript path, or null
+ */
+async function getReportManuscript(reportPath, manuscriptPath, projectPath) {
+  if (manuscriptPath) {
+    const absolutePath = path.isAbsolute(manuscriptPath)
+      ? manuscriptPath
+      : path.join(projectPath || path.dirname(reportPath), manuscriptPath);
+    return fs.existsSync(absolutePath) ? absolutePath : null;
+  }
+
+  const findingsPath = findingsUtils.getFindingsPath(reportPath);
+  if (!reportPath.endsWith('.txt') || !fs.existsSync(findingsPath)) {
+    return null;
+  }
+  try {
+    const data = await findingsUtils.readFindingsFile(findingsPath);
+    const findingsManuscript = getManuscriptPath(data, findingsPath);
+    return fs.existsSync(findingsManuscript) ? findingsManuscript : null;
+  } catch (error) {
+    console.error('Error reading findings file:', error);
+    return null;
+  }
+}
+
+// Match a quote anywhere in the report, whatever whitespace or line breaks it was wrapped with
+function quoteRegex(quote) {
+  const pattern = quote
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  return new RegExp(pattern, 'g');
+}
+
+/**
+ * Read the findings saved with a report, whose chapters tell apart quotes
+ * that appear more than once
+ * @param {string} reportPath - Path to the report
+ * @returns {Promise<Array<Object>>} - Findings, or an empty list if the report has none
+ */
+async function getReportFindings(reportPath) {
+  const findingsPath = findingsUtils.getFindingsPath(reportPath);
+  if (!reportPath.endsWith('.txt') || !fs.existsSync(findingsPath)) {
+    return [];
+  }
+  try {
+    return (await findingsUtils.readFindingsFile(findingsPath)).findings;
+  } catch (error) {
+    console.error('Error reading findings file:', error);
+    return [];
+  }
+}
+
+/**
+ * Find every passage a report quotes, for the editor to make clickable
+ * @param {string} report - Report content
+ * @param {string} manuscriptPath - Absolute path of the manuscript the quotes come from
+ * @param {Array<Object>} [findings] - The report's findings, for the chapter of each quote
+ * @returns {{manuscriptPath: string, links: Array<{from, to, quote, chapter}>}|null} - null if the report quotes nothing
+ */
+function getQuoteLinks(report, manuscriptPath, findings = []) {
+  const links = [];
+  const taken = [];
+
+  const chapters = new Map();
+  findings.forEach(finding => {
+    const chapter = finding.reportedChapter !== undefined ? finding.reportedChapter : finding.chapter;
+    if (chapter && !chapters.has(quoteVerifier.quoteKey(finding.quote))) {
+      chapters.set(quoteVerifier.quoteKey(finding.quote), chapter);
+    }
+  });
+
+  // Longest first, so a shorter quote inside a longer one doesn't take its place
+  const quotes = quoteVerifier.extractQuotes(report).sort((a, b) => b.length - a.length);
+  quotes.forEach(quote => {
+    const regex = quoteRegex(quote);
+    const chapter = chapters.get(quoteVerifier.quoteKey(quote)) || null;
+    let match;
+    while ((match = regex.exec(report)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!taken.some(range => start < range.end && end > range.start)) {
+        taken.push({ start, end });
+        links.push({ from: offsetToPosition(report, start), to: offsetToPosition(report, end), quote, chapter });
+      }
+    }
+  });
+
+  return links.length > 0 ? { manuscriptPath, links } : null;
+}
+
+module.exports = {
+  offsetToPosition,
+  findPassage,
+  getEditorTarget,
+  getReportManuscript,
+  getReportFindings,
+  getQuoteLinks
+};
@@ -0,0 +1,198 @@
+// findings-docx-export.js
+const ToolBase = require('./tool-base');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+const findingsUtils = require('./findings');
+const quoteVerifier = require('./quote-verifier');
+const { getManuscriptPath } = require('./manuscript-changes');
+const manuscriptDocx = require('./manuscript-docx');
+
+// Findings that no longer need the author's attention
+const CLOSED_STATUSES = ['rejected', 'applied'];
+
+/**
+ * FindingsDocxExport Tool
+ * Exports the manuscript to DOCX with each editing tool finding attached as
+ * a Word comment on the quoted passage, authored by the tool that raised it
+ */
+class FindingsDocxExport extends ToolBase {
+  /**
+   * Constructor
+   * @param {string} name - Tool name
+   * @param {Object} config - Tool configuration
+   */
+  constructor(name, config = {}) {
+    super(name, config);
+  }
+
+  /**
+   * Execute the tool
+   * @param {Object} options - Tool options
+   * @returns {Promise<Object>} - Execution result
+   */
+  async execute(options) {
+    console.log('Executing Findings DOCX Export with options:', options);
+
+    // Extract options
+    let manuscriptFile = options.manuscript_file;
+    let findingsFile = options.findings_file;
+    const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
+
+    if (!saveDir) {
+      const errorMsg = 'Error: No save directory specified and no current project selected.\n' +
+                      'Please select a project or specify a save directory.';
+      this.emitOutput(errorMsg);
+      throw new Error('No save directory available');
+    }
+
+    // Ensure file paths are absolute
+    manuscriptFile = this.ensureAbsolutePath(manuscriptFile, saveDir);
+    if (findingsFile) {
+      findingsFile = this.ensureAbsolutePath(findingsFile, saveDir);
+    }
+
+    const outputFiles = [];
+
+    try {
+      this.emitOutput(`Reading manuscript: ${manuscriptFile}\n`);
+      if (!fs.existsSync(manuscriptFile)) {
+        throw new Error(`File not found: ${manuscriptFile}`);
+      }
+      const manuscript = await fsPromises.readFile(manuscriptFile, 'utf8');
+
+      const findingsFiles = findingsFile
+        ? [findingsFile]
+        : await this.findLatestFindingsFiles(manuscriptFile, saveDir);
+      if (findingsFiles.length === 0) {
+        throw new Error(`No findings files (.findings.json) for ${path.basename(manuscriptFile)} in ${saveDir}. Run an editing tool on it first.`);
+      }
+
+      const index = quoteVerifier.indexManuscript(manuscript);
+      const comments = [];
+      const unplaced = [];
+
+      for (const file of findingsFiles) {
+        const data = await findingsUtils.readFindingsFile(file);
+        const author = data.title || data.tool || 'StoryGrinder';
+        const open = data.findings.filter(finding => !CLOSED_STATUSES.includes(finding.status));
+        let placedCount = 0;
+
+        open.forEach(finding => {
+          const location = quoteVerifier.locateFinding(index, finding);
+          if (location.status !== 'exact' && location.status !== 'close') {
+            unplaced.push({ author, finding, reason: 'not in the manuscript' });
+            return;
+          }
+          if (location.occurrences > 1) {
+            unplaced.push({ author, finding, reason: `appears ${location.occurrences} times` });
+            return;
+          }
+          comments.push({
+            start: location.start,
+            end: location.end,
+            author,
+            initials: this.getInitials(author),
+            date: data.createdAt ? new Date(data.createdAt) : new Date(),
+            paragraphs: this.formatComment(finding)
+          });
+          placedCount++;
+        });
+
+        this.emitOutput(`${path.basename(file)}: ${placedCount} of ${open.length} finding(s) placed\n`);
+      }
+
+      // Word shows comments in document order
+      comments.sort((a, b) => a.start - b.start);
+
+      this.emitOutput(`\nCreating DOCX with ${comments.length} comment(s)...\n`);
+      const result = await manuscriptDocx.createManuscriptDocx(manuscript, comments);
+
+      const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+      const baseFileName = path.basename(manuscriptFile, path.extname(manuscriptFile));
+      const outputFilename = `${baseFileName}_findings_${timestamp}.docx`;
+      const outputPath = await this.writeOutputFile(result.buffer, saveDir, outputFilename);
+      outputFiles.push(outputPath);
+      fileCache.addFile(this.name, outputPath);
+
+      this.emitOutput(`Formatted ${result.paragraphCount} paragraphs with ${result.chapterCount} chapters and ${result.commentCount} comments.\n`);
+      if (unplaced.length > 0) {
+        this.emitOutput(`\n${unplaced.length} finding(s) were left out because their quote is not in the manuscript, or appears in it more than once:\n`);
+        unplaced.forEach(({ author, finding, reason }) => {
+          this.emitOutput(`- ${author} ${finding.id} (${reason}): "${finding.quote}"\n`);
+        });
+      }
+      this.emitOutput(`\nSaved to: ${outputPath}\n`);
+
+      return {
+        success: true,
+        outputFiles
+      };
+    } catch (error) {
+      console.error('Error in FindingsDocxExport:', error);
+      this.emitOutput(`\nError: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the latest findings file of each tool that ran on a manuscript
+   * @param {string} manuscriptFile - Absolute manuscript path
+   * @param {string} projectDir - Directory the tools saved their reports in
+   * @returns {Promise<string[]>} - Findings file paths
+   */
+  async findLatestFindingsFiles(manuscriptFile, projectDir) {
+    const latestByTool = {};
+    const files = (await fsPromises.readdir(projectDir)).filter(file => file.endsWith('.findings.json'));
+
+    for (const file of files) {
+      const filePath = path.join(projectDir, file);
+      try {
+        const data = await findingsUtils.readFindingsFile(filePath);
+        if (path.resolve(getManuscriptPath(data, filePath)) !== path.resolve(manuscriptFile)) {
+          continue;
+        }
+        const latest = latestByTool[data.tool];
+        if (!latest || (data.createdAt || '') > latest.createdAt) {
+          latestByTool[data.tool] = { filePath, createdAt: data.createdAt || '' };
+        }
+      } catch (error) {
+        console.error(`Skipping unreadable findings file ${file}:`, error);
+      }
+    }
+
+    return Object.values(latestByTool).map(latest => latest.filePath).sort();
+  }
+
+  /**
+   * Comment text for a finding, one string per paragraph
+   * @param {Object} finding - A finding
+   * @returns {string[]}
+   */
+  formatComment(finding) {
+    const paragraphs = [`[${finding.severity}] ${finding.category}: ${finding.explanation}`];
+    const replacement = typeof finding.replacement === 'string' ? finding.replacement : finding.suggestion;
+    if (replacement) {
+      paragraphs.push(`Suggestion: ${replacement}`);
+    }
+    return paragraphs;
+  }
+
+  /**
+   * Initials for a comment author, e.g. 'Copy Editing' -> 'CE'
+   * @param {string} author - Author name
+   * @returns {string}
+   */
+  getInitials(author) {
+    return author
+      .split(/[\s_]+/)
+      .filter(Boolean)
+      .map(word => word[0].toUpperCase())
+      .join('')
+      .substring(0, 4);
+  }
+}
+
+module.exports = FindingsDocxExport;
@@ -0,0 +1,285 @@
+// findings-review.js
+// Findings review window: each finding of a tool run shown in the context
+// of the manuscript, to accept (optionally with edited replacement text),
+// reject, and then apply the accepted ones to the manuscript
+const reviewTitle = document.getElementById('review-title');
+const reviewInfo = document.getElementById('review-info');
+const findingsList = document.getElementById('findings-list');
+const severityFilter = document.getElementById('severity-filter');
+const statusFilter = document.getElementById('status-filter');
+const categoryFilter = document.getElementById('category-filter');
+const filterCount = document.getElementById('filter-count');
+const statusElement = document.getElementById('status');
+const applyBtn = document.getElementById('apply-btn');
+const closeBtn = document.getElementById('close-btn');
+
+// The review being shown (see manuscript-changes.js loadReview)
+let review = null;
+
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.className = isError ? 'status-text error' : 'status-text';
+}
+
+function baseName(filePath) {
+  return (filePath || '').split(/[\\/]/).pop();
+}
+
+// The text that would replace the quote: the edited replacement, or the AI's suggestion
+function replacementText(finding) {
+  return typeof finding.replacement === 'string' ? finding.replacement : (finding.suggestion || '');
+}
+
+function updateApplyButton() {
+  const accepted = review ? review.findings.filter(finding => finding.status === 'accepted').length : 0;
+  applyBtn.disabled = accepted === 0;
+  applyBtn.textContent = accepted > 0 ? `Apply Accepted (${accepted})` : 'Apply Accepted';
+}
+
+function buildCategoryFilter() {
+  const selected = categoryFilter.value;
+  const categories = [...new Set(review.findings.map(finding => finding.category))].sort();
+  categoryFilter.innerHTML = '<option value="">All</option>';
+  categories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = category;
+    categoryFilter.appendChild(option);
+  });
+  categoryFilter.value = categories.includes(selected) ? selected : '';
+}
+
+// Save a change to one finding and redraw it
+async function updateFinding(finding, changes) {
+  const result = await window.electronAPI.updateFinding(finding.id, changes);
+  if (!result.success) {
+    showStatus(`Error saving finding: ${result.message}`, true);
+    return false;
+  }
+  Object.assign(finding, changes);
+  if (changes.replacement === null) {
+    delete finding.replacement;
+  }
+  return true;
+}
+
+function buildContext(finding) {
+  const context = document.createElement('div');
+  context.className = 'finding-context';
+
+  if (finding.context) {
+    context.appendChild(document.createTextNode(finding.context.before));
+    const mark = document.createElement('mark');
+    mark.textContent = finding.context.match;
+    context.appendChild(mark);
+    context.appendChild(document.createTextNode(finding.context.after));
+    return [context];
+  }
+
+  const elements = [];
+  const warning = document.createElement('div');
+  warning.className = 'finding-warning';
+  warning.textContent = finding.status === 'applied'
+    ? 'Already applied; the quoted text is no longer in the manuscript.'
+    : '⚠️ This quote was not found in the manuscript. The AI may have paraphrased it, or the text has changed since the run.';
+  elements.push(warning);
+
+  context.classList.add('not-found');
+  context.textContent = finding.quote;
+  elements.push(context);
+  return elements;
+}
+
+function buildFindingCard(finding) {
+  const card = document.createElement('div');
+  card.className = `finding-card status-${finding.status}`;
+
+  // Header: severity, category, where, status
+  const header = document.createElement('div');
+  header.className = 'finding-header';
+
+  const severity = document.createElement('span');
+  severity.className = `badge severity-${finding.severity}`;
+  severity.textContent = finding.severity;
+  header.appendChild(severity);
+
+  const category = document.createElement('span');
+  category.className = 'badge category';
+  category.textContent = finding.category;
+  header.appendChild(category);
+
+  const location = document.createElement('span');
+  location.className = 'finding-location';
+  const found = finding.location && finding.location.chapterTitle;
+  location.textContent = found
+    ? `${finding.location.chapterTitle}, paragraph ${finding.location.paragraph}${finding.location.status === 'close' ? ` (${Math.round(finding.location.similarity * 100)}% match, so it can't be applied)` : ''}${finding.location.occurrences > 1 ? `; appears ${finding.location.occurrences} times, so it can't be applied` : ''}`
+    : (finding.chapter || '');
+  header.appendChild(location);
+
+  const status = document.createElement('span');
+  status.className = `finding-status ${finding.status}`;
+  status.textContent = finding.status;
+  header.appendChild(status);
+
+  card.appendChild(header);
+  buildContext(finding).forEach(element => card.appendChild(element));
+
+  const explanation = document.createElement('div');
+  explanation.className = 'finding-explanation';
+  explanation.textContent = finding.explanation;
+  card.appendChild(explanation);
+
+  // Replacement text, editable until the finding is applied
+  const replacementLabel = document.createElement('div');
+  replacementLabel.className = 'replacement-label';
+  replacementLabel.textContent = finding.suggestion
+    ? 'Replacement (edit before accepting if needed):'
+    : 'No replacement suggested; type one to accept this finding:';
+  card.appendChild(replacementLabel);
+
+  const replacement = document.createElement('textarea');
+  replacement.value = replacementText(finding);
+  replacement.disabled = finding.status === 'applied';
+  card.appendChild(replacement);
+
+  replacement.addEventListener('change', async () => {
+    // Back to the AI's suggestion when the edit matches it
+    const value = replacement.value === (finding.suggestion || '') ? null : replacement.value;
+    await updateFinding(finding, { replacement: value });
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'finding-actions';
+
+  if (finding.status === 'applied') {
+    // Nothing left to do; the change log and backup keep the original
+  } else {
+    if (finding.status !== 'open') {
+      const reopenButton = document.createElement('button');
+      reopenButton.className = 'secondary-button';
+      reopenButton.textContent = 'Reopen';
+      reopenButton.addEventListener('click', async () => {
+        if (await updateFinding(finding, { status: 'open' })) {
+          renderFindings();
+        }
+      });
+      actions.appendChild(reopenButton);
+    }
+
+    if (finding.status !== 'rejected') {
+      const rejectButton = document.createElement('button');
+      rejectButton.className = 'reject-button';
+      rejectButton.textContent = 'Reject';
+      rejectButton.addEventListener('click', async () => {
+        if (await updateFinding(finding, { status: 'rejected' })) {
+          renderFindings();
+        }
+      });
+      actions.appendChild(rejectButton);
+    }
+
+    if (finding.status !== 'accepted') {
+      const acceptButton = document.createElement('button');
+      acceptButton.className = 'accept-button';
+      acceptButton.textContent = 'Accept';
+      acceptButton.disabled = !finding.context;
+      acceptButton.title = finding.context ? '' : 'The quote must be found in the manuscript to apply a change';
+      acceptButton.addEventListener('click', async () => {
+        const value = replacement.value === (finding.suggestion || '') ? null : replacement.value;
+        if (!finding.suggestion && value === null) {
+          showStatus('Type the replacement text first.', true);
+          return;
+        }
+        if (await updateFinding(finding, { status: 'accepted', replacement: value })) {
+          showStatus('');
+          renderFindings();
+        }
+      });
+      actions.appendChild(acceptButton);
+    }
+  }
+
+  card.appendChild(actions);
+  return card;
+}
+
+function renderFindings() {
+  const shown = review.findings.filter(finding =>
+    (!severityFilter.value || finding.severity === severityFilter.value) &&
+    (!statusFilter.value || finding.status === statusFilter.value) &&
+    (!categoryFilter.value || finding.category === categoryFilter.value)
+  );
+
+  findingsList.innerHTML = '';
+  if (review.findings.length === 0) {
+    findingsList.textContent = 'This run has no findings.';
+  } else if (shown.length === 0) {
+    findingsList.textContent = 'No findings match the filters.';
+  }
+  shown.forEach(finding => findingsList.appendChild(buildFindingCard(finding)));
+
+  filterCount.textContent = `${shown.length} of ${review.findings.length} shown`;
+  updateApplyButton();
+}
+
+async function loadReview() {
+  const result = await window.electronAPI.getFindingsReview();
+  if (!result.success) {
+    showStatus(`Error loading findings: ${result.message}`, true);
+    return;
+  }
+
+  review = result.review;
+  reviewTitle.textContent = review.title || review.tool;
+  const created = review.createdAt ? new Date(review.createdAt).toLocaleString() : '';
+  const notFound = review.findings.filter(finding => !finding.context && finding.status !== 'applied').length;
+  reviewInfo.textContent = `${baseName(review.findingsPath)} · ${created} · manuscript: ${baseName(review.manuscriptPath)}` +
+    (notFound > 0 ? ` · ${notFound} quote(s) not found in the manuscript` : '');
+
+  buildCategoryFilter();
+  renderFindings();
+}
+
+[severityFilter, statusFilter, categoryFilter].forEach(filter => {
+  filter.addEventListener('change', renderFindings);
+});
+
+applyBtn.addEventListener('click', async () => {
+  const accepted = review.findings.filter(finding => finding.status === 'accepted').length;
+  if (!confirm(`Apply ${accepted} accepted change(s) to ${baseName(review.manuscriptPath)}?\nA backup of the manuscript is saved first.`)) {
+    return;
+  }
+
+  applyBtn.disabled = true;
+  const result = await window.electronAPI.applyAcceptedFindings();
+  if (!result.success) {
+    showStatus(`Error applying changes: ${result.message}`, true);
+    updateApplyButton();
+    return;
+  }
+
+  let message = `Applied ${result.applied.length} change(s).`;
+  if (result.backupPath) {
+    message += ` Backup: ${result.backupPath}`;
+  }
+  if (result.skipped.length > 0) {
+    message += `\nSkipped ${result.skipped.length}: ` +
+      result.skipped.map(skip => `${skip.id} (${skip.reason})`).join(', ');
+  }
+
+  // Reload, since applied changes move the other quotes
+  await loadReview();
+  showStatus(message, result.skipped.length > 0);
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeFindingsReview();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadReview();
+});
+
+window.electronAPI.onSetTheme((theme) => {
+  document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+});
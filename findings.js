@@ -0,0 +1,226 @@
+// findings.js
+// Structured findings from the editing tools: one record per issue, saved
+// as <report>.findings.json next to the tool's text report so findings can
+// be sorted, filtered, counted and applied.
+// A finding's status is 'open', then 'accepted' or 'rejected' in the
+// findings review window, and 'applied' once its change is in the manuscript.
+const fs = require('fs/promises');
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// JSON schema the AI must answer with (see generateStructured in each API service)
+const FINDINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          quote: {
+            type: 'string',
+            description: 'The passage the issue is about, copied word for word from the manuscript'
+          },
+          chapter: {
+            type: 'string',
+            description: 'Chapter number or heading where the passage appears; empty if unknown'
+          },
+          category: {
+            type: 'string',
+            description: 'Short name for the kind of issue, e.g. "comma splice" or "tense shift"'
+          },
+          severity: {
+            type: 'string',
+            enum: SEVERITIES,
+            description: 'high = confuses or misleads the reader, medium = noticeable, low = polish'
+          },
+          explanation: {
+            type: 'string',
+            description: 'Why this is an issue'
+          },
+          suggestion: {
+            type: 'string',
+            description: 'Replacement text for the whole quote; empty if the fix is not a simple replacement'
+          }
+        },
+        required: ['quote', 'chapter', 'category', 'severity', 'explanation', 'suggestion']
+      }
+    }
+  },
+  required: ['findings']
+};
+
+/**
+ * Build the request that turns a tool's text report into findings
+ * Quotes are copied from the manuscript instead of from the report's
+ * paraphrase: the manuscript the API service has cached, or, when only
+ * some chapters were analyzed, their text, sent with this request. When
+ * neither is there (chapter by chapter analysis), they are copied from the report.
+ * @param {string} toolTitle - e.g. 'Copy Editing'
+ * @param {string} report - The tool's report text
+ * @param {Object} [source={}] - {text, label}: the analyzed text, to send along;
+ *   {reportOnly: true}: the model has no manuscript to copy quotes from
+ * @returns {string}
+ */
+function buildFindingsPrompt(toolTitle, report, source = {}) {
+  let about = 'on the manuscript';
+  let quoteRule = 'copy the passage from the MANUSCRIPT word for word, with its punctuation; keep it to the sentence or phrase the issue is about';
+  let manuscript = '';
+  if (source.text) {
+    about = `on ${source.label} of the manuscript, followed by the text it analyzed`;
+    quoteRule = 'copy the passage from the MANUSCRIPT TEXT below word for word, with its punctuation; keep it to the sentence or phrase the issue is about';
+    manuscript = `=== MANUSCRIPT TEXT: ${source.label} ===\n${source.text}\n=== END MANUSCRIPT TEXT ===\n\n`;
+  } else if (source.reportOnly) {
+    quoteRule = 'copy the passage exactly as the report quotes it, word for word, with its punctuation; leave it empty if the report doesn\'t quote one';
+  }
+
+  return `Below is a ${toolTitle} report ${about}.
+List every issue the report raises as a finding, in the order the report raises them.
+For each finding:
+- quote: ${quoteRule}
+- chapter: the chapter the passage is in, as the manuscript names it
+- category: a short name for the kind of issue
+- severity: high, medium or low
+- explanation: why it is an issue, in one or two sentences
+- suggestion: the replacement text for the whole quote, or an empty string if the report gives no concrete replacement
+Do not add issues the report doesn't raise. If the report raises no issues, return an empty list.
+
+=== ${toolTitle.toUpperCase()} REPORT ===
+${report}
+=== END REPORT ===
+${manuscript ? `\n${manuscript}` : ''}`.trimEnd();
+}
+
+/**
+ * Clean up the AI's findings: keep known fields, default missing ones,
+ * drop findings without a quote or explanation, and number them
+ * @param {Object} data - Parsed response ({findings: [...]})
+ * @returns {Array<Object>} - Findings with id and status ('open')
+ */
+function normalizeFindings(data) {
+  const findings = Array.isArray(data) ? data : (data && Array.isArray(data.findings) ? data.findings : []);
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  return findings
+    .filter(finding => finding && (text(finding.quote) || text(finding.explanation)))
+    .map((finding, index) => {
+      const severity = text(finding.severity).toLowerCase();
+      return {
+        id: `f${index + 1}`,
+        quote: text(finding.quote),
+        chapter: text(finding.chapter),
+        category: text(finding.category) || 'general',
+        severity: SEVERITIES.includes(severity) ? severity : 'medium',
+        explanation: text(finding.explanation),
+        suggestion: text(finding.suggestion),
+        status: 'open'
+      };
+    });
+}
+
+/**
+ * Convert a JSON schema to the Gemini API's schema format (upper-case types,
+ * and only the keywords Gemini accepts)
+ * @param {Object} schema - JSON schema
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  ['description', 'enum', 'required'].forEach(key => {
+    if (schema[key] !== undefined) {
+      converted[key] = schema[key];
+    }
+  });
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      converted.properties[name] = toGeminiSchema(property);
+    });
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  return converted;
+}
+
+/**
+ * Get the findings file that belongs to a text report
+ * @param {string} reportPath - e.g. /project/copy_editing_20250101T120000.txt
+ * @returns {string} - e.g. /project/copy_editing_20250101T120000.findings.json
+ */
+function getFindingsPath(reportPath) {
+  return reportPath.replace(/\.txt$/i, '') + '.findings.json';
+}
+
+/**
+ * Read a findings file
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @returns {Promise<Object>} - {tool, title, createdAt, report, manuscript, provider, model, findings}
+ */
+async function readFindingsFile(findingsPath) {
+  const content = await fs.readFile(findingsPath, 'utf8');
+  const data = JSON.parse(content);
+  if (!data || !Array.isArray(data.findings)) {
+    throw new Error(`Not a findings file: ${findingsPath}`);
+  }
+  return data;
+}
+
+/**
+ * Save a findings file
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @param {Object} data - From readFindingsFile()
+ */
+async function writeFindingsFile(findingsPath, data) {
+  await fs.writeFile(findingsPath, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Change some fields of one finding in a findings file
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @param {string} id - Finding id, e.g. 'f3'
+ * @param {Object} changes - Fields to update, e.g. {status: 'rejected'}
+ * @returns {Promise<Object>} - The updated finding
+ * @throws {Error} - If there is no finding with that id
+ */
+async function updateFinding(findingsPath, id, changes) {
+  const data = await readFindingsFile(findingsPath);
+  const finding = data.findings.find(existing => existing.id === id);
+  if (!finding) {
+    throw new Error(`No finding ${id} in ${findingsPath}`);
+  }
+  Object.assign(finding, changes, { updatedAt: new Date().toISOString() });
+  await writeFindingsFile(findingsPath, data);
+  return finding;
+}
+
+/**
+ * Count findings by severity and by category
+ * @param {Array<Object>} findings - From normalizeFindings()
+ * @returns {{total: number, bySeverity: Object, byCategory: Object}}
+ */
+function summarizeFindings(findings) {
+  const summary = { total: findings.length, bySeverity: {}, byCategory: {} };
+  SEVERITIES.forEach(severity => {
+    summary.bySeverity[severity] = 0;
+  });
+  findings.forEach(finding => {
+    summary.bySeverity[finding.severity] = (summary.bySeverity[finding.severity] || 0) + 1;
+    summary.byCategory[finding.category] = (summary.byCategory[finding.category] || 0) + 1;
+  });
+  return summary;
+}
+
+module.exports = {
+  SEVERITIES,
+  FINDINGS_SCHEMA,
+  buildFindingsPrompt,
+  normalizeFindings,
+  toGeminiSchema,
+  getFindingsPath,
+  readFindingsFile,
+  writeFindingsFile,
+  updateFinding,
+  summarizeFindings
+};
@@ -5,6 +5,7 @@ const { GoogleGenAI, createUserContent, createPartFromUri } = require('@google/g
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const { formatRemainingTime, fetchAllCaches, fetchAllFiles } = require('./gemini-cache-utils');
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -16,21 +17,6 @@ function askQuestion(query) {
   return new Promise(resolve => rl.question(query, resolve));
 }
 
-// Helper function to format remaining time until cache expiration
-function formatRemainingTime(expireTimeStr) {
-  if (!expireTimeStr) return "unknown";
-  
-  const now = new Date();
-  const expireTime = new Date(expireTimeStr);
-  const remainingMs = expireTime.getTime() - now.getTime();
-  
-  if (remainingMs <= 0) return "expired";
-  
-  const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
-  const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-  return `${remainingHours}h ${remainingMinutes}m`;
-}
-
 // Global AI client
 let ai;
 
@@ -51,13 +37,9 @@ async function listCaches() {
   }
   console.log("\n--- Listing all project caches ---");
   try {
-    const listParams = { pageSize: 20 }; // Get more caches at once
-    const listResponsePager = await ai.caches.list(listParams);
-
-    const caches = [];
-    let cachesFound = false;
-    for await (const cache of listResponsePager) {
-      cachesFound = true;
+    const caches = await fetchAllCaches(ai);
+    const cachesFound = caches.length > 0;
+    for (const cache of caches) {
       const remainingTime = formatRemainingTime(cache.expireTime);
       console.log(`  - Name (ID): ${cache.name}`);
       console.log(`    Model: ${cache.model}`);
@@ -67,7 +49,6 @@ async function listCaches() {
         console.log(`    TTL: ${cache.ttl}`);
       }
       console.log(`    ------------------------------------`);
-      caches.push(cache); // Store for potential use by other functions
     }
     if (!cachesFound) {
       console.log("  No caches found for this project.");
@@ -192,13 +173,9 @@ async function listFiles() {
   }
   console.log("\n--- Listing all project files ---");
   try {
-    const listParams = {}; // Default parameters
-    const listResponsePager = await ai.files.list(listParams);
-
-    const files = [];
-    let filesFound = false;
-    for await (const file of listResponsePager) {
-      filesFound = true;
+    const files = await fetchAllFiles(ai);
+    const filesFound = files.length > 0;
+    for (const file of files) {
       console.log(`  - Name (ID): ${file.name}`);
       console.log(`    Display Name: ${file.displayName || 'N/A'}`);
       console.log(`    URI: ${file.uri}`);
@@ -208,7 +185,6 @@ async function listFiles() {
       console.log(`    Create Time: ${file.createTime ? new Date(file.createTime).toLocaleString() : 'N/A'}`);
       console.log(`    Expiration Time: ${file.expirationTime ? new Date(file.expirationTime).toLocaleString() : 'N/A'}`);
       console.log(`    ------------------------------------`);
-      files.push(file); // Store for potential use by other functions
     }
     if (!filesFound) {
       console.log("  No files found for this project.");
@@ -0,0 +1,85 @@
+// gemini-cache-utils.js
+// Gemini files/caches helpers shared by the app (client.js) and the
+// gemini-cache-manager.js command line utility
+
+// Helper function to format remaining time until cache expiration
+function formatRemainingTime(expireTimeStr) {
+  if (!expireTimeStr) return "unknown";
+
+  const now = new Date();
+  const expireTime = new Date(expireTimeStr);
+  const remainingMs = expireTime.getTime() - now.getTime();
+
+  if (remainingMs <= 0) return "expired";
+
+  const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
+  const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
+  return `${remainingHours}h ${remainingMinutes}m`;
+}
+
+/**
+ * Collect every cache on the API key
+ * @param {GoogleGenAI} ai - Gemini client
+ * @returns {Promise<Array>} - Cache objects
+ */
+async function fetchAllCaches(ai) {
+  const caches = [];
+  const listResponsePager = await ai.caches.list({ pageSize: 20 });
+  for await (const cache of listResponsePager) {
+    caches.push(cache);
+  }
+  return caches;
+}
+
+/**
+ * Collect every uploaded file on the API key
+ * @param {GoogleGenAI} ai - Gemini client
+ * @returns {Promise<Array>} - File objects
+ */
+async function fetchAllFiles(ai) {
+  const files = [];
+  const listResponsePager = await ai.files.list({});
+  for await (const file of listResponsePager) {
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * Look up one cache or file, returning null if it no longer exists
+ * @param {Object} api - ai.caches or ai.files
+ * @param {string} name - e.g. cachedContents/xxx or files/xxx
+ * @returns {Promise<Object|null>}
+ */
+async function getIfExists(api, name) {
+  try {
+    return await api.get({ name });
+  } catch (error) {
+    if (error.status === 404 || error.status === 403 || /not found|NOT_FOUND|PERMISSION_DENIED/.test(error.message || '')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Give a cache a new time-to-live, counted from now
+ * @param {GoogleGenAI} ai - Gemini client
+ * @param {string} name - Cache name (cachedContents/xxx)
+ * @param {number} ttlSeconds - New TTL in seconds
+ * @returns {Promise<Object>} - The updated cache
+ */
+async function extendCache(ai, name, ttlSeconds) {
+  return ai.caches.update({
+    name,
+    config: { ttl: `${ttlSeconds}s` }
+  });
+}
+
+module.exports = {
+  formatRemainingTime,
+  fetchAllCaches,
+  fetchAllFiles,
+  getIfExists,
+  extendCache
+};
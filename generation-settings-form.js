@@ -0,0 +1,87 @@
+// generation-settings-form.js
+// Builds and reads the model/generation settings fields, shared by the
+// AI settings window (api-settings.html) and the tool setup dialog.
+// Field definitions come from generation-settings.js in the main process.
+
+/**
+ * Add one form group per field to a container
+ * @param {HTMLElement} container - Where the fields go
+ * @param {Array<Object>} schema - Fields from getSchema()
+ * @param {Object} values - Saved values, shown in the inputs
+ * @param {Object} placeholders - Values used when a field is left blank
+ * @param {string} idPrefix - Keeps ids unique when a page has several forms
+ */
+function buildGenerationSettingsFields(container, schema, values, placeholders, idPrefix) {
+  schema.forEach(field => {
+    const formGroup = document.createElement('div');
+    formGroup.className = 'form-group';
+    
+    const label = document.createElement('label');
+    label.setAttribute('for', `${idPrefix}-${field.name}`);
+    label.textContent = field.label;
+    formGroup.appendChild(label);
+    
+    if (field.description) {
+      const description = document.createElement('p');
+      description.className = 'option-description';
+      description.textContent = field.description;
+      formGroup.appendChild(description);
+    }
+    
+    const placeholder = placeholders[field.name];
+    let input;
+    
+    if (field.type === 'select') {
+      input = document.createElement('select');
+      
+      // Blank keeps whatever the placeholder says
+      const inheritOption = document.createElement('option');
+      inheritOption.value = '';
+      const inherited = field.choices.find(choice => choice.value === placeholder);
+      inheritOption.textContent = `Default (${inherited ? inherited.label : 'provider default'})`;
+      input.appendChild(inheritOption);
+      
+      field.choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.value;
+        option.textContent = choice.label;
+        input.appendChild(option);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = field.type === 'number' ? 'number' : 'text';
+      if (field.type === 'number') {
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step || 'any';
+      }
+      input.placeholder = placeholder === null || placeholder === undefined
+        ? 'model default'
+        : `default: ${placeholder}`;
+    }
+    
+    input.id = `${idPrefix}-${field.name}`;
+    input.name = field.name;
+    input.value = values[field.name] !== undefined ? values[field.name] : '';
+    formGroup.appendChild(input);
+    
+    container.appendChild(formGroup);
+  });
+}
+
+/**
+ * Read the fields back; blank fields are left out so they use the default
+ * @param {Array<Object>} schema - Fields from getSchema()
+ * @param {string} idPrefix - Same prefix given to buildGenerationSettingsFields
+ * @returns {Object}
+ */
+function readGenerationSettingsFields(schema, idPrefix) {
+  const settings = {};
+  schema.forEach(field => {
+    const input = document.getElementById(`${idPrefix}-${field.name}`);
+    if (input && String(input.value).trim() !== '') {
+      settings[field.name] = input.value.trim();
+    }
+  });
+  return settings;
+}
@@ -0,0 +1,138 @@
+// generation-settings.js
+// Model and generation settings that can be changed in the api-settings
+// window (per provider) and the tool setup dialog (per tool).
+// Saved values live in electron-store via state.js; anything not saved
+// falls back to the API service's own defaults.
+
+const FIELDS = {
+  model_name: {
+    label: 'Model',
+    type: 'text',
+    description: 'Model name as the provider spells it, e.g. gemini-2.5-flash-preview-05-20'
+  },
+  thinking_budget: {
+    label: 'Thinking budget (tokens)',
+    type: 'number',
+    min: 0,
+    max: 128000,
+    step: 1024,
+    description: 'Tokens the model may spend reasoning before it answers; 0 turns thinking off where the model allows it'
+  },
+  temperature: {
+    label: 'Temperature',
+    type: 'number',
+    min: 0,
+    max: 2,
+    step: 0.1,
+    description: 'Lower is more focused and repeatable, higher is more varied; blank uses the model default'
+  },
+  max_output_tokens: {
+    label: 'Max output tokens',
+    type: 'number',
+    min: 1,
+    max: 1000000,
+    step: 1024,
+    description: 'Longest response allowed; blank uses the model maximum'
+  },
+  safety_threshold: {
+    label: 'Safety filter',
+    type: 'select',
+    choices: [
+      { value: 'OFF', label: 'Off' },
+      { value: 'BLOCK_NONE', label: 'Block none' },
+      { value: 'BLOCK_ONLY_HIGH', label: 'Block only high' },
+      { value: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block medium and above' },
+      { value: 'BLOCK_LOW_AND_ABOVE', label: 'Block low and above' }
+    ],
+    description: 'How readily Gemini blocks harassment, hate, sexual and dangerous content; fiction often needs Off'
+  }
+};
+
+// Settings each API service actually reads from its config
+const PROVIDER_FIELDS = {
+  gemini: ['model_name', 'thinking_budget', 'temperature', 'max_output_tokens', 'safety_threshold'],
+  claude: ['model_name', 'thinking_budget', 'temperature', 'max_output_tokens'],
+  local: ['model_name', 'temperature', 'max_output_tokens'],
+  mock: []
+};
+
+// Field ranges that differ from FIELDS for a provider; Claude rejects a
+// temperature above 1
+const PROVIDER_RANGES = {
+  claude: { temperature: { max: 1 } }
+};
+
+/**
+ * Get the settings form fields for a provider
+ * @param {string} providerId - e.g. 'gemini'
+ * @returns {Array<Object>} - [{name, label, type, ...}]
+ */
+function getSchema(providerId) {
+  const ranges = PROVIDER_RANGES[providerId] || {};
+  return (PROVIDER_FIELDS[providerId] || []).map(name => ({ name, ...FIELDS[name], ...ranges[name] }));
+}
+
+/**
+ * Keep only the provider's fields, with numbers parsed and blanks dropped
+ * (a dropped field falls back to the default)
+ * @param {string} providerId - e.g. 'gemini'
+ * @param {Object} settings - Values from a settings form
+ * @returns {Object} - Settings safe to save
+ * @throws {Error} - If a value is out of range or not a choice
+ */
+function sanitizeSettings(providerId, settings = {}) {
+  const clean = {};
+
+  for (const field of getSchema(providerId)) {
+    const value = settings[field.name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < field.min || number > field.max) {
+        throw new Error(`${field.label} must be a number from ${field.min} to ${field.max}`);
+      }
+      clean[field.name] = field.name === 'temperature' ? number : Math.round(number);
+    } else if (field.type === 'select') {
+      if (!field.choices.some(choice => choice.value === value)) {
+        throw new Error(`${field.label} must be one of: ${field.choices.map(choice => choice.value).join(', ')}`);
+      }
+      clean[field.name] = value;
+    } else {
+      clean[field.name] = String(value).trim();
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * Bring saved numbers within the provider's ranges, for settings saved
+ * before a range was narrowed (e.g. a Claude temperature above 1)
+ * @param {string} providerId - e.g. 'claude'
+ * @param {Object} settings - Saved settings
+ * @returns {Object} - The settings, with out-of-range numbers clamped
+ */
+function clampSettings(providerId, settings = {}) {
+  const clamped = { ...settings };
+  for (const field of getSchema(providerId)) {
+    const value = clamped[field.name];
+    if (field.type !== 'number' || typeof value !== 'number') {
+      continue;
+    }
+    const inRange = Math.min(field.max, Math.max(field.min, value));
+    if (inRange !== value) {
+      console.warn(`Saved ${field.label} ${value} is outside ${field.min} to ${field.max} for ${providerId}; using ${inRange}`);
+      clamped[field.name] = inRange;
+    }
+  }
+  return clamped;
+}
+
+module.exports = {
+  getSchema,
+  sanitizeSettings,
+  clampSettings
+};
@@ -0,0 +1,717 @@
+// harness-checks.js
+// Checks that tool-harness.js runs after the tools, for modules that no
+// tool run exercises: applying accepted findings to the manuscript
+// (manuscript-changes.js), merging prompt files (text-diff.js), the
+// retries and continuations of streamed responses (stream-retry.js),
+// comparing two runs of a tool (run-compare.js), the run log (run-log.js),
+// escaping in HTML reports (report-html.js) and editor positions and quote
+// links (editor-links.js). Each check gets a fresh copy of
+// fixtures/sample-project and returns its failure messages (empty when it
+// passed).
+const fs = require('fs');
+const path = require('path');
+const findingsUtils = require('./findings');
+const manuscriptChanges = require('./manuscript-changes');
+const { mergeTexts, hasConflictMarkers } = require('./text-diff');
+const { getProjectDataDir } = require('./project-data');
+const ToolBase = require('./tool-base');
+const MockAiApiService = require('./mock-ai-api-service');
+const streamRetry = require('./stream-retry');
+const aiProviders = require('./ai-providers');
+const runLog = require('./run-log');
+const runCompare = require('./run-compare');
+const reportHtml = require('./report-html');
+const editorLinks = require('./editor-links');
+const { executeToolById, getToolDefs } = require('./tool-system');
+
+function expectEqual(failures, label, actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(`${label}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+}
+
+function finding(id, quote, suggestion, extra = {}) {
+  return {
+    id,
+    quote,
+    chapter: '',
+    category: 'example',
+    severity: 'low',
+    explanation: 'Harness finding.',
+    suggestion,
+    status: 'accepted',
+    ...extra
+  };
+}
+
+/**
+ * Apply a findings file with one finding per skip reason, and check the
+ * manuscript, its backup, the change log and the findings' statuses
+ */
+async function checkManuscriptChanges(projectPath) {
+  const failures = [];
+  const manuscriptPath = path.join(projectPath, 'manuscript.txt');
+  const repeated = 'The lamp had been dark for three nights';
+  const original = fs.readFileSync(manuscriptPath, 'utf8').trimEnd() +
+    `\n\nChapter 2: The Stairs\n\nMara counted the steps. ${repeated}, and now it was lit.\n`;
+  fs.writeFileSync(manuscriptPath, original, 'utf8');
+
+  const findingsPath = path.join(projectPath, 'harness.findings.json');
+  await findingsUtils.writeFindingsFile(findingsPath, {
+    tool: 'copy_editing',
+    manuscript: 'manuscript.txt',
+    findings: [
+      // Overlaps f3, which starts later in the manuscript and so is applied first
+      finding('f1', 'Mara climbed the last of the iron steps as the storm', 'Mara climbed the final steps as the storm'),
+      finding('f2', 'Below her, something dripped.', 'Below her, something dripped, slow as a clock.'),
+      finding('f3', 'as the storm rolled in off the bay', 'as the squall came in'),
+      finding('f4', 'The lamp had been dark ... three nights', 'The lamp was out'),
+      finding('f5', repeated, 'The lamp was out'),
+      finding('f6', repeated, 'The lamp was still out', { reportedChapter: 'Chapter Two' }),
+      finding('f7', 'She found the logbook open on the desk.', 'The logbook lay open.', { status: 'open' }),
+      finding('f8', 'She shut the book and listened.', '')
+    ]
+  });
+
+  const result = await manuscriptChanges.applyAcceptedFindings(findingsPath, projectPath);
+
+  expectEqual(failures, 'applied', result.applied.slice().sort(), ['f2', 'f3', 'f6']);
+  expectEqual(failures, 'skipped', result.skipped.map(skip => `${skip.id}: ${skip.reason}`).sort(), [
+    'f1: overlaps another accepted change',
+    'f4: quote has an ellipsis, so only part of it was located',
+    'f5: quote appears more than once',
+    'f8: no replacement text'
+  ]);
+
+  // Each change is made at its original offsets, so applying them from the end backwards gives this
+  const chapterTwo = original.lastIndexOf(repeated);
+  const expected = (original.slice(0, chapterTwo) + 'The lamp was still out' + original.slice(chapterTwo + repeated.length))
+    .replace('as the storm rolled in off the bay', 'as the squall came in')
+    .replace('Below her, something dripped.', 'Below her, something dripped, slow as a clock.');
+  expectEqual(failures, 'manuscript after applying', fs.readFileSync(manuscriptPath, 'utf8'), expected);
+
+  const backupDir = path.join(getProjectDataDir(projectPath), 'backups');
+  if (!result.backupPath || path.dirname(result.backupPath) !== backupDir) {
+    failures.push(`backup not in ${backupDir}: ${result.backupPath}`);
+  } else if (fs.readFileSync(result.backupPath, 'utf8') !== original) {
+    failures.push('backup differs from the manuscript before the changes');
+  }
+
+  const changeLog = await manuscriptChanges.getChangeLog(projectPath);
+  expectEqual(failures, 'change log', changeLog.map(entry => [entry.findingId, entry.chapter, entry.original, entry.replacement]), [
+    ['f3', 'Chapter 1: The Lighthouse', 'as the storm rolled in off the bay', 'as the squall came in'],
+    ['f2', 'Chapter 1: The Lighthouse', 'Below her, something dripped.', 'Below her, something dripped, slow as a clock.'],
+    ['f6', 'Chapter 2: The Stairs', repeated, 'The lamp was still out']
+  ]);
+  if (changeLog.some(entry => entry.backup !== result.backupPath || entry.findingsFile !== 'harness.findings.json')) {
+    failures.push('change log entries don\'t name the backup and findings file');
+  }
+
+  const saved = await findingsUtils.readFindingsFile(findingsPath);
+  expectEqual(failures, 'statuses', saved.findings.map(item => `${item.id}: ${item.status}`), [
+    'f1: accepted', 'f2: applied', 'f3: applied', 'f4: accepted',
+    'f5: accepted', 'f6: applied', 'f7: open', 'f8: accepted'
+  ]);
+  if (saved.findings.some(item => (item.status === 'applied') !== Boolean(item.appliedAt))) {
+    failures.push('appliedAt not set on exactly the applied findings');
+  }
+
+  return failures;
+}
+
+/**
+ * Apply a finding whose quote is only a close match for the manuscript:
+ * it must be skipped, leaving the manuscript as it was and no backup
+ */
+async function checkCloseMatchFindings(projectPath) {
+  const failures = [];
+  const manuscriptPath = path.join(projectPath, 'manuscript.txt');
+  const original = fs.readFileSync(manuscriptPath, 'utf8');
+
+  const findingsPath = path.join(projectPath, 'harness.findings.json');
+  await findingsUtils.writeFindingsFile(findingsPath, {
+    tool: 'copy_editing',
+    manuscript: 'manuscript.txt',
+    findings: [
+      // The manuscript has "The final entry ... knew too well"
+      finding('f1', 'The last entry was written in a hand she knew very well', 'The last entry was in a hand she knew')
+    ]
+  });
+
+  const result = await manuscriptChanges.applyAcceptedFindings(findingsPath, projectPath);
+
+  expectEqual(failures, 'applied', result.applied, []);
+  expectEqual(failures, 'skipped', result.skipped, [
+    { id: 'f1', reason: 'quote differs from the manuscript (83% match); make this change by hand' }
+  ]);
+  if (fs.readFileSync(manuscriptPath, 'utf8') !== original) {
+    failures.push('the manuscript changed');
+  }
+  expectEqual(failures, 'backup', result.backupPath, null);
+  expectEqual(failures, 'change log', await manuscriptChanges.getChangeLog(projectPath), []);
+
+  const saved = await findingsUtils.readFindingsFile(findingsPath);
+  expectEqual(failures, 'status', saved.findings[0].status, 'accepted');
+
+  return failures;
+}
+
+// A bare ToolBase streaming from its own scripted mock provider, with no backoff wait
+function streamingTool(projectPath, retry = {}) {
+  const tool = new ToolBase('harness_stream', {
+    retry: { max_retries: 2, initial_delay_seconds: 0, max_continuations: 2, ...retry }
+  });
+  tool.apiService = new MockAiApiService();
+  tool.saveDir = projectPath;
+  return tool;
+}
+
+function partialResponses(projectPath) {
+  const partialDir = path.join(getProjectDataDir(projectPath), 'partial-responses');
+  return fs.existsSync(partialDir) ? fs.readdirSync(partialDir) : [];
+}
+
+function transientError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Stream through ToolBase.streamWithThinking (stream-retry.js): a transient
+ * error is retried and the response continued, a response cut off at
+ * MAX_TOKENS is continued, other errors aren't retried, and a run stopped
+ * during the backoff wait stops at once; the saved partial response is
+ * deleted in every case but the failure
+ */
+async function checkStreamRetries(projectPath) {
+  const failures = [];
+  const stream = async (tool) => {
+    let text = '';
+    await tool.streamWithThinking('Harness prompt', delta => { text += delta; }, false, false);
+    return text;
+  };
+
+  const retried = streamingTool(projectPath);
+  retried.apiService.queueAttempts([
+    { text: 'The lamp had been dark ', error: transientError('503 Service Unavailable', 503) },
+    { text: 'for three nights.' }
+  ]);
+  expectEqual(failures, 'transient error: joined output', await stream(retried), 'The lamp had been dark for three nights.');
+  expectEqual(failures, 'transient error: requests', retried.apiService.calls.length, 2);
+  const retryPrompt = retried.apiService.calls[1] ? retried.apiService.calls[1].prompt : '';
+  expectEqual(failures, 'transient error: retry continues the response',
+    retryPrompt, streamRetry.buildContinuationPrompt('Harness prompt', 'The lamp had been dark '));
+  expectEqual(failures, 'transient error: partial responses left', partialResponses(projectPath), []);
+
+  const continued = streamingTool(projectPath);
+  continued.apiService.queueAttempts([
+    { text: 'Mara climbed the last ', finishReason: 'MAX_TOKENS' },
+    { text: 'of the iron steps.' }
+  ]);
+  expectEqual(failures, 'MAX_TOKENS: joined output', await stream(continued), 'Mara climbed the last of the iron steps.');
+  const continuationPrompt = continued.apiService.calls[1] ? continued.apiService.calls[1].prompt : '';
+  expectEqual(failures, 'MAX_TOKENS: continuation request',
+    continuationPrompt, streamRetry.buildContinuationPrompt('Harness prompt', 'Mara climbed the last '));
+  expectEqual(failures, 'MAX_TOKENS: partial responses left', partialResponses(projectPath), []);
+
+  const fatal = streamingTool(projectPath);
+  fatal.apiService.queueAttempts([{ text: '', error: transientError('400 Invalid model name', 400) }]);
+  const fatalError = await stream(fatal).then(() => null, error => error);
+  expectEqual(failures, 'non-transient error', fatalError && fatalError.message, '400 Invalid model name');
+  expectEqual(failures, 'non-transient error: requests', fatal.apiService.calls.length, 1);
+
+  // Stopped during a long backoff wait
+  const controller = new AbortController();
+  const stopped = streamingTool(projectPath, { initial_delay_seconds: 60 });
+  stopped.abortSignal = controller.signal;
+  stopped.apiService.queueAttempts([{ text: 'Below her, ', error: transientError('429 Too Many Requests', 429) }]);
+  const startedAt = Date.now();
+  setTimeout(() => controller.abort(), 50);
+  const stopError = await stream(stopped).then(() => null, error => error);
+  expectEqual(failures, 'stopped during backoff', stopError && stopError.name, 'AbortError');
+  if (Date.now() - startedAt > 5000) {
+    failures.push('stopping during the backoff wait didn\'t end it');
+  }
+  expectEqual(failures, 'stopped during backoff: partial responses left', partialResponses(projectPath), []);
+
+  const alreadyStopped = Date.now();
+  const sleepError = await streamRetry.sleep(60000, controller.signal).then(() => null, error => error);
+  if (!sleepError || sleepError.name !== 'AbortError' || Date.now() - alreadyStopped > 1000) {
+    failures.push('sleep() with an aborted signal doesn\'t reject at once');
+  }
+
+  const transient = [
+    ['503 Service Unavailable', true],
+    ['[429 Too Many Requests] Resource exhausted', true],
+    ['got status: UNAVAILABLE', true],
+    ['read ECONNRESET', true],
+    ['overloaded_error: Overloaded', true],
+    ['Request is 5030 tokens too long', false],
+    ['max_tokens: 500 exceeds the limit', false],
+    ['Invalid API key', false]
+  ];
+  transient.forEach(([message, expected]) => {
+    expectEqual(failures, `isTransientError("${message}")`, streamRetry.isTransientError(new Error(message)), expected);
+  });
+  expectEqual(failures, 'isTransientError(status 529)', streamRetry.isTransientError(transientError('Overloaded', 529)), true);
+
+  const delays = [1, 2, 10].map(attempt => streamRetry.getRetryDelayMs(attempt, streamRetry.DEFAULT_RETRY_SETTINGS));
+  if (delays[0] < 4000 || delays[0] > 6000 || delays[1] < 8000 || delays[1] > 12000 || delays[2] > 72000) {
+    failures.push(`backoff delays out of range: ${delays.join(', ')} ms`);
+  }
+
+  return failures;
+}
+
+/**
+ * Check requests against the model's context window (ToolBase.checkTokenBudget):
+ * for Claude, whose API rejects a prompt plus response limit that doesn't
+ * fit, the response limit is lowered or the request refused; other
+ * providers only get a warning
+ */
+async function checkTokenBudget(projectPath) {
+  const failures = [];
+  const budget = (config, inputTokens) => {
+    const tool = streamingTool(projectPath);
+    tool.apiService.config = { ...tool.apiService.config, ...config };
+    return tool.checkTokenBudget(inputTokens);
+  };
+  const claude = { model_name: 'claude-sonnet-4-20250514', max_output_tokens: 64000 };
+  const gemini = { model_name: 'gemini-2.5-pro', max_output_tokens: null };
+
+  expectEqual(failures, 'claude, room for the whole response', budget(claude, 100000), {});
+  expectEqual(failures, 'claude, response limit lowered', budget(claude, 190000), { maxOutputTokens: 10000 });
+  expectEqual(failures, 'claude, too little room left', budget(claude, 198000), false);
+  expectEqual(failures, 'claude, over the context window', budget(claude, 250000), false);
+  expectEqual(failures, 'gemini, warning only', budget(gemini, 1040000), {});
+  expectEqual(failures, 'gemini, over the context window', budget(gemini, 1100000), false);
+
+  return failures;
+}
+
+// A tool's default option values, as the setup form would send them
+function toolOptions(toolId, projectPath, values = {}) {
+  const def = getToolDefs().find(candidate => candidate.id === toolId);
+  const options = {};
+  (def.options || []).forEach(option => {
+    if (option.default !== undefined && option.default !== null) {
+      options[option.name] = option.default;
+    }
+  });
+  return { ...options, ...values, save_dir: projectPath };
+}
+
+/**
+ * Stop runs partway (tool-system.js): a chapter_writer run stopped
+ * mid-stream leaves the manuscript and project as they were, a run stopped
+ * after writing its report removes it, and stopping one of two runs of the
+ * same tool doesn't stop the other
+ */
+async function checkCancelledRuns(projectPath) {
+  const failures = [];
+  const mockService = aiProviders.getAiApiService('mock');
+  const manuscriptPath = path.join(projectPath, 'manuscript.txt');
+  const manuscript = fs.readFileSync(manuscriptPath, 'utf8');
+  // The run log and usage ledger go in .storygrinder
+  const projectFiles = () => fs.readdirSync(projectPath).filter(name => name !== '.storygrinder').sort();
+  const filesBefore = projectFiles();
+  const outcome = (promise) => promise.then(() => 'finished', error => (error.name === 'AbortError' ? 'cancelled' : error.message));
+
+  const writer = new AbortController();
+  mockService.queueAttempts([{ onChunk: index => { if (index === 2) writer.abort(); } }]);
+  expectEqual(failures, 'chapter_writer stopped mid-stream',
+    await outcome(executeToolById('chapter_writer', toolOptions('chapter_writer', projectPath), 'harness-cancel-writer', writer.signal)),
+    'cancelled');
+  if (fs.readFileSync(manuscriptPath, 'utf8') !== manuscript) {
+    failures.push('chapter_writer: the manuscript changed');
+  }
+  expectEqual(failures, 'chapter_writer: project files', projectFiles(), filesBefore);
+  expectEqual(failures, 'chapter_writer: partial responses left', partialResponses(projectPath), []);
+
+  // Stopped while the findings are extracted, after the report was written
+  const editing = new AbortController();
+  let reportFiles = [];
+  let editingTool = null;
+  const editingRun = executeToolById('copy_editing', toolOptions('copy_editing', projectPath), 'harness-cancel-editing', editing.signal, {
+    onStart: (tool) => { editingTool = tool; },
+    emitOutput: (text) => {
+      if (text.includes('Extracting structured findings')) {
+        reportFiles = editingTool.runOutputFiles.slice();
+        editing.abort();
+      }
+    }
+  });
+  expectEqual(failures, 'copy_editing stopped after its report', await outcome(editingRun), 'cancelled');
+  if (reportFiles.length === 0) {
+    failures.push('copy_editing: no report was written before the stop');
+  }
+  reportFiles.filter(filePath => fs.existsSync(filePath)).forEach(filePath => {
+    failures.push(`copy_editing: partial output file left: ${path.basename(filePath)}`);
+  });
+  const runs = await runLog.getRuns(projectPath);
+  const editingLog = runs.find(run => run.runId === 'harness-cancel-editing');
+  expectEqual(failures, 'copy_editing: run log status', editingLog && editingLog.status, 'cancelled');
+
+  // Two runs of the same tool at once; only the first is stopped
+  const first = new AbortController();
+  const firstRun = outcome(executeToolById('line_editing', toolOptions('line_editing', projectPath), 'harness-cancel-first', first.signal));
+  const secondRun = outcome(executeToolById('line_editing', toolOptions('line_editing', projectPath), 'harness-cancel-second', new AbortController().signal));
+  first.abort();
+  expectEqual(failures, 'two runs, first stopped', [await firstRun, await secondRun], ['cancelled', 'finished']);
+
+  return failures;
+}
+
+/**
+ * Compare two runs of a tool (run-compare.js): issues are matched on the
+ * same quote, then on one quote inside the other, with the same category
+ * winning a tie; resolved issues are looked up in the manuscript as it is
+ * now; runs without findings are compared on their reports' quotes
+ */
+async function checkRunCompare(projectPath) {
+  const failures = [];
+  const writeRun = async (name, report, findings) => {
+    const reportPath = path.join(projectPath, `${name}.txt`);
+    fs.writeFileSync(reportPath, report, 'utf8');
+    if (findings) {
+      await findingsUtils.writeFindingsFile(findingsUtils.getFindingsPath(reportPath), {
+        tool: 'line_editing',
+        manuscript: 'manuscript.txt',
+        findings
+      });
+    }
+    return reportPath;
+  };
+
+  const olderPath = await writeRun('line_editing_20250102T090000', 'Older report.', [
+    finding('o1', 'The lamp had been dark for three nights', ''),
+    finding('o2', 'The lamp had been dark for three nights', '', { category: 'grammar' }),
+    finding('o3', 'Mara climbed the last of the iron steps as the storm rolled in off the bay', ''),
+    finding('o4', 'The water was rising up the steps', ''),
+    finding('o5', 'The keeper\'s coat hung by the door', '', { location: { status: 'not_found' } })
+  ]);
+  const newerPath = await writeRun('line_editing_20250103T090000', 'Newer report.', [
+    finding('n1', 'the lamp had been dark for three nights', '', { category: 'grammar' }),
+    finding('n2', 'Below her, something dripped.', ''),
+    finding('n3', 'the last of the iron steps', '')
+  ]);
+  await writeRun('line_editing_20250101T090000', 'Oldest report, without findings.', null);
+  await writeRun('copy_editing_20250104T090000', 'Another tool\'s report.', null);
+
+  const runs = await runCompare.listToolRuns(projectPath, 'line_editing');
+  expectEqual(failures, 'run list', runs.map(run => [run.reportName, run.timestamp, run.findingsCount]), [
+    ['line_editing_20250103T090000.txt', '2025-01-03T09:00:00Z', 3],
+    ['line_editing_20250102T090000.txt', '2025-01-02T09:00:00Z', 5],
+    ['line_editing_20250101T090000.txt', '2025-01-01T09:00:00Z', null]
+  ]);
+
+  const comparison = await runCompare.compareRuns(olderPath, newerPath, projectPath);
+  expectEqual(failures, 'findings: source and counts',
+    [comparison.source, comparison.older.count, comparison.newer.count], ['findings', 5, 3]);
+  expectEqual(failures, 'findings: persistent', comparison.persistent.map(pair => [pair.older.id, pair.newer.id]), [
+    ['o2', 'n1'],
+    ['o3', 'n3']
+  ]);
+  expectEqual(failures, 'findings: added', comparison.added.map(issue => issue.id), ['n2']);
+  expectEqual(failures, 'findings: resolved', comparison.resolved.map(issue => [issue.id, issue.manuscriptStatus]), [
+    ['o1', 'unchanged'],
+    ['o4', 'revised'],
+    ['o5', 'never_found']
+  ]);
+  expectEqual(failures, 'findings: manuscript', comparison.manuscriptPath, path.join(projectPath, 'manuscript.txt'));
+
+  // Without findings on both sides, the reports' quotes are compared; the quote check appended to a report isn't part of it
+  const quotedOlder = await writeRun('developmental_editing_20250102T090000', [
+    'ORIGINAL TEXT: She found the logbook open on the desk.',
+    'The line "She shut the book and listened." ends the scene too soon.'
+  ].join('\n'), null);
+  const quotedNewer = await writeRun('developmental_editing_20250103T090000', [
+    'The line "she shut the book and listened" still ends the scene too soon.',
+    '',
+    '=== QUOTE CHECK ===',
+    'Not found: "The harbor master climbed the hill"'
+  ].join('\n'), null);
+  const quoted = await runCompare.compareRuns(quotedOlder, quotedNewer, projectPath);
+  expectEqual(failures, 'quotes: source and counts', [quoted.source, quoted.older.count, quoted.newer.count], ['quotes', 2, 1]);
+  expectEqual(failures, 'quotes: persistent', quoted.persistent.map(pair => pair.newer.quote), ['she shut the book and listened']);
+  expectEqual(failures, 'quotes: resolved', quoted.resolved.map(issue => [issue.quote, issue.manuscriptStatus]), [
+    ['She found the logbook open on the desk.', 'unchanged']
+  ]);
+  expectEqual(failures, 'quotes: added', quoted.added, []);
+
+  return failures;
+}
+
+/**
+ * Write runs to a project's run log (run-log.js) and read them back newest
+ * first, skipping a line cut short; input files and the prompt are
+ * described by path and hash, with a project's own prompt preferred
+ */
+async function checkRunLog(projectPath) {
+  const failures = [];
+  const entry = (runId, status, extra = {}) => ({
+    runId,
+    tool: 'line_editing',
+    options: { manuscript_file: 'manuscript.txt' },
+    provider: 'mock',
+    model: 'mock-model',
+    startedAt: '2025-01-02T09:00:00.000Z',
+    endedAt: '2025-01-02T09:01:00.000Z',
+    status,
+    error: null,
+    errorType: null,
+    usage: null,
+    outputFiles: [],
+    ...extra
+  });
+  const written = [
+    entry('harness-run-1', 'success', { usage: { inputTokens: 1200, outputTokens: 300 }, outputFiles: [path.join(projectPath, 'line_editing_20250102T090000.txt')] }),
+    entry('harness-run-2', 'error', { error: 'Prompt file not found', errorType: 'missing_prompt' })
+  ];
+  for (const run of written) {
+    const recorded = await runLog.recordRun(projectPath, run);
+    expectEqual(failures, `recordRun returns ${run.runId}`, recorded, run);
+  }
+  // A write cut short, then one more run after it
+  fs.appendFileSync(path.join(getProjectDataDir(projectPath), 'runs.jsonl'), '{"runId": "harness-run-cut\n', 'utf8');
+  written.push(entry('harness-run-3', 'cancelled'));
+  await runLog.recordRun(projectPath, written[2]);
+
+  expectEqual(failures, 'runs read back, newest first', await runLog.getRuns(projectPath), written.slice().reverse());
+
+  const manuscriptHash = await runLog.hashFile(path.join(projectPath, 'manuscript.txt'));
+  const inputOptions = [
+    { name: 'manuscript_file', type: 'file' },
+    { name: 'outline_file', type: 'file' },
+    { name: 'missing_file', type: 'file' },
+    { name: 'chapter_count', type: 'number' }
+  ];
+  const inputFiles = await runLog.describeInputFiles(inputOptions, {
+    manuscript_file: 'manuscript.txt',
+    outline_file: path.join(projectPath, 'outline.txt'),
+    missing_file: 'missing.txt',
+    chapter_count: 3
+  }, projectPath);
+  expectEqual(failures, 'input files', inputFiles, {
+    manuscript_file: { path: path.join(projectPath, 'manuscript.txt'), hash: manuscriptHash },
+    outline_file: { path: path.join(projectPath, 'outline.txt'), hash: await runLog.hashFile(path.join(projectPath, 'outline.txt')) },
+    missing_file: { path: path.join(projectPath, 'missing.txt'), hash: null }
+  });
+  if (!/^[0-9a-f]{64}$/.test(manuscriptHash || '')) {
+    failures.push(`manuscript hash isn't a SHA-256: ${manuscriptHash}`);
+  }
+  fs.appendFileSync(path.join(projectPath, 'manuscript.txt'), '\nOne more line.\n', 'utf8');
+  if (await runLog.hashFile(path.join(projectPath, 'manuscript.txt')) === manuscriptHash) {
+    failures.push('manuscript hash unchanged after an edit');
+  }
+
+  const projectPrompt = path.join(projectPath, 'tool-prompts', 'developmental_editing.txt');
+  expectEqual(failures, 'project prompt', await runLog.describePrompt('developmental_editing', null, projectPath), {
+    promptFile: projectPrompt,
+    promptHash: await runLog.hashFile(projectPrompt)
+  });
+  expectEqual(failures, 'missing prompt', await runLog.describePrompt('harness_missing', path.join(projectPath, 'harness_missing.txt')), {
+    promptFile: null,
+    promptHash: null
+  });
+
+  return failures;
+}
+
+/**
+ * Render a report and its findings as HTML (report-html.js): markup in a
+ * finding's quote, explanation and suggestion, in section titles and in the
+ * document title comes out escaped
+ */
+async function checkReportHtml() {
+  const failures = [];
+  const markup = '<b>Tide</b> & "surge" <img src=x onerror="alert(1)">';
+  const escaped = '&lt;b&gt;Tide&lt;/b&gt; &amp; &quot;surge&quot; &lt;img src=x onerror=&quot;alert(1)&quot;&gt;';
+  const rendered = reportHtml.renderReport('Chapter 1: <Storm> & "Sea"\n\nThe pacing holds.', {
+    title: 'Copy Editing <draft> & "notes"',
+    findings: [
+      finding('f1', `Quote ${markup}`, `Suggestion ${markup}`, {
+        chapter: 'Chapter 1: <Storm> & "Sea"',
+        category: 'a&b',
+        explanation: `Explanation ${markup}`
+      }),
+      finding('f2', 'She shut the book & listened.', 'Unused suggestion', { replacement: 'She closed the "log" <quietly>' })
+    ]
+  });
+  const html = reportHtml.buildReportDocument(rendered, 'dark');
+
+  [
+    `<blockquote>Quote ${escaped}</blockquote>`,
+    `<p>Explanation ${escaped}</p>`,
+    `<strong>Suggestion:</strong> Suggestion ${escaped}</p>`,
+    '<strong>Suggestion:</strong> She closed the &quot;log&quot; &lt;quietly&gt;</p>',
+    '<blockquote>She shut the book &amp; listened.</blockquote>',
+    '<span class="badge category">a&amp;b</span>',
+    '<summary>Chapter 1: &lt;Storm&gt; &amp; &quot;Sea&quot; (1)</summary>',
+    '<summary>Chapter 1: &lt;Storm&gt; &amp; &quot;Sea&quot;</summary>',
+    '<title>Copy Editing &lt;draft&gt; &amp; &quot;notes&quot;</title>',
+    '<h1>Copy Editing &lt;draft&gt; &amp; &quot;notes&quot;</h1>'
+  ].forEach(expected => {
+    if (!html.includes(expected)) {
+      failures.push(`missing from the HTML: ${expected}`);
+    }
+  });
+  ['<b>Tide</b>', '<img', '<Storm>', '<draft>', '<quietly>', 'Unused suggestion'].forEach(raw => {
+    if (html.includes(raw)) {
+      failures.push(`left in the HTML: ${raw}`);
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Work out editor positions and report links (editor-links.js) for a
+ * manuscript with spaces and accented letters in its path and text and
+ * \r\n line endings: quotes and line/column targets become 0-based
+ * {line, ch} positions, and a report's manuscript is found from the path
+ * given or its findings file
+ */
+async function checkEditorLinks(projectPath) {
+  const failures = [];
+  const draftsDir = path.join(projectPath, 'Drafts Ünïcode');
+  const manuscriptPath = path.join(draftsDir, 'Mañana draft.txt');
+  const text = [
+    'Chapter 1: Año Nuevo',
+    '',
+    'Señora Ørsted climbed the stairs — slowly.',
+    'The café was closed.',
+    '',
+    'Chapter 2: Später',
+    '',
+    'The café was closed.'
+  ].join('\r\n');
+  fs.mkdirSync(draftsDir);
+  fs.writeFileSync(manuscriptPath, text, 'utf8');
+
+  expectEqual(failures, 'quote target', editorLinks.getEditorTarget(text, { quote: 'Ørsted climbed the stairs' }), {
+    from: { line: 2, ch: 7 },
+    to: { line: 2, ch: 32 },
+    similarity: 1
+  });
+  expectEqual(failures, 'repeated quote target', editorLinks.getEditorTarget(text, { quote: 'The café was closed.' }), {
+    notFound: true,
+    message: 'The quoted passage appears 2 times in this file, so it isn\'t clear which one the report means.'
+  });
+  const inChapter = editorLinks.getEditorTarget(text, { quote: 'The café was closed.', chapter: 'Chapter 2' });
+  expectEqual(failures, 'repeated quote with its chapter', inChapter && [inChapter.from, inChapter.to], [
+    { line: 7, ch: 0 },
+    { line: 7, ch: 20 }
+  ]);
+  expectEqual(failures, 'line and column', editorLinks.getEditorTarget(text, { line: '4', column: '5' }), {
+    from: { line: 3, ch: 4 },
+    to: null
+  });
+  expectEqual(failures, 'line past the end', editorLinks.getEditorTarget(text, { line: 99 }), {
+    from: { line: 7, ch: 0 },
+    to: null
+  });
+  expectEqual(failures, 'line 0', editorLinks.getEditorTarget(text, { line: 0, column: 3 }), null);
+
+  const reportPath = path.join(draftsDir, 'copy editing_20250102T090000.txt');
+  await findingsUtils.writeFindingsFile(findingsUtils.getFindingsPath(reportPath), {
+    tool: 'copy_editing',
+    manuscript: 'Mañana draft.txt',
+    findings: [finding('f1', 'The café was closed.', 'The café had shut.', { chapter: 'Chapter 2' })]
+  });
+  expectEqual(failures, 'manuscript given, relative to the project',
+    await editorLinks.getReportManuscript(reportPath, 'Drafts Ünïcode/Mañana draft.txt', projectPath), manuscriptPath);
+  expectEqual(failures, 'manuscript given, absolute',
+    await editorLinks.getReportManuscript(reportPath, manuscriptPath, projectPath), manuscriptPath);
+  expectEqual(failures, 'manuscript given, missing',
+    await editorLinks.getReportManuscript(reportPath, 'Drafts Ünïcode/Mañana final.txt', projectPath), null);
+  expectEqual(failures, 'manuscript from the findings file',
+    await editorLinks.getReportManuscript(reportPath, null, projectPath), manuscriptPath);
+
+  // The first quote is wrapped over two lines of the report
+  const report = [
+    'ORIGINAL TEXT:',
+    'Señora Ørsted climbed',
+    'the stairs — slowly.',
+    '',
+    'The phrase "The café was closed." appears twice.'
+  ].join('\n');
+  const quoteLinks = editorLinks.getQuoteLinks(report, manuscriptPath, await editorLinks.getReportFindings(reportPath));
+  expectEqual(failures, 'quote links', quoteLinks, {
+    manuscriptPath,
+    links: [
+      { from: { line: 1, ch: 0 }, to: { line: 2, ch: 20 }, quote: 'Señora Ørsted climbed the stairs — slowly.', chapter: null },
+      { from: { line: 4, ch: 12 }, to: { line: 4, ch: 32 }, quote: 'The café was closed.', chapter: 'Chapter 2' }
+    ]
+  });
+  expectEqual(failures, 'report without quotes', editorLinks.getQuoteLinks('Nothing quoted here.', manuscriptPath), null);
+
+  return failures;
+}
+
+/**
+ * Merge prompt versions the way the prompts window does: changes made on
+ * one side are taken, and the same lines changed differently on both
+ * sides (or any difference, without a base) become a conflict
+ */
+async function checkMergeTexts() {
+  const failures = [];
+  const base = ['Intro', 'Rule one', 'Rule two', 'Rule three', 'End'].join('\n');
+  const lines = (...values) => values.join('\n');
+
+  const oneSided = mergeTexts(base,
+    lines('Intro', 'Rule one, edited', 'Rule two', 'Rule three', 'End'),
+    lines('Intro', 'Rule one', 'Rule two', 'Rule three, new default', 'End'));
+  expectEqual(failures, 'one-sided changes', oneSided, {
+    text: lines('Intro', 'Rule one, edited', 'Rule two', 'Rule three, new default', 'End'),
+    conflicts: 0
+  });
+
+  const sameLine = mergeTexts(base,
+    lines('Intro', 'Rule one', 'Rule two, mine', 'Rule three', 'End'),
+    lines('Intro', 'Rule one', 'Rule two, theirs', 'Rule three', 'End'));
+  expectEqual(failures, 'same-line conflict', sameLine, {
+    text: lines('Intro', 'Rule one', '<<<<<<< YOUR VERSION', 'Rule two, mine', '=======', 'Rule two, theirs', '>>>>>>> NEW DEFAULT', 'Rule three', 'End'),
+    conflicts: 1
+  });
+  if (!hasConflictMarkers(sameLine.text) || hasConflictMarkers(oneSided.text)) {
+    failures.push('hasConflictMarkers doesn\'t tell the conflicted merge from the clean one');
+  }
+
+  const noBase = mergeTexts(null,
+    lines('Intro', 'Rule one, edited', 'Rule two', 'End'),
+    lines('Intro', 'Rule one', 'Rule two', 'Rule three', 'End'));
+  expectEqual(failures, 'missing base', noBase, {
+    text: lines('Intro', '<<<<<<< YOUR VERSION', 'Rule one, edited', '=======', 'Rule one', '>>>>>>> NEW DEFAULT',
+      'Rule two', '<<<<<<< YOUR VERSION', '=======', 'Rule three', '>>>>>>> NEW DEFAULT', 'End'),
+    conflicts: 2
+  });
+
+  const trailing = mergeTexts(base,
+    lines(base, 'My closing rule'),
+    lines('Intro', 'Rule one', 'Rule two', 'Rule three, new default', 'End'));
+  expectEqual(failures, 'trailing insertion', trailing, {
+    text: lines('Intro', 'Rule one', 'Rule two', 'Rule three, new default', 'End', 'My closing rule'),
+    conflicts: 0
+  });
+
+  const bothTrailing = mergeTexts(base, lines(base, 'My closing rule'), lines(base, 'New closing rule'));
+  expectEqual(failures, 'trailing insertions on both sides', bothTrailing, {
+    text: lines(base, '<<<<<<< YOUR VERSION', 'My closing rule', '=======', 'New closing rule', '>>>>>>> NEW DEFAULT'),
+    conflicts: 1
+  });
+
+  return failures;
+}
+
+module.exports = [
+  { id: 'manuscript_changes', run: checkManuscriptChanges },
+  { id: 'close_match_findings', run: checkCloseMatchFindings },
+  { id: 'merge_texts', run: checkMergeTexts },
+  { id: 'stream_retries', run: checkStreamRetries },
+  { id: 'token_budget', run: checkTokenBudget },
+  { id: 'cancelled_runs', run: checkCancelledRuns },
+  { id: 'run_compare', run: checkRunCompare },
+  { id: 'run_log', run: checkRunLog },
+  { id: 'report_html', run: checkReportHtml },
+  { id: 'editor_links', run: checkEditorLinks }
+];
@@ -0,0 +1,29 @@
+// hash-utils.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+/**
+ * Short, stable hash of some text (sha256, hex, truncated)
+ * @param {string} text - Text to hash
+ * @param {number} [length=12] - Number of hex characters to keep
+ * @returns {string}
+ */
+function hashText(text, length = 12) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex').slice(0, length);
+}
+
+/**
+ * Short, stable hash of a file's contents
+ * @param {string} filePath - File to hash
+ * @param {number} [length=12] - Number of hex characters to keep
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath, length = 12) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, length);
+}
+
+module.exports = {
+  hashText,
+  hashFile
+};
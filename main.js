@@ -15,6 +15,19 @@ const appState = require('./state.js');
 const toolSystem = require('./tool-system');
 const fileCache = require('./file-cache');
 const promptManager = require('./tool-prompts-manager');
+const aiProviders = require('./ai-providers');
+const usageLedger = require('./usage-ledger');
+const generationSettings = require('./generation-settings');
+const findingsUtils = require('./findings');
+const manuscriptChanges = require('./manuscript-changes');
+const editorLinks = require('./editor-links');
+const manuscriptDocx = require('./manuscript-docx');
+const runCompare = require('./run-compare');
+const runLog = require('./run-log');
+const reportHtml = require('./report-html');
+const { parseChapters, describeChapter } = require('./manuscript-chapters');
+const { ensureProjectMetadata } = require('./project-metadata');
+const textDiff = require('./text-diff');
 
 let mainWindow = null;
 
@@ -129,6 +142,23 @@ app.whenReady().then(() => {
   initializeApp();
 });
 
+/**
+ * Show the tool manifests (tool-manifests.js) that were skipped at startup, and why
+ */
+function showToolManifestErrors() {
+  const errors = toolSystem.getToolManifestErrors();
+  if (errors.length === 0 || !mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: 'Tool Manifest Problems',
+    message: `${errors.length} tool manifest(s) could not be loaded, so those tools are not available.`,
+    detail: errors.map(error => `${error.file}:\n${error.message}`).join('\n\n'),
+    buttons: ['OK']
+  }).catch(error => console.error('Error showing tool manifest problems:', error));
+}
+
 async function initializeApp() {
   try {
     await appState.initialize();
@@ -160,6 +190,9 @@ async function initializeApp() {
     // Assuming createWindow() assigns the created window to the global 'mainWindow' variable
     createWindow(); // This function should set the 'mainWindow' variable
 
+    // Tools whose manifests didn't pass validation weren't registered; say why
+    showToolManifestErrors();
+
     // Check for API key AFTER the mainWindow is created and potentially shown
     // Ensure mainWindow is ready before trying to show a dialog attached to it.
     // mainWindow.on('ready-to-show', () => { // Or 'did-finish-load'
@@ -303,6 +336,9 @@ if (isPackaged) {
 // Global function to get complete settings 
 function getCompleteApiSettings() {
   // cls: not needed for Gemini, so just a placeholder!
+  // Model and generation settings are saved by the AI Settings window and
+  // applied to the API service at the start of each run
+  // (see aiProviders.getConfiguredAiApiService).
   // Start with an empty settings object
   const completeSettings = {};
   
@@ -325,6 +361,22 @@ function getCompleteApiSettings() {
 let projectDialogWindow = null;
 let apiSettingsWindow = null;
 let toolSetupRunWindow = null;
+let findingsReviewWindow = null;
+
+// Findings file shown in the findings review window
+let reviewFindingsPath = null;
+
+let runHistoryWindow = null;
+
+// Tool whose past runs the run history window lists
+let runHistoryToolName = null;
+
+let reportViewWindow = null;
+
+let promptVersionsWindow = null;
+
+// Report shown in the report view window: {reportPath, content}
+let reportViewSource = null;
 
 // Flag to control whether to show the project dialog
 let shouldShowProjectDialog = true;
@@ -332,6 +384,9 @@ let shouldShowProjectDialog = true;
 // Store the currently selected tool
 let currentTool = null;
 
+// Tool runs in progress, keyed by runId: { toolName, controller }
+const activeToolRuns = new Map();
+
 // Set application name
 app.name = "StoryGrinder";
 
@@ -342,6 +397,9 @@ const menuTemplate = [
     submenu: [
       { role: 'about' },
       { type: 'separator' },
+      { label: 'AI Settings...', accelerator: 'CmdOrCtrl+,', click: () => showApiSettings() },
+      { label: 'Prompts...', click: () => showPromptVersions() },
+      { type: 'separator' },
       { role: 'quit' }
     ]
   },
@@ -397,6 +455,279 @@ function createProjectDialog() {
   return projectDialogWindow;
 }
 
+// Function to create the AI settings window (model and generation settings per provider)
+function createApiSettingsWindow() {
+  apiSettingsWindow = new BrowserWindow({
+    width: 640,
+    height: 720,
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  apiSettingsWindow.loadFile(path.join(__dirname, 'api-settings.html'));
+
+  apiSettingsWindow.once('ready-to-show', () => {
+    apiSettingsWindow.show();
+    
+    // Pass the current theme to the window
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (apiSettingsWindow && !apiSettingsWindow.isDestroyed()) {
+            apiSettingsWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  apiSettingsWindow.on('closed', () => {
+    apiSettingsWindow = null;
+  });
+  
+  return apiSettingsWindow;
+}
+
+// Show the AI settings window
+function showApiSettings() {
+  if (!apiSettingsWindow || apiSettingsWindow.isDestroyed()) {
+    createApiSettingsWindow();
+  } else {
+    apiSettingsWindow.show();
+  }
+}
+
+// Function to create the findings review window (accept, edit or reject a tool run's findings)
+function createFindingsReviewWindow() {
+  // Open over the tool window when the review comes from a tool run
+  const parentWindow = toolSetupRunWindow || mainWindow;
+  
+  findingsReviewWindow = new BrowserWindow({
+    width: Math.min(1100, parentWindow.getSize()[0]),
+    height: parentWindow.getSize()[1],
+    parent: parentWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  findingsReviewWindow.loadFile(path.join(__dirname, 'findings-review.html'));
+
+  findingsReviewWindow.once('ready-to-show', () => {
+    findingsReviewWindow.show();
+    
+    // Pass the current theme to the window
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (findingsReviewWindow && !findingsReviewWindow.isDestroyed()) {
+            findingsReviewWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  findingsReviewWindow.on('closed', () => {
+    findingsReviewWindow = null;
+  });
+  
+  return findingsReviewWindow;
+}
+
+// Show the findings review window for a findings file
+function showFindingsReview(findingsPath) {
+  reviewFindingsPath = findingsPath;
+  if (findingsReviewWindow && !findingsReviewWindow.isDestroyed()) {
+    findingsReviewWindow.destroy();
+  }
+  createFindingsReviewWindow();
+}
+
+// Function to create the run history window (a tool's past reports, and what changed between two runs)
+function createRunHistoryWindow() {
+  const parentWindow = toolSetupRunWindow || mainWindow;
+  
+  runHistoryWindow = new BrowserWindow({
+    width: Math.min(1100, parentWindow.getSize()[0]),
+    height: parentWindow.getSize()[1],
+    parent: parentWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  runHistoryWindow.loadFile(path.join(__dirname, 'run-history.html'));
+
+  runHistoryWindow.once('ready-to-show', () => {
+    runHistoryWindow.show();
+    
+    // Pass the current theme to the window
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+            runHistoryWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  runHistoryWindow.on('closed', () => {
+    runHistoryWindow = null;
+  });
+  
+  return runHistoryWindow;
+}
+
+// Show the run history window for a tool
+function showRunHistory(toolName) {
+  runHistoryToolName = toolName;
+  if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+    runHistoryWindow.destroy();
+  }
+  createRunHistoryWindow();
+}
+
+// Function to create the prompts window (each tool's prompt file compared with its shipped default)
+function createPromptVersionsWindow() {
+  promptVersionsWindow = new BrowserWindow({
+    width: Math.min(1200, mainWindow.getSize()[0]),
+    height: mainWindow.getSize()[1],
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  promptVersionsWindow.loadFile(path.join(__dirname, 'prompt-versions.html'));
+
+  promptVersionsWindow.once('ready-to-show', () => {
+    promptVersionsWindow.show();
+    
+    // Pass the current theme to the window
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (promptVersionsWindow && !promptVersionsWindow.isDestroyed()) {
+            promptVersionsWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  promptVersionsWindow.on('closed', () => {
+    promptVersionsWindow = null;
+  });
+  
+  return promptVersionsWindow;
+}
+
+function showPromptVersions() {
+  if (!promptVersionsWindow || promptVersionsWindow.isDestroyed()) {
+    createPromptVersionsWindow();
+  } else {
+    promptVersionsWindow.show();
+  }
+}
+
+function createReportViewWindow(parentWindow) {
+  parentWindow = parentWindow || mainWindow;
+  
+  reportViewWindow = new BrowserWindow({
+    width: Math.min(1000, parentWindow.getSize()[0]),
+    height: parentWindow.getSize()[1],
+    parent: parentWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  reportViewWindow.loadFile(path.join(__dirname, 'report-view.html'));
+
+  reportViewWindow.once('ready-to-show', () => {
+    reportViewWindow.show();
+    
+    // Pass the current theme to the window
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (reportViewWindow && !reportViewWindow.isDestroyed()) {
+            reportViewWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  reportViewWindow.on('closed', () => {
+    reportViewWindow = null;
+  });
+  
+  return reportViewWindow;
+}
+
+// Show a report as HTML; content is the editor's unsaved text, if any
+function showReportView(reportPath, content, parentWindow) {
+  reportViewSource = { reportPath, content: typeof content === 'string' ? content : null };
+  if (reportViewWindow && !reportViewWindow.isDestroyed()) {
+    reportViewWindow.destroy();
+  }
+  createReportViewWindow(parentWindow);
+}
+
+// Render the report shown in the report view window, with its run's findings if it has any
+async function renderReportView() {
+  const { reportPath, content } = reportViewSource;
+  const report = content !== null ? content : await fs.promises.readFile(reportPath, 'utf8');
+  
+  let findings = null;
+  const findingsPath = findingsUtils.getFindingsPath(reportPath);
+  if (findingsPath !== reportPath && fs.existsSync(findingsPath)) {
+    try {
+      findings = (await findingsUtils.readFindingsFile(findingsPath)).findings;
+    } catch (error) {
+      console.error('Error reading findings for report view:', error);
+    }
+  }
+  
+  return reportHtml.renderReport(report, { title: path.basename(reportPath), findings });
+}
+
 // Show the project dialog
 function showProjectDialog() {
   if (!projectDialogWindow || projectDialogWindow.isDestroyed()) {
@@ -503,28 +834,22 @@ function setupProjectHandlers() {
         };
       }
 
-      // Unconditionally clear API files and caches whenever a project is selected or created.
-      console.log(`Project selected/created: ${projectName}.\nClearing all API files and caches for the configured API key.`);
+      // Release the files and caches of the project being left; other
+      // projects' files and caches stay on the API key until they expire.
+      const previousProjectPath = appState.CURRENT_PROJECT_PATH;
 
-      if (AiApiServiceInstance) {
+      if (AiApiServiceInstance && previousProjectPath && previousProjectPath !== projectPath) {
+        console.log(`Project selected/created: ${projectName}.
+Releasing API files and caches of previous project: ${previousProjectPath}`);
         try {
-          console.log(`Calling clearFilesAndCaches (global cleanup for API key)`);
-          await AiApiServiceInstance.clearFilesAndCaches(); // No argument needed
+          await aiProviders.releaseProjectResources(previousProjectPath);
         } catch (cleanupError) {
-          console.error('Error during global API files and caches cleanup:', cleanupError);
+          console.error('Error releasing previous project API files and caches:', cleanupError);
           // Log this error but allow the project switch to continue
-          // You might want to show a dialog to the user if critical
-          dialog.showErrorBox('API Cleanup Error', `Failed to clear all API files and caches. Please check the logs. Reason: ${cleanupError.message}`);
+          dialog.showErrorBox('API Cleanup Error', `Failed to release the previous project's API files and caches. Please check the logs. Reason: ${cleanupError.message}`);
         }
-      } else {
+      } else if (!AiApiServiceInstance) {
         console.warn('AiApiServiceInstance not available for API data cleanup. This may occur if API key is missing or initialization failed.');
-        // Optionally inform the user if this is unexpected
-        // dialog.showMessageBox(mainWindow, { // mainWindow should be accessible
-        //   type: 'warning',
-        //   title: 'API Service Unavailable',
-        //   message: 'The AI service is not available, so API files and caches could not be cleared.',
-        //   buttons: ['OK']
-        // });
       }
       
       // Update application state
@@ -570,28 +895,22 @@ function setupProjectHandlers() {
       // Create the project directory
       await fs.promises.mkdir(projectPath, { recursive: true });
 
-      // Unconditionally clear API files and caches whenever a project is selected or created.
-      console.log(`Project selected/created: ${projectName}. Clearing all API files and caches for the configured API key.`);
+      // Release the files and caches of the project being left; other
+      // projects' files and caches stay on the API key until they expire.
+      const previousProjectPath = appState.CURRENT_PROJECT_PATH;
 
-      if (AiApiServiceInstance) {
+      if (AiApiServiceInstance && previousProjectPath && previousProjectPath !== projectPath) {
+        console.log(`Project selected/created: ${projectName}.
+Releasing API files and caches of previous project: ${previousProjectPath}`);
         try {
-          console.log(`Calling clearFilesAndCaches (global cleanup for API key)`);
-          await AiApiServiceInstance.clearFilesAndCaches(); // No argument needed
+          await aiProviders.releaseProjectResources(previousProjectPath);
         } catch (cleanupError) {
-          console.error('Error during global API files and caches cleanup:', cleanupError);
+          console.error('Error releasing previous project API files and caches:', cleanupError);
           // Log this error but allow the project switch to continue
-          // You might want to show a dialog to the user if critical
-          dialog.showErrorBox('API Cleanup Error', `Failed to clear all API files and caches. Please check the logs. Reason: ${cleanupError.message}`);
+          dialog.showErrorBox('API Cleanup Error', `Failed to release the previous project's API files and caches. Please check the logs. Reason: ${cleanupError.message}`);
         }
-      } else {
+      } else if (!AiApiServiceInstance) {
         console.warn('AiApiServiceInstance not available for API data cleanup. This may occur if API key is missing or initialization failed.');
-        // Optionally inform the user if this is unexpected
-        // dialog.showMessageBox(mainWindow, { // mainWindow should be accessible
-        //   type: 'warning',
-        //   title: 'API Service Unavailable',
-        //   message: 'The AI service is not available, so API files and caches could not be cleared.',
-        //   buttons: ['OK']
-        // });
       }
 
       // Update application state
@@ -664,6 +983,8 @@ function createToolSetupRunDialog(toolName) {
   // Track window destruction
   toolSetupRunWindow.on('closed', () => {
     toolSetupRunWindow = null;
+    // Nobody is left to see the output, so don't keep paying for it
+    stopAllToolRuns();
   });
   
   // Prevent the tool window from being resized or moved
@@ -673,6 +994,14 @@ function createToolSetupRunDialog(toolName) {
   return toolSetupRunWindow;
 }
 
+// Cancel every tool run in progress, e.g. when its window goes away
+function stopAllToolRuns() {
+  for (const [runId, run] of activeToolRuns) {
+    console.log(`Stopping tool run: ${run.toolName} (${runId})`);
+    run.controller.abort();
+  }
+}
+
 // Show the tool setup dialog - MODIFIED: always recreate the window
 function showToolSetupRunDialog(toolName) {
   // Always close any existing tool window first
@@ -705,7 +1034,9 @@ function launchEditor(fileToOpen = null) {
 }
 
 // Handle opening files directly in the editor
-ipcMain.handle('open-file-in-editor', async (event, filePath) => {
+// options (all optional): quote or line/column to scroll to and highlight,
+// and manuscript, the file a report's quotes come from (to make them clickable)
+ipcMain.handle('open-file-in-editor', async (event, filePath, options = {}) => {
   try {
     // Verify the file exists
     if (!fs.existsSync(filePath)) {
@@ -713,7 +1044,7 @@ ipcMain.handle('open-file-in-editor', async (event, filePath) => {
     }
     
     // Create editor dialog window
-    createEditorDialog(filePath);
+    createEditorDialog(filePath, options || {});
     
     // Return success
     return { success: true };
@@ -868,7 +1199,10 @@ function setupToolHandlers() {
       return {
         name: id,
         title: tool.config?.title || id,
-        description: tool.config?.description || tool.title || `Tool: ${id}`
+        description: tool.config?.description || tool.title || `Tool: ${id}`,
+        ai: tool.config?.ai !== false,
+        // Defined by a manifest in ~/writing/tool-prompts (custom-tool-manifests.js)
+        custom: !!tool.config?.custom
       };
     });
     
@@ -905,7 +1239,8 @@ function setupToolHandlers() {
           return {
             name: currentTool,
             title: tool.config.title || currentTool,
-            description: tool.config.description || ''
+            description: tool.config.description || '',
+            usesAi: !!tool.apiService
           };
         }
       }
@@ -922,6 +1257,10 @@ function setupToolHandlers() {
       // Generate a unique run ID
       const runId = uuidv4();
       
+      // Register the run so the Stop button can cancel it
+      const controller = new AbortController();
+      activeToolRuns.set(runId, { toolName, controller });
+      
       // Set up output function
       const sendOutput = (text) => {
         if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
@@ -945,13 +1284,12 @@ function setupToolHandlers() {
             throw new Error(`Tool not found: ${toolName}`);
           }
           
-          // Add output function to the tool
-          tool.emitOutput = sendOutput;
-
           fileCache.clear(toolName);
 
-          // Execute the tool
-          const result = await toolSystem.executeToolById(toolName, optionValues, runId);
+          // Execute the tool; its output and Stop button belong to this run alone
+          const result = await toolSystem.executeToolById(toolName, optionValues, runId, controller.signal, {
+            emitOutput: sendOutput
+          });
           
           // Get files from cache
           const cachedFiles = fileCache.getFiles(toolName);
@@ -971,13 +1309,22 @@ function setupToolHandlers() {
             });
           }
         } catch (error) {
-          console.error(`Error running tool ${toolName}:`, error);
+          const cancelled = controller.signal.aborted;
+          if (cancelled) {
+            console.log(`Tool run cancelled: ${toolName} (${runId})`);
+            fileCache.clear(toolName);
+          } else {
+            console.error(`Error running tool ${toolName}:`, error);
+          }
           if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
             toolSetupRunWindow.webContents.send('tool-error', { 
               runId, 
-              error: error.message 
+              error: cancelled ? 'Tool run was stopped.' : error.message,
+              cancelled
             });
           }
+        } finally {
+          activeToolRuns.delete(runId);
         }
       })();
       
@@ -988,6 +1335,449 @@ function setupToolHandlers() {
     }
   });
   
+  // Stop a running tool
+  ipcMain.handle('stop-tool', (event, runId) => {
+    const run = activeToolRuns.get(runId);
+    if (!run) {
+      console.log(`stop-tool: no active run found for ${runId}`);
+      return false;
+    }
+    
+    console.log(`Stopping tool run: ${run.toolName} (${runId})`);
+    run.controller.abort();
+    return true;
+  });
+  
+  // AI provider selection (per project, with optional per-tool overrides)
+  ipcMain.handle('get-ai-providers', (event, toolName = null) => {
+    const settings = appState.getAiProviderSettings();
+    return {
+      providers: aiProviders.listProviders(),
+      defaultProvider: aiProviders.DEFAULT_PROVIDER,
+      projectProvider: settings.projects[appState.CURRENT_PROJECT] || aiProviders.DEFAULT_PROVIDER,
+      toolProvider: toolName ? (settings.tools[toolName] || null) : null
+    };
+  });
+  
+  ipcMain.handle('set-project-ai-provider', (event, providerId) => {
+    if (!appState.CURRENT_PROJECT) {
+      return { success: false, message: 'No project selected' };
+    }
+    if (!aiProviders.isKnownProvider(providerId)) {
+      return { success: false, message: `Unknown AI provider: ${providerId}` };
+    }
+    appState.setProjectAiProvider(appState.CURRENT_PROJECT, providerId);
+    return { success: true };
+  });
+  
+  ipcMain.handle('set-tool-ai-provider', (event, toolName, providerId) => {
+    if (providerId && !aiProviders.isKnownProvider(providerId)) {
+      return { success: false, message: `Unknown AI provider: ${providerId}` };
+    }
+    appState.setToolAiProvider(toolName, providerId || null);
+    return { success: true };
+  });
+
+  // AI settings window: a provider's form fields, built-in defaults and saved values
+  ipcMain.handle('get-generation-settings', (event, providerId) => {
+    const providers = aiProviders.listProviders();
+    const selected = providerId || aiProviders.getProviderIdForTool(null);
+    return {
+      providers,
+      providerId: selected,
+      schema: generationSettings.getSchema(selected),
+      defaults: aiProviders.getProviderDefaults(selected),
+      // Shown within the provider's ranges, so saving the form again succeeds
+      saved: generationSettings.clampSettings(selected, appState.getGenerationSettings().providers[selected] || {})
+    };
+  });
+
+  ipcMain.handle('save-generation-settings', (event, providerId, settings) => {
+    try {
+      if (!aiProviders.isKnownProvider(providerId)) {
+        return { success: false, message: `Unknown AI provider: ${providerId}` };
+      }
+      appState.setProviderGenerationSettings(providerId, generationSettings.sanitizeSettings(providerId, settings));
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Tool setup dialog: a tool's overrides for the provider it runs with
+  ipcMain.handle('get-tool-generation-settings', (event, toolName) => {
+    const providerId = aiProviders.getProviderIdForTool(toolName);
+    const toolSettings = appState.getGenerationSettings().tools[toolName] || {};
+    return {
+      providerId,
+      providerLabel: aiProviders.getProviderLabel(providerId),
+      schema: generationSettings.getSchema(providerId),
+      inherited: {
+        ...aiProviders.getProviderDefaults(providerId),
+        ...aiProviders.getSavedGenerationSettings(providerId)
+      },
+      overrides: generationSettings.clampSettings(providerId, toolSettings[providerId] || {})
+    };
+  });
+
+  ipcMain.handle('save-tool-generation-settings', (event, toolName, settings) => {
+    try {
+      const providerId = aiProviders.getProviderIdForTool(toolName);
+      appState.setToolGenerationSettings(toolName, providerId, generationSettings.sanitizeSettings(providerId, settings));
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Usage view: tokens and estimated cost for the current project or all projects
+  ipcMain.handle('get-usage-summary', async (event, scope) => {
+    try {
+      if (scope !== 'all' && !appState.CURRENT_PROJECT_PATH) {
+        return { success: false, message: 'No project selected' };
+      }
+      const summary = await usageLedger.getUsageSummary(scope === 'all' ? null : appState.CURRENT_PROJECT_PATH);
+      return { success: true, summary };
+    } catch (error) {
+      console.error('Error summarizing API usage:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Run log: every tool run in the current project, newest first
+  ipcMain.handle('get-run-log', async () => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      return { success: false, message: 'No project selected', runs: [] };
+    }
+    try {
+      const runs = await runLog.getRuns(appState.CURRENT_PROJECT_PATH);
+      // Output files may have been deleted or moved since the run
+      runs.forEach(run => {
+        run.outputFiles = (run.outputFiles || []).map(filePath => ({
+          path: filePath,
+          exists: fs.existsSync(filePath)
+        }));
+      });
+      return { success: true, runs };
+    } catch (error) {
+      console.error('Error reading run log:', error);
+      return { success: false, message: error.message, runs: [] };
+    }
+  });
+
+  // Reopen a past run's output: text in the editor, anything else (e.g. DOCX) in its default app
+  ipcMain.handle('open-run-output', async (event, filePath) => {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return { success: false, message: 'File not found: ' + filePath };
+      }
+      if (['.txt', '.md', '.json'].includes(path.extname(filePath).toLowerCase())) {
+        createEditorDialog(filePath);
+        return { success: true };
+      }
+      const openError = await shell.openPath(filePath);
+      return openError ? { success: false, message: openError } : { success: true };
+    } catch (error) {
+      console.error('Error opening run output:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Cache manager: list the current project's API files and caches
+  ipcMain.handle('get-project-caches', async () => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      return { success: false, message: 'No project selected', resources: [] };
+    }
+    try {
+      const { resources, errors } = await aiProviders.listProjectResources(appState.CURRENT_PROJECT_PATH);
+      return { success: true, resources, errors };
+    } catch (error) {
+      console.error('Error listing project caches:', error);
+      return { success: false, message: error.message, resources: [] };
+    }
+  });
+
+  // Cache manager: give a cache more time
+  ipcMain.handle('extend-project-cache', async (event, providerId, name, hours) => {
+    try {
+      const expireTime = await aiProviders.extendProjectCache(
+        appState.CURRENT_PROJECT_PATH, providerId, name, Math.round(hours * 3600)
+      );
+      return { success: true, expireTime };
+    } catch (error) {
+      console.error('Error extending cache:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Cache manager: delete a file or cache now
+  ipcMain.handle('drop-project-resource', async (event, providerId, kind, name) => {
+    try {
+      await aiProviders.dropProjectResource(appState.CURRENT_PROJECT_PATH, providerId, kind, name);
+      return { success: true };
+    } catch (error) {
+      console.error('Error dropping file or cache:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Findings review: open and close the window
+  ipcMain.on('show-findings-review', (event, findingsPath) => {
+    showFindingsReview(findingsPath);
+  });
+
+  ipcMain.on('close-findings-review', () => {
+    if (findingsReviewWindow && !findingsReviewWindow.isDestroyed()) {
+      findingsReviewWindow.destroy();
+      findingsReviewWindow = null;
+    }
+  });
+
+  // Findings review: the findings, each located in the manuscript as it is now
+  ipcMain.handle('get-findings-review', async () => {
+    if (!reviewFindingsPath) {
+      return { success: false, message: 'No findings file selected' };
+    }
+    try {
+      const review = await manuscriptChanges.loadReview(reviewFindingsPath);
+      return { success: true, review };
+    } catch (error) {
+      console.error('Error loading findings for review:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Findings review: accept, reject or reopen a finding, or change its replacement text
+  ipcMain.handle('update-finding', async (event, id, changes) => {
+    try {
+      const allowed = {};
+      if (changes.status !== undefined) {
+        if (!['open', 'accepted', 'rejected'].includes(changes.status)) {
+          throw new Error(`Unknown finding status: ${changes.status}`);
+        }
+        allowed.status = changes.status;
+      }
+      if (changes.replacement !== undefined) {
+        // null goes back to the AI's suggestion
+        allowed.replacement = typeof changes.replacement === 'string' ? changes.replacement : undefined;
+      }
+      const finding = await findingsUtils.updateFinding(reviewFindingsPath, id, allowed);
+      return { success: true, finding };
+    } catch (error) {
+      console.error('Error updating finding:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Findings review: apply the accepted findings to the manuscript (with a backup and change log)
+  ipcMain.handle('apply-accepted-findings', async () => {
+    try {
+      const projectPath = appState.CURRENT_PROJECT_PATH || path.dirname(reviewFindingsPath);
+      const result = await manuscriptChanges.applyAcceptedFindings(reviewFindingsPath, projectPath);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error applying findings:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Run history: open and close the window
+  ipcMain.on('show-run-history', (event, toolName) => {
+    showRunHistory(toolName);
+  });
+
+  ipcMain.on('close-run-history', () => {
+    if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+      runHistoryWindow.destroy();
+      runHistoryWindow = null;
+    }
+  });
+
+  // Run history: the tool's past reports in the current project, newest first
+  ipcMain.handle('get-tool-runs', async () => {
+    try {
+      if (!appState.CURRENT_PROJECT_PATH) {
+        return { success: false, message: 'No active project selected' };
+      }
+      const tool = toolSystem.toolRegistry.getTool(runHistoryToolName);
+      const runs = await runCompare.listToolRuns(appState.CURRENT_PROJECT_PATH, runHistoryToolName);
+      return {
+        success: true,
+        toolName: runHistoryToolName,
+        title: tool ? tool.config.title : runHistoryToolName,
+        runs
+      };
+    } catch (error) {
+      console.error('Error listing tool runs:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Run history: which issues were resolved, persist or are new between two runs
+  ipcMain.handle('compare-tool-runs', async (event, olderReportPath, newerReportPath) => {
+    try {
+      const comparison = await runCompare.compareRuns(olderReportPath, newerReportPath, appState.CURRENT_PROJECT_PATH);
+      return { success: true, comparison };
+    } catch (error) {
+      console.error('Error comparing tool runs:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Prompts window: open and close it
+  ipcMain.on('show-prompt-versions', () => {
+    showPromptVersions();
+  });
+
+  ipcMain.on('close-prompt-versions', () => {
+    if (promptVersionsWindow && !promptVersionsWindow.isDestroyed()) {
+      promptVersionsWindow.destroy();
+      promptVersionsWindow = null;
+    }
+  });
+
+  // Prompts window: every tool's prompt file and whether it's the default, customized or
+  // outdated, and which tools have a prompt of their own in the current project
+  ipcMain.handle('get-prompt-statuses', async () => {
+    try {
+      const statuses = await promptManager.listPromptStatuses(appState.CURRENT_PROJECT_PATH);
+      const prompts = statuses.map(status => {
+        const tool = toolSystem.toolRegistry.getTool(status.toolName);
+        return { ...status, title: tool ? tool.config.title : status.toolName };
+      });
+      return {
+        success: true,
+        promptsDir: promptManager.promptsDir,
+        projectName: appState.CURRENT_PROJECT,
+        prompts
+      };
+    } catch (error) {
+      console.error('Error listing prompts:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Prompts window: a prompt file side by side with its shipped default
+  ipcMain.handle('get-prompt-diff', async (event, toolName) => {
+    try {
+      const { prompt, defaultPrompt } = await promptManager.getPromptAndDefault(toolName);
+      return { success: true, rows: textDiff.sideBySide(prompt, defaultPrompt) };
+    } catch (error) {
+      console.error('Error comparing prompt with its default:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Prompts window: replace a prompt with its default, backing up the author's version
+  ipcMain.handle('restore-default-prompt', async (event, toolName) => {
+    try {
+      const { backupPath } = await promptManager.restoreDefaultPrompt(toolName);
+      return { success: true, backupPath };
+    } catch (error) {
+      console.error('Error restoring default prompt:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Prompts window: copy a tool's global prompt into the current project, to customize it there
+  ipcMain.handle('customize-prompt-for-project', async (event, toolName) => {
+    try {
+      if (!appState.CURRENT_PROJECT_PATH) {
+        return { success: false, message: 'Select a project first.' };
+      }
+      const promptPath = await promptManager.customizeForProject(toolName, appState.CURRENT_PROJECT_PATH);
+      return { success: true, path: promptPath };
+    } catch (error) {
+      console.error('Error customizing prompt for project:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Prompts window: merge the new default into an edited prompt, backing up the author's version
+  ipcMain.handle('merge-default-prompt', async (event, toolName) => {
+    try {
+      const { backupPath, conflicts } = await promptManager.mergeDefaultPrompt(toolName);
+      return { success: true, backupPath, conflicts };
+    } catch (error) {
+      console.error('Error merging default prompt:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Report view: a report rendered as HTML, which can be saved as HTML or PDF
+  ipcMain.on('show-report-view', (event, reportPath, content) => {
+    showReportView(reportPath, content, BrowserWindow.fromWebContents(event.sender));
+  });
+
+  ipcMain.on('close-report-view', () => {
+    if (reportViewWindow && !reportViewWindow.isDestroyed()) {
+      reportViewWindow.destroy();
+      reportViewWindow = null;
+    }
+  });
+
+  ipcMain.handle('get-report-view', async () => {
+    try {
+      if (!reportViewSource) {
+        return { success: false, message: 'No report to show' };
+      }
+      const rendered = await renderReportView();
+      return {
+        success: true,
+        reportPath: reportViewSource.reportPath,
+        title: rendered.title,
+        html: rendered.html,
+        css: reportHtml.REPORT_CSS
+      };
+    } catch (error) {
+      console.error('Error rendering report:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  ipcMain.handle('save-report-html', async (event, theme) => {
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(reportViewWindow, {
+        title: 'Save Report as HTML',
+        defaultPath: reportViewSource.reportPath.replace(/\.[^.\\/]+$/, '') + '.html',
+        filters: [{ name: 'HTML Files', extensions: ['html'] }]
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const rendered = await renderReportView();
+      await fs.promises.writeFile(filePath, reportHtml.buildReportDocument(rendered, theme), 'utf8');
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error saving report as HTML:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // Print the report view window itself; its print styles switch to the light theme
+  ipcMain.handle('print-report-pdf', async (event) => {
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(reportViewWindow, {
+        title: 'Save Report as PDF',
+        defaultPath: reportViewSource.reportPath.replace(/\.[^.\\/]+$/, '') + '.pdf',
+        filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const pdf = await event.sender.printToPDF({
+        printBackground: true,
+        pageSize: 'A4',
+        margins: { marginType: 'default' }
+      });
+      await fs.promises.writeFile(filePath, pdf);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error printing report to PDF:', error);
+      return { success: false, message: error.message };
+    }
+  });
+
   // Store tool options in app state
   ipcMain.handle('set-tool-options', (event, options) => {
     try {
@@ -1000,7 +1790,7 @@ function setupToolHandlers() {
   });
 }
 
-function createEditorDialog(fileToOpen = null) {
+function createEditorDialog(fileToOpen = null, options = {}) {
   // If there's already an editor window open, close it first
   if (editorDialogWindow && !editorDialogWindow.isDestroyed()) {
     editorDialogWindow.destroy();
@@ -1033,7 +1823,7 @@ function createEditorDialog(fileToOpen = null) {
   editorDialogWindow.loadFile(path.join(__dirname, 'editor-dialog.html'));
 
   // Show the window when ready
-  editorDialogWindow.once('ready-to-show', () => {
+  editorDialogWindow.once('ready-to-show', async () => {
     editorDialogWindow.show();
     
     // Send the current theme as soon as the window is ready
@@ -1070,10 +1860,29 @@ function createEditorDialog(fileToOpen = null) {
         }
         
         const content = fs.readFileSync(fileToOpen, 'utf8');
-        editorDialogWindow.webContents.send('file-opened', { 
+        const fileData = {
           filePath: fileToOpen, 
           content 
-        });
+        };
+
+        // Where to scroll to and highlight, if asked
+        const target = editorLinks.getEditorTarget(content, options);
+        if (target) {
+          fileData.target = target;
+        }
+
+        // Quotes in a report link to the passage in the manuscript
+        const manuscriptPath = await editorLinks.getReportManuscript(fileToOpen, options.manuscript, appState.CURRENT_PROJECT_PATH);
+        if (manuscriptPath && path.resolve(manuscriptPath) !== path.resolve(fileToOpen)) {
+          const quoteLinks = editorLinks.getQuoteLinks(content, manuscriptPath, await editorLinks.getReportFindings(fileToOpen));
+          if (quoteLinks) {
+            fileData.quoteLinks = quoteLinks;
+          }
+        }
+
+        if (editorDialogWindow && !editorDialogWindow.isDestroyed()) {
+          editorDialogWindow.webContents.send('file-opened', fileData);
+        }
       } catch (error) {
         console.error('Error loading file:', error);
         dialog.showErrorBox('Error', `Failed to load file: ${error.message}`);
@@ -1119,6 +1928,18 @@ function setupIPCHandlers() {
     showProjectDialog();
   });
 
+  // Show and close the AI settings window
+  ipcMain.on('show-api-settings', () => {
+    showApiSettings();
+  });
+
+  ipcMain.on('close-api-settings', () => {
+    if (apiSettingsWindow && !apiSettingsWindow.isDestroyed()) {
+      apiSettingsWindow.destroy();
+      apiSettingsWindow = null;
+    }
+  });
+
   // Show editor dialog
   ipcMain.on('show-editor-dialog', (event, filePath) => {
     createEditorDialog(filePath);
@@ -1153,6 +1974,22 @@ function setupIPCHandlers() {
     };
   });
   
+  // Open the current project's details (project.json), creating it if needed;
+  // prompt templates read them as {{project.<field>}}
+  ipcMain.handle('edit-project-details', async () => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      return { success: false, message: 'Select a project first.' };
+    }
+    try {
+      const metadataPath = await ensureProjectMetadata(appState.CURRENT_PROJECT_PATH);
+      createEditorDialog(metadataPath);
+      return { success: true, path: metadataPath };
+    } catch (error) {
+      console.error('Error opening project details:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
   // File selection dialog
   ipcMain.handle('select-file', async (event, options) => {
     try {
@@ -1460,77 +2297,10 @@ function setupIPCHandlers() {
       // Read the txt file
       const textContent = await fs.promises.readFile(txtPath, 'utf8');
       
-      // Import docx library
-      const docx = require('docx');
-      
-      // Split text into paragraphs (separated by empty lines)
-      const paragraphs = textContent.split(/\n\s*\n/).map(p => p.trim()).filter(p => p);
-      
-      // Simple function to check if a paragraph looks like a chapter heading
-      function isChapterTitle(text) {
-        // Common chapter title patterns
-        return /^chapter\s+\d+/i.test(text) || // "Chapter X"
-               /^chapter\s+[ivxlcdm]+/i.test(text) || // "Chapter IV"
-               /^\d+[\.:]\s+/i.test(text); // "1: " or "1. "
-      }
-
-      // Create array of document content
-      const children = [];
-      let chapterCount = 0;
-      
-      // Process each paragraph
-      paragraphs.forEach((paragraph, index) => {
-        // Test if it's a chapter title
-        if (isChapterTitle(paragraph)) {
-          chapterCount++;
-          
-          // Add page break before chapters (except the first one)
-          if (chapterCount > 1) {
-            children.push(new docx.Paragraph({ pageBreakBefore: true }));
-          }
-          
-          // Add chapter heading with proper formatting
-          children.push(
-            new docx.Paragraph({
-              text: paragraph,
-              heading: docx.HeadingLevel.HEADING_1,
-              alignment: docx.AlignmentType.CENTER,
-              spacing: { before: 240, after: 120 }
-            })
-          );
-        } else {
-          // Regular paragraph with first line indent
-          children.push(
-            new docx.Paragraph({
-              text: paragraph,
-              indent: { firstLine: 720 }, // 0.5 inch
-              spacing: { line: 480 } // Double spacing
-            })
-          );
-        }
-      });
-
-      // Create document with minimal options
-      const doc = new docx.Document({
-        sections: [
-          {
-            properties: {
-              page: {
-                margin: {
-                  top: 1440, // 1 inch (1440 twips)
-                  right: 1440, 
-                  bottom: 1440,
-                  left: 1440
-                }
-              }
-            },
-            children: children
-          }
-        ]
-      });
+      // Build the document (see manuscript-docx.js)
+      const { buffer, chapterCount, paragraphCount } = await manuscriptDocx.createManuscriptDocx(textContent);
       
       // Save the document
-      const buffer = await docx.Packer.toBuffer(doc);
       await fs.promises.writeFile(outputPath, buffer);
       
       return {
@@ -1538,7 +2308,7 @@ function setupIPCHandlers() {
         outputPath: outputPath,
         outputFilename: outputFilename,
         chapterCount: chapterCount,
-        paragraphCount: paragraphs.length
+        paragraphCount: paragraphCount
       };
     } catch (error) {
       console.error('Error converting TXT to DOCX:', error);
@@ -1550,7 +2320,7 @@ function setupIPCHandlers() {
   });
 
   // Get output files for a tool run
-  ipcMain.handle('get-tool-output-files', (event, toolId) => {
+  ipcMain.handle('get-tool-output-files', async (event, toolId) => {
     try {
       // For simplicity, if toolId is a runId, we just use the tool name part
       // This assumes runIds are in the format toolName-uuid
@@ -1559,13 +2329,41 @@ function setupIPCHandlers() {
       // Get files from the cache
       const fileCache = require('./file-cache');
       const files = fileCache.getFiles(toolName);
+      if (files.length > 0 || !appState.CURRENT_PROJECT_PATH) {
+        return files;
+      }
       
-      return files;
+      // The cache is empty after a restart; fall back to the tool's last successful run in the run log
+      const runs = await runLog.getRuns(appState.CURRENT_PROJECT_PATH);
+      const lastRun = runs.find(run => run.tool === toolName && run.status === 'success');
+      return lastRun ? lastRun.outputFiles.filter(filePath => fs.existsSync(filePath)).map(filePath => ({
+        path: filePath,
+        name: path.basename(filePath)
+      })) : [];
     } catch (error) {
       console.error('Error getting tool output files:', error);
       return [];
     }
   });
+
+  // Get a manuscript's chapters, for the 'chapter' option type
+  ipcMain.handle('get-manuscript-chapters', async (event, filePath) => {
+    try {
+      const resolvedPath = path.isAbsolute(filePath) ? filePath : path.join(appState.CURRENT_PROJECT_PATH || '', filePath);
+      const text = await fs.promises.readFile(resolvedPath, 'utf8');
+      // Chapters are chosen by their position, since heading numbers can repeat (chunked-analysis.js)
+      const chapters = [];
+      parseChapters(text).forEach((chapter, index) => {
+        if (chapter.heading) {
+          chapters.push({ index, label: describeChapter(chapter) });
+        }
+      });
+      return { success: true, chapters };
+    } catch (error) {
+      console.error('Error reading manuscript chapters:', error);
+      return { success: false, message: error.message, chapters: [] };
+    }
+  });
 }
 
 // Quit when all windows are closed
@@ -1587,6 +2385,7 @@ app.on('activate', () => {
 
 app.on('before-quit', async (event) => {
   console.log('Application is quitting, cleaning up resources...');
+  stopAllToolRuns();
   // Close any active Claude API clients
   for (const toolId of toolSystem.toolRegistry.getAllToolIds()) {
     const tool = toolSystem.toolRegistry.getTool(toolId);
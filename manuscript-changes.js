@@ -0,0 +1,213 @@
+// manuscript-changes.js
+// Applies accepted findings (see findings.js) to the manuscript, for the
+// findings review window. The manuscript is backed up before every batch
+// of changes, to <project>/.storygrinder/backups/, and each change is
+// recorded in <project>/.storygrinder/manuscript-changes.jsonl.
+const fs = require('fs/promises');
+const path = require('path');
+const findingsUtils = require('./findings');
+const quoteVerifier = require('./quote-verifier');
+const { locateOffset } = require('./manuscript-chapters');
+const { getProjectDataDir, appendProjectJsonl, readProjectJsonl } = require('./project-data');
+
+const CHANGE_LOG_FILE = 'manuscript-changes.jsonl';
+
+// Characters of context shown on each side of a quote, within its paragraph
+const CONTEXT_CHARS = 400;
+
+/**
+ * Get the manuscript a findings file is about
+ * @param {Object} data - From findingsUtils.readFindingsFile()
+ * @param {string} findingsPath - Path to the findings file
+ * @returns {string} - Absolute manuscript path
+ */
+function getManuscriptPath(data, findingsPath) {
+  if (data.manuscript) {
+    return path.isAbsolute(data.manuscript)
+      ? data.manuscript
+      : path.join(path.dirname(findingsPath), data.manuscript);
+  }
+  return path.join(path.dirname(findingsPath), 'manuscript.txt');
+}
+
+/**
+ * The text a finding would put in place of its quote
+ * @param {Object} finding - A finding
+ * @returns {string|null} - null when there is nothing to apply
+ */
+function getReplacement(finding) {
+  if (typeof finding.replacement === 'string') {
+    return finding.replacement;
+  }
+  return finding.suggestion ? finding.suggestion : null;
+}
+
+// The quote's paragraph, split around the quote, trimmed to CONTEXT_CHARS each side
+function getContext(index, location) {
+  const { chapter, paragraph: paragraphNumber } = locateOffset(index.chapters, location.start);
+  const paragraph = chapter && paragraphNumber ? chapter.paragraphs[paragraphNumber - 1] : null;
+  const paragraphStart = paragraph ? Math.min(paragraph.start, location.start) : location.start;
+  const paragraphEnd = paragraph ? Math.max(paragraph.end, location.end) : location.end;
+  const beforeStart = Math.max(paragraphStart, location.start - CONTEXT_CHARS);
+  const afterEnd = Math.min(paragraphEnd, location.end + CONTEXT_CHARS);
+
+  return {
+    before: (beforeStart > paragraphStart ? '...' : '') + index.text.slice(beforeStart, location.start),
+    match: index.text.slice(location.start, location.end),
+    after: index.text.slice(location.end, afterEnd) + (afterEnd < paragraphEnd ? '...' : '')
+  };
+}
+
+/**
+ * Load a findings file for review, with each quote located in the
+ * manuscript as it is now (earlier changes may have moved or removed it)
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @returns {Promise<Object>} - The findings file's data plus manuscriptPath,
+ *   and for each finding: location (current) and context ({before, match, after}, or null)
+ */
+async function loadReview(findingsPath) {
+  const data = await findingsUtils.readFindingsFile(findingsPath);
+  const manuscriptPath = getManuscriptPath(data, findingsPath);
+  const manuscript = await fs.readFile(manuscriptPath, 'utf8');
+  const index = quoteVerifier.indexManuscript(manuscript);
+
+  const findings = data.findings.map(finding => {
+    const location = quoteVerifier.locateFinding(index, finding);
+    const found = location.status === 'exact' || location.status === 'close';
+    return {
+      ...finding,
+      location,
+      context: found ? getContext(index, location) : null
+    };
+  });
+
+  return { ...data, findingsPath, manuscriptPath, findings };
+}
+
+/**
+ * Apply every accepted finding to the manuscript
+ * Quotes are located again in the current text; findings whose quote
+ * can't be found, differs from the manuscript (a 'close' match: the
+ * suggestion was written against words the manuscript doesn't have), was
+ * only partly matched, appears more than once (in the finding's reported
+ * chapter, or anywhere if it isn't there), or overlaps another change are
+ * skipped and stay accepted. Applied findings are marked 'applied'.
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @param {string} projectPath - Project directory, for the backup and change log
+ * @returns {Promise<{applied: string[], skipped: Array<{id, reason}>, backupPath: string|null, manuscriptPath: string}>}
+ */
+async function applyAcceptedFindings(findingsPath, projectPath) {
+  const data = await findingsUtils.readFindingsFile(findingsPath);
+  const manuscriptPath = getManuscriptPath(data, findingsPath);
+  const manuscript = await fs.readFile(manuscriptPath, 'utf8');
+  const index = quoteVerifier.indexManuscript(manuscript);
+
+  const skipped = [];
+  const changes = [];
+
+  data.findings
+    .filter(finding => finding.status === 'accepted')
+    .forEach(finding => {
+      const replacement = getReplacement(finding);
+      if (replacement === null) {
+        skipped.push({ id: finding.id, reason: 'no replacement text' });
+        return;
+      }
+      const location = quoteVerifier.locateFinding(index, finding);
+      if (location.status !== 'exact' && location.status !== 'close') {
+        skipped.push({ id: finding.id, reason: 'quote not found in the manuscript' });
+        return;
+      }
+      if (location.status === 'close') {
+        skipped.push({
+          id: finding.id,
+          reason: `quote differs from the manuscript (${Math.round(location.similarity * 100)}% match); make this change by hand`
+        });
+        return;
+      }
+      if (location.partial) {
+        skipped.push({ id: finding.id, reason: 'quote has an ellipsis, so only part of it was located' });
+        return;
+      }
+      if (location.occurrences > 1) {
+        skipped.push({ id: finding.id, reason: 'quote appears more than once' });
+        return;
+      }
+      changes.push({ finding, replacement, location });
+    });
+
+  // Apply from the end of the manuscript backwards so earlier offsets stay valid
+  changes.sort((a, b) => b.location.start - a.location.start);
+  const applicable = [];
+  let limit = Infinity;
+  changes.forEach(change => {
+    if (change.location.end > limit) {
+      skipped.push({ id: change.finding.id, reason: 'overlaps another accepted change' });
+      return;
+    }
+    applicable.push(change);
+    limit = change.location.start;
+  });
+
+  if (applicable.length === 0) {
+    return { applied: [], skipped, backupPath: null, manuscriptPath };
+  }
+
+  // Back up the manuscript before changing it
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+  const backupDir = path.join(getProjectDataDir(projectPath), 'backups');
+  await fs.mkdir(backupDir, { recursive: true });
+  const backupPath = path.join(backupDir, `${path.basename(manuscriptPath, path.extname(manuscriptPath))}_${timestamp}${path.extname(manuscriptPath)}`);
+  await fs.writeFile(backupPath, manuscript, 'utf8');
+
+  let updated = manuscript;
+  applicable.forEach(change => {
+    updated = updated.slice(0, change.location.start) + change.replacement + updated.slice(change.location.end);
+  });
+  await fs.writeFile(manuscriptPath, updated, 'utf8');
+
+  const appliedAt = new Date().toISOString();
+  for (const change of applicable.slice().reverse()) {
+    await appendProjectJsonl(projectPath, CHANGE_LOG_FILE, {
+      timestamp: appliedAt,
+      manuscript: manuscriptPath,
+      backup: backupPath,
+      tool: data.tool,
+      findingsFile: path.basename(findingsPath),
+      findingId: change.finding.id,
+      category: change.finding.category,
+      chapter: change.location.chapterTitle,
+      paragraph: change.location.paragraph,
+      original: change.location.matchedText,
+      replacement: change.replacement
+    });
+    const finding = data.findings.find(existing => existing.id === change.finding.id);
+    finding.status = 'applied';
+    finding.appliedAt = appliedAt;
+  }
+  await findingsUtils.writeFindingsFile(findingsPath, data);
+
+  return {
+    applied: applicable.map(change => change.finding.id),
+    skipped,
+    backupPath,
+    manuscriptPath
+  };
+}
+
+/**
+ * Read the project's log of changes applied from findings
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Array<Object>>}
+ */
+async function getChangeLog(projectPath) {
+  return readProjectJsonl(projectPath, CHANGE_LOG_FILE);
+}
+
+module.exports = {
+  getManuscriptPath,
+  getReplacement,
+  loadReview,
+  applyAcceptedFindings,
+  getChangeLog
+};
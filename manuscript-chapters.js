@@ -0,0 +1,206 @@
+// manuscript-chapters.js
+// Finds the chapters and paragraphs of a manuscript, with character
+// offsets, so a position in manuscript.txt can be named as
+// "Chapter 3, paragraph 12".
+
+// Same headings chapter-writer.js writes and reads: "Chapter 7: Title",
+// plus "Chapter Seven", "Chapter Twenty-One", "CHAPTER XXII." and similar
+const CHAPTER_HEADING_REGEX = /^[ \t]*chapter[ \t]+([0-9]+|[a-z-]+)\b([ \t]*[:.\-–—])?[ \t]*(.*)$/gim;
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen',
+  'nineteen'
+];
+
+const TENS_WORDS = ['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const ROMAN_NUMERAL_REGEX = /^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/;
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+// Longest line that counts as a heading when its number isn't recognized
+const MAX_UNNUMBERED_HEADING_LENGTH = 80;
+
+// "7", "Seven", "Twenty-One" or "XXII"; null if it isn't a number
+function parseChapterNumber(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  const word = value.toLowerCase();
+  if (NUMBER_WORDS.includes(word)) {
+    return NUMBER_WORDS.indexOf(word);
+  }
+  const [tens, units, ...rest] = word.split('-');
+  const tensIndex = TENS_WORDS.indexOf(tens);
+  if (tensIndex !== -1 && rest.length === 0) {
+    const unitsIndex = units === undefined ? 0 : NUMBER_WORDS.indexOf(units);
+    if (unitsIndex >= 0 && unitsIndex <= 9 && (units === undefined || unitsIndex > 0)) {
+      return (tensIndex + 2) * 10 + unitsIndex;
+    }
+  }
+
+  if (ROMAN_NUMERAL_REGEX.test(word)) {
+    let number = 0;
+    for (let i = 0; i < word.length; i++) {
+      const digit = ROMAN_VALUES[word[i]];
+      number += i + 1 < word.length && digit < ROMAN_VALUES[word[i + 1]] ? -digit : digit;
+    }
+    return number;
+  }
+  return null;
+}
+
+/**
+ * Split a span of text into paragraphs (separated by blank lines; by single
+ * newlines when the text has no blank lines at all)
+ * @param {string} text - Whole manuscript
+ * @param {number} start - Offset where the span starts
+ * @param {number} end - Offset where the span ends
+ * @param {boolean} blankLineParagraphs - Whether paragraphs are separated by blank lines
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findParagraphs(text, start, end, blankLineParagraphs) {
+  const paragraphs = [];
+  const separator = blankLineParagraphs ? /\n[ \t]*\n\s*/g : /\n\s*/g;
+  const span = text.slice(start, end);
+  let paragraphStart = 0;
+  let match;
+
+  const addParagraph = (from, to) => {
+    const raw = span.slice(from, to);
+    const trimmedStart = from + (raw.length - raw.trimStart().length);
+    const trimmedEnd = to - (raw.length - raw.trimEnd().length);
+    if (trimmedEnd > trimmedStart) {
+      paragraphs.push({ start: start + trimmedStart, end: start + trimmedEnd });
+    }
+  };
+
+  while ((match = separator.exec(span)) !== null) {
+    addParagraph(paragraphStart, match.index);
+    paragraphStart = match.index + match[0].length;
+  }
+  addParagraph(paragraphStart, span.length);
+
+  return paragraphs;
+}
+
+/**
+ * Find the chapters of a manuscript
+ * Text before the first heading (or the whole manuscript, when it has no
+ * chapter headings) is returned as a chapter with number null and no
+ * heading. A heading whose number isn't recognized ("Chapter Something")
+ * still starts a chapter, with number null.
+ * @param {string} text - Manuscript text
+ * @returns {Array<Object>} - [{number, title, heading, start, end, frontMatter, paragraphs: [{start, end}]}];
+ *   start/end are character offsets, and the heading is not one of the paragraphs
+ */
+function parseChapters(text) {
+  const blankLineParagraphs = /\n[ \t]*\n/.test(text);
+  const headings = [];
+  let match;
+
+  CHAPTER_HEADING_REGEX.lastIndex = 0;
+  while ((match = CHAPTER_HEADING_REGEX.exec(text)) !== null) {
+    const number = parseChapterNumber(match[1]);
+    // "Chapter Something: Title" still starts a chapter, but not "Chapter after chapter, ..."
+    if (number === null && ((!match[2] && match[3].trim()) || match[0].trim().length > MAX_UNNUMBERED_HEADING_LENGTH)) {
+      continue;
+    }
+    headings.push({
+      number,
+      title: match[3].trim(),
+      heading: match[0].trim(),
+      headingStart: match.index,
+      bodyStart: match.index + match[0].length
+    });
+  }
+
+  const chapters = [];
+  const addChapter = (chapter, bodyStart, end) => {
+    const paragraphs = findParagraphs(text, bodyStart, end, blankLineParagraphs);
+    if (chapter.heading || paragraphs.length > 0) {
+      chapters.push({ ...chapter, end, paragraphs });
+    }
+  };
+
+  const firstHeadingStart = headings.length > 0 ? headings[0].headingStart : text.length;
+  addChapter({ number: null, title: '', heading: '', start: 0, frontMatter: headings.length > 0 }, 0, firstHeadingStart);
+
+  headings.forEach((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].headingStart : text.length;
+    addChapter({
+      number: heading.number,
+      title: heading.title,
+      heading: heading.heading,
+      start: heading.headingStart,
+      frontMatter: false
+    }, heading.bodyStart, end);
+  });
+
+  return chapters;
+}
+
+/**
+ * Find the chapter and paragraph that contain a character offset
+ * @param {Array<Object>} chapters - From parseChapters()
+ * @param {number} offset - Character offset in the manuscript
+ * @returns {{chapter: Object|null, paragraph: number|null}} - paragraph is 1-based within the chapter
+ */
+function locateOffset(chapters, offset) {
+  const chapter = chapters.find(candidate => offset >= candidate.start && offset < candidate.end)
+    || chapters[chapters.length - 1]
+    || null;
+  if (!chapter) {
+    return { chapter: null, paragraph: null };
+  }
+
+  const index = chapter.paragraphs.findIndex(paragraph => offset < paragraph.end);
+  return {
+    chapter,
+    paragraph: index === -1 ? chapter.paragraphs.length || null : index + 1
+  };
+}
+
+/**
+ * Whether a chapter is the one a report names, e.g. "Chapter 3",
+ * "Chapter Three: The Storm", "III" or "3"
+ * @param {Object|null} chapter - From parseChapters()
+ * @param {string} reference - Chapter as a report gives it
+ * @returns {boolean}
+ */
+function isChapterReference(chapter, reference) {
+  const value = String(reference || '').trim();
+  if (!chapter || !value) {
+    return false;
+  }
+  const match = value.match(/^(?:chapter[ \t]+)?([0-9]+|[a-z-]+)\b/i);
+  const number = match ? parseChapterNumber(match[1]) : null;
+  if (number !== null) {
+    return chapter.number === number;
+  }
+  return Boolean(chapter.heading) && value.toLowerCase().startsWith(chapter.heading.toLowerCase());
+}
+
+/**
+ * Describe a chapter for reports, e.g. "Chapter 3: The Storm"
+ * @param {Object|null} chapter - From parseChapters()
+ * @returns {string}
+ */
+function describeChapter(chapter) {
+  if (chapter && chapter.number === null && chapter.heading) {
+    return chapter.heading;
+  }
+  if (!chapter || chapter.number === null) {
+    return chapter && chapter.frontMatter ? 'Before the first chapter' : 'Manuscript';
+  }
+  return chapter.title ? `Chapter ${chapter.number}: ${chapter.title}` : `Chapter ${chapter.number}`;
+}
+
+module.exports = {
+  parseChapters,
+  locateOffset,
+  isChapterReference,
+  describeChapter
+};
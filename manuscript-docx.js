@@ -0,0 +1,211 @@
+// manuscript-docx.js
+// Builds a Word document from a plain-text manuscript: chapter headings on
+// new pages, double-spaced paragraphs with a first-line indent, and
+// optionally Word comments anchored to passages of the text (used to send
+// tool findings to editors who work in Word's review pane).
+
+/**
+ * Check if a paragraph looks like a chapter heading
+ * @param {string} text - Paragraph text
+ * @returns {boolean}
+ */
+function isChapterTitle(text) {
+  // Common chapter title patterns
+  return /^chapter\s+\d+/i.test(text) || // "Chapter X"
+         /^chapter\s+[ivxlcdm]+/i.test(text) || // "Chapter IV"
+         /^\d+[\.:]\s+/i.test(text); // "1: " or "1. "
+}
+
+/**
+ * Split a manuscript into paragraphs (separated by empty lines)
+ * @param {string} text - Manuscript text
+ * @returns {Array<{text: string, start: number, end: number}>} - Trimmed
+ *   paragraphs, with their character offsets into text
+ */
+function splitParagraphs(text) {
+  const paragraphs = [];
+  const separator = /\n\s*\n/g;
+  let blockStart = 0;
+
+  const addBlock = (blockEnd) => {
+    const block = text.slice(blockStart, blockEnd);
+    const trimmed = block.trim();
+    if (trimmed) {
+      const start = blockStart + block.indexOf(trimmed);
+      paragraphs.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+  };
+
+  let match;
+  while ((match = separator.exec(text)) !== null) {
+    addBlock(match.index);
+    blockStart = match.index + match[0].length;
+  }
+  addBlock(text.length);
+
+  return paragraphs;
+}
+
+// Place each comment's start and end in a paragraph. A passage that starts
+// or ends in the blank lines between paragraphs is pulled in to the nearest text.
+function placeComments(paragraphs, comments) {
+  const placements = paragraphs.map(() => []);
+
+  comments.forEach((comment, id) => {
+    let startParagraph = paragraphs.findIndex(paragraph => comment.end > paragraph.start && comment.start < paragraph.end);
+    if (startParagraph === -1) {
+      return;
+    }
+    let endParagraph = startParagraph;
+    while (endParagraph + 1 < paragraphs.length && paragraphs[endParagraph + 1].start < comment.end) {
+      endParagraph++;
+    }
+
+    const start = Math.max(comment.start, paragraphs[startParagraph].start);
+    const end = Math.min(comment.end, paragraphs[endParagraph].end);
+    placements[startParagraph].push({ offset: start, type: 'start', id });
+    placements[endParagraph].push({ offset: end, type: 'end', id });
+  });
+
+  return placements;
+}
+
+// The runs of one paragraph, with comment ranges and references at their offsets
+function buildRuns(docx, paragraph, markers) {
+  const children = [];
+  let position = paragraph.start;
+
+  // Ends before starts at the same offset, so adjoining passages don't overlap
+  markers
+    .slice()
+    .sort((a, b) => a.offset - b.offset || (a.type === b.type ? 0 : (a.type === 'end' ? -1 : 1)))
+    .forEach(marker => {
+      if (marker.offset > position) {
+        children.push(new docx.TextRun(paragraph.text.slice(position - paragraph.start, marker.offset - paragraph.start)));
+        position = marker.offset;
+      }
+      if (marker.type === 'start') {
+        children.push(new docx.CommentRangeStart(marker.id));
+      } else {
+        children.push(new docx.CommentRangeEnd(marker.id));
+        children.push(new docx.TextRun({ children: [new docx.CommentReference(marker.id)] }));
+      }
+    });
+
+  if (position < paragraph.end) {
+    children.push(new docx.TextRun(paragraph.text.slice(position - paragraph.start)));
+  }
+  return children;
+}
+
+/**
+ * Create a Word document from a manuscript
+ * @param {string} text - Manuscript text
+ * @param {Array<Object>} [comments] - Word comments, each {start, end (character
+ *   offsets into text), author, initials, date, paragraphs (array of strings)}
+ * @returns {{document: Object, chapterCount: number, paragraphCount: number, commentCount: number}}
+ */
+function createManuscriptDocument(text, comments = []) {
+  // Import docx library
+  const docx = require('docx');
+
+  const paragraphs = splitParagraphs(text);
+  const placements = placeComments(paragraphs, comments);
+
+  // Create array of document content
+  const children = [];
+  let chapterCount = 0;
+
+  paragraphs.forEach((paragraph, index) => {
+    const runs = buildRuns(docx, paragraph, placements[index]);
+
+    // Test if it's a chapter title
+    if (isChapterTitle(paragraph.text)) {
+      chapterCount++;
+
+      // Add page break before chapters (except the first one)
+      if (chapterCount > 1) {
+        children.push(new docx.Paragraph({ pageBreakBefore: true }));
+      }
+
+      // Add chapter heading with proper formatting
+      children.push(
+        new docx.Paragraph({
+          children: runs,
+          heading: docx.HeadingLevel.HEADING_1,
+          alignment: docx.AlignmentType.CENTER,
+          spacing: { before: 240, after: 120 }
+        })
+      );
+    } else {
+      // Regular paragraph with first line indent
+      children.push(
+        new docx.Paragraph({
+          children: runs,
+          indent: { firstLine: 720 }, // 0.5 inch
+          spacing: { line: 480 } // Double spacing
+        })
+      );
+    }
+  });
+
+  const placed = new Set();
+  placements.forEach(markers => markers.forEach(marker => placed.add(marker.id)));
+
+  const document = new docx.Document({
+    comments: {
+      children: comments
+        .map((comment, id) => ({ comment, id }))
+        .filter(({ id }) => placed.has(id))
+        .map(({ comment, id }) => ({
+          id,
+          author: comment.author,
+          initials: comment.initials,
+          date: comment.date || new Date(),
+          children: comment.paragraphs.map(line => new docx.Paragraph({ children: [new docx.TextRun(line)] }))
+        }))
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: {
+              top: 1440, // 1 inch (1440 twips)
+              right: 1440,
+              bottom: 1440,
+              left: 1440
+            }
+          }
+        },
+        children: children
+      }
+    ]
+  });
+
+  return {
+    document,
+    chapterCount,
+    paragraphCount: paragraphs.length,
+    commentCount: placed.size
+  };
+}
+
+/**
+ * Create a Word document from a manuscript, as the bytes of a .docx file
+ * @param {string} text - Manuscript text
+ * @param {Array<Object>} [comments] - See createManuscriptDocument()
+ * @returns {Promise<{buffer: Buffer, chapterCount: number, paragraphCount: number, commentCount: number}>}
+ */
+async function createManuscriptDocx(text, comments = []) {
+  const docx = require('docx');
+  const { document, ...counts } = createManuscriptDocument(text, comments);
+  const buffer = await docx.Packer.toBuffer(document);
+  return { buffer, ...counts };
+}
+
+module.exports = {
+  isChapterTitle,
+  splitParagraphs,
+  createManuscriptDocument,
+  createManuscriptDocx
+};
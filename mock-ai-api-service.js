@@ -0,0 +1,223 @@
+// mock-ai-api-service.js
+const fs = require('fs/promises');
+const path = require('path');
+const { hashText } = require('./hash-utils');
+
+/**
+ * Mock AI API Service
+ * Same interface as AiApiService (client.js), but replays canned responses
+ * from fixture files instead of calling an AI API, so tools can be run
+ * (e.g. by tool-harness.js) without an API key or any API credits.
+ *
+ * Responses are looked up in the fixtures directory as:
+ *   <fixturesDir>/<toolName>/<promptHash>.txt  - response for one exact prompt
+ *   <fixturesDir>/<toolName>/default.txt       - any other prompt for that tool
+ * Structured (JSON) responses use the same names with a .json extension,
+ * where promptHash is hashText(prompt) from hash-utils.js.
+ *
+ * Streamed requests can also be scripted (queueAttempts), to play out
+ * failures the fixtures can't: errors, cut-off responses, a Stop mid-stream.
+ */
+class MockAiApiService {
+  constructor(config = {}) {
+    // Store the configuration with defaults
+    this.config = {
+      model_name: 'mock-model',
+      fixtures_dir: process.env.MOCK_AI_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'responses'),
+      // Number of onText calls per response, to exercise streaming code
+      chunk_count: 4,
+      ...config
+    };
+
+    this.aiApiCache = null;
+
+    // Every request made, so callers can check what the tools sent
+    this.calls = [];
+
+    // Scripted streamed requests still to play, see queueAttempts()
+    this.attempts = [];
+  }
+
+  /**
+   * Script the next streamed requests, one attempt per request
+   * @param {Array<Object>} attempts - Each {text, finishReason, error, onChunk}, all optional:
+   *   text is streamed instead of the fixture, finishReason is reported when it
+   *   ends (default 'STOP'), error is thrown after the text is streamed, and
+   *   onChunk(index) is called before each piece of the text is sent
+   */
+  queueAttempts(attempts) {
+    this.attempts.push(...attempts);
+  }
+
+  async verifyAiAPI() {
+    return true;
+  }
+
+  /**
+   * Pretend to upload and cache the manuscript
+   * @param {string} manuscriptFile - Path to the manuscript file
+   * @returns {Promise<Object>} - Returns {cache, messages, errors}
+   */
+  async prepareFileAndCache(manuscriptFile) {
+    const displayName = path.resolve(manuscriptFile);
+    const manuscript = await fs.readFile(manuscriptFile, 'utf8');
+
+    this.aiApiCache = {
+      name: `mock-cache:${hashText(manuscript)}`,
+      displayName,
+      model: this.config.model_name
+    };
+
+    return {
+      cache: this.aiApiCache,
+      messages: [`Mock AI: using cache ${this.aiApiCache.name} for ${displayName}`],
+      errors: []
+    };
+  }
+
+  async clearFilesAndCaches() {
+    this.aiApiCache = null;
+  }
+
+  /**
+   * Find the fixture file for a tool's prompt
+   * @param {string} toolName - Tool that sent the prompt
+   * @param {string} promptHash - hashText(prompt)
+   * @param {string} [extension='txt'] - 'txt' for streamed text, 'json' for structured responses
+   * @returns {Promise<string>} - Fixture path
+   */
+  async findFixture(toolName, promptHash, extension = 'txt') {
+    const toolDir = path.join(this.config.fixtures_dir, toolName || 'unknown_tool');
+    const candidates = [
+      path.join(toolDir, `${promptHash}.${extension}`),
+      path.join(toolDir, `default.${extension}`)
+    ];
+
+    for (const candidate of candidates) {
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // try the next one
+      }
+    }
+
+    throw new Error(`No mock response for ${toolName}: create ${candidates[0]} (this prompt only) or ${candidates[1]}`);
+  }
+
+  /**
+   * Replay a fixture as a streamed response
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for response text
+   * @param {boolean} [noCache=false] - Whether to skip using cached content
+   * @param {boolean} [includeMetaData=true] - Whether to append response metadata
+   * @param {object} [options={}] - toolName (set by ToolBase), includeThinking, signal, onFinish
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
+    const promptHash = hashText(prompt);
+    const attempt = this.attempts.shift() || {};
+    const fixturePath = attempt.text === undefined ? await this.findFixture(options.toolName, promptHash) : null;
+    const response = fixturePath ? await fs.readFile(fixturePath, 'utf8') : attempt.text;
+
+    this.calls.push({
+      toolName: options.toolName || null,
+      prompt,
+      promptHash,
+      fixture: fixturePath,
+      usedCache: !!(this.aiApiCache && !noCache)
+    });
+
+    // Split into a fixed number of pieces so every run streams identically
+    const chunkSize = Math.max(1, Math.ceil(response.length / this.config.chunk_count));
+    for (let start = 0, index = 0; start < response.length; start += chunkSize, index++) {
+      if (attempt.onChunk) {
+        attempt.onChunk(index);
+      }
+      if (options.signal && options.signal.aborted) {
+        const abortError = new Error('Request cancelled');
+        abortError.name = 'AbortError';
+        throw abortError;
+      }
+      onText(response.slice(start, start + chunkSize));
+    }
+
+    if (attempt.error) {
+      throw attempt.error;
+    }
+
+    const metadata = {
+      finishReason: attempt.finishReason || 'STOP',
+      modelVersion: this.config.model_name,
+      usageMetadata: {
+        promptTokenCount: await this.countTokens(prompt),
+        candidatesTokenCount: await this.countTokens(response)
+      }
+    };
+
+    if (options.onFinish) {
+      options.onFinish(metadata);
+    }
+
+    const doMetaData = includeMetaData !== undefined ? includeMetaData : true;
+
+    if (doMetaData) {
+      onText('\n\n--- RESPONSE METADATA ---\n' + JSON.stringify(metadata, null, 2));
+    }
+  }
+
+  /**
+   * Replay a JSON fixture as a structured response
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} schema - JSON schema of the response (not checked)
+   * @param {object} [options={}] - toolName (set by ToolBase), noCache, signal
+   * @returns {Promise<{data: Object, metadata: Object}>}
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const promptHash = hashText(prompt);
+    const fixturePath = await this.findFixture(options.toolName, promptHash, 'json');
+    const response = await fs.readFile(fixturePath, 'utf8');
+
+    this.calls.push({
+      toolName: options.toolName || null,
+      prompt,
+      promptHash,
+      fixture: fixturePath,
+      usedCache: !!(this.aiApiCache && !options.noCache),
+      structured: true
+    });
+
+    if (options.signal && options.signal.aborted) {
+      const abortError = new Error('Request cancelled');
+      abortError.name = 'AbortError';
+      throw abortError;
+    }
+
+    return {
+      data: JSON.parse(response),
+      metadata: {
+        finishReason: 'STOP',
+        modelVersion: this.config.model_name,
+        usageMetadata: {
+          promptTokenCount: await this.countTokens(prompt),
+          candidatesTokenCount: await this.countTokens(response)
+        }
+      }
+    };
+  }
+
+  /**
+   * Deterministic token estimate
+   * @param {string} text - Text to count tokens in
+   * @returns {Promise<number>}
+   */
+  async countTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async countTokensDetailed(text) {
+    return { tokens: await this.countTokens(text), estimated: true };
+  }
+}
+
+module.exports = MockAiApiService;
@@ -0,0 +1,107 @@
+// model-catalog.js
+// Context window and output limits of the models the app can use, for the
+// pre-flight budget check in ToolBase.execute, and their prices, for the
+// usage ledger. Matched by model name prefix, so dated releases
+// (e.g. gemini-2.5-pro-preview-05-06) find their family.
+
+const MODEL_LIMITS = [
+  // Gemini: output limit includes thinking tokens
+  { prefix: 'gemini-2.5-pro', contextWindow: 1048576, maxOutputTokens: 65536 },
+  { prefix: 'gemini-2.5-flash', contextWindow: 1048576, maxOutputTokens: 65536 },
+  { prefix: 'gemini-2.0-flash', contextWindow: 1048576, maxOutputTokens: 8192 },
+  { prefix: 'gemini-1.5-pro', contextWindow: 2097152, maxOutputTokens: 8192 },
+  { prefix: 'gemini-1.5-flash', contextWindow: 1048576, maxOutputTokens: 8192 },
+  // Claude: a request whose prompt plus max_tokens exceeds the context window is rejected
+  { prefix: 'claude-opus-4', contextWindow: 200000, maxOutputTokens: 32000, outputCountsAgainstContext: true },
+  { prefix: 'claude-sonnet-4', contextWindow: 200000, maxOutputTokens: 64000, outputCountsAgainstContext: true },
+  { prefix: 'claude-3-7-sonnet', contextWindow: 200000, maxOutputTokens: 64000, outputCountsAgainstContext: true },
+  { prefix: 'claude-3-5-haiku', contextWindow: 200000, maxOutputTokens: 8192, outputCountsAgainstContext: true },
+  // Mock provider used by tool-harness.js
+  { prefix: 'mock-model', contextWindow: 1048576, maxOutputTokens: 65536 }
+];
+
+/**
+ * Look up a model's limits
+ * A service config with context_window (and max_output_tokens) wins over
+ * the catalog, e.g. for local models whose limits depend on how they were started.
+ * @param {string} modelName - e.g. 'gemini-2.5-pro-preview-05-06'
+ * @param {object} [serviceConfig={}] - The API service's config
+ * @returns {{contextWindow: number, maxOutputTokens: number|null, outputCountsAgainstContext: boolean}|null} - null
+ *   if unknown; outputCountsAgainstContext is true when the provider rejects a request whose
+ *   prompt plus response limit doesn't fit in the context window
+ */
+function getModelLimits(modelName, serviceConfig = {}) {
+  if (serviceConfig.context_window) {
+    return {
+      contextWindow: Number(serviceConfig.context_window),
+      maxOutputTokens: serviceConfig.max_output_tokens ? Number(serviceConfig.max_output_tokens) : null,
+      outputCountsAgainstContext: false
+    };
+  }
+
+  const name = (modelName || '').replace(/^models\//, '');
+  const entry = MODEL_LIMITS.find(limits => name.startsWith(limits.prefix));
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    contextWindow: entry.contextWindow,
+    // A configured max_output_tokens caps the output below the model's limit
+    maxOutputTokens: serviceConfig.max_output_tokens
+      ? Math.min(serviceConfig.max_output_tokens, entry.maxOutputTokens)
+      : entry.maxOutputTokens,
+    outputCountsAgainstContext: !!entry.outputCountsAgainstContext
+  };
+}
+
+// Estimated prices in US dollars per million tokens, matched by prefix like MODEL_LIMITS.
+// cachedInput is the price of prompt tokens read from a cache; Gemini Pro
+// charges more for prompts over longContextThreshold tokens.
+// Check the providers' pricing pages; any entry can be overridden with the
+// 'model_prices' setting, e.g. { "gemini-2.5-pro": { "input": 1.25, ... } }
+const MODEL_PRICES = [
+  {
+    prefix: 'gemini-2.5-pro',
+    input: 1.25, cachedInput: 0.31, output: 10.00,
+    longContextThreshold: 200000,
+    longContext: { input: 2.50, cachedInput: 0.625, output: 15.00 }
+  },
+  { prefix: 'gemini-2.5-flash', input: 0.30, cachedInput: 0.075, output: 2.50 },
+  { prefix: 'gemini-2.0-flash', input: 0.10, cachedInput: 0.025, output: 0.40 },
+  { prefix: 'claude-opus-4', input: 15.00, cachedInput: 1.50, output: 75.00 },
+  { prefix: 'claude-sonnet-4', input: 3.00, cachedInput: 0.30, output: 15.00 },
+  { prefix: 'claude-3-7-sonnet', input: 3.00, cachedInput: 0.30, output: 15.00 },
+  { prefix: 'claude-3-5-haiku', input: 0.80, cachedInput: 0.08, output: 4.00 },
+  { prefix: 'mock-model', input: 0, cachedInput: 0, output: 0 }
+];
+
+/**
+ * Look up a model's prices, with any saved overrides applied
+ * @param {string} modelName - e.g. 'claude-sonnet-4-20250514'
+ * @param {Object} [overrides={}] - Saved 'model_prices' setting, keyed by prefix
+ * @returns {Object|null} - {input, cachedInput, output, ...} in $ per million tokens, or null if unknown
+ */
+function getModelPrices(modelName, overrides = {}) {
+  const name = (modelName || '').replace(/^models\//, '');
+
+  const overridePrefix = Object.keys(overrides)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  const entry = MODEL_PRICES.find(prices => name.startsWith(prices.prefix));
+
+  if (!overridePrefix && !entry) {
+    return null;
+  }
+  return {
+    ...(entry || {}),
+    ...(overridePrefix ? overrides[overridePrefix] : {})
+  };
+}
+
+module.exports = {
+  MODEL_LIMITS,
+  getModelLimits,
+  MODEL_PRICES,
+  getModelPrices
+};
@@ -16,6 +16,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   createProject: (projectName) => ipcRenderer.invoke('create-project', projectName),
   closeDialog: (action, data) => ipcRenderer.send('close-project-dialog', action, data),
   onProjectUpdated: (callback) => ipcRenderer.on('project-updated', (_, data) => callback(data)),
+  editProjectDetails: () => ipcRenderer.invoke('edit-project-details'),
   // Launch the text editor
   // launchEditor: () => ipcRenderer.invoke('launch-editor'),
   
@@ -32,6 +33,61 @@ contextBridge.exposeInMainWorld('electronAPI', {
   startToolRun: (toolName, options) => ipcRenderer.invoke('start-tool-run', toolName, options),
   stopTool: (runId) => ipcRenderer.invoke('stop-tool', runId),
   setToolOptions: (options) => ipcRenderer.invoke('set-tool-options', options),
+  
+  // AI provider selection
+  getAiProviders: (toolName) => ipcRenderer.invoke('get-ai-providers', toolName),
+  setProjectAiProvider: (providerId) => ipcRenderer.invoke('set-project-ai-provider', providerId),
+  setToolAiProvider: (toolName, providerId) => ipcRenderer.invoke('set-tool-ai-provider', toolName, providerId),
+
+  // AI settings (model and generation settings per provider, and per tool)
+  showApiSettings: () => ipcRenderer.send('show-api-settings'),
+  closeApiSettings: () => ipcRenderer.send('close-api-settings'),
+  getGenerationSettings: (providerId) => ipcRenderer.invoke('get-generation-settings', providerId),
+  saveGenerationSettings: (providerId, settings) => ipcRenderer.invoke('save-generation-settings', providerId, settings),
+  getToolGenerationSettings: (toolName) => ipcRenderer.invoke('get-tool-generation-settings', toolName),
+  saveToolGenerationSettings: (toolName, settings) => ipcRenderer.invoke('save-tool-generation-settings', toolName, settings),
+
+  // Usage view (tokens and estimated cost per tool, project and month)
+  getUsageSummary: (scope) => ipcRenderer.invoke('get-usage-summary', scope),
+
+  // Run log (every tool run in the current project, with its inputs and outputs)
+  getRunLog: () => ipcRenderer.invoke('get-run-log'),
+  openRunOutput: (filePath) => ipcRenderer.invoke('open-run-output', filePath),
+
+  // Cache manager (current project's API files and caches)
+  getProjectCaches: () => ipcRenderer.invoke('get-project-caches'),
+  extendProjectCache: (providerId, name, hours) => ipcRenderer.invoke('extend-project-cache', providerId, name, hours),
+  dropProjectResource: (providerId, kind, name) => ipcRenderer.invoke('drop-project-resource', providerId, kind, name),
+
+  // Findings review (accept, edit or reject findings and apply them to the manuscript)
+  showFindingsReview: (findingsPath) => ipcRenderer.send('show-findings-review', findingsPath),
+  closeFindingsReview: () => ipcRenderer.send('close-findings-review'),
+  getFindingsReview: () => ipcRenderer.invoke('get-findings-review'),
+  updateFinding: (id, changes) => ipcRenderer.invoke('update-finding', id, changes),
+  applyAcceptedFindings: () => ipcRenderer.invoke('apply-accepted-findings'),
+
+  // Run history (a tool's past reports, and comparing two runs)
+  showRunHistory: (toolName) => ipcRenderer.send('show-run-history', toolName),
+  closeRunHistory: () => ipcRenderer.send('close-run-history'),
+  getToolRuns: () => ipcRenderer.invoke('get-tool-runs'),
+  compareToolRuns: (olderReportPath, newerReportPath) => ipcRenderer.invoke('compare-tool-runs', olderReportPath, newerReportPath),
+  
+  // Prompts window: prompt files compared with the shipped defaults
+  showPromptVersions: () => ipcRenderer.send('show-prompt-versions'),
+  closePromptVersions: () => ipcRenderer.send('close-prompt-versions'),
+  getPromptStatuses: () => ipcRenderer.invoke('get-prompt-statuses'),
+  getPromptDiff: (toolName) => ipcRenderer.invoke('get-prompt-diff', toolName),
+  restoreDefaultPrompt: (toolName) => ipcRenderer.invoke('restore-default-prompt', toolName),
+  mergeDefaultPrompt: (toolName) => ipcRenderer.invoke('merge-default-prompt', toolName),
+  customizePromptForProject: (toolName) => ipcRenderer.invoke('customize-prompt-for-project', toolName),
+
+  // Report view (a report rendered as HTML, saved as HTML or printed to PDF)
+  showReportView: (reportPath, content) => ipcRenderer.send('show-report-view', reportPath, content),
+  closeReportView: () => ipcRenderer.send('close-report-view'),
+  getReportView: () => ipcRenderer.invoke('get-report-view'),
+  saveReportHtml: (theme) => ipcRenderer.invoke('save-report-html', theme),
+  printReportPdf: () => ipcRenderer.invoke('print-report-pdf'),
+
   onToolOutput: (callback) => ipcRenderer.on('tool-output', (_, data) => callback(data)),
   onToolFinished: (callback) => ipcRenderer.on('tool-finished', (_, data) => callback(data)),
   onToolError: (callback) => ipcRenderer.on('tool-error', (_, data) => callback(data)),
@@ -42,9 +98,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
   // Get output files for a tool run
   getToolOutputFiles: (toolId) => ipcRenderer.invoke('get-tool-output-files', toolId),
+  // Get a manuscript's chapters, for the chapter picker
+  getManuscriptChapters: (filePath) => ipcRenderer.invoke('get-manuscript-chapters', filePath),
 
   // Open a file in the editor
-  openFileInEditor: (filePath) => ipcRenderer.invoke('open-file-in-editor', filePath),  
+  openFileInEditor: (filePath, options) => ipcRenderer.invoke('open-file-in-editor', filePath, options),  
   
   // Editor dialog functions
   showEditorDialog: (filePath) => ipcRenderer.send('show-editor-dialog', filePath),
@@ -0,0 +1,102 @@
+// project-data.js
+// App data kept inside each project, in <project>/.storygrinder/
+const fs = require('fs/promises');
+const path = require('path');
+
+const PROJECT_DATA_DIR = '.storygrinder';
+
+/**
+ * Get the app data directory for a project
+ * @param {string} projectPath - Project directory
+ * @returns {string}
+ */
+function getProjectDataDir(projectPath) {
+  return path.join(projectPath, PROJECT_DATA_DIR);
+}
+
+/**
+ * Read a JSON file from the project's data directory
+ * @param {string} projectPath - Project directory
+ * @param {string} fileName - e.g. 'api-ledger.json'
+ * @param {*} defaultValue - Returned when the file doesn't exist yet
+ * @returns {Promise<*>}
+ */
+async function readProjectJson(projectPath, fileName, defaultValue) {
+  try {
+    const content = await fs.readFile(path.join(getProjectDataDir(projectPath), fileName), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaultValue;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file to the project's data directory
+ * @param {string} projectPath - Project directory
+ * @param {string} fileName - e.g. 'api-ledger.json'
+ * @param {*} data - Value to save
+ * @returns {Promise<string>} - Path written
+ */
+async function writeProjectJson(projectPath, fileName, data) {
+  const dataDir = getProjectDataDir(projectPath);
+  await fs.mkdir(dataDir, { recursive: true });
+  const filePath = path.join(dataDir, fileName);
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+  return filePath;
+}
+
+/**
+ * Append one record to a JSON Lines file in the project's data directory
+ * @param {string} projectPath - Project directory
+ * @param {string} fileName - e.g. 'usage.jsonl'
+ * @param {Object} record - Value to append
+ */
+async function appendProjectJsonl(projectPath, fileName, record) {
+  const dataDir = getProjectDataDir(projectPath);
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.appendFile(path.join(dataDir, fileName), JSON.stringify(record) + '\n', 'utf8');
+}
+
+/**
+ * Read every record of a JSON Lines file in the project's data directory
+ * Lines that don't parse (e.g. a write cut short) are skipped.
+ * @param {string} projectPath - Project directory
+ * @param {string} fileName - e.g. 'usage.jsonl'
+ * @returns {Promise<Array<Object>>} - Empty if the file doesn't exist yet
+ */
+async function readProjectJsonl(projectPath, fileName) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(getProjectDataDir(projectPath), fileName), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (parseError) {
+      console.warn(`Skipping unreadable line in ${fileName}: ${parseError.message}`);
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  PROJECT_DATA_DIR,
+  getProjectDataDir,
+  readProjectJson,
+  writeProjectJson,
+  appendProjectJsonl,
+  readProjectJsonl
+};
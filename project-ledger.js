@@ -0,0 +1,75 @@
+// project-ledger.js
+// Records which API uploads and caches belong to a project, so they can be
+// managed (and released) per project instead of for the whole API key.
+// Stored in <project>/.storygrinder/api-ledger.json
+const { readProjectJson, writeProjectJson } = require('./project-data');
+
+const LEDGER_FILE = 'api-ledger.json';
+
+/**
+ * Read the project's ledger
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Array<Object>>} - Entries: {provider, kind ('file' or 'cache'),
+ *   name, displayName, manuscript, contentHash, model, expireTime, recordedAt}
+ */
+async function getEntries(projectPath) {
+  const ledger = await readProjectJson(projectPath, LEDGER_FILE, { entries: [] });
+  return ledger.entries || [];
+}
+
+async function saveEntries(projectPath, entries) {
+  await writeProjectJson(projectPath, LEDGER_FILE, { entries });
+}
+
+/**
+ * Add an entry, or update the entry with the same name
+ * @param {string} projectPath - Project directory
+ * @param {Object} entry - Must include provider, kind and name
+ */
+async function recordEntry(projectPath, entry) {
+  const entries = await getEntries(projectPath);
+  const index = entries.findIndex(existing => existing.name === entry.name);
+  const recorded = { ...entry, recordedAt: new Date().toISOString() };
+
+  if (index === -1) {
+    entries.push(recorded);
+  } else {
+    entries[index] = { ...entries[index], ...recorded };
+  }
+  await saveEntries(projectPath, entries);
+}
+
+/**
+ * Change some fields of an entry
+ * @param {string} projectPath - Project directory
+ * @param {string} name - Entry name
+ * @param {Object} changes - Fields to update
+ */
+async function updateEntry(projectPath, name, changes) {
+  const entries = await getEntries(projectPath);
+  const entry = entries.find(existing => existing.name === name);
+  if (entry) {
+    Object.assign(entry, changes);
+    await saveEntries(projectPath, entries);
+  }
+}
+
+/**
+ * Remove entries by name
+ * @param {string} projectPath - Project directory
+ * @param {string[]} names - Entry names
+ */
+async function removeEntries(projectPath, names) {
+  const entries = await getEntries(projectPath);
+  const remaining = entries.filter(entry => !names.includes(entry.name));
+  if (remaining.length !== entries.length) {
+    await saveEntries(projectPath, remaining);
+  }
+}
+
+module.exports = {
+  getEntries,
+  recordEntry,
+  updateEntry,
+  removeEntries
+};
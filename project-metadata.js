@@ -0,0 +1,86 @@
+// project-metadata.js
+// Details about a project's book (title, author, genre, point of view, ...)
+// kept in <project>/project.json, where the author edits them. Prompt
+// templates read them as {{project.<field>}} (prompt-template.js).
+const fs = require('fs/promises');
+const path = require('path');
+
+const METADATA_FILE = 'project.json';
+
+// Fields of a new project.json; any other fields can be added
+const METADATA_FIELDS = {
+  "title": "",
+  "author": "",
+  "genre": "",
+  "audience": "",
+  "pov": "",
+  "tense": "",
+  "lang": "English",
+  "notes": ""
+};
+
+/**
+ * Get the path of a project's metadata file
+ * @param {string} projectPath - Project directory
+ * @returns {string}
+ */
+function getMetadataPath(projectPath) {
+  return path.join(projectPath, METADATA_FILE);
+}
+
+/**
+ * Read a project's metadata
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Object>} - The fields of project.json, or {} if there is none
+ * @throws {Error} - If project.json isn't a JSON object
+ */
+async function readProjectMetadata(projectPath) {
+  if (!projectPath) {
+    return {};
+  }
+  let content;
+  try {
+    content = await fs.readFile(getMetadataPath(projectPath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${METADATA_FILE} is not valid JSON: ${error.message}`);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`${METADATA_FILE} must hold a JSON object, like {"genre": "mystery"}`);
+  }
+  return metadata;
+}
+
+/**
+ * Create a project's metadata file with empty fields, if it doesn't exist yet
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<string>} - Path of the metadata file
+ */
+async function ensureProjectMetadata(projectPath) {
+  const metadataPath = getMetadataPath(projectPath);
+  const metadata = { ...METADATA_FIELDS, title: path.basename(projectPath) };
+  try {
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2) + '\n', { encoding: 'utf8', flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+  return metadataPath;
+}
+
+module.exports = {
+  METADATA_FILE,
+  getMetadataPath,
+  readProjectMetadata,
+  ensureProjectMetadata
+};
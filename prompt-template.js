@@ -0,0 +1,196 @@
+// prompt-template.js
+// Prompt files are templates, filled in for each run with the run's option
+// values, the project's metadata (project-metadata.js) and, for the writing
+// tools, the text of their input files:
+//
+//   {{lang}}                          an option's value
+//   {{project.genre}}                 a field of the project's project.json
+//   {{#if strict}}...{{/if}}          only when the value is set (not empty, false or 0)
+//   {{#if analysis_level == "detailed"}}...{{else}}...{{/if}}
+//   {{#unless project.audience}}...{{/unless}}
+//
+// The instructions of the options set for the run (see tool-manifests.js)
+// are added after the prompt.
+
+const TAG_PATTERN = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([^}]*?)\s*\}\}/g;
+const NAME_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)*$/i;
+const CONDITION_PATTERN = /^([a-z][a-z0-9_.]*)\s*(==|!=)\s*"([^"]*)"$/i;
+
+/**
+ * Look up a name, which may be dotted (project.genre)
+ * @param {Object} values - Values by name
+ * @param {string} name - Name to look up
+ * @returns {*}
+ */
+function lookup(values, name) {
+  return name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), values);
+}
+
+function isSet(value) {
+  if (typeof value === 'string') {
+    return value.trim() !== '';
+  }
+  return !!value;
+}
+
+// Evaluate the condition of an {{#if}} or {{#unless}}: a name, or name == "value" / name != "value"
+function evaluateCondition(condition, values) {
+  const comparison = condition.match(CONDITION_PATTERN);
+  if (comparison) {
+    const value = lookup(values, comparison[1]);
+    const equal = String(value === undefined || value === null ? '' : value) === comparison[3];
+    return comparison[2] === '==' ? equal : !equal;
+  }
+  if (!NAME_PATTERN.test(condition)) {
+    throw new Error(`Can't read the condition "${condition}"; use a name, or name == "value"`);
+  }
+  return isSet(lookup(values, condition));
+}
+
+// Line number of an offset, for error messages
+function lineOf(template, offset) {
+  return template.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Parse a template into text, {{name}} and {{#if}}/{{#unless}} blocks
+ * @param {string} template - Template text
+ * @returns {Array<Object>} - Nodes: {text} | {name} | {block, condition, then, otherwise}
+ * @throws {Error} - If a block isn't opened or closed properly
+ */
+function parseTemplate(template) {
+  const root = { then: [], otherwise: [], inElse: false };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().inElse ? current().otherwise : current().then);
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [tag, keyword, argument] = match;
+    const line = lineOf(template, match.index);
+    if (match.index > lastIndex) {
+      target().push({ text: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (keyword === '#if' || keyword === '#unless') {
+      if (!argument) {
+        throw new Error(`{{${keyword}}} without a condition on line ${line}`);
+      }
+      const block = { block: keyword.slice(1), condition: argument, then: [], otherwise: [], inElse: false, line };
+      target().push(block);
+      stack.push(block);
+    } else if (keyword === 'else') {
+      if (current() === root || current().inElse) {
+        throw new Error(`{{else}} outside an {{#if}} or {{#unless}} on line ${line}`);
+      }
+      current().inElse = true;
+    } else if (keyword === '/if' || keyword === '/unless') {
+      if (current() === root || `/${current().block}` !== keyword) {
+        throw new Error(`{{${keyword}}} on line ${line} doesn't close an open {{#${keyword.slice(1)}}}`);
+      }
+      stack.pop();
+    } else if (NAME_PATTERN.test(argument)) {
+      target().push({ name: argument });
+    } else {
+      // Not a placeholder, e.g. literal braces in a prompt: keep it as text
+      target().push({ text: tag });
+    }
+  }
+  if (current() !== root) {
+    const block = current();
+    throw new Error(`{{#${block.block} ${block.condition}}} on line ${block.line} is never closed with {{/${block.block}}}`);
+  }
+  if (lastIndex < template.length) {
+    root.then.push({ text: template.slice(lastIndex) });
+  }
+  return root.then;
+}
+
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+    if (node.name !== undefined) {
+      const value = lookup(values, node.name);
+      return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+    }
+    const result = evaluateCondition(node.condition, values);
+    return renderNodes((node.block === 'if' ? result : !result) ? node.then : node.otherwise, values);
+  }).join('');
+}
+
+/**
+ * Fill in a template
+ * Unknown names are replaced with nothing. Values are inserted as they are,
+ * so file contents with braces in them are never read as template tags.
+ * @param {string} template - Template text
+ * @param {Object} values - Values by name; nested objects are reached with dotted names
+ * @returns {string}
+ * @throws {Error} - If the template's blocks aren't opened or closed properly
+ */
+function renderTemplate(template, values) {
+  return renderNodes(parseTemplate(template), values);
+}
+
+/**
+ * The instructions for a run's option values
+ * A select option uses its chosen choice's instruction, or else its own; a
+ * boolean option's instruction only applies when it's on, and other options'
+ * only when they have a value.
+ * @param {Array<Object>} toolOptions - The tool's option definitions
+ * @param {Object} values - Option values for this run
+ * @returns {Array<string>} - One instruction per option that has one
+ */
+function buildOptionInstructions(toolOptions, values) {
+  const instructions = [];
+  (toolOptions || []).forEach(option => {
+    const value = values[option.name];
+    let instruction = option.instruction;
+    if (option.type === 'select') {
+      const choice = (option.choices || []).find(choice => choice.value === value);
+      if (choice && choice.instruction) {
+        instruction = choice.instruction;
+      }
+    } else if (option.type === 'boolean') {
+      if (value !== true) {
+        return;
+      }
+    } else if (value === undefined || value === null || String(value).trim() === '') {
+      return;
+    }
+    if (instruction) {
+      instructions.push(renderTemplate(instruction, values).trim());
+    }
+  });
+  return instructions;
+}
+
+/**
+ * A tool's prompt with a run's values applied
+ * @param {string} prompt - The prompt file's text
+ * @param {Array<Object>} toolOptions - The tool's option definitions
+ * @param {Object} values - Option values for this run, plus any other template values
+ * @returns {string}
+ * @throws {Error} - If the prompt isn't a valid template
+ */
+function applyOptionsToPrompt(prompt, toolOptions, values) {
+  let result = renderTemplate(prompt, values);
+  const instructions = buildOptionInstructions(toolOptions, values);
+  if (instructions.length > 0) {
+    result = `${result.trimEnd()}\n\n=== SETTINGS FOR THIS ANALYSIS ===\n`;
+    result += instructions.map(instruction => `- ${instruction}`).join('\n');
+    result += '\n';
+  }
+  return result;
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate,
+  buildOptionInstructions,
+  applyOptionsToPrompt
+};
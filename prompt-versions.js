@@ -0,0 +1,231 @@
+// prompt-versions.js
+// Prompts window: every tool's prompt file in ~/writing/tool-prompts with its
+// status (default, customized or outdated, see tool-prompts-manager.js), a
+// side-by-side comparison with the shipped default, and actions to restore
+// the default or merge its changes into an edited prompt. A tool's prompt can
+// also be customized for the current project, which copies it into
+// <project>/tool-prompts where it takes the place of the global one.
+const promptsInfo = document.getElementById('prompts-info');
+const promptsBody = document.getElementById('prompts-body');
+const projectColumn = document.getElementById('project-column');
+const diffSection = document.getElementById('diff-section');
+const diffTitle = document.getElementById('diff-title');
+const diffBody = document.getElementById('diff-body');
+const statusElement = document.getElementById('status');
+const closeBtn = document.getElementById('close-btn');
+
+let prompts = [];
+
+// Current project's name, null if no project is open
+let projectName = null;
+
+// Tool whose prompt is compared below the list
+let selectedToolName = null;
+
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.className = isError ? 'status-text error' : 'status-text';
+}
+
+function promptNote(prompt) {
+  if (!prompt.exists) {
+    return 'Created from the default when the tool first runs';
+  }
+  if (prompt.status === 'outdated' && !prompt.version) {
+    return 'Made before prompts had versions; the default may have changed';
+  }
+  if (prompt.status === 'outdated') {
+    return prompt.edited ? 'Edited; the default has changed since' : 'The default has changed since';
+  }
+  return prompt.status === 'customized' ? 'Edited' : '';
+}
+
+function addButton(cell, label, className, onClick) {
+  const button = document.createElement('button');
+  button.className = `${className} small-button`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  cell.appendChild(button);
+}
+
+function renderPrompts() {
+  promptsBody.innerHTML = '';
+  prompts.forEach(prompt => {
+    const row = document.createElement('tr');
+    if (prompt.toolName === selectedToolName) {
+      row.className = 'selected';
+    }
+
+    const titleCell = document.createElement('td');
+    titleCell.textContent = prompt.title;
+    titleCell.title = prompt.path;
+    row.appendChild(titleCell);
+
+    const statusCell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `badge status-${prompt.status}`;
+    badge.textContent = prompt.status;
+    statusCell.appendChild(badge);
+    row.appendChild(statusCell);
+
+    const noteCell = document.createElement('td');
+    noteCell.className = 'note';
+    noteCell.textContent = promptNote(prompt);
+    row.appendChild(noteCell);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'actions';
+    if (prompt.status !== 'default') {
+      addButton(actionsCell, 'Compare', 'secondary-button', () => showDiff(prompt));
+    }
+    if (prompt.exists) {
+      addButton(actionsCell, 'Edit', 'secondary-button', () => editPrompt(prompt));
+    }
+    if (prompt.status === 'outdated' && prompt.edited) {
+      addButton(actionsCell, 'Merge', 'primary-button', () => mergeDefault(prompt));
+    }
+    if (prompt.status !== 'default') {
+      addButton(actionsCell, 'Restore Default', 'secondary-button', () => restoreDefault(prompt));
+    }
+    row.appendChild(actionsCell);
+
+    const projectCell = document.createElement('td');
+    projectCell.className = 'actions';
+    if (prompt.projectPromptPath) {
+      projectCell.title = prompt.projectPromptPath;
+      addButton(projectCell, 'Edit Project Prompt', 'secondary-button', () => editPrompt({ path: prompt.projectPromptPath }));
+    } else if (projectName) {
+      addButton(projectCell, 'Customize for Project', 'secondary-button', () => customizeForProject(prompt));
+    }
+    row.appendChild(projectCell);
+
+    promptsBody.appendChild(row);
+  });
+}
+
+function addDiffCells(row, side, type) {
+  const numberCell = document.createElement('td');
+  numberCell.className = 'line-number';
+  const textCell = document.createElement('td');
+  if (side) {
+    numberCell.textContent = side.number;
+    textCell.textContent = side.text;
+    if (type !== 'same') {
+      textCell.className = type;
+    }
+  }
+  row.appendChild(numberCell);
+  row.appendChild(textCell);
+}
+
+async function showDiff(prompt) {
+  const result = await window.electronAPI.getPromptDiff(prompt.toolName);
+  if (!result.success) {
+    showStatus(`Error comparing prompts: ${result.message}`, true);
+    return;
+  }
+  selectedToolName = prompt.toolName;
+  renderPrompts();
+
+  diffTitle.textContent = prompt.title;
+  diffBody.innerHTML = '';
+  result.rows.forEach(diffRow => {
+    const row = document.createElement('tr');
+    addDiffCells(row, diffRow.left, diffRow.type);
+    addDiffCells(row, diffRow.right, diffRow.type);
+    diffBody.appendChild(row);
+  });
+  diffSection.style.display = 'block';
+  diffSection.scrollIntoView();
+}
+
+function hideDiff() {
+  selectedToolName = null;
+  diffSection.style.display = 'none';
+}
+
+async function editPrompt(prompt) {
+  const result = await window.electronAPI.openFileInEditor(prompt.path);
+  if (!result.success) {
+    showStatus(`Error opening prompt: ${result.error || 'Unknown error'}`, true);
+  }
+}
+
+async function restoreDefault(prompt) {
+  if (!confirm(`Replace the prompt for ${prompt.title} with the shipped default?\nYour version is backed up first.`)) {
+    return;
+  }
+  const result = await window.electronAPI.restoreDefaultPrompt(prompt.toolName);
+  if (!result.success) {
+    showStatus(`Error restoring the default: ${result.message}`, true);
+    return;
+  }
+  hideDiff();
+  showStatus(result.backupPath ? `Default restored. Your version was saved to ${result.backupPath}` : 'Default restored.');
+  await loadPrompts();
+}
+
+async function mergeDefault(prompt) {
+  if (!confirm(`Merge the new default's changes into your prompt for ${prompt.title}?\nYour version is backed up first.`)) {
+    return;
+  }
+  const result = await window.electronAPI.mergeDefaultPrompt(prompt.toolName);
+  if (!result.success) {
+    showStatus(`Error merging the default: ${result.message}`, true);
+    return;
+  }
+  await loadPrompts();
+  if (result.conflicts > 0) {
+    showStatus(`Merged with ${result.conflicts} conflict(s): edit the prompt and keep one version between each <<<<<<< and >>>>>>> line. Your version was saved to ${result.backupPath}`, true);
+  } else {
+    showStatus(`Merged. Your version was saved to ${result.backupPath}`);
+  }
+  const merged = prompts.find(item => item.toolName === prompt.toolName);
+  if (merged && merged.status !== 'default') {
+    await showDiff(merged);
+  } else {
+    hideDiff();
+  }
+}
+
+async function customizeForProject(prompt) {
+  const result = await window.electronAPI.customizePromptForProject(prompt.toolName);
+  if (!result.success) {
+    showStatus(`Error customizing the prompt: ${result.message}`, true);
+    return;
+  }
+  showStatus(`${projectName} now uses its own prompt for ${prompt.title}: ${result.path}`);
+  await loadPrompts();
+  await editPrompt({ path: result.path });
+}
+
+async function loadPrompts() {
+  const result = await window.electronAPI.getPromptStatuses();
+  if (!result.success) {
+    showStatus(`Error loading prompts: ${result.message}`, true);
+    return;
+  }
+  prompts = result.prompts.sort((a, b) => a.title.localeCompare(b.title));
+  projectName = result.projectName || null;
+  projectColumn.textContent = projectName ? `Project: ${projectName}` : 'No project open';
+  const counts = ['customized', 'outdated'].map(status => `${prompts.filter(prompt => prompt.status === status).length} ${status}`);
+  promptsInfo.textContent = `${prompts.length} prompts in ${result.promptsDir}: ${counts.join(', ')}`;
+  renderPrompts();
+}
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closePromptVersions();
+});
+
+// Pick up edits made in the editor
+window.addEventListener('focus', () => {
+  loadPrompts();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadPrompts();
+});
+
+window.electronAPI.onSetTheme((theme) => {
+  document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+});
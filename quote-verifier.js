@@ -0,0 +1,416 @@
+// quote-verifier.js
+// Checks that passages an AI report quotes from the manuscript are really
+// there. Models sometimes paraphrase or invent "original text", so each
+// quote is matched word by word (ignoring case, punctuation and spacing),
+// allowing small differences, and located by chapter and paragraph.
+const { parseChapters, locateOffset, isChapterReference, describeChapter } = require('./manuscript-chapters');
+
+// Word-level similarity a quote needs to count as found
+const MATCH_THRESHOLD = 0.8;
+
+// Below MATCH_THRESHOLD, the nearest passage is still mentioned from this similarity up
+const NEAREST_THRESHOLD = 0.5;
+
+// Quotes shorter than this are too common to check meaningfully
+const MIN_QUOTE_WORDS = 3;
+
+// Words that appear this often are useless for finding candidate positions
+const MAX_ANCHOR_OCCURRENCES = 500;
+
+// How many of the best candidate positions get a full comparison
+const MAX_CANDIDATES = 8;
+
+const WORD_REGEX = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+function tokenize(text) {
+  const words = [];
+  let match;
+  WORD_REGEX.lastIndex = 0;
+  while ((match = WORD_REGEX.exec(text)) !== null) {
+    words.push({ word: normalizeWord(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+// Straight quotes, plain dashes and single spaces, so repeated quotes are checked once
+function normalizeText(text) {
+  return text
+    .replace(/[“”„]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * A quote's words, lower-case and without punctuation, for comparing quotes
+ * that differ only in spacing, punctuation or curly quotes
+ * @param {string} text - Quote
+ * @returns {string} - e.g. "the lamp had been dark"
+ */
+function quoteKey(text) {
+  return tokenize(text || '').map(token => token.word).join(' ');
+}
+
+/**
+ * Index a manuscript for quote lookups; build it once per run and reuse it
+ * @param {string} text - Manuscript text
+ * @returns {Object} - {text, words, positions, chapters}
+ */
+function indexManuscript(text) {
+  const words = tokenize(text);
+  const positions = new Map();
+  words.forEach((token, index) => {
+    if (!positions.has(token.word)) {
+      positions.set(token.word, []);
+    }
+    positions.get(token.word).push(index);
+  });
+  return { text, words, positions, chapters: parseChapters(text) };
+}
+
+/**
+ * Align the whole quote against the best-matching stretch of a window of
+ * manuscript words (edit distance where the window's start and end are free)
+ * @param {string[]} quoteWords - Normalized words of the quote
+ * @param {string[]} windowWords - Normalized manuscript words
+ * @returns {{distance: number, start: number, end: number}} - start/end index into windowWords
+ */
+function alignInWindow(quoteWords, windowWords) {
+  const width = windowWords.length;
+  let previous = new Array(width + 1).fill(0);
+  let previousStart = Array.from({ length: width + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= quoteWords.length; i++) {
+    const current = [i];
+    const currentStart = [0];
+    for (let j = 1; j <= width; j++) {
+      const substitute = previous[j - 1] + (quoteWords[i - 1] === windowWords[j - 1] ? 0 : 1);
+      const skipQuoteWord = previous[j] + 1;
+      const skipManuscriptWord = current[j - 1] + 1;
+      if (substitute <= skipQuoteWord && substitute <= skipManuscriptWord) {
+        current[j] = substitute;
+        currentStart[j] = previousStart[j - 1];
+      } else if (skipQuoteWord <= skipManuscriptWord) {
+        current[j] = skipQuoteWord;
+        currentStart[j] = previousStart[j];
+      } else {
+        current[j] = skipManuscriptWord;
+        currentStart[j] = currentStart[j - 1];
+      }
+    }
+    previous = current;
+    previousStart = currentStart;
+  }
+
+  let end = 0;
+  for (let j = 1; j <= width; j++) {
+    if (previous[j] < previous[end]) {
+      end = j;
+    }
+  }
+  return { distance: previous[end], start: previousStart[end], end };
+}
+
+/**
+ * Find the manuscript passages that match some quote words
+ * Candidate starts come from words the quote shares with the manuscript;
+ * the best few are aligned in full, allowing for missing or extra words.
+ * @param {Object} index - From indexManuscript()
+ * @param {string[]} quoteWords - Normalized words of the quote
+ * @returns {Array<{similarity: number, startWord: number, endWord: number}>} - Passages
+ *   that don't overlap, most similar first (earliest first among equals); empty if none
+ */
+function findMatches(index, quoteWords) {
+  const votes = new Map();
+  quoteWords.forEach((word, offset) => {
+    const positions = index.positions.get(word);
+    if (!positions || positions.length > MAX_ANCHOR_OCCURRENCES) {
+      return;
+    }
+    positions.forEach(position => {
+      const start = position - offset;
+      votes.set(start, (votes.get(start) || 0) + 1);
+    });
+  });
+
+  const candidates = [...votes.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CANDIDATES)
+    .map(([start]) => start);
+
+  const slack = Math.max(2, Math.round(quoteWords.length * 0.2));
+  const aligned = [];
+
+  candidates.forEach(candidate => {
+    const windowStart = Math.max(0, candidate - slack);
+    const windowEnd = Math.min(index.words.length, candidate + quoteWords.length + slack);
+    const windowWords = index.words.slice(windowStart, windowEnd).map(token => token.word);
+    const alignment = alignInWindow(quoteWords, windowWords);
+    if (alignment.end <= alignment.start) {
+      return;
+    }
+    const similarity = 1 - alignment.distance / Math.max(quoteWords.length, alignment.end - alignment.start);
+    aligned.push({ similarity, startWord: windowStart + alignment.start, endWord: windowStart + alignment.end });
+  });
+
+  // Nearby candidates often align to the same passage; keep the best alignment of each
+  const matches = [];
+  aligned
+    .sort((a, b) => b.similarity - a.similarity || a.startWord - b.startWord)
+    .forEach(match => {
+      if (!matches.some(kept => match.startWord < kept.endWord && kept.startWord < match.endWord)) {
+        matches.push(match);
+      }
+    });
+  return matches;
+}
+
+/**
+ * Check one quote against the manuscript
+ * Quotes with an ellipsis ("The lamp ... three nights") are checked by
+ * their longest piece. When the passage is in the manuscript more than
+ * once, the one in the chapter the report gave is preferred.
+ * @param {Object} index - From indexManuscript()
+ * @param {string} quote - Quoted passage
+ * @param {string} [reportedChapter] - Chapter the report gave for the quote, e.g. "Chapter 3"
+ * @returns {Object} - {status, similarity, partial, occurrences, chapter, chapterTitle, paragraph, start, end, matchedText};
+ *   status is 'exact' (same words in the same order; case and punctuation aside),
+ *   'close' (a few words differ), 'not_found' (with the nearest passage, if any is
+ *   fairly similar) or 'too_short'. occurrences is how many passages in the
+ *   reported chapter (or the whole manuscript, if none is there) match; more
+ *   than one means the location is a guess.
+ */
+function verifyQuote(index, quote, reportedChapter = null) {
+  const pieces = (quote || '').split(/\.\.\.|…|\[\.\.\.\]/).map(piece => piece.trim()).filter(Boolean);
+  const piece = pieces.sort((a, b) => tokenize(b).length - tokenize(a).length)[0] || '';
+  const quoteWords = tokenize(piece).map(token => token.word);
+
+  if (quoteWords.length < MIN_QUOTE_WORDS) {
+    return { status: 'too_short', similarity: null };
+  }
+
+  const matches = findMatches(index, quoteWords);
+  const found = matches.filter(match => match.similarity >= MATCH_THRESHOLD);
+  if (found.length === 0) {
+    const best = matches[0];
+    const notFound = {
+      status: 'not_found',
+      similarity: best ? Math.round(best.similarity * 100) / 100 : 0
+    };
+    // Point at the nearest passage when it's at least half the same words
+    if (best && best.similarity >= NEAREST_THRESHOLD) {
+      const start = index.words[best.startWord].start;
+      const { chapter, paragraph } = locateOffset(index.chapters, start);
+      notFound.nearest = {
+        chapterTitle: describeChapter(chapter),
+        paragraph,
+        start,
+        end: index.words[best.endWord - 1].end,
+        text: index.text.slice(start, index.words[best.endWord - 1].end)
+      };
+    }
+    return notFound;
+  }
+
+  const inReportedChapter = reportedChapter
+    ? found.filter(match => isChapterReference(locateOffset(index.chapters, index.words[match.startWord].start).chapter, reportedChapter))
+    : [];
+  const candidates = inReportedChapter.length > 0 ? inReportedChapter : found;
+  const best = candidates[0];
+
+  let start = index.words[best.startWord].start;
+  let end = index.words[best.endWord - 1].end;
+
+  // Take in the quote's leading and trailing punctuation when the manuscript has it too
+  const leading = piece.match(/^[^\p{L}\p{N}\s]+/u);
+  if (leading && normalizeText(index.text.slice(start - leading[0].length, start)) === normalizeText(leading[0])) {
+    start -= leading[0].length;
+  }
+  const trailing = piece.match(/[^\p{L}\p{N}\s]+$/u);
+  if (trailing && normalizeText(index.text.slice(end, end + trailing[0].length)) === normalizeText(trailing[0])) {
+    end += trailing[0].length;
+  }
+
+  const matchedText = index.text.slice(start, end);
+  const { chapter, paragraph } = locateOffset(index.chapters, start);
+
+  return {
+    status: best.similarity === 1 ? 'exact' : 'close',
+    similarity: Math.round(best.similarity * 100) / 100,
+    // Only part of the quote (the longest piece around an ellipsis) was located
+    partial: pieces.length > 1,
+    occurrences: candidates.length,
+    chapter: chapter ? chapter.number : null,
+    chapterTitle: describeChapter(chapter),
+    paragraph,
+    start,
+    end,
+    matchedText
+  };
+}
+
+/**
+ * Locate a finding's quote, preferring the chapter the AI gave for it
+ * Findings saved before reportedChapter was kept only have chapter.
+ * @param {Object} index - From indexManuscript()
+ * @param {Object} finding - A finding (see findings.js)
+ * @returns {Object} - From verifyQuote()
+ */
+function locateFinding(index, finding) {
+  const reportedChapter = finding.reportedChapter !== undefined ? finding.reportedChapter : finding.chapter;
+  return verifyQuote(index, finding.quote, reportedChapter);
+}
+
+/**
+ * Add a location to each finding (see findings.js), and fill in the
+ * chapter from the manuscript where the quote was found. The chapter the
+ * AI gave is kept as reportedChapter, and used to choose between passages
+ * that appear more than once.
+ * @param {Array<Object>} findings - Normalized findings
+ * @param {Object} index - From indexManuscript()
+ * @returns {Array<Object>} - The same findings, each with a location
+ */
+function verifyFindings(findings, index) {
+  findings.forEach(finding => {
+    finding.reportedChapter = finding.chapter;
+    finding.location = locateFinding(index, finding);
+    if (finding.location.chapterTitle) {
+      finding.chapter = finding.location.chapterTitle;
+    }
+  });
+  return findings;
+}
+
+// Labels that introduce a passage copied from the manuscript
+const ORIGINAL_LABEL_REGEX = /^[\s>*#\-\d.)]*(?:\*\*)?(?:original(?:\s+(?:text|sentence|passage|line))?|quote|quoted\s+text|excerpt)(?:\*\*)?\s*:(?:\*\*)?\s*(.*)$/i;
+
+// Any other "LABEL:" line, which ends an original-text block
+const OTHER_LABEL_REGEX = /^[\s>*#\-\d.)]*(?:\*\*)?[A-Za-z][A-Za-z ]{1,40}(?:\*\*)?\s*:(?:\*\*)?\s*/;
+
+// Lines whose quotes are the AI's rewrites, not the manuscript
+const REWRITE_LINE_REGEX = /suggest|revis|replace|rewrite|rework|instead|consider|change[ds]? to|could read|→|->/i;
+
+const INLINE_QUOTE_REGEX = /["“]([^"“”\n]+)["”]/g;
+
+function stripQuoteMarks(text) {
+  return text.trim().replace(/^["“'‘]+/, '').replace(/["”'’]+$/, '').trim();
+}
+
+/**
+ * Pull the manuscript quotes out of a free-text report: passages after
+ * labels like "ORIGINAL TEXT:" or "Original:", and passages in double
+ * quotes on lines that aren't suggestions
+ * @param {string} report - Report text
+ * @returns {string[]} - Distinct quotes, in report order
+ */
+function extractQuotes(report) {
+  const quotes = [];
+  const seen = new Set();
+  const addQuote = (quote) => {
+    const cleaned = stripQuoteMarks(quote).replace(/\s+/g, ' ');
+    const key = normalizeText(cleaned);
+    if (tokenize(cleaned).length >= MIN_QUOTE_WORDS && !seen.has(key)) {
+      seen.add(key);
+      quotes.push(cleaned);
+    }
+  };
+
+  const lines = report.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const labelMatch = lines[i].match(ORIGINAL_LABEL_REGEX);
+    if (labelMatch) {
+      // The passage is on the label's line, or on the lines after it up to a blank line or the next label
+      if (labelMatch[1].trim()) {
+        addQuote(labelMatch[1]);
+        continue;
+      }
+      const block = [];
+      let j = i + 1;
+      while (j < lines.length && !lines[j].trim()) {
+        j++;
+      }
+      while (j < lines.length && lines[j].trim() && !OTHER_LABEL_REGEX.test(lines[j])) {
+        block.push(lines[j].trim());
+        j++;
+      }
+      if (block.length > 0) {
+        addQuote(block.join(' '));
+      }
+      i = j - 1;
+      continue;
+    }
+
+    if (REWRITE_LINE_REGEX.test(lines[i])) {
+      continue;
+    }
+    let quoteMatch;
+    INLINE_QUOTE_REGEX.lastIndex = 0;
+    while ((quoteMatch = INLINE_QUOTE_REGEX.exec(lines[i])) !== null) {
+      addQuote(quoteMatch[1]);
+    }
+  }
+
+  return quotes;
+}
+
+function shorten(text, maxLength = 80) {
+  const oneLine = text.replace(/\s+/g, ' ');
+  return oneLine.length > maxLength ? `${oneLine.slice(0, maxLength - 3)}...` : oneLine;
+}
+
+/**
+ * Check every quote in a report and describe the results, for appending to the report
+ * @param {string} report - Report text
+ * @param {Object} index - From indexManuscript()
+ * @param {string} manuscriptName - e.g. 'manuscript.txt'
+ * @returns {{results: Array<Object>, counts: Object, text: string}|null} - null if the report quotes nothing
+ */
+function checkReportQuotes(report, index, manuscriptName) {
+  const quotes = extractQuotes(report);
+  if (quotes.length === 0) {
+    return null;
+  }
+
+  const results = quotes.map(quote => ({ quote, ...verifyQuote(index, quote) }));
+  const counts = { exact: 0, close: 0, not_found: 0, too_short: 0 };
+  results.forEach(result => {
+    counts[result.status]++;
+  });
+
+  let text = `=== QUOTE CHECK ===\n`;
+  text += `${results.length} quoted passage(s) checked against ${manuscriptName}: `;
+  text += `${counts.exact} found exactly, ${counts.close} found with small differences, ${counts.not_found} NOT FOUND.\n\n`;
+
+  results.forEach(result => {
+    if (result.status === 'exact') {
+      text += `✓ "${shorten(result.quote)}"\n    ${result.chapterTitle}, paragraph ${result.paragraph}\n`;
+    } else if (result.status === 'close') {
+      text += `≈ "${shorten(result.quote)}"\n    ${result.chapterTitle}, paragraph ${result.paragraph} (${Math.round(result.similarity * 100)}% match); the manuscript has: "${shorten(result.matchedText)}"\n`;
+    } else if (result.status === 'not_found') {
+      text += `✗ "${shorten(result.quote)}"\n    NOT FOUND in the manuscript; the AI may have paraphrased or invented it\n`;
+      if (result.nearest) {
+        text += `    Nearest passage (${Math.round(result.similarity * 100)}% match): ${result.nearest.chapterTitle}, paragraph ${result.nearest.paragraph}: "${shorten(result.nearest.text)}"\n`;
+      }
+    }
+  });
+
+  return { results, counts, text };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  quoteKey,
+  indexManuscript,
+  verifyQuote,
+  locateFinding,
+  verifyFindings,
+  extractQuotes,
+  checkReportQuotes
+};
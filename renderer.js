@@ -82,6 +82,7 @@ quitButton.addEventListener('click', () => {
 
 // Project selection functionality
 const selectProjectBtn = document.getElementById('select-project-btn');
+const projectDetailsBtn = document.getElementById('project-details-btn');
 const currentProjectName = document.getElementById('current-project-name');
 const currentProjectPath = document.getElementById('current-project-path');
 
@@ -89,14 +90,26 @@ const currentProjectPath = document.getElementById('current-project-path');
 const aiToolSelect = document.getElementById('ai-tool-select');
 const aiToolDescription = document.getElementById('ai-tool-description');
 const aiSetupRunBtn = document.getElementById('ai-setup-run-btn');
+const aiProviderSelect = document.getElementById('ai-provider-select');
+const aiSettingsBtn = document.getElementById('ai-settings-btn');
+const refreshUsageBtn = document.getElementById('refresh-usage-btn');
+const usageScopeSelect = document.getElementById('usage-scope-select');
+const usageTotal = document.getElementById('usage-total');
+const usageTables = document.getElementById('usage-tables');
+const refreshCachesBtn = document.getElementById('refresh-caches-btn');
+const cacheStatus = document.getElementById('cache-status');
+const cacheTable = document.getElementById('cache-table');
+const cacheTableBody = document.getElementById('cache-table-body');
+const refreshRunsBtn = document.getElementById('refresh-runs-btn');
+const runToolSelect = document.getElementById('run-tool-select');
+const runLogStatus = document.getElementById('run-log-status');
+const runLogTable = document.getElementById('run-log-table');
+const runLogTableBody = document.getElementById('run-log-table-body');
 
 const nonAiToolSelect = document.getElementById('non-ai-tool-select');
 const nonAiToolDescription = document.getElementById('non-ai-tool-description');
 const nonAiSetupRunBtn = document.getElementById('non-ai-setup-run-btn');
 
-// List of non-AI tool IDs
-const nonAiToolIds = ["docx_comments", "epub_converter"];
-
 // Load current project info when the app starts
 async function loadProjectInfo() {
   try {
@@ -131,6 +144,14 @@ selectProjectBtn.addEventListener('click', () => {
   window.electronAPI.selectProject();
 });
 
+// Open the project's details (project.json), used by the prompt templates
+projectDetailsBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.editProjectDetails();
+  if (!result.success) {
+    alert(result.message);
+  }
+});
+
 // Listen for project updates from the main process
 window.electronAPI.onProjectUpdated((event) => {
   if (event.project) {
@@ -142,12 +163,374 @@ window.electronAPI.onProjectUpdated((event) => {
     // Reload tools list after project change
     loadAiTools();
     loadNonAiTools();
+    loadAiProviders();
+    loadProjectCaches();
+    loadUsageSummary();
+    loadRunLog();
+  }
+});
+
+// Fill the AI provider dropdown and select the current project's provider
+async function loadAiProviders() {
+  try {
+    const providerInfo = await window.electronAPI.getAiProviders();
+    
+    aiProviderSelect.innerHTML = '';
+    providerInfo.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.apiKeyEnv
+        ? `${provider.label} (needs ${provider.apiKeyEnv} in .env)`
+        : `${provider.label} (runs on this computer)`;
+      aiProviderSelect.appendChild(option);
+    });
+    
+    aiProviderSelect.value = providerInfo.projectProvider;
+  } catch (error) {
+    console.error('Error loading AI providers:', error);
+  }
+}
+
+// Open the AI settings window
+aiSettingsBtn.addEventListener('click', () => {
+  window.electronAPI.showApiSettings();
+});
+
+// Save the provider choice for the current project
+aiProviderSelect.addEventListener('change', async () => {
+  const result = await window.electronAPI.setProjectAiProvider(aiProviderSelect.value);
+  if (!result.success) {
+    alert(result.message);
+    loadAiProviders();
+  }
+});
+
+// Format an estimated cost, noting calls whose model had no known prices
+function formatUsageCost(totals) {
+  const cost = `$${totals.estimatedCost.toFixed(2)}`;
+  return totals.unpricedCalls > 0 ? `${cost} + ${totals.unpricedCalls} unpriced` : cost;
+}
+
+// Build one usage table, e.g. spend per tool
+function buildUsageTable(heading, groups) {
+  const keys = Object.keys(groups).sort();
+  if (keys.length === 0) {
+    return null;
+  }
+  
+  const wrapper = document.createElement('div');
+  const title = document.createElement('h3');
+  title.className = 'usage-heading';
+  title.textContent = heading;
+  wrapper.appendChild(title);
+  
+  const table = document.createElement('table');
+  table.className = 'cache-table';
+  const headerRow = document.createElement('tr');
+  ['', 'Calls', 'Prompt tokens', 'Cached', 'Output', 'Thinking', 'Est. cost'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headerRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+  
+  const tbody = document.createElement('tbody');
+  keys.forEach(key => {
+    const totals = groups[key];
+    const row = document.createElement('tr');
+    [
+      key,
+      totals.calls.toLocaleString(),
+      totals.promptTokens.toLocaleString(),
+      totals.cachedTokens.toLocaleString(),
+      totals.outputTokens.toLocaleString(),
+      totals.thinkingTokens.toLocaleString(),
+      formatUsageCost(totals)
+    ].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  wrapper.appendChild(table);
+  
+  return wrapper;
+}
+
+// Fill the usage view for the current project or all projects
+async function loadUsageSummary() {
+  const scope = usageScopeSelect.value;
+  usageTables.innerHTML = '';
+  
+  try {
+    const result = await window.electronAPI.getUsageSummary(scope);
+    
+    if (!result.success) {
+      usageTotal.textContent = result.message;
+      return;
+    }
+    
+    const { total, byTool, byMonth, byProject } = result.summary;
+    if (total.calls === 0) {
+      usageTotal.textContent = 'No AI calls recorded yet.';
+      return;
+    }
+    
+    usageTotal.textContent = `${total.calls.toLocaleString()} AI call(s), ` +
+      `${(total.promptTokens + total.outputTokens + total.thinkingTokens).toLocaleString()} tokens, ` +
+      `estimated ${formatUsageCost(total)}`;
+    
+    const tables = [
+      buildUsageTable('Per tool', byTool),
+      scope === 'all' ? buildUsageTable('Per project', byProject) : null,
+      buildUsageTable('Per month', byMonth)
+    ];
+    tables.filter(Boolean).forEach(table => usageTables.appendChild(table));
+  } catch (error) {
+    console.error('Error loading usage summary:', error);
+    usageTotal.textContent = `Error loading usage: ${error.message}`;
   }
+}
+
+refreshUsageBtn.addEventListener('click', () => {
+  loadUsageSummary();
+});
+
+usageScopeSelect.addEventListener('change', () => {
+  loadUsageSummary();
+});
+
+// Details of a run's inputs, shown when its tool name is expanded
+function buildRunDetails(run) {
+  const details = document.createElement('details');
+  details.className = 'run-details';
+  const summary = document.createElement('summary');
+  summary.textContent = run.title || run.tool;
+  details.appendChild(summary);
+  
+  const shortHash = hash => hash ? hash.substring(0, 12) : 'n/a';
+  const lines = Object.entries(run.options || {})
+    .filter(([name]) => name !== 'save_dir')
+    .map(([name, value]) => `${name}: ${value}`);
+  lines.push(`Prompt: ${run.promptFile ? run.promptFile.split(/[\\/]/).pop() : 'none'} (${shortHash(run.promptHash)})`);
+  lines.push(`Manuscript: ${shortHash(run.manuscriptHash)}`);
+  if (run.error || run.errorType) {
+    lines.push(`Error: ${run.error || run.errorType}`);
+  }
+  lines.push(`Run ID: ${run.runId || 'n/a'}`);
+  
+  const body = document.createElement('div');
+  body.className = 'run-details-body';
+  lines.forEach(line => {
+    const lineElement = document.createElement('div');
+    lineElement.textContent = line;
+    body.appendChild(lineElement);
+  });
+  details.appendChild(body);
+  return details;
+}
+
+// Buttons to reopen a run's output files; deleted ones are disabled
+function buildRunOutputs(run) {
+  const cell = document.createElement('td');
+  cell.className = 'run-outputs';
+  run.outputFiles.forEach(file => {
+    const openBtn = document.createElement('button');
+    openBtn.className = 'text-button';
+    openBtn.textContent = file.path.split(/[\\/]/).pop();
+    openBtn.title = file.exists ? file.path : `${file.path} (no longer exists)`;
+    openBtn.disabled = !file.exists;
+    openBtn.addEventListener('click', async () => {
+      const result = await window.electronAPI.openRunOutput(file.path);
+      if (!result.success) {
+        alert(`Could not open ${file.path}: ${result.message}`);
+      }
+    });
+    cell.appendChild(openBtn);
+  });
+  return cell;
+}
+
+// Keep the tool filter's choices in step with the tools in the run log
+function updateRunToolSelect(runs) {
+  const selected = runToolSelect.value;
+  const titles = {};
+  runs.forEach(run => {
+    titles[run.tool] = run.title || run.tool;
+  });
+  
+  runToolSelect.innerHTML = '<option value="">All tools</option>';
+  Object.keys(titles).sort((a, b) => titles[a].localeCompare(titles[b])).forEach(tool => {
+    const option = document.createElement('option');
+    option.value = tool;
+    option.textContent = titles[tool];
+    runToolSelect.appendChild(option);
+  });
+  runToolSelect.value = titles[selected] ? selected : '';
+}
+
+// Fill the run history with the current project's runs, newest first
+async function loadRunLog() {
+  runLogTableBody.innerHTML = '';
+  
+  try {
+    const result = await window.electronAPI.getRunLog();
+    
+    if (!result.success) {
+      runLogStatus.textContent = result.message;
+      runLogTable.style.display = 'none';
+      return;
+    }
+    
+    updateRunToolSelect(result.runs);
+    const runs = result.runs.filter(run => !runToolSelect.value || run.tool === runToolSelect.value);
+    
+    runs.forEach(run => {
+      const row = document.createElement('tr');
+      
+      const whenCell = document.createElement('td');
+      whenCell.textContent = new Date(run.startedAt).toLocaleString();
+      whenCell.title = `${Math.round((run.durationMs || 0) / 1000)}s`;
+      row.appendChild(whenCell);
+      
+      const toolCell = document.createElement('td');
+      toolCell.appendChild(buildRunDetails(run));
+      row.appendChild(toolCell);
+      
+      const statusCell = document.createElement('td');
+      statusCell.textContent = run.status;
+      statusCell.className = `run-status-${run.status}`;
+      row.appendChild(statusCell);
+      
+      const modelCell = document.createElement('td');
+      modelCell.textContent = run.model || '';
+      row.appendChild(modelCell);
+      
+      const tokensCell = document.createElement('td');
+      tokensCell.textContent = run.usage
+        ? (run.usage.promptTokens + run.usage.outputTokens + run.usage.thinkingTokens).toLocaleString()
+        : '';
+      if (run.usage) {
+        tokensCell.title = `${run.usage.calls} call(s), estimated ${formatUsageCost(run.usage)}`;
+      }
+      row.appendChild(tokensCell);
+      
+      row.appendChild(buildRunOutputs(run));
+      runLogTableBody.appendChild(row);
+    });
+    
+    runLogStatus.textContent = runs.length === 0
+      ? 'No runs recorded for this project yet.'
+      : `${runs.length} run(s).`;
+    runLogTable.style.display = runs.length === 0 ? 'none' : 'table';
+  } catch (error) {
+    console.error('Error loading run log:', error);
+    runLogStatus.textContent = `Error loading run history: ${error.message}`;
+    runLogTable.style.display = 'none';
+  }
+}
+
+refreshRunsBtn.addEventListener('click', () => {
+  loadRunLog();
+});
+
+runToolSelect.addEventListener('change', () => {
+  loadRunLog();
+});
+
+// Fill the cache manager with the current project's API files and caches
+async function loadProjectCaches() {
+  cacheStatus.textContent = 'Checking...';
+  cacheTableBody.innerHTML = '';
+  
+  try {
+    const result = await window.electronAPI.getProjectCaches();
+    
+    if (!result.success) {
+      cacheStatus.textContent = result.message;
+      cacheTable.style.display = 'none';
+      return;
+    }
+    
+    result.resources.forEach(resource => {
+      const row = document.createElement('tr');
+      
+      const cells = [
+        resource.kind === 'cache' ? 'Cache' : 'Upload',
+        resource.manuscript ? resource.manuscript.split(/[\\/]/).pop() : (resource.displayName || resource.name),
+        resource.model || '',
+        resource.remaining
+      ];
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.children[1].title = resource.manuscript || resource.name;
+      
+      const actions = document.createElement('td');
+      actions.className = 'cache-actions';
+      
+      // Uploads can't be extended; they expire 48 hours after upload
+      if (resource.kind === 'cache') {
+        const extendBtn = document.createElement('button');
+        extendBtn.className = 'text-button';
+        extendBtn.textContent = 'Extend 1h';
+        extendBtn.addEventListener('click', async () => {
+          extendBtn.disabled = true;
+          const extendResult = await window.electronAPI.extendProjectCache(resource.provider, resource.name, 1);
+          if (!extendResult.success) {
+            alert(`Could not extend cache: ${extendResult.message}`);
+          }
+          loadProjectCaches();
+        });
+        actions.appendChild(extendBtn);
+      }
+      
+      const dropBtn = document.createElement('button');
+      dropBtn.className = 'text-button';
+      dropBtn.textContent = 'Drop';
+      dropBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete this ${resource.kind === 'cache' ? 'cache' : 'upload'} now?\n${resource.name}`)) {
+          return;
+        }
+        dropBtn.disabled = true;
+        const dropResult = await window.electronAPI.dropProjectResource(resource.provider, resource.kind, resource.name);
+        if (!dropResult.success) {
+          alert(`Could not drop ${resource.name}: ${dropResult.message}`);
+        }
+        loadProjectCaches();
+      });
+      actions.appendChild(dropBtn);
+      
+      row.appendChild(actions);
+      cacheTableBody.appendChild(row);
+    });
+    
+    const errorText = result.errors && result.errors.length > 0 ? ` (${result.errors.join('; ')})` : '';
+    cacheStatus.textContent = result.resources.length === 0
+      ? `No uploads or caches for this project.${errorText}`
+      : `${result.resources.length} upload(s)/cache(s) for this project.${errorText}`;
+    cacheTable.style.display = result.resources.length === 0 ? 'none' : 'table';
+  } catch (error) {
+    console.error('Error loading project caches:', error);
+    cacheStatus.textContent = `Error loading caches: ${error.message}`;
+    cacheTable.style.display = 'none';
+  }
+}
+
+refreshCachesBtn.addEventListener('click', () => {
+  loadProjectCaches();
 });
 
 // Function to determine if a tool is an AI tool
 function isAiTool(tool) {
-  return !nonAiToolIds.includes(tool.name.toLowerCase());
+  // "ai": false in the tool's manifest (tool-manifests.js)
+  return tool.ai !== false;
 }
 
 async function loadAiTools() {
@@ -199,9 +582,9 @@ async function loadAiTools() {
   editorHeader.style.padding = '2px';
   aiToolSelect.appendChild(editorHeader);
   
-  // Filter out the rough draft tools
+  // Filter out the rough draft tools and custom tools
   const relevantTools = aiTools.filter(tool => 
-    !roughDraftTools.includes(tool.name) && !addedTools.has(tool.name)
+    !roughDraftTools.includes(tool.name) && !tool.custom && !addedTools.has(tool.name)
   );
 
   // Then process only the tools we care about
@@ -220,6 +603,29 @@ async function loadAiTools() {
     }
   });
   
+  // Custom tools from manifests in ~/writing/tool-prompts get their own header
+  const customTools = aiTools.filter(tool => tool.custom);
+  if (customTools.length > 0) {
+    const customHeader = document.createElement('option');
+    customHeader.disabled = true;
+    customHeader.value = '';
+    customHeader.textContent = '- Custom Tools:';
+    customHeader.style.color = '#999';
+    customHeader.style.fontWeight = 'bold';
+    customHeader.style.backgroundColor = '#252525';
+    customHeader.style.padding = '2px';
+    aiToolSelect.appendChild(customHeader);
+
+    customTools.forEach(tool => {
+      const option = document.createElement('option');
+      option.value = tool.name;
+      option.textContent = tool.title;
+      option.dataset.description = tool.description;
+      aiToolSelect.appendChild(option);
+      addedTools.add(tool.name);
+    });
+  }
+  
   // Now, append to the end the "Rough Draft Writing Tools" header
   const roughDraftHeader = document.createElement('option');
   roughDraftHeader.disabled = true;
@@ -259,14 +665,12 @@ async function loadAiTools() {
 
 async function loadNonAiTools() {
   console.log('Fetching non-AI tools from main process...');
-  console.log('Current nonAiToolIds:', nonAiToolIds);
-  
   const tools = await window.electronAPI.getTools();
   console.log('All tools received from main process:', tools);
   console.log('All tool names:', tools.map(tool => tool.name));
   
   // Filter to only include non-AI tools
-  const nonAiTools = tools.filter(tool => nonAiToolIds.includes(tool.name));
+  const nonAiTools = tools.filter(tool => !isAiTool(tool));
   console.log('Filtered non-AI tools:', nonAiTools);
   console.log('Number of non-AI tools after filtering:', nonAiTools.length);
   
@@ -371,6 +775,14 @@ if (openEditorBtn) {
   });
 }
 
+// Prompts button: each tool's prompt file compared with its shipped default
+const promptsBtn = document.getElementById('prompts-btn');
+if (promptsBtn) {
+  promptsBtn.addEventListener('click', () => {
+    window.electronAPI.showPromptVersions();
+  });
+}
+
 // Import DOCX button handler
 const importDocxBtn = document.getElementById('import-docx-btn');
 if (importDocxBtn) {
@@ -784,6 +1196,10 @@ document.addEventListener('DOMContentLoaded', () => {
   loadProjectInfo();
   loadAiTools();
   loadNonAiTools();
+  loadAiProviders();
+  loadProjectCaches();
+  loadUsageSummary();
+  loadRunLog();
 });
 
 // Add this to listen for when a tool run finishes and the window gains focus again
@@ -795,5 +1211,9 @@ window.addEventListener('focus', updateTimestamp);
 if (window.electronAPI && window.electronAPI.onToolDialogClosed) {
   window.electronAPI.onToolDialogClosed(() => {
     updateTimestamp();
+    // A tool run may have made AI calls or caches
+    loadUsageSummary();
+    loadProjectCaches();
+    loadRunLog();
   });
 }
\ No newline at end of file
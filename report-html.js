@@ -0,0 +1,408 @@
+// report-html.js
+// Renders a text report as HTML: its Markdown through marked, a table of
+// contents, a collapsible section per chapter (and per top-level heading),
+// and severity badges. Used by the report view window (report-view.html)
+// and for saving a report as a standalone HTML file.
+
+// Same theme variables as markdown-preview.js, plus the severity colors
+const REPORT_CSS = `
+    :root[data-theme="light"] {
+      --bg: #fff;
+      --text: #000;
+      --code-bg: #f0f0f0;
+      --link: #0366d6;
+      --blockquote-border: #ccc;
+      --blockquote-text: #555;
+      --hr: #ccc;
+    }
+    :root[data-theme="dark"] {
+      --bg: #1e1e1e;
+      --text: #ddd;
+      --code-bg: #2d2d2d;
+      --link: #58a6ff;
+      --blockquote-border: #444;
+      --blockquote-text: #aaa;
+      --hr: #444;
+    }
+    .report {
+      font-family: sans-serif;
+      line-height: 1.6;
+      background: var(--bg);
+      color: var(--text);
+    }
+    .report pre, .report code {
+      padding: 4px;
+      border-radius: 4px;
+      background: var(--code-bg);
+      color: var(--text);
+      white-space: pre-wrap;
+    }
+    .report a {
+      text-decoration: underline;
+      color: var(--link);
+    }
+    .report blockquote {
+      margin: 1em 0;
+      padding-left: 1em;
+      border-left: 4px solid var(--blockquote-border);
+      color: var(--blockquote-text);
+    }
+    .report hr {
+      margin: 2em 0;
+      border-color: var(--hr);
+    }
+    .report-toc {
+      border: 1px solid var(--hr);
+      border-radius: 4px;
+      padding: 8px 16px;
+      margin-bottom: 16px;
+    }
+    .report-toc ol {
+      margin: 4px 0;
+      padding-left: 20px;
+    }
+    .report-section {
+      border-bottom: 1px solid var(--hr);
+      padding: 4px 0;
+    }
+    .report-section > summary {
+      cursor: pointer;
+      font-size: 1.2em;
+      font-weight: bold;
+      padding: 6px 0;
+    }
+    .report-section.chapter > summary {
+      color: var(--link);
+    }
+    .finding {
+      border: 1px solid var(--hr);
+      border-radius: 4px;
+      padding: 8px 12px;
+      margin: 8px 0;
+    }
+    .finding p {
+      margin: 4px 0;
+    }
+    .badge {
+      display: inline-block;
+      padding: 0 8px;
+      border-radius: 10px;
+      font-size: 0.8em;
+      font-weight: bold;
+      text-transform: uppercase;
+      line-height: 1.6;
+    }
+    .badge.severity-high {
+      background-color: #f44336;
+      color: white;
+    }
+    .badge.severity-medium {
+      background-color: #ff9800;
+      color: #222;
+    }
+    .badge.severity-low {
+      background-color: #4a89dc;
+      color: white;
+    }
+    .badge.category,
+    .badge.status {
+      background-color: var(--code-bg);
+      color: var(--text);
+      font-weight: normal;
+      text-transform: none;
+    }
+    @media print {
+      :root[data-theme] {
+        --bg: #fff;
+        --text: #000;
+        --code-bg: #f0f0f0;
+        --link: #0366d6;
+        --blockquote-border: #ccc;
+        --blockquote-text: #555;
+        --hr: #ccc;
+      }
+      .report-section {
+        break-inside: auto;
+      }
+      .badge {
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+    }
+`;
+
+// Words reports use for severity, mapped onto the findings severities
+const SEVERITY_WORDS = {
+  critical: 'high',
+  high: 'high',
+  major: 'high',
+  medium: 'medium',
+  moderate: 'medium',
+  low: 'low',
+  minor: 'low'
+};
+const SEVERITY_PATTERN = Object.keys(SEVERITY_WORDS).join('|');
+
+// "Severity: High", "Priority - low"
+const LABELED_SEVERITY_REGEX = new RegExp(`\\b(severity|priority|impact)(\\s*[:\\-–]\\s*)(${SEVERITY_PATTERN})\\b`, 'gi');
+// "[HIGH]", "(minor)"
+const BRACKETED_SEVERITY_REGEX = new RegExp(`[\\[(](${SEVERITY_PATTERN})[\\])]`, 'gi');
+
+const MARKDOWN_HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+// "Chapter 3: The Storm", "## CHAPTER 7", "**Chapter Seven**" but not "Chapter 3 shows..."
+const CHAPTER_LINE_REGEX = /^(?:#{1,6}\s+)?(?:\*\*|__)?\s*chapter\s+(?:\d+|[ivxlcdm]+|[a-z]+(?:-[a-z]+)?)\b(?:\s*[:.\-–—(].*)?(?:\*\*|__)?\s*$/i;
+// The sections ToolBase adds after the AI's response
+const APPENDIX_LINE_REGEX = /^(?:=== (.+) ===|--- (.+) ---)$/;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Strip Markdown emphasis and heading marks from a section title
+function plainTitle(line) {
+  return line
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/\s*#+\s*$/, '')
+    .replace(/(\*\*|__|\*|_)/g, '')
+    .trim();
+}
+
+/**
+ * Split a report into sections at chapter lines, level 1 and 2 headings,
+ * and the QUOTE CHECK and RESPONSE METADATA sections
+ * @param {string} report - Report text
+ * @returns {{intro: string, sections: Array<{title, markdown, chapter: boolean, appendix: boolean}>}} -
+ *   intro is the Markdown before the first section
+ */
+function splitSections(report) {
+  const intro = [];
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  report.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (/^(```|~~~)/.test(trimmed)) {
+      inFence = !inFence;
+    }
+
+    if (!inFence && trimmed.length <= 80) {
+      const heading = trimmed.match(MARKDOWN_HEADING_REGEX);
+      const appendix = trimmed.match(APPENDIX_LINE_REGEX);
+      const isChapter = CHAPTER_LINE_REGEX.test(trimmed);
+      if (isChapter || appendix || (heading && heading[1].length <= 2)) {
+        current = {
+          title: appendix ? (appendix[1] || appendix[2]) : plainTitle(trimmed),
+          lines: [],
+          chapter: isChapter,
+          appendix: !!appendix
+        };
+        sections.push(current);
+        return;
+      }
+    }
+
+    (current ? current.lines : intro).push(line);
+  });
+
+  return {
+    intro: intro.join('\n'),
+    sections: sections.map(section => {
+      let markdown = section.lines.join('\n');
+      // The response metadata is JSON
+      if (section.appendix && section.title === 'RESPONSE METADATA') {
+        markdown = '```json\n' + markdown.trim() + '\n```';
+      }
+      return { title: section.title, markdown, chapter: section.chapter, appendix: section.appendix };
+    })
+  };
+}
+
+/**
+ * Turn severity words in rendered HTML into badges, leaving tags alone
+ * @param {string} html - Rendered HTML
+ * @returns {{html: string, counts: Object}} - counts per severity
+ */
+function addSeverityBadges(html) {
+  const counts = { high: 0, medium: 0, low: 0 };
+  const badge = word => {
+    const severity = SEVERITY_WORDS[word.toLowerCase()];
+    counts[severity]++;
+    return `<span class="badge severity-${severity}">${word}</span>`;
+  };
+
+  const parts = html.split(/(<[^>]+>)/);
+  let inCode = false;
+  const result = parts.map(part => {
+    if (part.startsWith('<')) {
+      if (/^<(pre|code)\b/i.test(part)) {
+        inCode = true;
+      } else if (/^<\/(pre|code)>/i.test(part)) {
+        inCode = false;
+      }
+      return part;
+    }
+    if (inCode) {
+      return part;
+    }
+    return part
+      .replace(LABELED_SEVERITY_REGEX, (match, label, separator, word) => `${label}${separator}${badge(word)}`)
+      .replace(BRACKETED_SEVERITY_REGEX, (match, word) => badge(word));
+  });
+
+  return { html: result.join(''), counts };
+}
+
+function renderMarkdown(marked, markdown) {
+  return marked.parse(markdown, { gfm: true, breaks: true });
+}
+
+// A collapsible section of findings per chapter, each with its severity badge
+function renderFindings(findings) {
+  const chapters = [];
+  findings.forEach(finding => {
+    const chapterName = finding.chapter || 'Manuscript';
+    let chapter = chapters.find(existing => existing.name === chapterName);
+    if (!chapter) {
+      chapter = { name: chapterName, findings: [] };
+      chapters.push(chapter);
+    }
+    chapter.findings.push(finding);
+  });
+
+  return chapters.map(chapter => {
+    const cards = chapter.findings.map(finding => {
+      const suggestion = typeof finding.replacement === 'string' ? finding.replacement : finding.suggestion;
+      return `<div class="finding">
+  <p><span class="badge severity-${escapeHtml(finding.severity)}">${escapeHtml(finding.severity)}</span>
+    <span class="badge category">${escapeHtml(finding.category)}</span>
+    <span class="badge status">${escapeHtml(finding.status || 'open')}</span></p>
+  <blockquote>${escapeHtml(finding.quote)}</blockquote>
+  <p>${escapeHtml(finding.explanation)}</p>
+  ${suggestion ? `<p><strong>Suggestion:</strong> ${escapeHtml(suggestion)}</p>` : ''}
+</div>`;
+    });
+    return `<details class="report-section chapter" open>
+<summary>${escapeHtml(chapter.name)} (${chapter.findings.length})</summary>
+${cards.join('\n')}
+</details>`;
+  }).join('\n');
+}
+
+/**
+ * Render a report as HTML
+ * @param {string} report - Report text
+ * @param {Object} [options]
+ * @param {string} [options.title] - Report title
+ * @param {Array<Object>} [options.findings] - The run's findings (findings.js), shown after the report
+ * @returns {{title: string, html: string, toc: Array<{id, title, counts}>, counts: Object}} - html
+ *   is the report body (table of contents and sections), without a document around it;
+ *   counts are the severity badges per severity
+ */
+function renderReport(report, options = {}) {
+  const { marked } = require('marked');
+  const { intro, sections } = splitSections(report);
+  const totals = { high: 0, medium: 0, low: 0 };
+  const addCounts = counts => {
+    Object.keys(totals).forEach(severity => {
+      totals[severity] += counts[severity];
+    });
+  };
+
+  const introResult = addSeverityBadges(renderMarkdown(marked, intro));
+  addCounts(introResult.counts);
+
+  const toc = [];
+  const sectionHtml = sections.map((section, index) => {
+    const id = `section-${index + 1}`;
+    const { html, counts } = addSeverityBadges(renderMarkdown(marked, section.markdown));
+    addCounts(counts);
+    toc.push({ id, title: section.title, counts });
+    const className = section.chapter ? 'report-section chapter' : 'report-section';
+    // The sections added after the response start collapsed
+    return `<details class="${className}" id="${id}"${section.appendix ? '' : ' open'}>
+<summary>${escapeHtml(section.title)}</summary>
+${html}
+</details>`;
+  });
+
+  if (options.findings && options.findings.length > 0) {
+    const id = 'section-findings';
+    const counts = { high: 0, medium: 0, low: 0 };
+    options.findings.forEach(finding => {
+      if (counts[finding.severity] !== undefined) {
+        counts[finding.severity]++;
+      }
+    });
+    toc.push({ id, title: `Findings (${options.findings.length})`, counts });
+    sectionHtml.push(`<section id="${id}">
+<h2>Findings</h2>
+${renderFindings(options.findings)}
+</section>`);
+  }
+
+  const tocHtml = toc.length > 1
+    ? `<nav class="report-toc">
+<strong>Contents</strong>
+<ol>
+${toc.map(entry => {
+    const badges = Object.entries(entry.counts)
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => ` <span class="badge severity-${severity}">${count}</span>`)
+      .join('');
+    return `<li><a href="#${entry.id}">${escapeHtml(entry.title)}</a>${badges}</li>`;
+  }).join('\n')}
+</ol>
+</nav>`
+    : '';
+
+  return {
+    title: options.title || 'Report',
+    html: `${tocHtml}\n${introResult.html}\n${sectionHtml.join('\n')}`,
+    toc,
+    counts: totals
+  };
+}
+
+/**
+ * Wrap a rendered report in a standalone HTML document
+ * @param {Object} rendered - From renderReport()
+ * @param {string} [theme] - 'light' or 'dark'
+ * @returns {string}
+ */
+function buildReportDocument(rendered, theme = 'light') {
+  return `<!DOCTYPE html>
+<html lang="en" data-theme="${theme === 'dark' ? 'dark' : 'light'}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(rendered.title)}</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 20px;
+      background: var(--bg);
+    }
+${REPORT_CSS}
+  </style>
+</head>
+<body>
+  <main class="report">
+    <h1>${escapeHtml(rendered.title)}</h1>
+${rendered.html}
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  REPORT_CSS,
+  splitSections,
+  addSeverityBadges,
+  renderReport,
+  buildReportDocument
+};
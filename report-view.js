@@ -0,0 +1,118 @@
+// report-view.js
+// Report view window: a report rendered as HTML (see report-html.js), with
+// a table of contents and collapsible sections, saved as HTML or printed to PDF
+const reportTitle = document.getElementById('report-title');
+const reportElement = document.getElementById('report');
+const toggleSectionsBtn = document.getElementById('toggle-sections-btn');
+const saveHtmlBtn = document.getElementById('save-html-btn');
+const savePdfBtn = document.getElementById('save-pdf-btn');
+const closeBtn = document.getElementById('close-btn');
+const statusElement = document.getElementById('status');
+
+let currentTheme = 'dark';
+
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.className = isError ? 'status-text error' : 'status-text';
+}
+
+function getSections() {
+  return [...reportElement.querySelectorAll('details.report-section')];
+}
+
+function updateToggleButton() {
+  const anyOpen = getSections().some(section => section.open);
+  toggleSectionsBtn.textContent = anyOpen ? 'Collapse all' : 'Expand all';
+}
+
+async function loadReport() {
+  const result = await window.electronAPI.getReportView();
+  if (!result.success) {
+    showStatus(`Error showing report: ${result.message}`, true);
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.textContent = result.css;
+  document.head.appendChild(style);
+
+  document.title = result.title;
+  reportTitle.textContent = result.title;
+  reportTitle.title = result.reportPath;
+  reportElement.innerHTML = result.html;
+
+  getSections().forEach(section => section.addEventListener('toggle', updateToggleButton));
+  updateToggleButton();
+  saveHtmlBtn.disabled = false;
+  savePdfBtn.disabled = false;
+}
+
+// A table of contents link opens its section if it was collapsed
+reportElement.addEventListener('click', (event) => {
+  const link = event.target.closest('a[href^="#"]');
+  if (!link) {
+    return;
+  }
+  const target = document.getElementById(link.getAttribute('href').slice(1));
+  if (target) {
+    event.preventDefault();
+    if (target.tagName === 'DETAILS') {
+      target.open = true;
+    }
+    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+toggleSectionsBtn.addEventListener('click', () => {
+  const open = toggleSectionsBtn.textContent === 'Expand all';
+  getSections().forEach(section => {
+    section.open = open;
+  });
+  updateToggleButton();
+});
+
+saveHtmlBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.saveReportHtml(currentTheme);
+  if (result.success) {
+    showStatus(`Saved to ${result.filePath}`);
+  } else if (!result.canceled) {
+    showStatus(`Error saving HTML: ${result.message}`, true);
+  }
+});
+
+savePdfBtn.addEventListener('click', async () => {
+  // Collapsed sections would be left out of the PDF
+  const sections = getSections();
+  const openStates = sections.map(section => section.open);
+  sections.forEach(section => {
+    section.open = true;
+  });
+
+  savePdfBtn.disabled = true;
+  const result = await window.electronAPI.printReportPdf();
+  savePdfBtn.disabled = false;
+
+  sections.forEach((section, index) => {
+    section.open = openStates[index];
+  });
+
+  if (result.success) {
+    showStatus(`Saved to ${result.filePath}`);
+  } else if (!result.canceled) {
+    showStatus(`Error saving PDF: ${result.message}`, true);
+  }
+});
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeReportView();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadReport();
+});
+
+window.electronAPI.onSetTheme((theme) => {
+  currentTheme = theme === 'light' ? 'light' : 'dark';
+  document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+  document.documentElement.setAttribute('data-theme', currentTheme);
+});
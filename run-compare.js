@@ -0,0 +1,195 @@
+// run-compare.js
+// Run history for a tool: the reports it has saved in the project folder
+// (<tool>_YYYYMMDDTHHMMSS.txt), and a comparison of two of its runs that
+// shows which issues were resolved, which persist and which are new.
+// A run's issues are its findings (findings.js) when both runs have them,
+// otherwise the passages its report quotes; either way they are matched
+// on the quoted passage.
+const fs = require('fs/promises');
+const path = require('path');
+const findingsUtils = require('./findings');
+const quoteVerifier = require('./quote-verifier');
+const { getManuscriptPath } = require('./manuscript-changes');
+
+// <tool>_20250101T120000.txt, as written by ToolBase.saveReport()
+const REPORT_NAME_REGEX = /^(.+)_(\d{8}T\d{6})\.txt$/;
+
+// A shorter quote must have this many words to match inside a longer one
+const MIN_CONTAINED_WORDS = 3;
+
+// The report timestamp is UTC (from toISOString)
+function parseTimestamp(stamp) {
+  return `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`;
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * List the reports a tool has saved in a project, newest first
+ * @param {string} projectPath - Project directory
+ * @param {string} toolName - Tool id, e.g. 'copy_editing'
+ * @returns {Promise<Array<{reportPath, reportName, timestamp, findingsPath, findingsCount}>>} -
+ *   findingsPath and findingsCount are null when the run has no findings file
+ */
+async function listToolRuns(projectPath, toolName) {
+  const runs = [];
+  const files = await fs.readdir(projectPath);
+
+  for (const file of files) {
+    const match = file.match(REPORT_NAME_REGEX);
+    if (!match || match[1] !== toolName.toLowerCase()) {
+      continue;
+    }
+    const reportPath = path.join(projectPath, file);
+    const findingsPath = findingsUtils.getFindingsPath(reportPath);
+    let findingsCount = null;
+    if (await fileExists(findingsPath)) {
+      try {
+        findingsCount = (await findingsUtils.readFindingsFile(findingsPath)).findings.length;
+      } catch (error) {
+        console.error(`Skipping unreadable findings file ${findingsPath}:`, error);
+      }
+    }
+    runs.push({
+      reportPath,
+      reportName: file,
+      timestamp: parseTimestamp(match[2]),
+      findingsPath: findingsCount === null ? null : findingsPath,
+      findingsCount
+    });
+  }
+
+  return runs.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+// The report as the AI wrote it, without the sections added after the run
+function reportBody(report) {
+  return ['\n=== QUOTE CHECK ===', '\n--- RESPONSE METADATA ---'].reduce((text, marker) => {
+    const markerIndex = text.indexOf(marker);
+    return markerIndex === -1 ? text : text.slice(0, markerIndex);
+  }, report);
+}
+
+/**
+ * Load the issues of one run
+ * @param {string} reportPath - Path to the run's report
+ * @param {boolean} useFindings - Use the findings file rather than the report's quotes
+ * @returns {Promise<{issues: Array<Object>, manuscriptPath: string|null}>} - Each issue
+ *   has quote and key, and for findings also id, category, severity, explanation, suggestion, status
+ */
+async function loadRunIssues(reportPath, useFindings) {
+  if (useFindings) {
+    const findingsPath = findingsUtils.getFindingsPath(reportPath);
+    const data = await findingsUtils.readFindingsFile(findingsPath);
+    return {
+      issues: data.findings
+        .map(finding => ({ ...finding, key: quoteVerifier.quoteKey(finding.quote) }))
+        .filter(issue => issue.key),
+      manuscriptPath: getManuscriptPath(data, findingsPath)
+    };
+  }
+
+  const report = await fs.readFile(reportPath, 'utf8');
+  return {
+    issues: quoteVerifier.extractQuotes(reportBody(report)).map(quote => ({ quote, key: quoteVerifier.quoteKey(quote) })),
+    manuscriptPath: null
+  };
+}
+
+function containsQuote(longer, shorter) {
+  return shorter.split(' ').length >= MIN_CONTAINED_WORDS && ` ${longer} `.includes(` ${shorter} `);
+}
+
+// Pair each newer issue with an older one about the same passage: the same
+// quote first, then one quote inside the other; the same category wins a tie
+function matchIssues(olderIssues, newerIssues) {
+  const pairs = [];
+  const unmatchedOlder = new Set(olderIssues);
+  const unmatchedNewer = new Set(newerIssues);
+
+  const matchers = [
+    (older, newer) => older.key === newer.key,
+    (older, newer) => containsQuote(older.key, newer.key) || containsQuote(newer.key, older.key)
+  ];
+
+  matchers.forEach(sameIssue => {
+    [...unmatchedNewer].forEach(newer => {
+      const candidates = [...unmatchedOlder].filter(older => sameIssue(older, newer));
+      if (candidates.length === 0) {
+        return;
+      }
+      const older = candidates.find(candidate => candidate.category === newer.category) || candidates[0];
+      pairs.push({ older, newer });
+      unmatchedOlder.delete(older);
+      unmatchedNewer.delete(newer);
+    });
+  });
+
+  pairs.sort((a, b) => newerIssues.indexOf(a.newer) - newerIssues.indexOf(b.newer));
+  return { pairs, unmatchedOlder: [...unmatchedOlder], unmatchedNewer: [...unmatchedNewer] };
+}
+
+/**
+ * Compare two runs of a tool
+ * Resolved issues are also looked up in the manuscript as it is now, to tell
+ * a passage that was revised from one the newer run just didn't mention.
+ * @param {string} olderReportPath - Report of the earlier run
+ * @param {string} newerReportPath - Report of the later run
+ * @param {string} projectPath - Project directory, for the manuscript when the runs have no findings
+ * @returns {Promise<Object>} - {source ('findings' or 'quotes'), older, newer (each {reportPath, count}),
+ *   resolved (issues, each with manuscriptStatus: 'revised', 'unchanged', 'never_found' or null),
+ *   persistent ({older, newer} pairs),
+ *   added (issues), manuscriptPath}
+ */
+async function compareRuns(olderReportPath, newerReportPath, projectPath) {
+  const useFindings = await fileExists(findingsUtils.getFindingsPath(olderReportPath)) &&
+    await fileExists(findingsUtils.getFindingsPath(newerReportPath));
+
+  const older = await loadRunIssues(olderReportPath, useFindings);
+  const newer = await loadRunIssues(newerReportPath, useFindings);
+  const { pairs, unmatchedOlder, unmatchedNewer } = matchIssues(older.issues, newer.issues);
+
+  let manuscriptPath = newer.manuscriptPath || older.manuscriptPath || path.join(projectPath, 'manuscript.txt');
+  let index = null;
+  try {
+    index = quoteVerifier.indexManuscript(await fs.readFile(manuscriptPath, 'utf8'));
+  } catch (error) {
+    console.error('Manuscript not available for run comparison:', error.message);
+    manuscriptPath = null;
+  }
+
+  const resolved = unmatchedOlder.map(issue => {
+    // Findings record whether their quote was found when the run was made
+    if (issue.location && issue.location.status === 'not_found') {
+      return { ...issue, manuscriptStatus: 'never_found' };
+    }
+    if (!index) {
+      return { ...issue, manuscriptStatus: null };
+    }
+    const location = quoteVerifier.verifyQuote(index, issue.quote);
+    const found = location.status === 'exact' || location.status === 'close';
+    return { ...issue, manuscriptStatus: found ? 'unchanged' : 'revised' };
+  });
+
+  return {
+    source: useFindings ? 'findings' : 'quotes',
+    older: { reportPath: olderReportPath, count: older.issues.length },
+    newer: { reportPath: newerReportPath, count: newer.issues.length },
+    resolved,
+    persistent: pairs,
+    added: unmatchedNewer,
+    manuscriptPath
+  };
+}
+
+module.exports = {
+  listToolRuns,
+  compareRuns
+};
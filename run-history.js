@@ -0,0 +1,248 @@
+// run-history.js
+// Run history window: a tool's past reports in the current project, and a
+// comparison of two runs showing which issues were resolved, which persist
+// and which are new (see run-compare.js)
+const historyTitle = document.getElementById('history-title');
+const historyInfo = document.getElementById('history-info');
+const runsBody = document.getElementById('runs-body');
+const olderSelect = document.getElementById('older-select');
+const newerSelect = document.getElementById('newer-select');
+const compareBtn = document.getElementById('compare-btn');
+const comparisonElement = document.getElementById('comparison');
+const statusElement = document.getElementById('status');
+const closeBtn = document.getElementById('close-btn');
+
+// The tool's runs, newest first
+let runs = [];
+
+function showStatus(message, isError = false) {
+  statusElement.textContent = message;
+  statusElement.className = isError ? 'status-text error' : 'status-text';
+}
+
+function baseName(filePath) {
+  return (filePath || '').split(/[\\/]/).pop();
+}
+
+function formatRunDate(run) {
+  return new Date(run.timestamp).toLocaleString();
+}
+
+function openReport(reportPath) {
+  window.electronAPI.openFileInEditor(reportPath)
+    .then(result => {
+      if (!result.success) {
+        showStatus(`Error opening report: ${result.error || 'Unknown error'}`, true);
+      }
+    })
+    .catch(error => {
+      showStatus(`Error opening report: ${error.message}`, true);
+    });
+}
+
+function renderRuns() {
+  runsBody.innerHTML = '';
+  runs.forEach(run => {
+    const row = document.createElement('tr');
+
+    const dateCell = document.createElement('td');
+    dateCell.textContent = formatRunDate(run);
+    row.appendChild(dateCell);
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = run.reportName;
+    row.appendChild(nameCell);
+
+    const findingsCell = document.createElement('td');
+    findingsCell.textContent = run.findingsCount === null ? '—' : run.findingsCount;
+    row.appendChild(findingsCell);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'actions';
+    const openButton = document.createElement('button');
+    openButton.className = 'secondary-button small-button';
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', () => openReport(run.reportPath));
+    actionsCell.appendChild(openButton);
+    row.appendChild(actionsCell);
+
+    runsBody.appendChild(row);
+  });
+}
+
+function buildRunSelect(select, selectedIndex) {
+  select.innerHTML = '';
+  runs.forEach((run, index) => {
+    const option = document.createElement('option');
+    option.value = run.reportPath;
+    option.textContent = `${formatRunDate(run)} (${run.reportName})`;
+    option.selected = index === selectedIndex;
+    select.appendChild(option);
+  });
+}
+
+function buildIssueCard(issue, note, noteClass = '') {
+  const card = document.createElement('div');
+  card.className = 'issue-card';
+
+  const header = document.createElement('div');
+  header.className = 'issue-header';
+  if (issue.severity) {
+    const severity = document.createElement('span');
+    severity.className = `badge severity-${issue.severity}`;
+    severity.textContent = issue.severity;
+    header.appendChild(severity);
+  }
+  if (issue.category) {
+    const category = document.createElement('span');
+    category.className = 'badge category';
+    category.textContent = issue.category;
+    header.appendChild(category);
+  }
+  const noteElement = document.createElement('span');
+  noteElement.className = `issue-note ${noteClass}`;
+  noteElement.textContent = note || '';
+  header.appendChild(noteElement);
+  card.appendChild(header);
+
+  const quote = document.createElement('div');
+  quote.className = 'issue-quote';
+  quote.textContent = issue.quote;
+  card.appendChild(quote);
+
+  if (issue.explanation) {
+    const explanation = document.createElement('div');
+    explanation.className = 'issue-explanation';
+    explanation.textContent = issue.explanation;
+    card.appendChild(explanation);
+  }
+  return card;
+}
+
+function buildSection(title, cards) {
+  const section = document.createElement('details');
+  section.open = cards.length > 0;
+  const summary = document.createElement('summary');
+  summary.textContent = `${title} (${cards.length})`;
+  section.appendChild(summary);
+  cards.forEach(card => section.appendChild(card));
+  return section;
+}
+
+// Why a resolved issue is gone: its passage was revised, or the newer run just didn't mention it
+function resolvedNote(issue) {
+  if (issue.manuscriptStatus === 'revised') {
+    return { note: 'Passage revised in the manuscript', noteClass: 'revised' };
+  }
+  if (issue.manuscriptStatus === 'unchanged') {
+    return { note: 'Passage unchanged; not reported by the newer run', noteClass: '' };
+  }
+  if (issue.manuscriptStatus === 'never_found') {
+    return { note: 'The quote was never in the manuscript', noteClass: '' };
+  }
+  return { note: '', noteClass: '' };
+}
+
+function renderComparison(comparison) {
+  comparisonElement.innerHTML = '';
+
+  const summary = document.createElement('div');
+  summary.className = 'summary';
+  const counts = [
+    ['resolved-count', `${comparison.resolved.length} resolved`],
+    ['persistent-count', `${comparison.persistent.length} still there`],
+    ['added-count', `${comparison.added.length} new`]
+  ];
+  summary.appendChild(document.createTextNode(
+    `${baseName(comparison.older.reportPath)}: ${comparison.older.count} issue(s) → ${baseName(comparison.newer.reportPath)}: ${comparison.newer.count} issue(s). `
+  ));
+  counts.forEach(([className, text], index) => {
+    const count = document.createElement('span');
+    count.className = className;
+    count.textContent = text;
+    summary.appendChild(count);
+    summary.appendChild(document.createTextNode(index < counts.length - 1 ? ', ' : '.'));
+  });
+
+  const source = document.createElement('div');
+  source.className = 'info-text';
+  source.textContent = comparison.source === 'findings'
+    ? 'Issues are the runs\' findings, matched on the passage they quote.'
+    : 'Issues are the passages the reports quote (at least one run has no findings file).';
+  if (!comparison.manuscriptPath) {
+    source.textContent += ' The manuscript was not found, so resolved issues are not checked against it.';
+  }
+  summary.appendChild(source);
+  comparisonElement.appendChild(summary);
+
+  comparisonElement.appendChild(buildSection('Resolved',
+    comparison.resolved.map(issue => {
+      const { note, noteClass } = resolvedNote(issue);
+      return buildIssueCard(issue, note, noteClass);
+    })));
+  comparisonElement.appendChild(buildSection('Still there',
+    comparison.persistent.map(pair => buildIssueCard(pair.newer, ''))));
+  comparisonElement.appendChild(buildSection('New',
+    comparison.added.map(issue => buildIssueCard(issue, ''))));
+}
+
+async function compareSelectedRuns() {
+  const olderRun = runs.find(run => run.reportPath === olderSelect.value);
+  const newerRun = runs.find(run => run.reportPath === newerSelect.value);
+  if (!olderRun || !newerRun || olderRun === newerRun) {
+    showStatus('Choose two different runs to compare.', true);
+    return;
+  }
+
+  // Always compare the earlier run against the later one
+  const [older, newer] = olderRun.timestamp <= newerRun.timestamp ? [olderRun, newerRun] : [newerRun, olderRun];
+
+  compareBtn.disabled = true;
+  showStatus('Comparing...');
+  const result = await window.electronAPI.compareToolRuns(older.reportPath, newer.reportPath);
+  compareBtn.disabled = false;
+  if (!result.success) {
+    showStatus(`Error comparing runs: ${result.message}`, true);
+    return;
+  }
+  showStatus('');
+  renderComparison(result.comparison);
+}
+
+async function loadRuns() {
+  const result = await window.electronAPI.getToolRuns();
+  if (!result.success) {
+    showStatus(`Error loading run history: ${result.message}`, true);
+    return;
+  }
+
+  runs = result.runs;
+  historyTitle.textContent = result.title;
+  historyInfo.textContent = `${runs.length} report(s) from ${result.toolName} in this project`;
+  renderRuns();
+
+  // Default to the last two runs
+  buildRunSelect(olderSelect, Math.min(1, runs.length - 1));
+  buildRunSelect(newerSelect, 0);
+  compareBtn.disabled = runs.length < 2;
+
+  if (runs.length >= 2) {
+    await compareSelectedRuns();
+  } else {
+    comparisonElement.textContent = 'Run the tool again after revising to compare runs.';
+  }
+}
+
+compareBtn.addEventListener('click', compareSelectedRuns);
+
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeRunHistory();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadRuns();
+});
+
+window.electronAPI.onSetTheme((theme) => {
+  document.body.className = theme === 'light' ? 'light-mode' : 'dark-mode';
+});
@@ -0,0 +1,99 @@
+// run-log.js
+// Keeps a record of every tool run, per project, in
+// <project>/.storygrinder/runs.jsonl: what went in (option values, the
+// prompt file's and input files' hashes, the model), how it went (status,
+// start and end time, token usage) and what came out (output files).
+// Unlike file-cache.js, this survives a restart, so any past output can be reopened.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const promptManager = require('./tool-prompts-manager');
+const { appendProjectJsonl, readProjectJsonl } = require('./project-data');
+
+const RUN_LOG_FILE = 'runs.jsonl';
+
+/**
+ * Hash a file's content, to tell later whether it changed
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string|null>} - SHA-256 in hex, or null if the file can't be read
+ */
+async function hashFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe a run's input files (the tool's 'file' options), before the run
+ * can change them
+ * @param {Array<Object>} toolOptions - The tool's option definitions
+ * @param {Object} optionValues - Option values for this run
+ * @param {string} saveDir - Directory relative paths are resolved against
+ * @returns {Promise<Object>} - {optionName: {path, hash}}
+ */
+async function describeInputFiles(toolOptions, optionValues, saveDir) {
+  const inputFiles = {};
+  for (const option of toolOptions || []) {
+    const value = optionValues[option.name];
+    if (option.type !== 'file' || !value) {
+      continue;
+    }
+    const filePath = path.isAbsolute(value) ? value : path.join(saveDir, value);
+    inputFiles[option.name] = { path: filePath, hash: await hashFile(filePath) };
+  }
+  return inputFiles;
+}
+
+/**
+ * Get the prompt file a tool reads, and its hash
+ * @param {string} toolName - Tool id
+ * @param {string} [promptFile] - The tool's prompt file, if not <toolName>.txt in the prompts folder (custom tools)
+ * @param {string} [projectPath] - Project directory, whose own prompt is read instead of the global one
+ * @returns {Promise<{promptFile: string|null, promptHash: string|null}>} - Both null
+ *   for tools without a prompt file
+ */
+async function describePrompt(toolName, promptFile = null, projectPath = null) {
+  if (!promptFile) {
+    const projectPromptFile = projectPath ? promptManager.getProjectPromptPath(toolName, projectPath) : null;
+    promptFile = projectPromptFile && await hashFile(projectPromptFile)
+      ? projectPromptFile
+      : promptManager.getPromptPath(toolName);
+  }
+  const promptHash = await hashFile(promptFile);
+  return { promptFile: promptHash ? promptFile : null, promptHash };
+}
+
+/**
+ * Record a finished run in the project's run log
+ * @param {string} projectPath - Project directory
+ * @param {Object} run - {runId, tool, options, inputFiles, manuscriptHash, promptFile, promptHash,
+ *   provider, model, startedAt, endedAt, status ('success', 'error' or 'cancelled'), error,
+ *   errorType (from a tool's {success: false, errorType} result, e.g. 'missing_prompt'),
+ *   usage (totals from usage-ledger.js summarizeUsage(), or null), outputFiles}
+ * @returns {Promise<Object>} - The recorded entry
+ */
+async function recordRun(projectPath, run) {
+  await appendProjectJsonl(projectPath, RUN_LOG_FILE, run);
+  return run;
+}
+
+/**
+ * Read a project's run log, newest first
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRuns(projectPath) {
+  const runs = await readProjectJsonl(projectPath, RUN_LOG_FILE);
+  return runs.reverse();
+}
+
+module.exports = {
+  hashFile,
+  describeInputFiles,
+  describePrompt,
+  recordRun,
+  getRuns
+};
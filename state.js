@@ -110,6 +110,90 @@ class AppState {
     }
   }
   
+  /**
+   * AI provider choices, stored under their own key because 'settings'
+   * is rewritten whenever a project is opened or created.
+   * @returns {Object} - {projects: {projectName: providerId}, tools: {toolId: providerId}}
+   */
+  getAiProviderSettings() {
+    const saved = this.store ? this.store.get('ai_providers', {}) : {};
+    return {
+      projects: saved.projects || {},
+      tools: saved.tools || {}
+    };
+  }
+
+  setProjectAiProvider(projectName, providerId) {
+    const settings = this.getAiProviderSettings();
+    settings.projects[projectName] = providerId;
+    this.saveAiProviderSettings(settings);
+  }
+
+  // A null providerId removes the override, so the tool follows the project again
+  setToolAiProvider(toolId, providerId) {
+    const settings = this.getAiProviderSettings();
+    if (providerId) {
+      settings.tools[toolId] = providerId;
+    } else {
+      delete settings.tools[toolId];
+    }
+    this.saveAiProviderSettings(settings);
+  }
+
+  saveAiProviderSettings(settings) {
+    if (!this.store) {
+      console.warn('Store not initialized, cannot save AI provider settings');
+      return;
+    }
+    this.store.set('ai_providers', settings);
+  }
+
+  // Model and generation settings (see generation-settings.js):
+  // { providers: { gemini: {...} }, tools: { tool_id: { gemini: {...} } } }
+  getGenerationSettings() {
+    const saved = this.store ? this.store.get('generation_settings', {}) : {};
+    return {
+      providers: saved.providers || {},
+      tools: saved.tools || {}
+    };
+  }
+
+  setProviderGenerationSettings(providerId, settings) {
+    const generationSettings = this.getGenerationSettings();
+    generationSettings.providers[providerId] = settings;
+    this.saveGenerationSettings(generationSettings);
+  }
+
+  // Empty or null settings remove the tool's overrides for that provider
+  setToolGenerationSettings(toolId, providerId, settings) {
+    const generationSettings = this.getGenerationSettings();
+    const toolSettings = generationSettings.tools[toolId] || {};
+    if (settings && Object.keys(settings).length > 0) {
+      toolSettings[providerId] = settings;
+    } else {
+      delete toolSettings[providerId];
+    }
+    if (Object.keys(toolSettings).length > 0) {
+      generationSettings.tools[toolId] = toolSettings;
+    } else {
+      delete generationSettings.tools[toolId];
+    }
+    this.saveGenerationSettings(generationSettings);
+  }
+
+  saveGenerationSettings(settings) {
+    if (!this.store) {
+      console.warn('Store not initialized, cannot save generation settings');
+      return;
+    }
+    this.store.set('generation_settings', settings);
+  }
+
+  // Saved overrides for stream retry/continuation (defaults live in stream-retry.js)
+  getStreamRetrySettings() {
+    return this.store ? this.store.get('stream_retry', {}) : {};
+  }
+
   isPathValid(filePath) {
     // Verify path exists and is within PROJECTS_DIR
     try {
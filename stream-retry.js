@@ -0,0 +1,158 @@
+// stream-retry.js
+// Retry and continuation rules for streamed AI responses, used by
+// ToolBase.streamWithThinking. API connections drop, rate limits hit and
+// long responses get cut off; these helpers decide what is worth retrying
+// and how to ask the model to pick up where it stopped.
+const appState = require('./state.js');
+
+const DEFAULT_RETRY_SETTINGS = {
+  max_retries: 3,              // retries after a transient error (429, 5xx, dropped connection)
+  initial_delay_seconds: 5,    // wait before the first retry
+  backoff_multiplier: 2,       // each retry waits this much longer than the previous one
+  max_delay_seconds: 60,       // never wait longer than this
+  max_continuations: 3         // follow-up requests to finish a truncated response
+};
+
+// Finish reasons (Gemini, Claude, OpenAI-compatible) that mean the response is complete
+const COMPLETE_FINISH_REASONS = ['STOP', 'end_turn', 'stop_sequence', 'stop'];
+
+// Finish reasons where asking again won't help, since the provider refused or filtered the response
+const BLOCKED_FINISH_REASONS = [
+  'SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'refusal', 'content_filter'
+];
+
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504, 529];
+
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+];
+
+// Provider statuses (Gemini, Claude) for overloaded or rate-limited servers
+const TRANSIENT_PROVIDER_STATUSES = ['UNAVAILABLE', 'RESOURCE_EXHAUSTED', 'overloaded_error'];
+
+// Some SDKs only put the status or code in the error message: "503 ...",
+// "[503 Service Unavailable]", "server error 503", "status: UNAVAILABLE", "read ECONNRESET"
+const TRANSIENT_MESSAGE_PATTERN = new RegExp(
+  `(?:^|\\[|\\b(?:status|error):? )(?:${TRANSIENT_STATUS_CODES.join('|')})\\b` +
+  `|\\b(?:${[...TRANSIENT_ERROR_CODES, ...TRANSIENT_PROVIDER_STATUSES].join('|')})\\b`
+);
+
+/**
+ * Get retry settings: defaults, then saved settings, then per-tool overrides
+ * @param {object} [overrides={}] - e.g. a tool's config.retry
+ * @returns {object}
+ */
+function getRetrySettings(overrides = {}) {
+  return {
+    ...DEFAULT_RETRY_SETTINGS,
+    ...appState.getStreamRetrySettings(),
+    ...overrides
+  };
+}
+
+/**
+ * Whether an error is worth retrying (rate limits, server errors, dropped connections)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+  const status = error.status || error.code || (error.response && error.response.status);
+  if (TRANSIENT_STATUS_CODES.includes(Number(status))) {
+    return true;
+  }
+  const cause = error.cause || {};
+  if (TRANSIENT_ERROR_CODES.includes(error.code) || TRANSIENT_ERROR_CODES.includes(cause.code)) {
+    return true;
+  }
+  return TRANSIENT_MESSAGE_PATTERN.test(error.message || '');
+}
+
+/**
+ * Delay before a retry, growing exponentially with a little jitter
+ * @param {number} attempt - 1 for the first retry
+ * @param {object} settings - From getRetrySettings()
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelayMs(attempt, settings) {
+  const seconds = Math.min(
+    settings.initial_delay_seconds * Math.pow(settings.backoff_multiplier, attempt - 1),
+    settings.max_delay_seconds
+  );
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.round(seconds * jitter * 1000);
+}
+
+/**
+ * Wait, but stop early if the run is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - The run's abort signal
+ * @returns {Promise<void>} - Rejects with an AbortError as soon as the run is
+ *   cancelled, at once if it already was
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () => {
+      const error = new Error('Request cancelled');
+      error.name = 'AbortError';
+      return error;
+    };
+    if (signal && signal.aborted) {
+      reject(cancelled());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+function isCompleteFinish(finishReason) {
+  return COMPLETE_FINISH_REASONS.includes(finishReason);
+}
+
+function isBlockedFinish(finishReason) {
+  return BLOCKED_FINISH_REASONS.includes(finishReason);
+}
+
+/**
+ * Build a follow-up prompt asking the model to finish a response that was cut off
+ * @param {string} prompt - The original prompt
+ * @param {string} partialText - Everything received so far
+ * @returns {string}
+ */
+function buildContinuationPrompt(prompt, partialText) {
+  return `${prompt}
+
+=== YOUR RESPONSE SO FAR (it was cut off) ===
+${partialText}
+=== END OF RESPONSE SO FAR ===
+
+Your response above was cut off before it was finished.
+Continue it from exactly where it stops, mid-sentence if need be.
+DO NOT repeat anything already written, and DO NOT add any introduction or commentary about continuing.`;
+}
+
+module.exports = {
+  DEFAULT_RETRY_SETTINGS,
+  getRetrySettings,
+  isTransientError,
+  getRetryDelayMs,
+  sleep,
+  isCompleteFinish,
+  isBlockedFinish,
+  buildContinuationPrompt
+};
@@ -0,0 +1,216 @@
+// text-diff.js
+// Line-by-line comparison of two texts, used by the prompts window to show
+// how a prompt file differs from its shipped default, and to merge a new
+// default into a prompt the author has edited (tool-prompts-manager.js).
+
+const CONFLICT_START = '<<<<<<< YOUR VERSION';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> NEW DEFAULT';
+
+function splitLines(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Compare two lists of lines (longest common subsequence)
+ * @param {Array<string>} oldLines - Lines before
+ * @param {Array<string>} newLines - Lines after
+ * @returns {Array<{type: string, line: string}>} - Operations in order:
+ *   'same', 'removed' (only in oldLines) or 'added' (only in newLines)
+ */
+function diffLines(oldLines, newLines) {
+  // Lines shared at the start and end don't need the table
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  // lengths[i][j]: length of the common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, prefix).map(line => ({ type: 'same', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      ops.push({ type: 'removed', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: 'added', line: b[j] });
+      j++;
+    }
+  }
+  oldLines.slice(oldLines.length - suffix).forEach(line => ops.push({ type: 'same', line }));
+  return ops;
+}
+
+/**
+ * Rows for a side-by-side view of two texts
+ * Removed and added lines next to each other are paired up as changed rows.
+ * @param {string} oldText - Left side
+ * @param {string} newText - Right side
+ * @returns {Array<Object>} - Rows: {type: 'same'|'changed'|'removed'|'added',
+ *   left: {number, text}|null, right: {number, text}|null}
+ */
+function sideBySide(oldText, newText) {
+  const rows = [];
+  let leftNumber = 0;
+  let rightNumber = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k] || null;
+      const right = added[k] || null;
+      rows.push({ type: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  diffLines(splitLines(oldText), splitLines(newText)).forEach(op => {
+    if (op.type === 'removed') {
+      removed.push({ number: ++leftNumber, text: op.line });
+    } else if (op.type === 'added') {
+      added.push({ number: ++rightNumber, text: op.line });
+    } else {
+      flush();
+      rows.push({ type: 'same', left: { number: ++leftNumber, text: op.line }, right: { number: ++rightNumber, text: op.line } });
+    }
+  });
+  flush();
+  return rows;
+}
+
+/**
+ * The changed stretches between two lists of lines
+ * @returns {Array<{baseStart: number, baseEnd: number, otherStart: number, otherEnd: number}>} -
+ *   Lines baseStart..baseEnd of base became lines otherStart..otherEnd of other
+ */
+function diffHunks(base, other) {
+  const hunks = [];
+  let baseIndex = 0;
+  let otherIndex = 0;
+  let hunk = null;
+  diffLines(base, other).forEach(op => {
+    if (op.type === 'same') {
+      hunk = null;
+      baseIndex++;
+      otherIndex++;
+      return;
+    }
+    if (!hunk) {
+      hunk = { baseStart: baseIndex, baseEnd: baseIndex, otherStart: otherIndex, otherEnd: otherIndex };
+      hunks.push(hunk);
+    }
+    if (op.type === 'removed') {
+      hunk.baseEnd = ++baseIndex;
+    } else {
+      hunk.otherEnd = ++otherIndex;
+    }
+  });
+  return hunks;
+}
+
+// A side's lines for base lines start..end, with its hunks in that stretch applied
+function applyHunks(base, lines, hunks, start, end) {
+  const result = [];
+  let position = start;
+  hunks.forEach(hunk => {
+    result.push(...base.slice(position, hunk.baseStart), ...lines.slice(hunk.otherStart, hunk.otherEnd));
+    position = hunk.baseEnd;
+  });
+  result.push(...base.slice(position, end));
+  return result;
+}
+
+/**
+ * Merge the changes made to a text on two sides (three-way merge)
+ * Where both sides changed the same lines differently, both versions are kept
+ * between conflict markers. Without a base, every difference is a conflict.
+ * @param {string|null} baseText - The text both sides started from, or null if unknown
+ * @param {string} oursText - The author's version
+ * @param {string} theirsText - The new default
+ * @returns {{text: string, conflicts: number}}
+ */
+function mergeTexts(baseText, oursText, theirsText) {
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const base = baseText === null ? ours : splitLines(baseText);
+  const hunks = [
+    ...diffHunks(base, ours).map(hunk => ({ ...hunk, lines: ours, side: 'ours' })),
+    ...diffHunks(base, theirs).map(hunk => ({ ...hunk, lines: theirs, side: 'theirs' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+  const result = [];
+  let conflicts = 0;
+  let position = 0;
+  let index = 0;
+  while (index < hunks.length) {
+    // Group hunks that touch the same lines
+    const group = [hunks[index]];
+    const start = hunks[index].baseStart;
+    let end = hunks[index].baseEnd;
+    index++;
+    while (index < hunks.length && hunks[index].baseStart <= end) {
+      end = Math.max(end, hunks[index].baseEnd);
+      group.push(hunks[index]);
+      index++;
+    }
+    result.push(...base.slice(position, start));
+    position = end;
+
+    const ourHunks = group.filter(hunk => hunk.side === 'ours');
+    const theirHunks = group.filter(hunk => hunk.side === 'theirs');
+    const ourLines = applyHunks(base, ours, ourHunks, start, end);
+    const theirLines = applyHunks(base, theirs, theirHunks, start, end);
+    if (baseText !== null && theirHunks.length === 0) {
+      result.push(...ourLines);
+    } else if (baseText !== null && ourHunks.length === 0) {
+      result.push(...theirLines);
+    } else if (ourLines.join('\n') === theirLines.join('\n')) {
+      result.push(...ourLines);
+    } else {
+      conflicts++;
+      result.push(CONFLICT_START, ...ourLines, CONFLICT_SEPARATOR, ...theirLines, CONFLICT_END);
+    }
+  }
+  result.push(...base.slice(position));
+  return { text: result.join('\n'), conflicts };
+}
+
+/**
+ * Whether a text still has conflict markers from mergeTexts
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function hasConflictMarkers(text) {
+  return splitLines(text).some(line => line === CONFLICT_START || line === CONFLICT_END);
+}
+
+module.exports = {
+  diffLines,
+  sideBySide,
+  mergeTexts,
+  hasConflictMarkers
+};
@@ -0,0 +1,92 @@
+// token-estimator.js
+// Offline token counts. Splits text the way subword tokenizers do (words,
+// numbers, punctuation, line breaks) and prices each piece by its length,
+// which lands within a few percent of Gemini and Claude counts for English
+// prose. Used when the API can't be reached, or instead of the API when the
+// 'token_counting' setting is 'estimate'.
+const appState = require('./state.js');
+
+// Words, numbers, CJK characters, single punctuation marks, and runs of line breaks
+const PIECE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[A-Za-z']+|\p{L}+|\p{N}+|\n+|[^\s\p{L}\p{N}]/gu;
+
+const CJK_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]$/u;
+const ASCII_WORD_PATTERN = /^[A-Za-z']+$/;
+
+/**
+ * Estimate tokens for one piece of text
+ * @param {string} piece - A match of PIECE_PATTERN
+ * @returns {number}
+ */
+function estimatePieceTokens(piece) {
+  if (piece[0] === '\n' || CJK_PATTERN.test(piece)) {
+    return 1;
+  }
+  if (ASCII_WORD_PATTERN.test(piece)) {
+    // Common words are one token; longer words split into roughly 6-letter pieces
+    return Math.max(1, Math.ceil(piece.length / 6));
+  }
+  if (/^\p{N}+$/u.test(piece)) {
+    return Math.ceil(piece.length / 3);
+  }
+  if (/^\p{L}+$/u.test(piece)) {
+    // Accented and non-Latin words split into shorter pieces
+    return Math.max(1, Math.ceil(piece.length / 3));
+  }
+  return 1;
+}
+
+/**
+ * Estimate the number of tokens in a text without calling any API
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  let tokens = 0;
+  for (const match of text.matchAll(PIECE_PATTERN)) {
+    tokens += estimatePieceTokens(match[0]);
+  }
+  return tokens;
+}
+
+/**
+ * How token counts are made: 'api' (default, falls back to the estimate
+ * when the API fails) or 'estimate' (never call the API).
+ * STORYGRINDER_TOKEN_COUNTING overrides the saved setting.
+ * @returns {string}
+ */
+function getTokenCountingMode() {
+  const mode = process.env.STORYGRINDER_TOKEN_COUNTING ||
+    (appState.store ? appState.store.get('token_counting', 'api') : 'api');
+  return mode === 'estimate' ? 'estimate' : 'api';
+}
+
+/**
+ * Count tokens with the API when possible, otherwise estimate them
+ * @param {string} text - Text to count tokens in
+ * @param {Function|null} countWithApi - Async function returning the API's count, or null if the API is unavailable
+ * @param {string} label - Provider name for log messages
+ * @returns {Promise<{tokens: number, estimated: boolean}>}
+ */
+async function countTokensWithFallback(text, countWithApi, label) {
+  if (countWithApi && getTokenCountingMode() === 'api') {
+    try {
+      const tokens = await countWithApi();
+      if (Number.isFinite(tokens) && tokens >= 0) {
+        return { tokens, estimated: false };
+      }
+      console.error(`${label} token counting returned no count, using the offline estimate`);
+    } catch (error) {
+      console.error(`${label} token counting failed, using the offline estimate:`, error.message);
+    }
+  }
+  return { tokens: estimateTokens(text), estimated: true };
+}
+
+module.exports = {
+  estimateTokens,
+  getTokenCountingMode,
+  countTokensWithFallback
+};
@@ -4,6 +4,7 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs').promises;
+const { estimateTokens, getTokenCountingMode } = require('./token-estimator');
 
 /**
  * Tokens & Words Counter Tool
@@ -26,12 +27,11 @@ class TokensWordsCounter extends ToolBase {
   /**
    * Count tokens in a text string
    * @param {string} text - Text to count tokens in
-   * @returns {Promise<number>} - Token count
+   * @returns {Promise<{tokens: number, estimated: boolean}>} - Token count, and whether it's the offline estimate
    */
   async countTokens(text) {
     try {
-      const tokenCount = await this.apiService.countTokens(text);
-      return tokenCount;
+      return await this.apiService.countTokensDetailed(text);
     } catch (error) {
       console.error('Token counting error:', error);
       throw error;
@@ -76,25 +76,29 @@ class TokensWordsCounter extends ToolBase {
       this.emitOutput(`Word count: ${wordCount.toLocaleString()}\n`);
       
       let wordsPerToken = 0;
-      const totalTokens = await this.countTokens(text);
-      this.emitOutput(`Token count: ${totalTokens.toLocaleString()}\n`);
-      if (totalTokens < 1) {
-          this.emitOutput(`\n*** TOKEN COUNTING ERROR: API key not valid or missing ***\n\n`);
-          this.emitOutput('API connection failed. Unable to count tokens.\n');
-          this.emitOutput('Please ensure your API key is correctly configured in your environment.\n');
-        } else {
-          this.emitOutput(`Token count: ${totalTokens.toLocaleString()}\n\n`);
-          
-          // Calculate token:word ratio
-          wordsPerToken = (totalTokens / wordCount);
-          this.emitOutput(`Token to word ratio: ${wordsPerToken}\n\n`);
-        }
+      const { tokens: totalTokens, estimated } = await this.countTokens(text);
+      const tokenSource = estimated ? 'offline estimate' : 'AI API';
+      this.emitOutput(`Token count: ${totalTokens.toLocaleString()} (${tokenSource})\n`);
+      if (estimated && getTokenCountingMode() === 'api') {
+        this.emitOutput(`\n*** TOKEN COUNTING: AI API not reachable, API key not valid or missing ***\n\n`);
+        this.emitOutput('Showing the offline estimate instead; it is usually within a few percent.\n');
+        this.emitOutput('To use exact counts, ensure your API key is correctly configured in your environment.\n\n');
+      } else if (!estimated) {
+        this.emitOutput(`Offline estimate: ${estimateTokens(text).toLocaleString()}\n`);
+      }
+      
+      if (totalTokens > 0) {
+        // Calculate token:word ratio
+        wordsPerToken = (totalTokens / wordCount);
+        this.emitOutput(`Token to word ratio: ${wordsPerToken}\n\n`);
+      }
       
       let reportContent = this.generateReport(
         inputFile, 
         wordCount, 
         totalTokens, 
-        wordsPerToken
+        wordsPerToken,
+        tokenSource
       );
       
       // Output the summary report to the console
@@ -127,6 +131,7 @@ class TokensWordsCounter extends ToolBase {
         stats: {
           wordCount,
           tokenCount: totalTokens,
+          tokenCountEstimated: estimated,
           wordsPerToken: wordsPerToken,
         }
       };
@@ -143,9 +148,10 @@ class TokensWordsCounter extends ToolBase {
    * @param {number} wordCount - Total word count
    * @param {number} totalTokens - Total token count
    * @param {number} wordsPerToken - Words per token ratio
+   * @param {string} tokenSource - 'AI API' or 'offline estimate'
    * @returns {string} Formatted report
    */
-  generateReport(filePath, wordCount, totalTokens, wordsPerToken) {
+  generateReport(filePath, wordCount, totalTokens, wordsPerToken, tokenSource) {
     let report = `
 
 TOKENS & WORDS COUNTER REPORT  ${new Date().toLocaleString()}
@@ -156,7 +162,7 @@ File: ${filePath}
 SUMMARY
 
 Total Human Words: ${wordCount.toLocaleString()}
-Total AI Tokens: ${totalTokens.toLocaleString()}
+Total AI Tokens: ${totalTokens.toLocaleString()} (${tokenSource})
 Words per token ratio: ${wordsPerToken}
 `;
 
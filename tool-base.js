@@ -4,6 +4,20 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const promptManager = require('./tool-prompts-manager');
+const { applyOptionsToPrompt } = require('./prompt-template');
+const { readProjectMetadata } = require('./project-metadata');
+const { hasConflictMarkers } = require('./text-diff');
+const streamRetry = require('./stream-retry');
+const { getProjectDataDir } = require('./project-data');
+const { getModelLimits } = require('./model-catalog');
+const usageLedger = require('./usage-ledger');
+const findingsUtils = require('./findings');
+const quoteVerifier = require('./quote-verifier');
+const chunkedAnalysis = require('./chunked-analysis');
+
+// Smallest response limit worth sending a request with, when the response
+// limit has to be lowered to fit the context window (see checkTokenBudget)
+const MIN_RESPONSE_TOKENS = 4096;
 
 /**
  * Enhanced Base class for all tools
@@ -21,25 +35,102 @@ class ToolBase {
     this.name = name;
     this.config = config;
     
+    // Set by the tool runner for each run, so a run can be stopped mid-stream
+    this.abortSignal = null;
+    
+    // The current run's save directory (set by the tool runner), where
+    // relative input paths, usage and partial responses belong
+    this.saveDir = null;
+    
+    // Files written during the current run, removed again if the run is cancelled
+    this.runOutputFiles = [];
+    
+    // AI provider of the current run (set by the tool runner), for the usage ledger
+    this.providerId = null;
+    
+    // Usage ledger entries of the current run's AI calls, for the run log
+    this.runUsage = [];
+    
     // Create title from name (capitalize words and replace underscores with spaces)
     this.title = this.name.split('_')
       .map(word => word.charAt(0).toUpperCase() + word.slice(1))
       .join(' ');
   }
 
-  async getPrompt() {
+  /**
+   * Fill in a prompt template for a run (prompt-template.js) with the option
+   * values, the project's metadata as project.<field>, and any extra values
+   * @param {string} promptText - The prompt file's text
+   * @param {Object} options - Option values for this run
+   * @param {Object} [extraValues] - Other template values, e.g. input file contents
+   * @returns {Promise<string>}
+   * @throws {Error} - If the prompt isn't a valid template
+   */
+  async renderPrompt(promptText, options, extraValues = {}) {
+    let project = {};
+    try {
+      project = await readProjectMetadata(options.save_dir || appState.CURRENT_PROJECT_PATH);
+    } catch (error) {
+      this.emitOutput(`Warning: ${error.message}\nThe prompt's {{project...}} fields are left empty.\n`);
+    }
+    return applyOptionsToPrompt(promptText, this.config.options, { ...options, ...extraValues, project });
+  }
+
+  /**
+   * Say which prompt a run uses (see PromptManager.resolvePrompt)
+   * @param {{layer: string, path: string|null}} resolved - Where the prompt came from
+   * @returns {string}
+   */
+  describePromptSource(resolved) {
+    if (resolved.layer === 'project') {
+      return `Prompt: this project's own prompt, ${resolved.path}`;
+    }
+    if (resolved.layer === 'global') {
+      return `Prompt: your edited prompt, ${resolved.path}`;
+    }
+    return resolved.path ? `Prompt: the default prompt, ${resolved.path}` : 'Prompt: the default prompt (the prompts folder could not be read)';
+  }
+
+  /**
+   * Get the tool's prompt, filled in for this run (see renderPrompt)
+   * @param {Object} [options] - Option values for this run
+   * @param {Object} [extraValues] - Other template values, e.g. input file contents
+   * @returns {Promise<string|{error: string}>} - The prompt, or {error} when there is none
+   *   to send, after saying why in the output: 'missing_prompt' (no prompt file),
+   *   'prompt_conflicts' (a merge left conflict markers in it) or 'invalid_prompt'
+   *   (the prompt isn't a valid template)
+   */
+  async getPrompt(options = {}, extraValues = {}) {
     try {
       //            ******************************************
       // IMPORTANT: all prompts are in: ~/writing/tool-prompts
       //            ******************************************
       //            so double check they agree with: tool-prompts.js !!
 
-      // Try to get prompt from the manager (it will create the prompt if needed)
-      const prompt = await promptManager.getPrompt(this.name);
+      // Try to get prompt from the manager (it will create the prompt if needed);
+      // the project's own prompt in <project>/tool-prompts comes first
+      const resolved = await promptManager.resolvePrompt(this.name, options.save_dir || appState.CURRENT_PROJECT_PATH);
       
-      if (prompt) {
-        this.emitOutput(`Using this prompt for ${this.name}:\n`);
-        this.emitOutput(`${prompt}\n`);
+      if (resolved) {
+        const promptText = resolved.prompt;
+        const promptFile = resolved.path || 'the shipped default';
+        if (hasConflictMarkers(promptText)) {
+          this.emitOutput(`\n⛔️ The prompt for ${this.name} (${promptFile}) still has merge conflicts.\nKeep one version of each passage between the <<<<<<< and >>>>>>> lines, and remove the marker lines.\n`);
+          return { error: 'prompt_conflicts' };
+        }
+        let prompt;
+        try {
+          prompt = await this.renderPrompt(promptText, options, extraValues);
+        } catch (error) {
+          this.emitOutput(`\n⛔️ Error in the prompt for ${this.name} (${promptFile}):\n${error.message}\n`);
+          return { error: 'invalid_prompt' };
+        }
+        this.emitOutput(`${this.describePromptSource(resolved)}\n`);
+        // A prompt filled in with input files is too long to show
+        if (Object.keys(extraValues).length === 0) {
+          this.emitOutput(`Using this prompt for ${this.name}:\n`);
+          this.emitOutput(`${prompt}\n`);
+        }
         return prompt;
       } else {
         // If we still couldn't get a prompt, show the error message
@@ -64,11 +155,12 @@ class ToolBase {
         
         // Emit error to UI
         this.emitOutput(errorMessage);
-        return null;
+        return { error: 'missing_prompt' };
       }
     } catch (error) {
       console.error(`Error getting prompt for ${this.name}:`, error);
-      return null;
+      this.emitOutput(`\n⛔️ Could not read the prompt for ${this.name}: ${error.message}\n`);
+      return { error: 'missing_prompt' };
     }
   }
   
@@ -105,57 +197,50 @@ class ToolBase {
       const manuscriptContent = await this.readInputFile(manuscriptFile);
       const manuscriptWordCount = this.countWords(manuscriptContent);
       const manuscriptTokens = await this.apiService.countTokens(manuscriptContent);
+      
+      // Chapter by chapter mode and a chapter selection send their text with
+      // each request (chunked-analysis.js), so nothing is uploaded or cached
+      const parts = chunkedAnalysis.planParts(manuscriptContent, options);
 
       // Prepare file and cache for API processing
-      const prepareResult = await this.apiService.prepareFileAndCache(manuscriptFile);
-      prepareResult.messages.forEach(message => {
-        this.emitOutput(`${message}\n`);
-      });
-      if (prepareResult.errors.length > 0) {
-        this.emitOutput(`\n--- Errors encountered during preparation ---\n`);
-        prepareResult.errors.forEach(error => {
-          this.emitOutput(`ERROR: ${error}\n`);
+      if (!parts) {
+        const prepareResult = await this.apiService.prepareFileAndCache(manuscriptFile, saveDir);
+        prepareResult.messages.forEach(message => {
+          this.emitOutput(`${message}\n`);
         });
+        if (prepareResult.errors.length > 0) {
+          this.emitOutput(`\n--- Errors encountered during preparation ---\n`);
+          prepareResult.errors.forEach(error => {
+            this.emitOutput(`ERROR: ${error}\n`);
+          });
+        }
       }
       
       // Get the tool-specific prompt - subclasses must implement this
-      const prompt = await this.getPrompt();
+      const prompt = await this.getPrompt(options);
       
-      // Check if prompt was found
-      if (prompt === null) {
-        // Create helpful error message with dynamic paths
-        const os = require('os');
-        const path = require('path');
-        const homeDir = os.homedir();
-        const writingDir = path.join(homeDir, 'writing');
-        const promptsDir = path.join(writingDir, 'tool-prompts');
-        const promptFilename = `${this.name}.txt`;
-        const customPromptPath = path.join(promptsDir, promptFilename);
-        
-        let errorMessage = `\n`;
-        errorMessage += `⛔️ PROMPT FILE NOT FOUND ⛔️\n\n`;
-        errorMessage += `A custom prompt file is required to run this tool.\n\n`;
-        errorMessage += `You need to create or edit the prompt file at:\n`;
-        errorMessage += `${customPromptPath}\n\n`;
-        errorMessage += `Here's how to fix this:\n`;
-        errorMessage += `1. The application uses a folder called 'tool-prompts' in your writing directory.\n`;
-        errorMessage += `2. Each tool needs its own text file with the AI instructions.\n`;
-        errorMessage += `3. For the '${this.title}' tool, create: "${promptFilename}"\n\n`;
-        errorMessage += `You can use the built-in editor to create this file.\n`;
-        
-        // Emit error to UI
-        this.emitOutput(errorMessage);
-        
-        // Return with success=false but don't throw an error
+      // getPrompt has already said what's wrong with the prompt
+      if (prompt.error) {
         return {
           success: false,
-          errorType: 'missing_prompt',
+          errorType: prompt.error,
           outputFiles: []
         };
       }
       
       const promptTokens = await this.apiService.countTokens(prompt);
       
+      // Don't pay for a request that can't fit in the model's context window
+      // (when sending parts, each part's request is checked instead)
+      const requestOptions = parts ? {} : this.checkTokenBudget(manuscriptTokens + promptTokens);
+      if (!requestOptions) {
+        return {
+          success: false,
+          errorType: 'token_budget',
+          outputFiles: []
+        };
+      }
+      
       this.emitOutput(`\nSending request to AI API . . .\n`);
       this.emitOutput(`\n`);
       this.emitOutput(`\n****************************************************************************\n`);
@@ -175,13 +260,20 @@ class ToolBase {
       let fullResponse = "";
 
       try {
-        await this.apiService.streamWithThinking(
-          prompt,
-          (textDelta) => {
-            fullResponse += textDelta;
-            this.emitOutput(textDelta);
-          }
-        );
+        if (parts) {
+          fullResponse = await this.analyzeInParts(parts, prompt);
+        } else {
+          await this.streamWithThinking(
+            prompt,
+            (textDelta) => {
+              fullResponse += textDelta;
+              this.emitOutput(textDelta);
+            },
+            false,
+            true,
+            requestOptions
+          );
+        }
       } catch (error) {
         this.emitOutput(`\nAPI Error: ${error.message}\n`);
         throw error;
@@ -199,8 +291,12 @@ class ToolBase {
       const responseTokens = await this.apiService.countTokens(fullResponse);
       this.emitOutput(`Response token count: ${responseTokens}\n`);
 
+      // Models sometimes paraphrase or invent the passages they quote
+      const manuscriptIndex = quoteVerifier.indexManuscript(manuscriptContent);
+      const reportContent = this.appendQuoteCheck(fullResponse, manuscriptIndex, manuscriptFile);
+
       const savedFiles = await this.saveReport(
-        fullResponse,
+        reportContent,
         promptTokens,
         responseTokens,
         saveDir
@@ -209,6 +305,14 @@ class ToolBase {
       // Add the output files to the result
       outputFiles.push(...savedFiles);
       
+      // Editing tools also save their report as structured findings
+      if (this.config.findings) {
+        const findingsFile = await this.saveFindings(fullResponse, savedFiles[0], manuscriptFile, manuscriptIndex, parts);
+        if (findingsFile) {
+          outputFiles.push(findingsFile);
+        }
+      }
+      
       // Add files to the cache
       outputFiles.forEach(file => {
         fileCache.addFile(this.name, file);
@@ -225,6 +329,364 @@ class ToolBase {
     }
   }
   
+  /**
+   * Analyze the manuscript in parts (chunked-analysis.js): one request per
+   * part, with the text around it as context, then a consolidation request
+   * that merges the partial reports into one.
+   * If the partial reports are too large to merge, they are joined instead.
+   * @param {Array<Object>} chunks - From chunkedAnalysis.planParts()
+   * @param {string} prompt - The tool's prompt
+   * @returns {Promise<string>} - The merged report, with the last request's response metadata
+   * @throws {Error} - If a part is too large for the model
+   */
+  async analyzeInParts(chunks, prompt) {
+    this.emitOutput(chunks.length === 1 && chunks[0].excerpt
+      ? `Analyzing only ${chunks[0].label}.\n`
+      : `Analyzing the manuscript chapter by chapter in ${chunks.length} part(s).\n`);
+    
+    const partReports = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const chunkPrompt = chunkedAnalysis.buildChunkPrompt(prompt, chunk, index, chunks.length);
+      this.emitOutput(`\n=== Part ${index + 1} of ${chunks.length}: ${chunk.label} ===\n`);
+      const requestOptions = this.checkTokenBudget(await this.apiService.countTokens(chunkPrompt));
+      if (!requestOptions) {
+        throw new Error(`${chunk.label} is too large for this model; try fewer chapters per request`);
+      }
+      
+      // A single part is the whole report, so it keeps its response metadata
+      let report = '';
+      await this.streamWithThinking(
+        chunkPrompt,
+        (textDelta) => {
+          report += textDelta;
+          this.emitOutput(textDelta);
+        },
+        true,
+        chunks.length === 1,
+        requestOptions
+      );
+      partReports.push({ label: chunk.label, report });
+    }
+    
+    if (partReports.length === 1) {
+      return partReports[0].report;
+    }
+    
+    this.emitOutput(`\n\n=== Merging ${partReports.length} partial reports ===\n`);
+    const consolidationPrompt = chunkedAnalysis.buildConsolidationPrompt(prompt, partReports);
+    const requestOptions = this.checkTokenBudget(await this.apiService.countTokens(consolidationPrompt));
+    if (!requestOptions) {
+      this.emitOutput(`The partial reports are too large to merge in one request; they are saved one after another instead.\n`);
+      return chunkedAnalysis.joinPartReports(partReports);
+    }
+    
+    let fullResponse = '';
+    await this.streamWithThinking(
+      consolidationPrompt,
+      (textDelta) => {
+        fullResponse += textDelta;
+        this.emitOutput(textDelta);
+      },
+      true,
+      true,
+      requestOptions
+    );
+    return fullResponse;
+  }
+  
+  /**
+   * Pre-flight check of a request's size against the model's limits
+   * (model-catalog.js). Refuses requests that can't fit in the context
+   * window. When there's too little room left for a full response, it warns,
+   * or, for providers that reject such requests (Claude), lowers the
+   * response limit to fit and refuses if that leaves too little.
+   * @param {number} inputTokens - Tokens sent with the request (manuscript + prompt)
+   * @returns {Object|false} - False if the request would certainly fail; otherwise options
+   *   for streamWithThinking, with maxOutputTokens when the response limit was lowered
+   */
+  checkTokenBudget(inputTokens) {
+    const serviceConfig = this.apiService.config || {};
+    const modelName = serviceConfig.model_name;
+    const limits = getModelLimits(modelName, serviceConfig);
+    
+    this.emitOutput(`\n--- Pre-flight token check ---\n`);
+    
+    if (!limits) {
+      this.emitOutput(`No context window known for model ${modelName}, skipping the check.\n`);
+      return {};
+    }
+    
+    this.emitOutput(`Model: ${modelName}\n`);
+    this.emitOutput(`Request: ~${inputTokens.toLocaleString()} tokens (manuscript + prompt) of a ${limits.contextWindow.toLocaleString()} token context window\n`);
+    
+    if (inputTokens > limits.contextWindow) {
+      let errorMessage = `\n⛔️ REQUEST TOO LARGE FOR THIS MODEL ⛔️\n\n`;
+      errorMessage += `The manuscript and prompt come to ~${inputTokens.toLocaleString()} tokens, `;
+      errorMessage += `but ${modelName} accepts at most ${limits.contextWindow.toLocaleString()}.\n`;
+      errorMessage += `The request was not sent. Try a model with a larger context window, `;
+      errorMessage += `or run the tool on part of the manuscript.\n`;
+      this.emitOutput(errorMessage);
+      return false;
+    }
+    
+    const room = limits.contextWindow - inputTokens;
+    if (!limits.maxOutputTokens || room >= limits.maxOutputTokens) {
+      return {};
+    }
+    
+    if (!limits.outputCountsAgainstContext) {
+      this.emitOutput(`⚠️ Only ~${room.toLocaleString()} tokens are left for the response (the model can write up to ${limits.maxOutputTokens.toLocaleString()}), so it may be cut short.\n`);
+      return {};
+    }
+    
+    if (room < MIN_RESPONSE_TOKENS) {
+      let errorMessage = `\n⛔️ NO ROOM LEFT FOR THE RESPONSE ⛔️\n\n`;
+      errorMessage += `${modelName} needs the request and its response to fit in its ${limits.contextWindow.toLocaleString()} token context window, `;
+      errorMessage += `and the manuscript and prompt leave only ~${room.toLocaleString()} tokens for the response.\n`;
+      errorMessage += `The request was not sent. Try a model with a larger context window, `;
+      errorMessage += `or run the tool on part of the manuscript.\n`;
+      this.emitOutput(errorMessage);
+      return false;
+    }
+    
+    this.emitOutput(`⚠️ ${modelName} needs the request and its response to fit in its context window, so the response is limited to ~${room.toLocaleString()} tokens for this request instead of ${limits.maxOutputTokens.toLocaleString()}. It may be cut short.\n`);
+    return { maxOutputTokens: room };
+  }
+  
+  /**
+   * Stream a response from the AI API, honoring this run's abort signal
+   * Same arguments as AiApiService.streamWithThinking; tools should call this
+   * instead of the API service directly so the Stop button works everywhere.
+   * Transient errors (429, 5xx, dropped connections) are retried with backoff,
+   * and a response that ends without a normal finish reason is continued
+   * with a follow-up request; onText just keeps receiving the text.
+   * The partial response is saved to disk before each retry (see stream-retry.js),
+   * and deleted once the whole response has arrived or the run is cancelled.
+   * @param {string} prompt - Prompt to complete
+   * @param {Function} onText - Callback for response text
+   * @param {boolean} [noCache=false] - Whether to skip using cached content
+   * @param {boolean} [includeMetaData=true] - Whether to append response metadata
+   * @param {object} [options={}] - Extra options for the API service
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, onText, noCache = false, includeMetaData = true, options = {}) {
+    this.throwIfCancelled();
+    
+    const settings = streamRetry.getRetrySettings(this.config.retry);
+    let received = '';
+    let finishMetadata = null;
+    let retries = 0;
+    let continuations = 0;
+    let partialFile = null;
+    let currentPrompt = prompt;
+    
+    while (true) {
+      finishMetadata = null;
+      const attemptStart = Date.now();
+      
+      try {
+        // Metadata is appended below, once, after any continuations
+        await this.apiService.streamWithThinking(
+          currentPrompt,
+          (textDelta) => {
+            // Drop anything still in flight once the user has pressed Stop
+            if (!this.isCancelled()) {
+              received += textDelta;
+              onText(textDelta);
+            }
+          },
+          noCache,
+          false,
+          {
+            ...options,
+            signal: this.abortSignal,
+            toolName: this.name,
+            onFinish: (metadata) => { finishMetadata = metadata; }
+          }
+        );
+        // Each attempt's usage is recorded as the provider reports it
+        await this.recordUsage(finishMetadata, Date.now() - attemptStart);
+      } catch (error) {
+        // An attempt that fails after the provider reported its usage is still
+        // recorded; one that fails before (a dropped stream) has no usage to
+        // record, though the provider may bill for it
+        await this.recordUsage(finishMetadata, Date.now() - attemptStart);
+        
+        if (this.isCancelled()) {
+          await this.removePartialResponse(partialFile);
+          throw error;
+        }
+        
+        if (!streamRetry.isTransientError(error) || retries >= settings.max_retries) {
+          if (received) {
+            partialFile = await this.savePartialResponse(received, partialFile);
+            this.emitOutput(`\nPartial response saved to: ${partialFile}\n`);
+          }
+          throw error;
+        }
+        
+        retries++;
+        if (received) {
+          partialFile = await this.savePartialResponse(received, partialFile);
+        }
+        
+        const delayMs = streamRetry.getRetryDelayMs(retries, settings);
+        this.emitOutput(`\n\n⚠️ API error: ${error.message}\n`);
+        if (partialFile) {
+          this.emitOutput(`Partial response saved to: ${partialFile}\n`);
+        }
+        this.emitOutput(`Retrying in ${Math.round(delayMs / 1000)}s (retry ${retries} of ${settings.max_retries})${received ? ', continuing from where it stopped' : ''} . . .\n\n`);
+        
+        try {
+          await streamRetry.sleep(delayMs, this.abortSignal);
+        } catch (sleepError) {
+          // Cancelled while waiting
+          await this.removePartialResponse(partialFile);
+          this.throwIfCancelled();
+          throw sleepError;
+        }
+        
+        currentPrompt = received ? streamRetry.buildContinuationPrompt(prompt, received) : prompt;
+        continue;
+      }
+      
+      if (this.isCancelled()) {
+        await this.removePartialResponse(partialFile);
+        this.throwIfCancelled();
+      }
+      
+      const finishReason = finishMetadata ? finishMetadata.finishReason : null;
+      
+      if (streamRetry.isCompleteFinish(finishReason)) {
+        break;
+      }
+      
+      if (streamRetry.isBlockedFinish(finishReason)) {
+        this.emitOutput(`\n\n⚠️ The response was stopped by the AI provider (finish reason: ${finishReason}); it may be incomplete.\n`);
+        break;
+      }
+      
+      if (continuations >= settings.max_continuations) {
+        this.emitOutput(`\n\n⚠️ The response is still incomplete (finish reason: ${finishReason || 'none'}) after ${continuations} continuation(s).\n`);
+        break;
+      }
+      
+      continuations++;
+      partialFile = await this.savePartialResponse(received, partialFile);
+      this.emitOutput(`\n\n⚠️ The response was cut off (finish reason: ${finishReason || 'none'}).\n`);
+      this.emitOutput(`Partial response saved to: ${partialFile}\n`);
+      this.emitOutput(`Asking the AI to continue from where it stopped (continuation ${continuations} of ${settings.max_continuations}) . . .\n\n`);
+      currentPrompt = streamRetry.buildContinuationPrompt(prompt, received);
+    }
+    
+    // The whole response reached the tool, so the partial copy isn't needed
+    await this.removePartialResponse(partialFile);
+    
+    const doMetaData = includeMetaData !== undefined ? includeMetaData : true;
+    if (doMetaData && finishMetadata) {
+      onText('\n\n--- RESPONSE METADATA ---\n' + JSON.stringify(finishMetadata, null, 2));
+    }
+  }
+  
+  /**
+   * Record one AI call's tokens and estimated cost in the project's usage ledger
+   * Never fails the run; a ledger problem is only logged.
+   * @param {Object|null} metadata - From the API service's onFinish
+   * @param {number} durationMs - How long the call took
+   */
+  async recordUsage(metadata, durationMs) {
+    const projectPath = this.saveDir || appState.CURRENT_PROJECT_PATH;
+    if (!projectPath || !metadata || !metadata.usageMetadata) {
+      return;
+    }
+    
+    try {
+      const entry = await usageLedger.recordUsage(projectPath, {
+        tool: this.name,
+        provider: this.providerId,
+        model: this.apiService.config ? this.apiService.config.model_name : metadata.modelVersion,
+        usage: metadata.usageMetadata,
+        durationMs
+      });
+      this.runUsage.push(entry);
+    } catch (error) {
+      console.error(`Error recording API usage for ${this.name}:`, error);
+    }
+  }
+  
+  /**
+   * Save the response received so far, so it survives a failed retry
+   * Files go in <project>/.storygrinder/partial-responses/
+   * @param {string} text - Response text so far
+   * @param {string|null} existingPath - File from an earlier attempt of this request, to overwrite
+   * @returns {Promise<string>} - Path to the saved file
+   */
+  async savePartialResponse(text, existingPath = null) {
+    let filePath = existingPath;
+    
+    if (!filePath) {
+      const projectPath = this.saveDir || appState.CURRENT_PROJECT_PATH;
+      const partialDir = projectPath
+        ? path.join(getProjectDataDir(projectPath), 'partial-responses')
+        : path.join(require('os').tmpdir(), 'storygrinder-partial-responses');
+      await fs.mkdir(partialDir, { recursive: true });
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      filePath = path.join(partialDir, `${this.name}_${timestamp}.txt`);
+    }
+    
+    await fs.writeFile(filePath, text, 'utf-8');
+    return filePath;
+  }
+  
+  /**
+   * Delete a partial response saved by savePartialResponse, once the run has
+   * the whole response or was cancelled
+   * @param {string|null} filePath - Path to the saved file, or null if none was saved
+   * @returns {Promise<void>}
+   */
+  async removePartialResponse(filePath) {
+    if (filePath) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+  
+  /**
+   * Check whether the current run has been cancelled by the user
+   * @returns {boolean} - True if the run was cancelled
+   */
+  isCancelled() {
+    return !!(this.abortSignal && this.abortSignal.aborted);
+  }
+  
+  /**
+   * Throw if the current run has been cancelled by the user
+   */
+  throwIfCancelled() {
+    if (this.isCancelled()) {
+      const error = new Error(`${this.title} was cancelled`);
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete the files written so far by a cancelled run
+   * @returns {Promise<void>}
+   */
+  async removePartialOutputFiles() {
+    for (const filePath of this.runOutputFiles) {
+      try {
+        await fs.unlink(filePath);
+        this.emitOutput(`Removed partial output file: ${filePath}\n`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error removing partial output file ${filePath}:`, error);
+        }
+      }
+    }
+    this.runOutputFiles = [];
+  }
+  
   /**
    * Read a file
    * @param {string} filePath - Path to file
@@ -239,7 +701,7 @@ class ToolBase {
       // If path is not absolute and doesn't start with ~/ (which will be expanded by Node)
       if (!path.isAbsolute(filePath) && !filePath.startsWith('~/')) {
         // Get current project path from appState
-        const projectPath = this.config.save_dir || appState.CURRENT_PROJECT_PATH;
+        const projectPath = this.saveDir || appState.CURRENT_PROJECT_PATH;
         
         if (projectPath) {
           resolvedPath = path.join(projectPath, filePath);
@@ -279,6 +741,9 @@ class ToolBase {
       // Write the file
       await fs.writeFile(outputPath, content, 'utf-8');
       
+      // Remember it, so a cancelled run can clean up after itself
+      this.runOutputFiles.push(path.resolve(outputPath));
+      
       // Return the absolute path to the file
       return path.resolve(outputPath);
     } catch (error) {
@@ -375,6 +840,118 @@ ${content}`;
     }
   }
 
+  /**
+   * Check the passages a report quotes against the manuscript, and add a
+   * QUOTE CHECK section (before the response metadata) that gives each
+   * quote's chapter and paragraph and flags quotes that aren't there
+   * @param {string} report - Report text, as streamed
+   * @param {Object} manuscriptIndex - From quoteVerifier.indexManuscript()
+   * @param {string} manuscriptFile - Manuscript path, for the section heading
+   * @returns {string} - The report, with the section added if it quotes anything
+   */
+  appendQuoteCheck(report, manuscriptIndex, manuscriptFile) {
+    const check = quoteVerifier.checkReportQuotes(report, manuscriptIndex, path.basename(manuscriptFile));
+    if (!check) {
+      return report;
+    }
+    
+    const { counts } = check;
+    this.emitOutput(`\nQuote check: ${counts.exact + counts.close} of ${check.results.length - counts.too_short} quoted passages found in the manuscript`);
+    this.emitOutput(counts.not_found > 0 ? `, ⚠️ ${counts.not_found} NOT FOUND (see the end of the report).\n` : `.\n`);
+    
+    const marker = '\n\n--- RESPONSE METADATA ---\n';
+    const markerIndex = report.indexOf(marker);
+    if (markerIndex === -1) {
+      return `${report}\n\n${check.text}`;
+    }
+    return `${report.slice(0, markerIndex)}\n\n${check.text}${report.slice(markerIndex)}`;
+  }
+  
+  /**
+   * Turn a report into structured findings and save them next to it, as
+   * <report>.findings.json (see findings.js). This is a second, small request
+   * that asks the AI for a JSON response; if it fails the run still succeeds,
+   * since the text report is already saved.
+   * @param {string} report - Report text, as streamed
+   * @param {string} reportPath - Path of the saved text report
+   * @param {string} manuscriptFile - Absolute path of the manuscript the report is about
+   * @param {Object} manuscriptIndex - From quoteVerifier.indexManuscript(), to locate each quote
+   * @param {Array<Object>|null} [parts=null] - The parts analyzed (chunkedAnalysis.planParts()), when
+   *   the manuscript was sent with the requests instead of cached
+   * @returns {Promise<string|null>} - Path to the findings file, or null if none was saved
+   */
+  async saveFindings(report, reportPath, manuscriptFile, manuscriptIndex, parts = null) {
+    if (typeof this.apiService.generateStructured !== 'function') {
+      this.emitOutput(`\nThis AI provider can't return structured findings; only the text report was saved.\n`);
+      return null;
+    }
+    
+    this.throwIfCancelled();
+    this.emitOutput(`\nExtracting structured findings from the report . . .\n`);
+    
+    // The appended metadata isn't part of the report
+    const reportText = report.split('\n\n--- RESPONSE METADATA ---\n')[0];
+    
+    // Without a cached manuscript, quotes can only be copied from what this
+    // request sends: the selected chapters, or the report itself when the
+    // manuscript was analyzed chapter by chapter
+    let quoteSource = {};
+    if (parts && parts.length === 1) {
+      quoteSource = { text: parts[0].text, label: parts[0].label };
+    } else if (parts) {
+      quoteSource = { reportOnly: true };
+    }
+    const startTime = Date.now();
+    let result;
+    
+    try {
+      result = await this.apiService.generateStructured(
+        findingsUtils.buildFindingsPrompt(this.title, reportText, quoteSource),
+        findingsUtils.FINDINGS_SCHEMA,
+        { signal: this.abortSignal, toolName: this.name, noCache: !!parts }
+      );
+    } catch (error) {
+      if (this.isCancelled()) {
+        throw error;
+      }
+      console.error(`Error extracting findings for ${this.name}:`, error);
+      this.emitOutput(`⚠️ Could not extract structured findings: ${error.message}\n`);
+      this.emitOutput(`The text report is complete; only the .findings.json file is missing.\n`);
+      return null;
+    }
+    
+    await this.recordUsage(result.metadata, Date.now() - startTime);
+    
+    const findings = quoteVerifier.verifyFindings(findingsUtils.normalizeFindings(result.data), manuscriptIndex);
+    const findingsData = {
+      tool: this.name,
+      title: this.title,
+      createdAt: new Date().toISOString(),
+      report: path.basename(reportPath),
+      manuscript: manuscriptFile,
+      provider: this.providerId,
+      model: this.apiService.config ? this.apiService.config.model_name : null,
+      findings
+    };
+    
+    const findingsPath = findingsUtils.getFindingsPath(reportPath);
+    const savedPath = await this.writeOutputFile(
+      JSON.stringify(findingsData, null, 2),
+      path.dirname(findingsPath),
+      path.basename(findingsPath)
+    );
+    
+    const summary = findingsUtils.summarizeFindings(findings);
+    const severities = findingsUtils.SEVERITIES.map(severity => `${summary.bySeverity[severity]} ${severity}`).join(', ');
+    this.emitOutput(`Findings: ${summary.total} (${severities})\n`);
+    const notFound = findings.filter(finding => finding.location.status === 'not_found').length;
+    if (notFound > 0) {
+      this.emitOutput(`⚠️ ${notFound} finding(s) quote text that isn't in the manuscript (location.status "not_found").\n`);
+    }
+    this.emitOutput(`Findings saved to: ${savedPath}\n`);
+    return savedPath;
+  }
+
   /**
    * Remove Markdown formatting from text
    * @param {string} text - Text with Markdown formatting
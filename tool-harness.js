@@ -0,0 +1,253 @@
+// tool-harness.js
+// Runs every tool in TOOL_DEFS, and the custom tools in fixtures/custom-tools,
+// headlessly, without Electron or an API key:
+// each tool runs against a fresh copy of fixtures/sample-project, the mock
+// AI provider replays fixtures/responses, and the files the tool writes
+// (via writeOutputFile) and registers in file-cache.js are checked.
+//
+// Usage:
+//   node tool-harness.js                      # all tools
+//   node tool-harness.js line_editing drunken # just these tools
+//   node tool-harness.js --verbose --keep     # show tool output, keep scratch dir
+//
+// Per-tool options and expectations live in fixtures/tool-cases.json,
+// one case per tool or a list of cases:
+//   name           - label for the case, when a tool has more than one
+//   options        - option values merged over the tool's defaults
+//   minApiCalls    - AI requests expected (default 1 for AI tools)
+//   promptContains - strings that must appear in one of the tool's AI requests
+//   promptExcludes - strings that must not appear in any of the tool's AI requests
+//   outputContains - strings that must appear in the tool's output files
+//   skip           - reason to skip the tool
+//
+// After the tools, the checks in harness-checks.js run, each against its
+// own fresh copy of the sample project; name a check's id to run just it.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const keepScratch = args.includes('--keep');
+const onlyTools = args.filter(arg => !arg.startsWith('--'));
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SAMPLE_PROJECT_DIR = path.join(FIXTURES_DIR, 'sample-project');
+const TOOL_CASES = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'tool-cases.json'), 'utf8'));
+
+// The app keeps projects and prompts under ~/writing, so HOME must point
+// at a scratch directory BEFORE any app module is loaded
+const scratchHome = fs.mkdtempSync(path.join(os.tmpdir(), 'storygrinder-harness-'));
+process.env.HOME = scratchHome;
+process.env.USERPROFILE = scratchHome;
+process.env.MOCK_AI_FIXTURES_DIR = path.join(FIXTURES_DIR, 'responses');
+
+// The tools log a lot; only show it with --verbose
+const originalLog = console.log;
+if (!verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const appState = require('./state.js');
+const fileCache = require('./file-cache');
+const aiProviders = require('./ai-providers');
+const promptManager = require('./tool-prompts-manager');
+const { initializeToolSystem, executeToolById, toolRegistry, getToolDefs } = require('./tool-system');
+const HARNESS_CHECKS = require('./harness-checks');
+
+const PROJECT_NAME = 'sample-project';
+const projectPath = path.join(appState.PROJECTS_DIR, PROJECT_NAME);
+
+function report(message) {
+  originalLog(message);
+}
+
+function emitToolOutput(text) {
+  if (verbose) {
+    process.stdout.write(text);
+  }
+}
+
+// Fresh copy of the sample project for each tool, since some tools (chapter_writer) edit their inputs
+function resetProject() {
+  fs.rmSync(projectPath, { recursive: true, force: true });
+  fs.cpSync(SAMPLE_PROJECT_DIR, projectPath, { recursive: true });
+}
+
+function buildOptions(def, toolCase) {
+  const options = {};
+  (def.options || []).forEach(option => {
+    if (option.default !== undefined && option.default !== null) {
+      options[option.name] = option.default;
+    }
+  });
+  return {
+    ...options,
+    ...(toolCase.options || {}),
+    save_dir: projectPath
+  };
+}
+
+/**
+ * Run one tool and check what it wrote
+ * @returns {Promise<string[]>} - Failure messages (empty when the tool passed)
+ */
+async function runTool(def, toolCase, mockService) {
+  const failures = [];
+  const tool = toolRegistry.getTool(def.id);
+  const usesAi = !!tool.apiService;
+
+  resetProject();
+  fileCache.clear(def.id);
+
+  const callsBefore = mockService.calls.length;
+
+  let result;
+  let runTool = null;
+  try {
+    result = await executeToolById(def.id, buildOptions(def, toolCase), `harness-${def.id}`, null, {
+      emitOutput: emitToolOutput,
+      onStart: (started) => { runTool = started; }
+    });
+  } catch (error) {
+    return [`threw: ${error.message}`];
+  }
+
+  if (!result || result.success === false) {
+    failures.push(`returned ${JSON.stringify(result)}`);
+  }
+
+  const minApiCalls = toolCase.minApiCalls !== undefined ? toolCase.minApiCalls : (usesAi ? 1 : 0);
+  const apiCalls = mockService.calls.length - callsBefore;
+  if (apiCalls < minApiCalls) {
+    failures.push(`made ${apiCalls} AI request(s), expected at least ${minApiCalls}`);
+  }
+
+  const prompts = mockService.calls.slice(callsBefore).map(call => call.prompt);
+  (toolCase.promptContains || []).forEach(expected => {
+    if (!prompts.some(prompt => prompt.includes(expected))) {
+      failures.push(`no AI request contains: "${expected}"`);
+    }
+  });
+  (toolCase.promptExcludes || []).forEach(unexpected => {
+    if (prompts.some(prompt => prompt.includes(unexpected))) {
+      failures.push(`an AI request contains: "${unexpected}"`);
+    }
+  });
+
+  const writtenFiles = runTool.runOutputFiles;
+  if (writtenFiles.length === 0) {
+    failures.push('wrote no output files');
+  }
+
+  const cachedFiles = fileCache.getFiles(def.id).map(file => path.resolve(file.path));
+  const outputText = [];
+
+  writtenFiles.forEach(filePath => {
+    if (!fs.existsSync(filePath)) {
+      failures.push(`output file missing: ${filePath}`);
+      return;
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (!content.trim()) {
+      failures.push(`output file is empty: ${path.basename(filePath)}`);
+    }
+    outputText.push(content);
+    if (!cachedFiles.includes(filePath)) {
+      failures.push(`output file not in file cache: ${path.basename(filePath)}`);
+    }
+  });
+
+  (toolCase.outputContains || []).forEach(expected => {
+    if (!outputText.some(text => text.includes(expected))) {
+      failures.push(`no output file contains: "${expected}"`);
+    }
+  });
+
+  return failures;
+}
+
+async function main() {
+  appState.CURRENT_PROJECT = PROJECT_NAME;
+  appState.CURRENT_PROJECT_PATH = projectPath;
+  appState.DEFAULT_SAVE_DIR = projectPath;
+
+  // Custom tool manifests and their prompts, where the app looks for them
+  fs.cpSync(path.join(FIXTURES_DIR, 'custom-tools'), promptManager.promptsDir, { recursive: true });
+
+  // Every tool uses the mock provider, whatever the scratch settings say
+  aiProviders.setForcedProviderId('mock');
+  await initializeToolSystem({});
+  const mockService = aiProviders.getAiApiService('mock');
+
+  const toolDefs = getToolDefs();
+  const defs = toolDefs.filter(def => onlyTools.length === 0 || onlyTools.includes(def.id));
+  const checks = HARNESS_CHECKS.filter(check => onlyTools.length === 0 || onlyTools.includes(check.id));
+  const unknownTools = onlyTools.filter(id => !toolDefs.some(def => def.id === id) && !HARNESS_CHECKS.some(check => check.id === id));
+  if (unknownTools.length > 0) {
+    report(`Unknown tool id(s): ${unknownTools.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let passed = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  for (const def of defs) {
+    for (const toolCase of [].concat(TOOL_CASES[def.id] || {})) {
+      const label = toolCase.name ? `${def.id} (${toolCase.name})` : def.id;
+
+      if (toolCase.skip) {
+        report(`SKIP  ${label} (${toolCase.skip})`);
+        skipped++;
+        continue;
+      }
+
+      const failures = await runTool(def, toolCase, mockService);
+      if (failures.length === 0) {
+        report(`PASS  ${label}`);
+        passed++;
+      } else {
+        report(`FAIL  ${label}`);
+        failures.forEach(failure => report(`        - ${failure}`));
+        failed++;
+      }
+    }
+  }
+
+  for (const check of checks) {
+    resetProject();
+    let failures;
+    try {
+      failures = await check.run(projectPath);
+    } catch (error) {
+      failures = [`threw: ${error.stack || error.message}`];
+    }
+    if (failures.length === 0) {
+      report(`PASS  check ${check.id}`);
+      passed++;
+    } else {
+      report(`FAIL  check ${check.id}`);
+      failures.forEach(failure => report(`        - ${failure}`));
+      failed++;
+    }
+  }
+
+  report(`\n${passed} passed, ${failed} failed, ${skipped} skipped`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main()
+  .catch(error => {
+    report(`Harness error: ${error.stack || error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (keepScratch) {
+      report(`Scratch directory kept: ${scratchHome}`);
+    } else {
+      fs.rmSync(scratchHome, { recursive: true, force: true });
+    }
+  });
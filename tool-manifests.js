@@ -0,0 +1,294 @@
+// tool-manifests.js
+// Tool definitions are JSON manifests: the built-in tools' in tool-manifests/,
+// one file per tool, and custom tools' in ~/writing/tool-prompts
+// (custom-tool-manifests.js). Every manifest is checked against the schema
+// below at startup; a tool whose manifest isn't valid isn't registered, and
+// the problems are shown when the app starts.
+//
+//   {
+//     "id": "proofreader_punctuation",      lowercase letters, digits and _
+//     "title": "Proofreader Punctuation",
+//     "description": "...",
+//     "module": "proofreader-punctuation",  built-in tools: the tool's class, <module>.js
+//     "order": 100,                         built-in tools: position in the tool menus
+//     "ai": false,                          tools that don't use an AI provider
+//     "findings": true,                     also save the report as structured findings
+//     "options": [ ... ]
+//   }
+//
+// Options are the fields of the tool's setup form (tool-setup-run.js). An
+// option's "instruction", or a select choice's, is appended to the end of the
+// tool's prompt for the run, under "=== SETTINGS FOR THIS ANALYSIS ==="
+// (prompt-template.js), which is how options reach the AI.
+//
+// Options several tools have, such as the analysis level, are defined once in
+// tool-manifests/shared-options.json and used by name:
+//
+//     { "shared": "analysis_level" }
+//
+// Any other keys of the option replace the shared definition's, for example
+// { "shared": "sensitivity", "default": "high" }.
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_MANIFESTS_DIR = path.join(__dirname, 'tool-manifests');
+
+const SHARED_OPTIONS_FILE = 'shared-options.json';
+
+const OPTION_TYPES = ['file', 'directory', 'text', 'textarea', 'number', 'boolean', 'select', 'chapter'];
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const MANIFEST_KEYS = ['id', 'title', 'description', 'module', 'order', 'ai', 'findings', 'options', 'prompt'];
+
+const OPTION_KEYS = ['name', 'label', 'type', 'description', 'required', 'default', 'group',
+  'choices', 'min', 'max', 'step', 'rows', 'filters', 'manuscriptOption', 'instruction'];
+
+// Keys only some option types take
+const TYPE_KEYS = {
+  choices: ['select'],
+  min: ['number'],
+  max: ['number'],
+  step: ['number'],
+  rows: ['textarea'],
+  filters: ['file'],
+  manuscriptOption: ['chapter']
+};
+
+const isString = value => typeof value === 'string';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check one option of a manifest
+ * @param {Object} option - Option definition
+ * @param {string} where - Option's position, for messages
+ * @returns {Array<string>} - Problems found
+ */
+function validateOption(option, where) {
+  if (!option || typeof option !== 'object' || Array.isArray(option)) {
+    return [`${where} must be an object`];
+  }
+  // expandSharedOptions leaves only the names it doesn't know
+  if (option.shared !== undefined) {
+    return [`${where} uses the shared option "${option.shared}", which isn't in ${SHARED_OPTIONS_FILE}`];
+  }
+  const errors = [];
+  const name = option.name;
+  if (!isString(name) || !ID_PATTERN.test(name)) {
+    errors.push(`${where} needs a "name" of lowercase letters, digits and underscores`);
+  } else {
+    where = `option "${name}"`;
+  }
+  if (!OPTION_TYPES.includes(option.type)) {
+    errors.push(`${where} has type "${option.type}"; use one of: ${OPTION_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  Object.keys(option).forEach(key => {
+    if (!OPTION_KEYS.includes(key)) {
+      errors.push(`${where} has an unknown key "${key}"`);
+    } else if (TYPE_KEYS[key] && !TYPE_KEYS[key].includes(option.type)) {
+      errors.push(`${where}: "${key}" only applies to ${TYPE_KEYS[key].join(', ')} options`);
+    }
+  });
+  ['label', 'description', 'group', 'instruction', 'manuscriptOption'].forEach(key => {
+    if (option[key] !== undefined && !isString(option[key])) {
+      errors.push(`${where}: "${key}" must be a string`);
+    }
+  });
+  if (option.required !== undefined && typeof option.required !== 'boolean') {
+    errors.push(`${where}: "required" must be true or false`);
+  }
+  ['min', 'max', 'step', 'rows'].forEach(key => {
+    if (option[key] !== undefined && !isNumber(option[key])) {
+      errors.push(`${where}: "${key}" must be a number`);
+    }
+  });
+
+  if (option.filters !== undefined) {
+    const validFilters = Array.isArray(option.filters) && option.filters.every(filter =>
+      filter && isString(filter.name) && Array.isArray(filter.extensions) && filter.extensions.every(isString));
+    if (!validFilters) {
+      errors.push(`${where}: "filters" must be a list of {"name": "...", "extensions": ["txt", ...]}`);
+    }
+  }
+
+  if (option.type === 'select') {
+    const validChoices = Array.isArray(option.choices) && option.choices.length > 0 && option.choices.every(choice =>
+      choice && isString(choice.value) &&
+      (choice.label === undefined || isString(choice.label)) &&
+      (choice.instruction === undefined || isString(choice.instruction)));
+    if (!validChoices) {
+      errors.push(`${where}: "choices" must be a list of {"value": "...", "label": "...", "instruction": "..."}`);
+    }
+  }
+
+  // The default must be a value the option can take
+  const value = option.default;
+  if (value !== undefined) {
+    if (option.type === 'number') {
+      if (!isNumber(value)) {
+        errors.push(`${where}: "default" must be a number`);
+      } else if ((isNumber(option.min) && value < option.min) || (isNumber(option.max) && value > option.max)) {
+        errors.push(`${where}: "default" is outside min and max`);
+      }
+    } else if (option.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push(`${where}: "default" must be true or false`);
+      }
+    } else if (option.type === 'select') {
+      if (Array.isArray(option.choices) && !option.choices.some(choice => choice && choice.value === value)) {
+        errors.push(`${where}: "default" must be one of the choices`);
+      }
+    } else if (!isString(value)) {
+      errors.push(`${where}: "default" must be a string`);
+    }
+  }
+  return errors;
+}
+
+let sharedOptions = null;
+
+/**
+ * Read the shared option definitions, once
+ * @returns {Object} - Option definitions by name
+ */
+function getSharedOptions() {
+  if (!sharedOptions) {
+    sharedOptions = JSON.parse(fs.readFileSync(path.join(BUILT_IN_MANIFESTS_DIR, SHARED_OPTIONS_FILE), 'utf8'));
+  }
+  return sharedOptions;
+}
+
+/**
+ * Replace a manifest's {"shared": "<name>"} options with the shared definition
+ * Options naming a shared option that doesn't exist are left for
+ * validateToolManifest to report.
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Object} - Manifest with the shared options filled in
+ */
+function expandSharedOptions(manifest) {
+  if (!manifest || !Array.isArray(manifest.options)) {
+    return manifest;
+  }
+  const shared = getSharedOptions();
+  const options = manifest.options.map(option => {
+    if (!option || !isString(option.shared) || !Object.prototype.hasOwnProperty.call(shared, option.shared)) {
+      return option;
+    }
+    const { shared: name, ...overrides } = option;
+    return { name, ...shared[name], ...overrides };
+  });
+  return { ...manifest, options };
+}
+
+/**
+ * Check a tool manifest against the schema
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object} [rules] - {custom: true} for custom tools, which can't name a module
+ * @returns {Array<string>} - Problems found; empty if the manifest is valid
+ */
+function validateToolManifest(manifest, rules = {}) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return ['the manifest must be a JSON object'];
+  }
+  const errors = [];
+  Object.keys(manifest).forEach(key => {
+    if (!MANIFEST_KEYS.includes(key)) {
+      errors.push(`unknown key "${key}"`);
+    }
+  });
+  if (!isString(manifest.id) || !ID_PATTERN.test(manifest.id)) {
+    errors.push('"id" must be lowercase letters, digits and underscores, starting with a letter');
+  }
+  if (!isString(manifest.title) || !manifest.title.trim()) {
+    errors.push('"title" is required');
+  }
+  if (manifest.description !== undefined && !isString(manifest.description)) {
+    errors.push('"description" must be a string');
+  }
+  ['ai', 'findings'].forEach(key => {
+    if (manifest[key] !== undefined && typeof manifest[key] !== 'boolean') {
+      errors.push(`"${key}" must be true or false`);
+    }
+  });
+
+  if (rules.custom) {
+    ['module', 'order', 'ai'].forEach(key => {
+      if (manifest[key] !== undefined) {
+        errors.push(`"${key}" is only for built-in tools`);
+      }
+    });
+    if (manifest.prompt !== undefined && (!isString(manifest.prompt) || !manifest.prompt.trim())) {
+      errors.push('"prompt" must be the name of a prompt file');
+    }
+  } else {
+    if (!isString(manifest.module) || !/^[a-z][a-z0-9_-]*$/.test(manifest.module)) {
+      errors.push('"module" must name the tool\'s .js file, without the extension');
+    }
+    if (manifest.order !== undefined && !isNumber(manifest.order)) {
+      errors.push('"order" must be a number');
+    }
+    if (manifest.prompt !== undefined) {
+      errors.push('"prompt" is only for custom tools');
+    }
+  }
+
+  if (manifest.options !== undefined) {
+    if (!Array.isArray(manifest.options)) {
+      errors.push('"options" must be a list');
+    } else {
+      const names = new Set();
+      manifest.options.forEach((option, index) => {
+        errors.push(...validateOption(option, `option ${index + 1}`));
+        if (option && names.has(option.name)) {
+          errors.push(`option "${option.name}" is defined twice`);
+        }
+        names.add(option && option.name);
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read and check the built-in tools' manifests
+ * @param {Function} loadToolClass - Loads a tool's class by module name
+ * @param {string} [manifestsDir] - Folder of manifests, defaults to tool-manifests/
+ * @returns {{defs: Array<Object>, errors: Array<{file: string, message: string}>}} - Tool
+ *   definitions in menu order, and the manifests that were skipped
+ */
+function loadBuiltInToolDefs(loadToolClass, manifestsDir = BUILT_IN_MANIFESTS_DIR) {
+  const defs = [];
+  const errors = [];
+  const entries = fs.readdirSync(manifestsDir).filter(name => name.endsWith('.json') && name !== SHARED_OPTIONS_FILE).sort();
+
+  entries.forEach(entry => {
+    const manifestFile = path.join(manifestsDir, entry);
+    try {
+      const manifest = expandSharedOptions(JSON.parse(fs.readFileSync(manifestFile, 'utf8')));
+      const problems = validateToolManifest(manifest);
+      if (defs.some(def => def.id === manifest.id)) {
+        problems.push(`a tool with the id "${manifest.id}" already exists`);
+      }
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      const { module: moduleName, ...def } = manifest;
+      defs.push({ ...def, Class: loadToolClass(moduleName) });
+    } catch (error) {
+      console.error(`Skipping tool manifest ${manifestFile}: ${error.message}`);
+      errors.push({ file: manifestFile, message: error.message });
+    }
+  });
+
+  defs.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+  return { defs, errors };
+}
+
+module.exports = {
+  OPTION_TYPES,
+  expandSharedOptions,
+  validateToolManifest,
+  loadBuiltInToolDefs
+};
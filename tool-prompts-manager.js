@@ -1,10 +1,68 @@
 // tool-prompts-manager.js
 // Handles creation, retrieval, and management of prompts in ~/writing/tool-prompts
+//
+// Each prompt file the app writes starts with a header line naming the version
+// of the shipped default (tool-prompts.js) it was made from; the version is a
+// hash of the default's text, so it changes whenever the default does. The
+// header is removed before the prompt is used. It tells a prompt the author
+// has edited from one they haven't, and one made from an older default:
+//   default    - the file is the shipped default (or hasn't been created yet)
+//   customized - the author edited the current default
+//   outdated   - the default has changed since the file was made from it
+// Outdated prompts the author never edited are updated automatically. Edited
+// ones are kept until the author restores or merges the new default in the
+// Prompts window; either way the edited file is backed up first.
+//
+// A project can have its own prompts in <project>/tool-prompts, which are
+// used instead of the global ones for that project's runs (see resolvePrompt).
 
 const fs = require('fs/promises');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const { toolPrompts } = require('./tool-prompts');
+const { mergeTexts } = require('./text-diff');
+
+const HEADER_PATTERN = /^### StoryGrinder prompt: ([a-z0-9_]+), version ([0-9a-f]+)[^\n]*\n/;
+
+// Copies of the default each prompt file was made from, the base for merging a newer default
+const DEFAULTS_DIR = '.defaults';
+
+// Prompt files replaced by a restore or merge
+const BACKUPS_DIR = 'backups';
+
+// A project's own prompts, which take the place of the global ones for that project
+const PROJECT_PROMPTS_DIR = 'tool-prompts';
+
+function normalizePrompt(text) {
+  return text.replace(/\r\n?/g, '\n').trimEnd();
+}
+
+/**
+ * Version of a prompt's text: the start of its SHA-256 hash
+ * @param {string} text - Prompt text
+ * @returns {string}
+ */
+function promptVersion(text) {
+  return crypto.createHash('sha256').update(normalizePrompt(text)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Split a prompt file into its header's version and the prompt itself
+ * @param {string} content - The file's content
+ * @returns {{version: string|null, body: string}} - Version is null for a file without a header
+ */
+function parsePromptFile(content) {
+  const match = content.match(HEADER_PATTERN);
+  if (!match) {
+    return { version: null, body: content };
+  }
+  return { version: match[2], body: content.slice(match[0].length) };
+}
+
+function formatPromptFile(toolName, body, version) {
+  return `### StoryGrinder prompt: ${toolName}, version ${version} (this line is not sent to the AI) ###\n${body}`;
+}
 
 class PromptManager {
   constructor() {
@@ -25,8 +83,102 @@ class PromptManager {
     }
   }
 
+  /**
+   * Path of a tool's prompt file
+   * @param {string} toolName - Name of the tool
+   * @returns {string}
+   */
+  getPromptPath(toolName) {
+    return path.join(this.promptsDir, `${toolName}.txt`);
+  }
+
+  /**
+   * Path of a tool's prompt file in a project
+   * @param {string} toolName - Name of the tool
+   * @param {string} projectPath - Project directory
+   * @returns {string}
+   */
+  getProjectPromptPath(toolName, projectPath) {
+    return path.join(projectPath, PROJECT_PROMPTS_DIR, `${toolName}.txt`);
+  }
+
+  /**
+   * Whether a tool has a shipped default prompt
+   * @param {string} toolName - Name of the tool
+   * @returns {boolean}
+   */
+  hasDefaultPrompt(toolName) {
+    return !!(toolPrompts[toolName] && toolPrompts[toolName].trim());
+  }
+
+  /**
+   * Version of a tool's shipped default prompt
+   * @param {string} toolName - Name of the tool
+   * @returns {string|null} - Null if the tool has no default
+   */
+  getDefaultVersion(toolName) {
+    return this.hasDefaultPrompt(toolName) ? promptVersion(toolPrompts[toolName]) : null;
+  }
+
+  /**
+   * Read a tool's prompt file
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<{content: string, version: string|null, body: string}|null>} - Null if there is no file
+   */
+  async readPromptFile(toolName) {
+    try {
+      const content = await fs.readFile(this.getPromptPath(toolName), 'utf8');
+      return { content, ...parsePromptFile(content) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a prompt file with its version header, and keep a copy of the
+   * default it was made from for later merges
+   * @param {string} toolName - Name of the tool
+   * @param {string} body - The prompt
+   * @returns {Promise<void>}
+   */
+  async writePromptFile(toolName, body) {
+    const defaultPrompt = toolPrompts[toolName];
+    await fs.writeFile(this.getPromptPath(toolName), formatPromptFile(toolName, body, promptVersion(defaultPrompt)), 'utf8');
+    const defaultsDir = path.join(this.promptsDir, DEFAULTS_DIR);
+    await fs.mkdir(defaultsDir, { recursive: true });
+    await fs.writeFile(path.join(defaultsDir, `${toolName}.txt`), defaultPrompt, 'utf8');
+  }
+
+  /**
+   * Update a prompt file made from an older default, if the author never edited it
+   * @param {string} toolName - Name of the tool
+   * @param {{version: string|null, body: string}} file - The prompt file (see readPromptFile)
+   * @returns {Promise<boolean>} - True if the file was updated
+   */
+  async updateUneditedPrompt(toolName, file) {
+    const defaultVersion = this.getDefaultVersion(toolName);
+    if (!defaultVersion) {
+      return false;
+    }
+    // A file from before versioning that is the current default just gets its header
+    if (!file.version && normalizePrompt(file.body) === normalizePrompt(toolPrompts[toolName])) {
+      await this.writePromptFile(toolName, toolPrompts[toolName]);
+      return false;
+    }
+    if (!file.version || file.version === defaultVersion || promptVersion(file.body) !== file.version) {
+      return false;
+    }
+    await this.writePromptFile(toolName, toolPrompts[toolName]);
+    console.log(`Updated the unedited prompt for ${toolName} to the new default (version ${defaultVersion})`);
+    return true;
+  }
+
   /**
    * Creates a default prompt file for a tool if it doesn't exist
+   * An existing file is only updated if it's an unedited older default.
    * @param {string} toolName - Name of the tool
    * @returns {Promise<boolean>} - True if prompt was created or already exists
    */
@@ -39,87 +191,282 @@ class PromptManager {
 
     // Make sure the directory exists
     await this.ensurePromptsDirectory();
-    
-    // Create the prompt file
-    const promptPath = path.join(this.promptsDir, `${toolName}.txt`);
-    
+
+    const promptPath = this.getPromptPath(toolName);
+
     try {
-      // Check if the file already exists
-      await fs.access(promptPath);
-      console.log(`Prompt file already exists for ${toolName} at ${promptPath}`);
+      const file = await this.readPromptFile(toolName);
+      if (file) {
+        console.log(`Prompt file already exists for ${toolName} at ${promptPath}`);
+        await this.updateUneditedPrompt(toolName, file);
+        return true;
+      }
+      await this.writePromptFile(toolName, toolPrompts[toolName]);
+      console.log(`Default prompt created for ${toolName} at ${promptPath}`);
       return true;
     } catch (error) {
-      // File doesn't exist, create it
-      if (error.code === 'ENOENT') {
-        try {
-          await fs.writeFile(promptPath, toolPrompts[toolName], 'utf8');
-          console.log(`Default prompt created for ${toolName} at ${promptPath}`);
-          return true;
-        } catch (writeError) {
-          console.error(`Error creating default prompt for ${toolName}:`, writeError);
-          return false;
+      console.error(`Error creating default prompt for ${toolName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Find the prompt a tool uses: the project's own prompt in <project>/tool-prompts,
+   * else the global one in ~/writing/tool-prompts (created from the default if
+   * needed), else the shipped default
+   * @param {string} toolName - Name of the tool
+   * @param {string} [projectPath] - Project directory
+   * @returns {Promise<{prompt: string, layer: string, path: string|null}|null>} - The prompt
+   *   (without the version header), where it came from ('project', 'global', or 'default'
+   *   when it's the shipped default) and its file; null if the tool has no prompt
+   */
+  async resolvePrompt(toolName, projectPath = null) {
+    if (projectPath) {
+      const projectPromptPath = this.getProjectPromptPath(toolName, projectPath);
+      try {
+        const { body } = parsePromptFile(await fs.readFile(projectPromptPath, 'utf8'));
+        if (body.trim()) {
+          console.log(`Retrieved the project's prompt for ${toolName}`);
+          return { prompt: body, layer: 'project', path: projectPromptPath };
+        }
+        console.log(`Project prompt file for ${toolName} is empty, using the global prompt`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error reading project prompt for ${toolName}:`, error);
         }
-      } else {
-        console.error(`Unexpected error checking prompt file for ${toolName}:`, error);
-        return false;
       }
     }
+
+    const prompt = await this.getGlobalPrompt(toolName);
+    if (prompt !== null) {
+      const isDefault = this.hasDefaultPrompt(toolName) && normalizePrompt(prompt) === normalizePrompt(toolPrompts[toolName]);
+      return { prompt, layer: isDefault ? 'default' : 'global', path: this.getPromptPath(toolName) };
+    }
+
+    // The prompts folder couldn't be read or written
+    if (this.hasDefaultPrompt(toolName)) {
+      return { prompt: toolPrompts[toolName], layer: 'default', path: null };
+    }
+    return null;
   }
 
   /**
-   * Gets the prompt for a tool, creating it if it doesn't exist
+   * Gets the prompt for a tool (see resolvePrompt)
    * @param {string} toolName - Name of the tool
-   * @returns {Promise<string|null>} - Prompt content or null if not available
+   * @param {string} [projectPath] - Project directory, to use the project's own prompt if it has one
+   * @returns {Promise<string|null>} - Prompt content (without the version header) or null if not available
    */
-  async getPrompt(toolName) {
-    const promptPath = path.join(this.promptsDir, `${toolName}.txt`);
-    
+  async getPrompt(toolName, projectPath = null) {
+    const resolved = await this.resolvePrompt(toolName, projectPath);
+    return resolved ? resolved.prompt : null;
+  }
+
+  /**
+   * Gets the global prompt for a tool, creating it if it doesn't exist
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<string|null>} - Prompt content (without the version header) or null if not available
+   */
+  async getGlobalPrompt(toolName) {
     try {
-      // Try to read existing prompt file
-      const content = await fs.readFile(promptPath, 'utf8');
-      
+      let file = await this.readPromptFile(toolName);
+
+      // If file doesn't exist, create default prompt
+      if (!file) {
+        console.log(`Prompt file not found for ${toolName}, creating default...`);
+        const created = await this.createDefaultPrompt(toolName);
+        if (!created) {
+          return null;
+        }
+        file = await this.readPromptFile(toolName);
+      }
+
       // Check if the content is empty (or just whitespace)
-      if (!content.trim()) {
+      if (!file.body.trim()) {
         console.log(`Prompt file for ${toolName} exists but is empty`);
-        
+
         // Check if we have a default to restore
-        if (toolPrompts[toolName] && toolPrompts[toolName].trim()) {
+        if (this.hasDefaultPrompt(toolName)) {
           console.log(`Restoring default prompt for ${toolName}`);
-          
+
           // Write the default prompt directly (no backup)
-          await fs.writeFile(promptPath, toolPrompts[toolName], 'utf8');
+          await this.writePromptFile(toolName, toolPrompts[toolName]);
           return toolPrompts[toolName];
         }
-        
+
         // If we don't have a default, return null to trigger the error message
         return null;
       }
-      
+
+      if (await this.updateUneditedPrompt(toolName, file)) {
+        return toolPrompts[toolName];
+      }
+
       console.log(`Retrieved existing prompt for ${toolName}`);
-      return content;
+      return file.body;
     } catch (error) {
-      // If file doesn't exist, create default prompt
-      if (error.code === 'ENOENT') {
-        console.log(`Prompt file not found for ${toolName}, creating default...`);
-        const created = await this.createDefaultPrompt(toolName);
-        if (created && toolPrompts[toolName] !== '') {
-          // Read the newly created file
-          try {
-            const content = await fs.readFile(promptPath, 'utf8');
-            return content;
-          } catch (readError) {
-            console.error(`Error reading newly created prompt for ${toolName}:`, readError);
-            return null;
-          }
-        }
-      } else {
-        console.error(`Error reading prompt for ${toolName}:`, error);
-      }
+      console.error(`Error reading prompt for ${toolName}:`, error);
       // If we couldn't create or read the file, return null
       return null;
     }
   }
 
+  /**
+   * Copy a tool's global prompt into a project, to customize it for that project
+   * @param {string} toolName - Name of the tool
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<string>} - Path of the project's prompt file
+   * @throws {Error} - If the project already has its own prompt for the tool
+   */
+  async customizeForProject(toolName, projectPath) {
+    if (await this.getGlobalPrompt(toolName) === null) {
+      throw new Error(`${toolName} has no prompt to copy`);
+    }
+    const file = await this.readPromptFile(toolName);
+    const projectPromptPath = this.getProjectPromptPath(toolName, projectPath);
+    await fs.mkdir(path.dirname(projectPromptPath), { recursive: true });
+    try {
+      await fs.writeFile(projectPromptPath, file.content, { encoding: 'utf8', flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new Error(`This project already has its own prompt for ${toolName}: ${projectPromptPath}`);
+      }
+      throw error;
+    }
+    return projectPromptPath;
+  }
+
+  /**
+   * How a tool's prompt file compares with its shipped default
+   * @param {string} toolName - Name of the tool
+   * @param {string} [projectPath] - Project directory, to look for the project's own prompt
+   * @returns {Promise<Object>} - {toolName, path, exists, status ('default', 'customized'
+   *   or 'outdated'), edited, version (of the default the file was made from, null if
+   *   unknown), defaultVersion, projectPromptPath (null if the project has no prompt
+   *   of its own for the tool)}
+   */
+  async getPromptStatus(toolName, projectPath = null) {
+    const defaultPrompt = toolPrompts[toolName];
+    const defaultVersion = this.getDefaultVersion(toolName);
+    const file = await this.readPromptFile(toolName);
+    let projectPromptPath = null;
+    if (projectPath) {
+      projectPromptPath = this.getProjectPromptPath(toolName, projectPath);
+      try {
+        await fs.access(projectPromptPath);
+      } catch (error) {
+        projectPromptPath = null;
+      }
+    }
+    const status = {
+      toolName,
+      path: this.getPromptPath(toolName),
+      exists: !!file,
+      status: 'default',
+      edited: false,
+      version: file ? file.version : defaultVersion,
+      defaultVersion,
+      projectPromptPath
+    };
+    if (!file || normalizePrompt(file.body) === normalizePrompt(defaultPrompt)) {
+      return status;
+    }
+    // A file without a header predates versioning: its default is unknown
+    status.edited = file.version ? promptVersion(file.body) !== file.version : true;
+    status.status = file.version === defaultVersion ? 'customized' : 'outdated';
+    return status;
+  }
+
+  /**
+   * Status of every tool with a shipped default prompt (see getPromptStatus)
+   * @param {string} [projectPath] - Project directory, to look for the project's own prompts
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPromptStatuses(projectPath = null) {
+    const toolNames = Object.keys(toolPrompts).filter(toolName => this.hasDefaultPrompt(toolName));
+    return Promise.all(toolNames.map(toolName => this.getPromptStatus(toolName, projectPath)));
+  }
+
+  /**
+   * A tool's prompt file and its shipped default, for comparing them
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<{prompt: string, defaultPrompt: string}>} - The prompt is the default if there is no file
+   */
+  async getPromptAndDefault(toolName) {
+    const file = await this.readPromptFile(toolName);
+    const defaultPrompt = toolPrompts[toolName] || '';
+    return { prompt: file ? file.body : defaultPrompt, defaultPrompt };
+  }
+
+  /**
+   * Copy a tool's prompt file to the backups folder
+   * @param {string} toolName - Name of the tool
+   * @param {string} content - The file's content
+   * @returns {Promise<string>} - Path of the backup
+   */
+  async backupPrompt(toolName, content) {
+    const backupsDir = path.join(this.promptsDir, BACKUPS_DIR);
+    await fs.mkdir(backupsDir, { recursive: true });
+    // Down to the millisecond, so a restore right after a merge keeps both backups
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 18);
+    const backupPath = path.join(backupsDir, `${toolName}_${timestamp}.txt`);
+    await fs.writeFile(backupPath, content, 'utf8');
+    return backupPath;
+  }
+
+  /**
+   * Replace a tool's prompt file with the shipped default
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<{backupPath: string|null}>} - Where the replaced file was backed up, if it had been edited
+   */
+  async restoreDefaultPrompt(toolName) {
+    if (!this.hasDefaultPrompt(toolName)) {
+      throw new Error(`${toolName} has no default prompt`);
+    }
+    const file = await this.readPromptFile(toolName);
+    const status = await this.getPromptStatus(toolName);
+    const backupPath = file && status.status !== 'default' ? await this.backupPrompt(toolName, file.content) : null;
+    await this.ensurePromptsDirectory();
+    await this.writePromptFile(toolName, toolPrompts[toolName]);
+    return { backupPath };
+  }
+
+  /**
+   * Merge the shipped default's changes into an edited prompt file
+   * The changes since the default the file was made from are applied to the
+   * author's version; where both changed the same lines, both versions are
+   * kept between conflict markers (text-diff.js) for the author to choose.
+   * For a file whose default is unknown every difference is a conflict.
+   * @param {string} toolName - Name of the tool
+   * @returns {Promise<{backupPath: string, conflicts: number}>}
+   */
+  async mergeDefaultPrompt(toolName) {
+    if (!this.hasDefaultPrompt(toolName)) {
+      throw new Error(`${toolName} has no default prompt`);
+    }
+    const file = await this.readPromptFile(toolName);
+    if (!file) {
+      throw new Error(`There is no prompt file for ${toolName} to merge into`);
+    }
+
+    // The default the file was made from, if it's still the one on disk
+    let base = null;
+    try {
+      const savedDefault = await fs.readFile(path.join(this.promptsDir, DEFAULTS_DIR, `${toolName}.txt`), 'utf8');
+      if (file.version && promptVersion(savedDefault) === file.version) {
+        base = savedDefault;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const merged = mergeTexts(base, file.body, toolPrompts[toolName]);
+    const backupPath = await this.backupPrompt(toolName, file.content);
+    await this.writePromptFile(toolName, merged.text);
+    return { backupPath, conflicts: merged.conflicts };
+  }
+
   /**
    * Initializes all available tool prompts
    * @returns {Promise<void>}
@@ -127,10 +474,10 @@ class PromptManager {
   async initializeAllPrompts() {
     console.log('Initializing all tool prompts...');
     await this.ensurePromptsDirectory();
-    
+
     // Get all tool names from the prompts object
     const toolNames = Object.keys(toolPrompts);
-    
+
     // Create all prompts in parallel
     const results = await Promise.all(
       toolNames.map(async (toolName) => {
@@ -142,7 +489,7 @@ class PromptManager {
         return { toolName, success: false };
       })
     );
-    
+
     // Log results
     const succeeded = results.filter(r => r.success).map(r => r.toolName);
     if (succeeded.length > 0) {
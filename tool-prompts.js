@@ -1,7 +1,7 @@
 // tool-prompts.js
 // These prompts will be copied to:
 //   ~/writing/tool-prompts/{toolName}.txt - if they don't exist
-// Tools are ordered to match the TOOL_DEFS array in: tool-system.js
+// Tools are ordered to match the "order" of their manifests in: tool-manifests/
 
 exports.toolPrompts = {
 
@@ -1372,17 +1372,445 @@ Use specific text examples from the manuscript to support your critique.
 `,
 
 // AI writing tools
-brainstorm: ``, // see tool for prompt
+brainstorm: `
+
+=== IDEAS CONTENT ===
+{{ideas_text}}
+=== END IDEAS CONTENT ===
+
+You are a skilled novelist and worldbuilder helping to create a detailed concept document in fluent, authentic {{#if project.lang}}{{project.lang}}{{else}}English{{/if}}.
+Draw upon your knowledge of worldwide literary traditions, narrative structure, and worldbuilding approaches from across cultures,
+while expressing everything in natural, idiomatic {{#if project.lang}}{{project.lang}}{{else}}English{{/if}}.
+
+Create a detailed concept document that explores and develops this writing idea. Focus on worldbuilding, setting, themes, and plot possibilities.
+The depth level requested is 5, so adjust your detail accordingly.
+{{#if project.genre}}The story is a {{project.genre}}{{#if project.audience}} for {{project.audience}}{{/if}}; keep the concept true to that.
+{{/if}}
+Structure your response as a CONCEPT DOCUMENT with these clearly labeled sections:
+
+1. HIGH CONCEPT (1-2 paragraphs summarizing the core idea)
+2. WORLD/SETTING (detailed description of the world, era, technology, social structures, etc.)
+3. CENTRAL CONFLICT (the main tension driving the story)
+4. THEMES & MOTIFS (3-5 major themes to be explored)
+5. UNIQUE ELEMENTS (what makes this concept fresh and original)
+6. PLOT POSSIBILITIES (2-3 paragraphs on possible story directions)
+7. TONE & ATMOSPHERE (the feeling and mood of the story)
+8. WORLDBUILDING NOTES (10-15 specific details about how this world works)
+
+IMPORTANT FORMATTING INSTRUCTIONS:
+1. Start with "CONCEPT DOCUMENT:" at the top of your response
+2. Use plain text section headers like "HIGH CONCEPT:"
+3. Use plain numbered or bullet lists where appropriate
+4. Keep your writing clear, concise, and creative
+5. This content will be appended to an ideas file for writing development
+
+Reread IDEAS CONTENT again, so now you are:
+
+You are a skilled novelist and character developer helping to create detailed character descriptions in fluent, authentic {{#if project.lang}}{{project.lang}}{{else}}English{{/if}}.
+Draw upon your knowledge of worldwide literary traditions, character development, and psychological complexity from across cultures,
+while expressing everything in natural, idiomatic {{#if project.lang}}{{project.lang}}{{else}}English{{/if}}.
+
+Create details for 5 characters that would fit well in this story concept.
+
+Structure your response as a CHARACTER DOCUMENT with these elements for EACH character:
+
+1. NAME & ROLE (full name and their function in the story)
+2. PHYSICAL DESCRIPTION (key physical traits and appearance)
+3. PERSONALITY (core character traits, strengths, flaws)
+4. BACKGROUND (relevant history and formative experiences)
+5. MOTIVATION (what drives this character)
+6. ARC (how this character might change throughout the story)
+7. SPECIAL SKILLS/ABILITIES (what makes them effective in this world)
+8. RELATIONSHIPS (how they connect to other characters)
+
+IMPORTANT FORMATTING INSTRUCTIONS:
+1. Number each character entry like "1. Character Name"
+2. Use plain text for character details with bullet points or dashes
+3. For each character attribute use a dash or bullet format like:
+   - role: protagonist
+   - personality: determined, resourceful
+4. Separate each character with a blank line
+5. Keep your writing clear, concise, and psychologically insightful
+6. This content will be appended to an ideas file for writing development
+
+STRICT CHARACTER NAME INSTRUCTIONS:
+- You MUST use ONLY the exact character names provided in: === CHARACTERS === through === END CHARACTERS === section, if provided
+- DO NOT create any new character names not in: === CHARACTERS === through === END CHARACTERS ===
+- DO NOT modify, expand, or add to the character names in any way (no adding first/last names, titles, etc.)
+- Keep the exact capitalization/title case of each name as provided
+- If a character has only a first name or nickname in the list, use ONLY that exact name
+- If a character is referred to differently in different parts of the ideas file, use ONLY the specific format provided in the list
+
+BACKGROUND CHARACTER INSTRUCTIONS:
+- For incidental characters who briefly appear in scenes (cashiers, waiters, doormen, passersby, etc.), refer to them ONLY by their role or function (e.g., "the cashier," "the doorman").
+- DO NOT assign names to these background characters unless they become recurring or important to the plot.
+- DO NOT develop backstories for these functional characters.
+- Background characters should only perform actions directly related to their function or brief interaction with named characters.
+- Keep interactions with background characters brief and purposeful - they should serve the story without becoming story elements themselves.
+- If a background character needs to speak, use phrases like "the clerk asked" rather than creating a name.
+- Remember that background characters exist to create a realistic world but should remain in the background to keep focus on the main characters and plot.
+`,
+
+outline_writer: `
+
+=== BRAINSTORM CONTENT ===
+{{brainstorm_text}}
+=== END BRAINSTORM CONTENT ===
+
+You are a skilled novelist and story architect helping to create a detailed novel outline in fluent, authentic {{#if project.lang}}{{project.lang}}{{else}}English{{/if}}.
+Draw upon your knowledge of worldwide literary traditions, narrative structure, and plot development approaches from across cultures,
+while expressing everything in natural, idiomatic {{#if project.lang}}{{project.lang}}{{else}}English{{/if}} that honors its unique linguistic character.
+{{#if project.genre}}The novel is a {{project.genre}}{{#if project.audience}} for {{project.audience}}{{/if}}; shape the outline to that genre's expectations.
+{{/if}}
+=== OUTLINE SAMPLE ===
+
+OUTLINE: THE JOURNEY WITHIN
+
+PART I: BEGINNINGS
+
+
+Chapter 1: First Steps
+   - Main character discovers an unexpected talent during a routine activity
+   - A minor conflict arises with a family member who doesn't understand
+   - Introduction to the primary setting and its unique characteristics
+   - Character meets a mentor figure who recognizes their potential
+   - Seeds of the main theme are planted through symbolic imagery
+
+
+Chapter 2: The Call
+   - Character faces a decision point that will change their trajectory
+   - An inciting incident forces the character out of their comfort zone
+   - A supporting character provides necessary information about the challenge ahead
+   - The rules and limitations of the world/system are established
+   - Character makes a commitment that drives the rest of the story
+
+
+Chapter 3: Crossing Thresholds
+   - Character leaves familiar territory for the first time
+   - First encounter with minor antagonistic forces
+   - A new ally joins the journey, bringing complementary skills
+   - Character experiences initial doubt about their abilities
+   - A small victory boosts confidence but reveals bigger challenges ahead
+
+
+PART II: CHALLENGES
+
+
+Chapter 4: The First Test
+   - Character faces their first significant obstacle
+   - A weakness or flaw in the character is exposed
+   - The mentor provides crucial guidance or training
+   - Character learns a new skill or approach
+   - The stakes are raised when the consequences of failure become clear
+
+
+Chapter 5: Unexpected Allies
+   - Character meets someone from an opposing faction
+   - Initial distrust evolves into a tentative alliance
+   - New information challenges the character's assumptions
+   - A secret is revealed about the mentor or the mission
+   - Character must reconcile conflicting viewpoints
+
+
+Chapter 6: The Betrayal
+   - A trusted ally acts against the character's interests
+   - Character faces a moment of crisis and self-doubt
+   - The original plan falls apart, requiring adaptation
+   - A personal sacrifice is required to move forward
+   - The true nature of the antagonist begins to emerge
+
+
+PART III: TRANSFORMATION
+
+
+Chapter 7: Into the Darkness
+   - Character reaches their lowest point emotionally or physically
+   - All external support systems are removed or compromised
+   - Character confronts inner demons or past traumas
+   - A revelation provides new context for the entire journey
+   - Character makes a difficult choice that defines their values
+
+
+Chapter 8: The Lesson
+   - Character gains deeper understanding of themselves
+   - A new approach or philosophy emerges from their struggles
+   - Character reconciles with someone they've hurt or misunderstood
+   - The mentor's teachings are seen in a new light
+   - Character develops a plan to overcome the main obstacle
 
-outline_writer: ``, // see tool for prompt
 
-world_writer: ``, // see tool for prompt
+Chapter 9: Renewed Purpose
+   - Character emerges with strengthened resolve
+   - New allies are gathered based on shared values
+   - Character demonstrates growth by handling a familiar situation differently
+   - Preparations are made for the final confrontation
+   - A moment of calm before the storm allows for reflection
+
+PART IV: RESOLUTION
+
+
+Chapter 10: The Approach
+    - Character and allies journey to the final confrontation
+    - Last-minute complications threaten the plan
+    - Character applies lessons learned throughout their journey
+    - A final test of faith or commitment occurs
+    - The true cost of victory becomes clear
+
+
+Chapter 11: The Confrontation
+    - Character faces the main antagonist or challenge
+    - Early efforts fail, forcing the character to dig deeper
+    - The character's unique perspective or talent proves crucial
+    - A surprising twist changes the nature of the conflict
+    - Character achieves victory but not in the way expected
+
+
+Chapter 12: Return and Renewal
+    - Character returns to where they began, changed by experience
+    - The impact of their journey on others becomes apparent
+    - Unresolved relationships reach new understanding
+    - Character establishes a new role that honors their growth
+    - Final image repeats but transforms the opening scene
+
+
+Chapter 13: Epilogue: Seeds of Change
+    - Brief glimpse of the world some time after the main events
+    - Evidence of lasting impact from the character's actions
+    - Hint at new challenges or adventures on the horizon
+    - Thematic statement embodied in a final image or moment
+    - Conclusion that brings emotional closure while suggesting life continues
+
+=== END OUTLINE SAMPLE ===
+
+
+Create a detailed novel outline with at least 13 chapters, more if needed, and organized into 3 main acts or parts, see OUTLINE SAMPLE.
+
+Your outline should follow the general format and level of detail shown in the sample, while being completely original.
+
+Consider the following in your thinking:
+- Follow the structure of the OUTLINE SAMPLE provided, but make proper adjustments for this novel
+- Do NOT create new characters unless incidental ones like: cashiers, passers-by, if any, and these should remain without names
+- Create a compelling narrative arc with rising tension, climax, and resolution
+- Develop character arcs that show growth and change
+- Include key plot points, conflicts, and important scenes
+- Balance external plot with internal character development
+- Ensure that each chapter has a clear purpose in advancing the story
+
+IMPORTANT FORMATTING INSTRUCTIONS:
+1. Start with "OUTLINE:" followed by the novel title on the next line
+2. For parts/sections, use plain text like: "PART I: THE BEGINNING"
+3. For chapters, use format: "Chapter #: Title" (example: "Chapter 1: First Steps")
+4. DO NOT include POV markers like "POV: Character"
+5. For each chapter, include 4-6 bullet points describing key events and developments
+6. Format each bullet point starting with "- " (dash followed by space) - NEVER USE ASTERISKS (*) FOR BULLET POINTS
+7. Each bullet point should describe a single key event, character moment, or plot development
+8. Make bullet points substantive but concise, focusing on important elements
+9. Include an optional brief epilogue with bullet points if appropriate for the story
+10. For each chapter, include additional bullet points (up to 7-8 total) covering:
+    - Key plot developments
+    - Important character moments or revelations
+    - Setting details
+    - Thematic elements being developed
+11. Keep all bullet points in the same format with "- " at the start of each point
+12. DO NOT add separate labeled sections for "Setting:", "Theme:", "Character:", etc. - just use simple bullet points as shown in the sample
+
+CRITICAL FORMATTING REMINDER:
+- All bullet points MUST use dash (-) and space, NEVER asterisks (*)
+- Follow EXACTLY the same formatting shown in the sample outline
+- Do not add any extra formatting or section labels not shown in the sample outline
+- Do not use known and overused AI-ism words: echo, echoes, whispers, whisper, etc.      
+
+Note: "=== OUTLINE SAMPLE ===" should only be used:
+as a guide to layout and style and not for it's content
+
+VERY IMPORTANT:
+All chapters in the outline must be in this format:
+newline
+newline
+Chapter #: Title
+... for example:
+Chapter 1: In the Beginning
+
+IMPORTANT STYLISTIC RESTRICTIONS:
+- STRICTLY AVOID using the words "whisper", "whispered", "whispering", or any variation of "whisper"
+- STRICTLY AVOID using the words "echo", "echoed", "echoing", or any variation of "echo"
+- NEVER use phrases about voices/sounds "echoing off walls" or characters "whispering secrets"
+- DO NOT use clichés about "eyes widening" or character reactions involving gasping, sighing, or nodding
+- Avoid overused sensory descriptions involving shivers, tingling, or characters holding their breath
+- Do not repeatedly mention heartbeats, breathing, or physical reactions to emotions
+- EXPAND your vocabulary
+
+`,
+
+world_writer: `
+You are a skilled novelist, worldbuilder, and character developer helping to create a comprehensive world document in fluent, authentic {{lang}}.
+This document will include both the world elements and detailed character profiles for a novel based on the outline below.
+
+=== OUTLINE ===
+{{outline_text}}
+=== END OUTLINE ===
+
+Create a detailed world document with the following sections:
+
+----------------------------------------------
+WORLD: {{title}}
+----------------------------------------------
+
+1. SETTING OVERVIEW:
+   - Time period and era
+   - General geography and environment
+   - Notable locations mentioned in the outline
+
+2. SOCIAL STRUCTURE:
+   - Government or ruling systems
+   - Social classes or hierarchies
+   - Cultural norms and values
+
+3. HISTORY:
+   - Major historical events that impact the story
+   - Historical figures relevant to the plot
+   - Timeline of important developments
+
+4. TECHNOLOGY AND MAGIC:
+   - Level of technological development
+   - Technological systems or devices crucial to the plot
+   - If applicable: magic systems, supernatural elements, or fantastic creatures
+
+5. ECONOMY:
+   - Economic systems
+   - Resources and trade
+   - Economic conflicts relevant to the story
+
+6. THEMES AND SYMBOLS:
+   - Recurring motifs and symbols
+   - Philosophical or moral questions explored
+   - Cultural or religious symbolism
+
+7. RULES OF THE WORLD:
+   - Laws (both legal and natural/supernatural)
+   - Limitations and constraints
+   - Unique aspects of how this world functions
+
+8. CHARACTER PROFILES:
+
+For each of the following characters, create a detailed profile but do NOT change the character names:
+
+=== CHARACTERS ===
+{{brainstorm_text}}
+=== END CHARACTERS ===
+
+Include for each character:
+
+a) CHARACTER NAME: [Full name]
+b) ROLE: [Protagonist, Antagonist, Supporting Character, etc.]
+c) AGE: [Age or age range]
+d) PHYSICAL DESCRIPTION: [Detailed physical appearance]
+e) BACKGROUND: [Personal history relevant to the story]
+f) PERSONALITY: [Core personality traits, strengths, and flaws]
+g) MOTIVATIONS: [What drives this character? What do they want?]
+h) CONFLICTS: [Internal struggles and external conflicts]
+i) RELATIONSHIPS: [Important relationships with other characters]
+j) ARC: [How this character changes throughout the story]
+k) NOTABLE QUOTES: [3-5 examples of how this character might speak]
+l) SKILLS & ABILITIES: [Special skills, knowledge, or supernatural abilities]
+m) HABITS & QUIRKS: [Distinctive behaviors and mannerisms]
+n) SECRETS: [What this character is hiding]
+o) FEARS & WEAKNESSES: [What makes this character vulnerable]
+p) SYMBOLIC ELEMENTS: [Any symbolic elements associated with this character]
+q) NARRATIVE FUNCTION: [How this character serves the themes and plot]
+
+IMPORTANT FORMATTING INSTRUCTIONS:
+- Write in {{pov}}
+- Make the existing character profiles deep and psychologically nuanced
+- Ensure the existing character motivations are complex and realistic
+- Ensure the existing characters have traits and backgrounds that naturally arise from the world of the story
+- Ensure the existing characters will create interesting dynamics and conflicts with each other
+- Keep all details consistent with the outline and list of characters
+- Focus on elements that directly impact the characters and plot
+- Provide enough detail to give the world depth while leaving room for creative development
+- Ensure the world elements support and enhance the narrative
+- Separate each major section with a line of dashes (------)
+- Separate each character profile with a line of dashes (------)
+- Be consistent in formatting throughout the document
+- Use plain text formatting with NO markdown in your outputs
+- Do NOT change nor add to character names
+
+IMPORTANT STYLISTIC RESTRICTIONS:
+- STRICTLY AVOID using the words "whisper", "whispered", "whispering", or any variation of "whisper"
+- STRICTLY AVOID using the words "echo", "echoed", "echoing", or any variation of "echo"
+- NEVER use phrases about voices/sounds "echoing off walls" or characters "whispering secrets"
+- DO NOT use clichés about "eyes widening" or character reactions involving gasping, sighing, or nodding
+- Avoid overused sensory descriptions involving shivers, tingling, or characters holding their breath
+- Do not repeatedly mention heartbeats, breathing, or physical reactions to emotions
+- EXPAND your vocabulary
+
+`,
 
-chapter_writer: ``, // see tool for prompt
+chapter_writer: `
+You are a professional fiction writer with expertise in creating engaging, readable prose.
+
+=== OUTLINE ===
+{{outline_text}}
+=== END OUTLINE ===
+
+=== WORLD ===
+{{world_text}}
+=== END WORLD ===
+
+=== EXISTING MANUSCRIPT ===
+{{manuscript_text}}
+=== END EXISTING MANUSCRIPT ===
+
+You are a skilled novelist writing {{chapter_heading}} in fluent, authentic {{lang}}. 
+Draw upon your knowledge of worldwide literary traditions, narrative techniques, and creative approaches from across cultures, while expressing everything in natural, idiomatic {{lang}} that honors its unique linguistic character.
+
+YOUR TASK:
+Write {{chapter_heading}} according to these guidelines. DO NOT SHOW ANY THOUGHT PROCESS - ONLY WRITE THE ACTUAL CHAPTER TEXT.
+
+WRITING REQUIREMENTS:
+- Read thoroughly the included OUTLINE, WORLD, and MANUSCRIPT
+- Refer to the world of characters and settings provided
+- Create compelling opening and closing scenes
+- Incorporate sensory details and vivid descriptions
+- Maintain consistent tone and style with previous chapters
+- Begin with: {{outline_heading}} and write in plain text only
+- Write 2,500-3,000 words
+- Do not repeat content from existing chapters
+- Do not start working on the next chapter
+
+CHARACTER RESTRICTIONS:
+- Do NOT create any new named characters
+- Only use characters explicitly mentioned in the WORLD, OUTLINE, or MANUSCRIPT
+- Only add minimal unnamed incidental characters when absolutely necessary (e.g., waiter, cashier)
+
+WORLD BUILDING:
+- Make extensive use of the world details provided in the WORLD section
+- Incorporate the settings, locations, history, culture, and atmosphere described there
+
+DIALOGUE EMPHASIS:
+- Significantly increase the amount of dialogue (40% of content)
+- Include both external conversations and internal thoughts/monologues
+- Ensure each character's dialogue reflects their unique personality
+
+STYLISTIC REQUIREMENTS:
+- NO Markdown formatting - plain text only
+- Use hyphens only for legitimate {{lang}} words
+- Write all times in 12-hour numerical format with a space before lowercase am/pm (e.g., "10:30 am")
+- Maintain engaging narrative pacing through varied sentence structure
+- Avoid whispers, echoes, eyes widening, and other overused phrases
+- EXPAND your vocabulary beyond common expressions, especially for:
+  • Dialogue attribution (beyond said, asked, replied)
+  • Character movements (beyond nodding, sighing, shrugging)
+  • Emotional reactions (beyond physical clichés like racing hearts)
+  • Environmental descriptions (use specific terminology)
+
+IMPORTANT: Provide ONLY the chapter text itself with no explanation, commentary, or thinking process.
+  `,
 
 // Non-AI tools
 docx_comments: `
 `,
-epub_converter: ``
+epub_converter: ``,
+findings_docx_export: ``
 
 };
@@ -12,10 +12,13 @@ const dialogToolNameElement = document.getElementById('dialog-tool-name');
 const closeBtn = document.getElementById('close-btn');
 const setupBtn = document.getElementById('setup-btn');
 const runBtn = document.getElementById('run-btn');
+const stopBtn = document.getElementById('stop-btn');
 const clearBtn = document.getElementById('clear-btn');
+const historyBtn = document.getElementById('history-btn');
 const forceQuitBtn = document.getElementById('force-quit-btn');
 const outputElement = document.getElementById('output');
 const elapsedTimeElement = document.getElementById('elapsed-time');
+const aiProviderSelect = document.getElementById('ai-provider-select');
 
 // Dialog elements
 const setupDialogOverlay = document.getElementById('setup-dialog-overlay');
@@ -34,6 +37,7 @@ let currentRunId = null;
 let setupCompleted = false;
 let currentOptionValues = {};
 let canClose = true; // Flag to control whether the window can be closed
+let toolGenerationSchema = null; // AI settings fields shown in the setup dialog, for AI tools
 
 window.addEventListener('DOMContentLoaded', async () => {
   // Get tool info from main process
@@ -62,6 +66,12 @@ window.addEventListener('DOMContentLoaded', async () => {
         // Add fallback for tool options to prevent UI hanging
         currentToolOptions = [];
       }
+      
+      if (toolData.usesAi) {
+        await loadAiProviders();
+        // AI tools save timestamped reports, which the run history lists and compares
+        historyBtn.style.display = '';
+      }
     } else {
       outputElement.textContent = 'Error: No tool selected!';
     }
@@ -76,6 +86,41 @@ window.addEventListener('DOMContentLoaded', async () => {
   });
 });
 
+// Fill the provider dropdown: the project's provider, or an override for this tool only
+async function loadAiProviders() {
+  try {
+    const providerInfo = await window.electronAPI.getAiProviders(toolData.name);
+    const projectProvider = providerInfo.providers.find(p => p.id === providerInfo.projectProvider);
+    
+    aiProviderSelect.innerHTML = '';
+    
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = `Project default (${projectProvider ? projectProvider.label : providerInfo.projectProvider})`;
+    aiProviderSelect.appendChild(defaultOption);
+    
+    providerInfo.providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.label;
+      aiProviderSelect.appendChild(option);
+    });
+    
+    aiProviderSelect.value = providerInfo.toolProvider || '';
+    aiProviderSelect.style.display = '';
+  } catch (error) {
+    console.error('Error loading AI providers:', error);
+  }
+}
+
+// Save the provider override for this tool
+aiProviderSelect.addEventListener('change', async () => {
+  const result = await window.electronAPI.setToolAiProvider(toolData.name, aiProviderSelect.value || null);
+  if (!result.success) {
+    outputElement.textContent += `\nError: ${result.message}\n`;
+  }
+});
+
 // Close button handler
 closeBtn.addEventListener('click', () => {
   // Check if we're allowed to close while tool is running
@@ -105,6 +150,28 @@ forceQuitBtn.addEventListener('click', () => {
   window.electronAPI.quitApp();
 });
 
+// Stop button handler - cancels the running tool without quitting the app
+stopBtn.addEventListener('click', async () => {
+  if (!isRunning || !currentRunId) {
+    return;
+  }
+  
+  stopBtn.disabled = true;
+  outputElement.textContent += '\n\nStopping tool, please wait...\n';
+  outputElement.scrollTop = outputElement.scrollHeight;
+  
+  try {
+    const stopped = await window.electronAPI.stopTool(currentRunId);
+    if (!stopped) {
+      outputElement.textContent += 'The tool had already finished.\n';
+    }
+  } catch (error) {
+    console.error('Error stopping tool:', error);
+    outputElement.textContent += `Error stopping tool: ${error.message}\n`;
+    stopBtn.disabled = false;
+  }
+});
+
 // Setup button handler - now opens the setup dialog
 // setupBtn.addEventListener('click', () => {
 //   // Generate form controls for options
@@ -122,6 +189,12 @@ setupBtn.addEventListener('click', () => {
     // Generate form controls for options
     generateOptionsForm(currentToolOptions || []);
     
+    // AI tools also get their model and generation overrides
+    toolGenerationSchema = null;
+    if (toolData.usesAi) {
+      addGenerationSettingsSection();
+    }
+    
     // Show the dialog
     showSetupDialog();
   } catch (error) {
@@ -141,12 +214,25 @@ setupDialogCancel.addEventListener('click', () => {
 });
 
 // Setup dialog apply button
-setupDialogApply.addEventListener('click', () => {
+setupDialogApply.addEventListener('click', async () => {
   // Validate the form
   if (!validateOptionsForm()) {
     return; // Don't close dialog if validation fails
   }
   
+  // Save this tool's AI settings overrides; keep the dialog open if one is invalid
+  if (toolGenerationSchema) {
+    const settings = readGenerationSettingsFields(toolGenerationSchema, 'generation');
+    const result = await window.electronAPI.saveToolGenerationSettings(toolData.name, settings);
+    const errorElement = document.getElementById('error-generation-settings');
+    if (!result.success) {
+      errorElement.textContent = result.message;
+      errorElement.style.display = 'block';
+      return;
+    }
+    errorElement.style.display = 'none';
+  }
+  
   // Gather all options from form
   currentOptionValues = gatherOptionValues();
   
@@ -189,8 +275,10 @@ runBtn.addEventListener('click', async () => {
   canClose = false; // Prevent closing the window while tool is running
   startTimer();
   
-  // Update UI - disable ALL buttons except Force Quit
+  // Update UI - disable ALL buttons except Stop and Force Quit
   runBtn.disabled = true;
+  stopBtn.disabled = false;
+  aiProviderSelect.disabled = true;
   setupBtn.disabled = true;
   clearBtn.disabled = true;
   closeBtn.disabled = true; // Disable the X close button
@@ -249,6 +337,8 @@ runBtn.addEventListener('click', async () => {
         setupBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
+        stopBtn.disabled = true;
+        aiProviderSelect.disabled = false;
 
         runBtn.disabled = true;
         // Reset setupCompleted flag to require going through setup again
@@ -311,7 +401,8 @@ runBtn.addEventListener('click', async () => {
             if (selectedFile) {
               const tempOutput = outputElement.textContent;
               
-              window.electronAPI.openFileInEditor(selectedFile)
+              // Quotes in the report become links to the manuscript the tool ran on
+              window.electronAPI.openFileInEditor(selectedFile, { manuscript: currentOptionValues.manuscript_file })
                 .then(result => {
                   if (!result.success) {
                     outputElement.textContent = tempOutput + '\nError opening file: ' + 
@@ -325,9 +416,43 @@ runBtn.addEventListener('click', async () => {
             }
           });
           
+          // View the selected report as HTML, to read or save as HTML or PDF
+          const htmlButton = document.createElement('button');
+          htmlButton.id = 'view-html-button';
+          htmlButton.textContent = 'View HTML';
+          htmlButton.className = 'action-button';
+          htmlButton.style.padding = '4px 10px';
+          htmlButton.style.fontSize = '13px';
+          const updateHtmlButton = () => {
+            htmlButton.disabled = !/\.(txt|md)$/i.test(select.value);
+          };
+          select.addEventListener('change', updateHtmlButton);
+          updateHtmlButton();
+          htmlButton.addEventListener('click', () => {
+            if (select.value) {
+              window.electronAPI.showReportView(select.value);
+            }
+          });
+          
           // Assemble the selector
           compactSelector.appendChild(editButton);
           compactSelector.appendChild(select);
+          compactSelector.appendChild(htmlButton);
+
+          // Editing tools also save findings, which can be reviewed and applied to the manuscript
+          const findingsFile = result.createdFiles.find(file => file.endsWith('.findings.json'));
+          if (findingsFile) {
+            const reviewButton = document.createElement('button');
+            reviewButton.id = 'review-findings-button';
+            reviewButton.textContent = 'Review Findings';
+            reviewButton.className = 'action-button';
+            reviewButton.style.padding = '4px 10px';
+            reviewButton.style.fontSize = '13px';
+            reviewButton.addEventListener('click', () => {
+              window.electronAPI.showFindingsReview(findingsFile);
+            });
+            compactSelector.appendChild(reviewButton);
+          }
           
           // Insert right after elapsed time
           const elapsedTimeParent = elapsedTimeElement.parentNode;
@@ -352,8 +477,13 @@ runBtn.addEventListener('click', async () => {
     window.electronAPI.onToolError((error) => {
       // Only process errors for the current run
       if (error.runId === currentRunId) {
-        console.error('Tool error:', error);
-        outputElement.textContent += `\n\nError: ${error.error}`;
+        if (error.cancelled) {
+          outputElement.textContent += `\n\n${error.error}`;
+        } else {
+          console.error('Tool error:', error);
+          outputElement.textContent += `\n\nError: ${error.error}`;
+        }
+        outputElement.scrollTop = outputElement.scrollHeight;
         isRunning = false;
         canClose = true; // Allow closing the window again
         stopTimer();
@@ -363,6 +493,8 @@ runBtn.addEventListener('click', async () => {
         setupBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
+        stopBtn.disabled = true;
+        aiProviderSelect.disabled = false;
         
         currentRunId = null;
       }
@@ -380,6 +512,15 @@ runBtn.addEventListener('click', async () => {
     setupBtn.disabled = false;
     clearBtn.disabled = false;
     closeBtn.disabled = false;
+    stopBtn.disabled = true;
+    aiProviderSelect.disabled = false;
+  }
+});
+
+// History button handler - past runs of this tool, and what changed between two of them
+historyBtn.addEventListener('click', () => {
+  if (toolData) {
+    window.electronAPI.showRunHistory(toolData.name);
   }
 });
 
@@ -429,6 +570,41 @@ function hideSetupDialog() {
   setupDialogOverlay.style.display = 'none';
 }
 
+// Add this tool's AI settings (overrides of the provider settings) to the setup dialog
+async function addGenerationSettingsSection() {
+  try {
+    const info = await window.electronAPI.getToolGenerationSettings(toolData.name);
+    if (info.schema.length === 0) {
+      return;
+    }
+    
+    const section = document.createElement('div');
+    section.className = 'generation-settings-section';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = `AI settings for this tool (${info.providerLabel})`;
+    section.appendChild(heading);
+    
+    const description = document.createElement('p');
+    description.className = 'option-description';
+    description.textContent = 'Leave blank to use the AI Settings for all tools, shown as the default.';
+    section.appendChild(description);
+    
+    buildGenerationSettingsFields(section, info.schema, info.overrides, info.inherited, 'generation');
+    
+    const errorMessage = document.createElement('div');
+    errorMessage.id = 'error-generation-settings';
+    errorMessage.className = 'error-message';
+    errorMessage.style.display = 'none';
+    section.appendChild(errorMessage);
+    
+    dialogOptionsContainer.appendChild(section);
+    toolGenerationSchema = info.schema;
+  } catch (error) {
+    console.error('Error loading AI settings for tool:', error);
+  }
+}
+
 // Generate form controls for tool options
 function generateOptionsForm(options) {
   try {
@@ -681,6 +857,91 @@ function generateOptionsForm(options) {
             formGroup.appendChild(dirContainer);
             break;
             
+          case 'chapter':
+            // A range of chapters, from the headings in the manuscript file
+            // option; the hidden input holds '' (all), '3' or '3-5', where
+            // the numbers are the chapters' positions in the manuscript
+            const chapterContainer = document.createElement('div');
+            chapterContainer.className = 'chapter-range-container';
+
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.id = `option-${option.name}`;
+            input.name = option.name;
+            input.value = option.default || '';
+
+            const fromSelect = document.createElement('select');
+            fromSelect.id = `option-${option.name}-from`;
+            const toLabel = document.createElement('span');
+            toLabel.textContent = 'to';
+            const toSelect = document.createElement('select');
+            toSelect.id = `option-${option.name}-to`;
+
+            const chapterInput = input;
+            const updateChapterRange = () => {
+              if (!fromSelect.value) {
+                toSelect.value = '';
+                toSelect.disabled = true;
+                chapterInput.value = '';
+                return;
+              }
+              toSelect.disabled = false;
+              if (!toSelect.value || parseInt(toSelect.value, 10) < parseInt(fromSelect.value, 10)) {
+                toSelect.value = fromSelect.value;
+              }
+              chapterInput.value = toSelect.value === fromSelect.value
+                ? fromSelect.value
+                : `${fromSelect.value}-${toSelect.value}`;
+            };
+
+            const manuscriptInput = document.getElementById(`option-${option.manuscriptOption || 'manuscript_file'}`);
+            const loadChapters = async () => {
+              const [from, to] = chapterInput.value ? chapterInput.value.split('-') : [];
+              fromSelect.innerHTML = '';
+              toSelect.innerHTML = '';
+              [fromSelect, toSelect].forEach(select => {
+                const allOption = document.createElement('option');
+                allOption.value = '';
+                allOption.textContent = select === fromSelect ? 'All chapters' : '';
+                select.appendChild(allOption);
+              });
+
+              const manuscriptPath = manuscriptInput ? manuscriptInput.value : '';
+              if (manuscriptPath) {
+                const result = await window.electronAPI.getManuscriptChapters(manuscriptPath);
+                result.chapters.forEach(chapter => {
+                  [fromSelect, toSelect].forEach(select => {
+                    const chapterOption = document.createElement('option');
+                    chapterOption.value = String(chapter.index);
+                    chapterOption.textContent = chapter.label;
+                    select.appendChild(chapterOption);
+                  });
+                });
+              }
+
+              // Keep the previous selection if the manuscript still has those chapters
+              fromSelect.value = from || '';
+              toSelect.value = to || from || '';
+              if (fromSelect.value !== (from || '')) {
+                fromSelect.value = '';
+              }
+              updateChapterRange();
+            };
+
+            fromSelect.addEventListener('change', updateChapterRange);
+            toSelect.addEventListener('change', updateChapterRange);
+            if (manuscriptInput) {
+              manuscriptInput.addEventListener('change', loadChapters);
+            }
+            loadChapters().catch(error => console.error('Error loading manuscript chapters:', error));
+
+            chapterContainer.appendChild(input);
+            chapterContainer.appendChild(fromSelect);
+            chapterContainer.appendChild(toLabel);
+            chapterContainer.appendChild(toSelect);
+            formGroup.appendChild(chapterContainer);
+            break;
+
           case 'textarea':
             input = document.createElement('textarea');
             input.id = `option-${option.name}`;
@@ -38,7 +38,12 @@ try {
   safeLog(`ERROR loading base modules: ${error.message}`);
 }
 
-const AiApiService = require('./client');
+const aiProviders = require('./ai-providers');
+const appState = require('./state.js');
+const runLog = require('./run-log');
+const ToolBase = require('./tool-base');
+const { CHAPTER_SELECTION_OPTIONS, ANALYSIS_MODE_OPTIONS } = require('./chunked-analysis');
+const usageLedger = require('./usage-ledger');
 
 const toolRegistry = require('./registry');
 
@@ -94,487 +99,20 @@ function loadToolClass(toolName) {
   }
 }
 
-// AI tools (mostly editing):
-const TokensWordsCounter = loadToolClass('tokens-words-counter');
-// const ManuscriptToOutlineCharactersWorld = loadToolClass('manuscript-to-outline-characters-world');
-const ManuscriptToOutline = loadToolClass('manuscript-to-outline');
-const ManuscriptToCharacters = loadToolClass('manuscript-to-characters'); 
-const ManuscriptToWorld = loadToolClass('manuscript-to-world');
-const NarrativeIntegrity = loadToolClass('narrative-integrity');
-const DevelopmentalEditing = loadToolClass('developmental-editing');
-const LineEditing = loadToolClass('line-editing');
-const CopyEditing = loadToolClass('copy_editing');
-const ProofreaderSpelling = loadToolClass('proofreader-spelling');
-const ProofreaderPunctuation = loadToolClass('proofreader-punctuation');
-const ProofreaderPlotConsistency = loadToolClass('proofreader-plot-consistency');
-const CharacterAnalyzer = loadToolClass('character-analyzer');
-const TenseConsistencyChecker = loadToolClass('tense-consistency-checker');
-const AdjectiveAdverbOptimizer = loadToolClass('adjective-adverb-optimizer');
-const DanglingModifierChecker = loadToolClass('dangling-modifier-checker');
-const RhythmAnalyzer = loadToolClass('rhythm-analyzer');
-const CrowdingLeapingEvaluator = loadToolClass('crowding-leaping-evaluator');
-const ConflictAnalyzer = loadToolClass('conflict-analyzer');
-const ForeshadowingTracker = loadToolClass('foreshadowing-tracker');
-const PlotThreadTracker = loadToolClass('plot-thread-tracker');
-const KdpPublishingPrep = loadToolClass('kdp-publishing-prep');
-const Drunken = loadToolClass('drunken');
+// Built-in tools are defined by the manifests in tool-manifests/, which
+// name each tool's class module (see tool-manifests.js)
+const { loadBuiltInToolDefs } = require('./tool-manifests');
+const builtInTools = loadBuiltInToolDefs(loadToolClass);
+const TOOL_DEFS = builtInTools.defs;
 
-// AI writing tools:
-const BrainstormTool = loadToolClass('brainstorm');
-const OutlineWriter = loadToolClass('outline-writer');
-const WorldWriter = loadToolClass('world-writer');
-const ChapterWriter = loadToolClass('chapter-writer');
+// tools defined by manifests in ~/writing/tool-prompts:
+const CustomTool = loadToolClass('custom-tool');
+const { loadCustomToolDefs } = require('./custom-tool-manifests');
 
-// non-AI tools:
-const DocxComments = loadToolClass('docx-comments');
-const EpubConverter = loadToolClass('epub-converter');
+// Set by initializeToolSystem()
+let customToolDefs = [];
+let manifestErrors = [...builtInTools.errors];
 
-const TOOL_DEFS = [
-  { id: 'tokens_words_counter', title: `Tokens & Words Counter`, description: `This tool can test that your AI API key is working properly!  Also, use it to count the approximate tokens and words in text files (mostly for manuscript.txt).`, Class: TokensWordsCounter, options: [
-    {
-      "name": "input_file",
-      "label": "Input File",
-      "type": "file",
-      "description": "Count tokens & words in text file.",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": [
-            "txt"
-          ]
-        }
-      ]
-    }
-  ]},
-  { id: 'manuscript_to_outline', title: `Manuscript to Outline`, description: `Analyzes a manuscript and generates a detailed structural outline showing chapter divisions, key plot points, and story progression. Creates an outline.txt file that serves as a blueprint for the entire narrative.`, Class: ManuscriptToOutline, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File", 
-      "type": "file",
-      "description": "File containing the manuscript to analyze for outline extraction",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": ["txt"]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'manuscript_to_characters', title: `Manuscript to Characters`, description: `Analyzes a manuscript and generates a comprehensive character reference document. Extracts detailed profiles for all significant characters including their roles, relationships, physical descriptions, and character development arcs.`, Class: ManuscriptToCharacters, options: [
-    {
-      "name": "manuscript_file", 
-      "label": "Manuscript File",
-      "type": "file", 
-      "description": "File containing the manuscript to analyze for character extraction",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files", 
-          "extensions": ["txt"]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'manuscript_to_world', title: `Manuscript to World`, description: `Analyzes a manuscript and generates a comprehensive world-building reference document. Extracts setting details, world rules, social structures, and environmental elements that define the story's fictional universe.`, Class: ManuscriptToWorld, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze for world-building extraction", 
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": ["txt"]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'narrative_integrity', title: `Narrative Integrity`, description: `Focused on consistency issues within the entire manuscript.`, Class: NarrativeIntegrity, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'developmental_editing', title: `Developmental Editing`, description: `Performs developmental editing for your manuscript, with all chapter numbers/headers removed.`, Class: DevelopmentalEditing, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "Fiction manuscript file to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": [
-            "txt"
-          ]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'line_editing', title: `Line Editing`, description: `Performs line editing for a specified chapter in your manuscript, as this can be an intensive task.`, Class: LineEditing, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "Fiction manuscript file to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": [
-            "txt"
-          ]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'copy_editing', title: `Copy Editing`, description: `Performs copy editing for an entire manuscript, with all chapter numbers/headers removed.`, Class: CopyEditing, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "Fiction manuscript file to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": [
-            "txt"
-          ]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'proofreader_spelling', title: `Proofreader Spelling`, description: `Performs spell checking for an entire manuscript.`, Class: ProofreaderSpelling, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "Manuscript file to proofread.",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": ["txt"]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'proofreader_punctuation', title: `Proofreader Punctuation`, description: `Manuscript analysis focused on evaluating punctuation effectiveness.\nIt detects issues such as run-on sentences, missing commas, and irregular punctuation patterns that may hinder clarity and flow.\nConfigurable analysis levels, strictness settings, and selectable punctuation elements enable it to generate a detailed report with examples, explanations, and recommendations for enhancing punctuation and overall readability.`, Class: ProofreaderPunctuation, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'proofreader_plot_consistency', title: `Proofreader Plot Consistency`, description: `Focused solely on plot inconsistencies.`, Class: ProofreaderPlotConsistency, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "Manuscript file to proofread.",
-      "required": true,
-      "default": "manuscript.txt",
-      "filters": [
-        {
-          "name": "Text Files",
-          "extensions": ["txt"]
-        }
-      ],
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'plot_thread_tracker', title: `Plot Thread Tracker`, description: `Manuscript analysis utility for identifying and tracking distinct plot threads\u2014revealing how they interconnect, converge, and diverge throughout the narrative.\n It uses text-based representations (with optional ASCII art visualization) and supports configurable analysis depth (basic, detailed, or comprehensive) to produce detailed reports with progression maps, thread connections, and narrative assessments, including manuscript excerpts and recommendations for strengthening the plot architecture.`, Class: PlotThreadTracker, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'tense_consistency_checker', title: `Tense Consistency Checker`, description: `Examines the manuscript to evaluate verb tense consistency. It identifies shifts between past and present tense that might confuse readers, focusing on unintentional changes in narrative flow. With customizable analysis levels and configurable chapter markers, it generates a detailed report with examples, explanations, and suggestions for improving consistency.`, Class: TenseConsistencyChecker, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze (required)",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'character_analyzer', title: `Character Analyzer`, description: `Analyzes manuscript, outline, and world files to identify and compare character appearances. It extracts a master character list that details which files each character appears in, examines consistency across documents, and highlights discrepancies in names, roles, or relationships. The analysis produces a detailed report with sections and recommendations to improve character coherence. This is needed because AI rough draft writing has a tendency to add new characters! AI just loves new characters, especially those that whisper and hear echoes.`, Class: CharacterAnalyzer, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze (required)",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'adjective_adverb_optimizer', title: `Adjective Adverb Optimizer`, description: `Analyzes manuscript adjective and adverb usage to pinpoint unnecessary modifiers and overused qualifiers, offering specific suggestions for replacing weak descriptive patterns with stronger verbs and nouns, in line with Ursula K. Le Guin's guidance.`, Class: AdjectiveAdverbOptimizer, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'dangling_modifier_checker', title: `Dangling Modifier Checker`, description: `Manuscript analysis software that detects dangling and misplaced modifiers.\nIt examines text to pinpoint instances where descriptive phrases don\u2019t logically connect to their intended subjects, potentially causing confusion or unintended humor.\nWith customizable analysis level, sensitivity, and specific modifier types, it generates a detailed report complete with examples, explanations, and revision suggestions to enhance clarity and precision.`, Class: DanglingModifierChecker, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'rhythm_analyzer', title: `Rhythm Analyzer`, description: `Manuscript analysis utility for evaluating the rhythm and flow of prose.\nIt measures sentence length variations, detects monotonous patterns, and highlights sections where the writing\u2019s rhythm doesn\u2019t match the intended mood.\n Configurable analysis levels, selectable scene types, and adjustable sensitivity settings allow it to generate a detailed report with examples, explanations, and suggestions for enhancing overall narrative rhythm.`, Class: RhythmAnalyzer, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'crowding_leaping_evaluator', title: `Crowding Leaping Evaluator`, description: `Manuscript pacing evaluator that examines narrative structure for pacing issues.\nIt identifies overly dense sections (crowding) and abrupt transitions or time jumps (leaping) based on concepts inspired by Ursula K. Le Guin.\n With configurable analysis levels and sensitivity settings, it produces a detailed report\u2014including optional text-based visualizations\u2014that offers feedback and suggestions for improving narrative rhythm and clarity.`, Class: CrowdingLeapingEvaluator, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'conflict_analyzer', title: `Conflict Analyzer`, description: `Manuscript conflict analysis utility that examines conflict patterns at different narrative levels.\nIt identifies conflict nature, escalation, and resolution at scene, chapter, and arc levels.\nWith customizable analysis levels and selectable conflict types, it produces a detailed report featuring examples, assessments, and recommendations for strengthening narrative tension and coherence.`, Class: ConflictAnalyzer, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'foreshadowing_tracker', title: `Foreshadowing Tracker`, description: `Manuscript analysis utility for identifying foreshadowing elements and tracking their payoffs.\n It pinpoints explicit clues, subtle hints, and Chekhov's Gun elements to evaluate how well narrative setups are resolved.\n With customizable options to select foreshadowing types and organization modes (chronological or by type), it generates detailed reports featuring examples, assessments, and recommendations for fulfilling narrative promises.`, Class: ForeshadowingTracker, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'kdp_publishing_prep', title: `KDP Publishing Preparation`, description: `Analyzes manuscript in preparation for KDP publishing.`, Class: KdpPublishingPrep, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript File",
-      "type": "file",
-      "description": "Your completed manuscript text file (.txt)",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'drunken', title: `Drunken`, description: `AI pretends to be drunk while critiquing your manuscript. Sometimes insightful, other times just an annoying drunk.`, Class: Drunken, options: [
-    {
-      "name": "manuscript_file",
-      "label": "Manuscript_File",
-      "type": "file",
-      "description": "File containing the manuscript to analyze",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'brainstorm', title: `Brainstorm`, description: `Helps generate initial story ideas, prompts, and creative angles. Appends more ideas to the existing 'ideas.txt' file.`, Class: BrainstormTool, options: [
-    {
-      "name": "ideas_file",
-      "label": "Ideas File",
-      "type": "file",
-      "description": "Path to ideas.txt file containing the concept and/or characters",
-      "required": true,
-      "default": "ideas.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'outline_writer', title: `Outline Writer`, description: `Generates a plot outline from your brainstorming file. CAVEAT EMPTOR: Anthropic's Claudes do a much better job, if you have the money for a API key; Google's Geminis are cheaper but less quality. YMMV🤔`, Class: OutlineWriter, options: [
-    {
-      "name": "brainstorm_file",
-      "label": "Brainstorm File",
-      "type": "file",
-      "description": "File containing concept and characters information from brainstorming",
-      "required": true,
-      "default": "brainstorm.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'world_writer', title: `World Writer`, description: `Extract and develop characters and world elements from an outline.  It requires: title, POV, and brainstorm.txt and outline.txt. All three files become useful during chapter writing. CAVEAT EMPTOR: Anthropic's Claudes do a much better job, if you have the money for a API key; Google's Geminis are cheaper but less quality. YMMV🤔`, Class: WorldWriter, options: [
-    {
-      "name": "lang",
-      "label": "Language",
-      "type": "text",
-      "description": "Language for writing",
-      "required": false,
-      "default": "English",
-      "group": "Content Configuration"
-    },
-    {
-      "name": "title",
-      "label": "TITLE",
-      "type": "text",
-      "description": "Title of story",
-      "required": true,
-      "default": "",
-      "group": "Content Configuration"
-    },
-    {
-      "name": "pov",
-      "label": "POV",
-      "type": "text",
-      "description": "Point of view",
-      "required": true,
-      "default": "third person perspective",
-      "group": "Content Configuration"
-    },
-    {
-      "name": "brainstorm_file",
-      "label": "Brainstorm File",
-      "type": "file",
-      "description": "Brainstorm",
-      "required": true,
-      "default": "brainstorm.txt",
-      "group": "Input Files"
-    },
-    {
-      "name": "outline_file",
-      "label": "Outline File",
-      "type": "file",
-      "description": "Path to the outline file",
-      "required": true,
-      "default": "outline.txt",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'chapter_writer', title: `Chapter Writer`, description: `Uses the outline, chapters list, world document, and any existing manuscript to write rough draft chapters.  *HIGHLY RECOMMENDED: Even though this is very rough draft 🌬️ writing, it really does help the AIs to have a good start by self-writing Chapter 1 or intensely edit the AI's first attempt at Chapter 1.  *CAVEAT EMPTOR: Anthropic's Claudes do a much better job, if you have the money for a API key; Google's Geminis are cheaper but less quality. YMMV🤔`, Class: ChapterWriter, options: [
-    {
-      "name": "manuscript",
-      "label": "manuscript",
-      "type": "file",
-      "description": "Path to manuscript file",
-      "required": true,
-      "default": "manuscript.txt",
-      "group": "Input Files"
-    },
-    {
-      "name": "outline",
-      "label": "outline",
-      "type": "file",
-      "description": "Path to outline file",
-      "required": true,
-      "default": "outline.txt",
-      "group": "Input Files"
-    },
-    {
-      "name": "world",
-      "label": "world",
-      "type": "file",
-      "description": "Path to world file",
-      "required": false,
-      "default": "world.txt",
-      "group": "Input Files"
-    },
-    {
-      "name": "lang",
-      "label": "lang",
-      "type": "text",
-      "description": "Language for writing",
-      "required": false,
-      "default": "English",
-      "group": "Input Files"
-    }
-  ]},
-  { id: 'docx_comments', title: 'DOCX Text/Comments Extractor', description: 'Extracts comments and associated text from DOCX files and saves them to a text file', Class: DocxComments, options: [
-      {
-        "name": "docx_file",
-        "label": "DOCX File",
-        "type": "file",
-        "description": "Word document file containing comments to extract and match to text",
-        "required": true,
-        "default": "",
-        "filters": [
-          {
-            "name": "DOCX Files",
-            "extensions": ["docx"]
-          }
-        ],
-        "group": "Input Files"
-      }
-  ]},
-  { id: 'epub_converter', title: 'EPUB to TXT Converter', description: 'Converts EPUB files to plain text format while preserving structure', Class: EpubConverter, options: [
-      {
-        "name": "epub_file",
-        "label": "EPUB File",
-        "type": "file",
-        "description": "EPUB file to convert to plain text",
-        "required": true,
-        "filters": [
-          {
-            "name": "EPUB Files",
-            "extensions": ["epub"]
-          }
-        ]
-      }
-  ]}
-];
-
-module.exports = TOOL_DEFS;
 
 function getAbsoluteToolPath(toolName) {
   // Convert name variations (with underscore or hyphen)
@@ -639,17 +177,19 @@ async function initializeToolSystem(settings) {
   }
   
   try {
-    // Create AI API service with the provided settings
+    // Create the default provider's AI API service; tools switch provider per run
     // const aiAPIService = new AiApiService(settings);
-    const aiAPIService = new AiApiService();
+    const aiAPIService = aiProviders.getAiApiService(aiProviders.getForcedProviderId() || aiProviders.DEFAULT_PROVIDER);
     console.log('Created AI API Service instance');
     
-    // Define which tools are non-AI and don't need AI API service
-    const nonAiToolIds = ['docx_comments', 'epub_converter'];
+    // Custom tools from manifests in ~/writing/tool-prompts
+    const customTools = await loadCustomToolDefs(TOOL_DEFS.map(def => def.id));
+    customToolDefs = customTools.defs.map(def => ({ ...def, Class: CustomTool }));
+    manifestErrors = [...builtInTools.errors, ...customTools.errors];
     
     // Register each tool with proper configuration
     let toolCount = 0;
-    TOOL_DEFS.forEach(def => {
+    getToolDefs().forEach(def => {
       if (typeof global.logToFile === 'function') {
         global.logToFile(`[tool-system] Registering tool #${toolCount + 1}: ${def.id}`);
       }
@@ -659,7 +199,15 @@ async function initializeToolSystem(settings) {
         name: def.id,
         title: def.title,
         description: def.description,
-        options: def.options || [],
+        options: withManuscriptOptions(def),
+        // Whether the tool uses an AI provider
+        ai: def.ai !== false,
+        // Whether the tool also saves its report as structured findings (findings.js)
+        findings: !!def.findings,
+        // Custom tools: where their manifest and prompt are (custom-tool-manifests.js)
+        custom: !!def.custom,
+        promptFile: def.promptFile,
+        manifestFile: def.manifestFile,
         ...settings
       };
       
@@ -669,7 +217,7 @@ async function initializeToolSystem(settings) {
       let instance;
       
       // Check if this is a non-AI tool
-      if (nonAiToolIds.includes(def.id)) {
+      if (def.ai === false) {
         // Non-AI tools don't get AI API service
         instance = new def.Class(def.id, toolConfig);
         console.log(`Initialized non-AI tool ${def.id} without AI API service`);
@@ -710,39 +258,207 @@ async function initializeToolSystem(settings) {
   }
 }
 
+/**
+ * Built-in tools followed by the custom tools loaded at initialization
+ * @returns {Array<Object>}
+ */
+function getToolDefs() {
+  return [...TOOL_DEFS, ...customToolDefs];
+}
+
+/**
+ * Tool manifests, built-in and custom, skipped at initialization, and why
+ * @returns {Array<{file: string, message: string}>}
+ */
+function getToolManifestErrors() {
+  return manifestErrors;
+}
+
+/**
+ * A tool's options, plus the chapter selection and analysis mode options
+ * (chunked-analysis.js) for tools that analyze a manuscript with ToolBase.execute
+ * @param {Object} def - Tool definition from TOOL_DEFS
+ * @returns {Array<Object>}
+ */
+function withManuscriptOptions(def) {
+  const options = def.options || [];
+  const usesBaseExecute = def.Class && def.Class.prototype instanceof ToolBase &&
+    def.Class.prototype.execute === ToolBase.prototype.execute;
+  if (!usesBaseExecute || !options.some(option => option.name === 'manuscript_file')) {
+    return options;
+  }
+  return [...options, ...CHAPTER_SELECTION_OPTIONS, ...ANALYSIS_MODE_OPTIONS];
+}
+
 /**
  * Execute a tool by ID
+ * Each run gets its own instance of the registered tool (Object.create), so
+ * two runs of the same tool at once keep their own abort signal, save
+ * directory, output files and output function: stopping one doesn't stop the other.
  * @param {string} toolId - Tool ID
  * @param {Object} options - Tool options
  * @param {string} runId - Optional run ID for tracking
+ * @param {AbortSignal} signal - Optional signal used to cancel the run
+ * @param {Object} [runOptions={}] - emitOutput: where this run's output goes (default: the
+ *   registered tool's emitOutput); onStart: called with the run's tool instance before it runs
  * @returns {Promise<Object>} - Tool execution result
  */
-async function executeToolById(toolId, options, runId = null) {
+async function executeToolById(toolId, options, runId = null, signal = null, runOptions = {}) {
   console.log(`Executing tool: ${toolId} with options:`, options);
   
   // Get the tool implementation
-  const tool = toolRegistry.getTool(toolId);
+  const registeredTool = toolRegistry.getTool(toolId);
   
-  if (!tool) {
+  if (!registeredTool) {
     console.error(`Tool not found: ${toolId}`);
     throw new Error(`Tool not found: ${toolId}`);
   }
   
+  // Hand the run's abort signal and save directory to the run's tool, and start tracking its output files
+  const tool = Object.create(registeredTool);
+  if (runOptions.emitOutput) {
+    tool.emitOutput = runOptions.emitOutput;
+  }
+  tool.abortSignal = signal;
+  tool.saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
+  tool.runOutputFiles = [];
+  tool.runUsage = [];
+  
+  // AI tools use the provider chosen for this tool or the current project
+  if (tool.apiService) {
+    const providerId = aiProviders.getProviderIdForTool(toolId);
+    tool.apiService = aiProviders.getConfiguredAiApiService(providerId, toolId);
+    tool.providerId = providerId;
+    console.log(`Tool ${toolId} using AI provider: ${providerId}`);
+    if (typeof tool.emitOutput === 'function') {
+      tool.emitOutput(`AI provider: ${aiProviders.getProviderLabel(providerId)} (${tool.apiService.config.model_name})\n\n`);
+    }
+  }
+  
+  if (runOptions.onStart) {
+    runOptions.onStart(tool);
+  }
+  
+  // Describe the run's inputs before the tool can change them, for the run log
+  const projectPath = options.save_dir || appState.CURRENT_PROJECT_PATH;
+  const startedAt = new Date();
+  const inputs = projectPath ? await describeRunInputs(tool, toolId, options, projectPath) : null;
+  let result = null;
+  let status = 'success';
+  let errorMessage = null;
+  let errorType = null;
+  
   try {
     // Execute the tool
     console.log(`Starting execution of tool: ${toolId}`);
-    const result = await tool.execute(options);
+    result = await tool.execute(options);
     console.log(`Tool execution complete: ${toolId}`);
     
+    // Tools report some failures (no prompt, over the token budget) without throwing
+    if (result && result.success === false) {
+      status = 'error';
+      errorType = result.errorType || null;
+    }
+    
     return result;
   } catch (error) {
-    console.error(`Error executing tool ${toolId}:`, error);
+    errorMessage = error.message;
+    if (signal && signal.aborted) {
+      status = 'cancelled';
+      console.log(`Tool run cancelled: ${toolId} (run ${runId})`);
+      if (typeof tool.removePartialOutputFiles === 'function') {
+        await tool.removePartialOutputFiles();
+      }
+    } else {
+      status = 'error';
+      console.error(`Error executing tool ${toolId}:`, error);
+    }
     throw error;
+  } finally {
+    if (inputs) {
+      await logRun(tool, toolId, runId, projectPath, inputs, {
+        startedAt,
+        status,
+        error: errorMessage,
+        errorType,
+        outputFiles: (result && result.outputFiles) || []
+      });
+    }
+  }
+}
+
+/**
+ * Describe what goes into a run: option values, input and prompt file hashes
+ * @param {Object} tool - Tool instance
+ * @param {string} toolId - Tool ID
+ * @param {Object} options - Tool options
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Object>}
+ */
+async function describeRunInputs(tool, toolId, options, projectPath) {
+  try {
+    const toolOptions = tool.config ? tool.config.options : [];
+    const inputFiles = await runLog.describeInputFiles(toolOptions, options, projectPath);
+    const prompt = await runLog.describePrompt(toolId, tool.config && tool.config.promptFile, projectPath);
+    return {
+      options,
+      inputFiles,
+      manuscriptHash: inputFiles.manuscript_file ? inputFiles.manuscript_file.hash : null,
+      ...prompt
+    };
+  } catch (error) {
+    console.error(`Error describing run inputs for ${toolId}:`, error);
+    return { options, inputFiles: {}, manuscriptHash: null, promptFile: null, promptHash: null };
+  }
+}
+
+/**
+ * Record a finished run in the project's run log
+ * Never fails the run; a run log problem is only logged.
+ * @param {Object} tool - Tool instance
+ * @param {string} toolId - Tool ID
+ * @param {string} runId - Run ID
+ * @param {string} projectPath - Project directory
+ * @param {Object} inputs - From describeRunInputs()
+ * @param {Object} outcome - {startedAt, status, error, errorType, outputFiles}
+ */
+async function logRun(tool, toolId, runId, projectPath, inputs, outcome) {
+  try {
+    // A tool's default prompt is only written on its first run
+    if (!inputs.promptHash) {
+      Object.assign(inputs, await runLog.describePrompt(toolId, tool.config && tool.config.promptFile, projectPath));
+    }
+    
+    const endedAt = new Date();
+    const outputFiles = [...new Set([...outcome.outputFiles, ...(tool.runOutputFiles || [])]
+      .map(filePath => path.resolve(projectPath, filePath)))];
+    
+    await runLog.recordRun(projectPath, {
+      runId,
+      tool: toolId,
+      title: tool.config ? tool.config.title : toolId,
+      ...inputs,
+      provider: tool.apiService ? tool.providerId : null,
+      model: tool.apiService && tool.apiService.config ? tool.apiService.config.model_name : null,
+      startedAt: outcome.startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      durationMs: endedAt - outcome.startedAt,
+      status: outcome.status,
+      error: outcome.error,
+      errorType: outcome.errorType,
+      usage: tool.runUsage && tool.runUsage.length > 0 ? usageLedger.summarizeUsage(tool.runUsage).total : null,
+      outputFiles
+    });
+  } catch (error) {
+    console.error(`Error recording run of ${toolId} in the run log:`, error);
   }
 }
 
 module.exports = {
   initializeToolSystem,
   executeToolById,
-  toolRegistry
+  toolRegistry,
+  TOOL_DEFS,
+  getToolDefs,
+  getToolManifestErrors
 };
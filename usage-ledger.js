@@ -0,0 +1,220 @@
+// usage-ledger.js
+// Records the tokens and estimated cost of every AI call, per project,
+// in <project>/.storygrinder/usage.jsonl, and summarizes them for the
+// main window's usage view.
+const fs = require('fs/promises');
+const path = require('path');
+const appState = require('./state.js');
+const { appendProjectJsonl, readProjectJsonl, getProjectDataDir } = require('./project-data');
+const { getModelPrices } = require('./model-catalog');
+
+const USAGE_FILE = 'usage.jsonl';
+
+/**
+ * Turn a provider's usage metadata into one shape
+ * promptTokens includes cachedTokens; thinkingTokens are billed as output.
+ * @param {Object} usage - usageMetadata from Gemini, usage from Claude or an OpenAI-compatible server
+ * @returns {{promptTokens: number, cachedTokens: number, outputTokens: number, thinkingTokens: number}}
+ */
+function normalizeUsage(usage = {}) {
+  usage = usage || {};
+
+  // Gemini (and the mock provider)
+  if (usage.promptTokenCount !== undefined || usage.candidatesTokenCount !== undefined) {
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      cachedTokens: usage.cachedContentTokenCount || 0,
+      outputTokens: usage.candidatesTokenCount || 0,
+      thinkingTokens: usage.thoughtsTokenCount || 0
+    };
+  }
+
+  // Claude: input_tokens excludes cache reads and writes; output includes thinking
+  if (usage.input_tokens !== undefined) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    return {
+      promptTokens: usage.input_tokens + cachedTokens + (usage.cache_creation_input_tokens || 0),
+      cachedTokens,
+      outputTokens: usage.output_tokens || 0,
+      thinkingTokens: 0
+    };
+  }
+
+  // OpenAI-compatible: completion includes reasoning
+  const reasoningTokens = (usage.completion_tokens_details && usage.completion_tokens_details.reasoning_tokens) || 0;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    cachedTokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0,
+    outputTokens: (usage.completion_tokens || 0) - reasoningTokens,
+    thinkingTokens: reasoningTokens
+  };
+}
+
+/**
+ * Estimate the cost of one call from the price table in model-catalog.js
+ * @param {string} providerId - e.g. 'gemini'
+ * @param {string} modelName - Model used
+ * @param {Object} tokens - From normalizeUsage()
+ * @returns {number|null} - US dollars, or null if the model's prices are unknown
+ */
+function estimateCost(providerId, modelName, tokens) {
+  if (providerId === 'local') {
+    return 0;
+  }
+
+  const overrides = appState.store ? appState.store.get('model_prices', {}) : {};
+  let prices = getModelPrices(modelName, overrides);
+  if (!prices) {
+    return null;
+  }
+  if (prices.longContext && tokens.promptTokens > prices.longContextThreshold) {
+    prices = { ...prices, ...prices.longContext };
+  }
+
+  const uncachedTokens = Math.max(0, tokens.promptTokens - tokens.cachedTokens);
+  const cachedPrice = prices.cachedInput !== undefined ? prices.cachedInput : prices.input;
+  const dollars = (
+    uncachedTokens * prices.input +
+    tokens.cachedTokens * cachedPrice +
+    (tokens.outputTokens + tokens.thinkingTokens) * prices.output
+  ) / 1000000;
+
+  return Math.round(dollars * 1000000) / 1000000;
+}
+
+/**
+ * Record one AI call in the project's usage ledger
+ * @param {string} projectPath - Project directory
+ * @param {Object} call - {tool, provider, model, usage (raw provider usage), durationMs}
+ * @returns {Promise<Object>} - The recorded entry
+ */
+async function recordUsage(projectPath, call) {
+  const tokens = normalizeUsage(call.usage);
+  const entry = {
+    timestamp: new Date().toISOString(),
+    tool: call.tool,
+    provider: call.provider || null,
+    model: call.model || null,
+    ...tokens,
+    durationMs: call.durationMs,
+    estimatedCost: estimateCost(call.provider, call.model, tokens)
+  };
+  await appendProjectJsonl(projectPath, USAGE_FILE, entry);
+  return entry;
+}
+
+/**
+ * Read every call recorded for a project
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<Array<Object>>}
+ */
+async function getUsage(projectPath) {
+  return readProjectJsonl(projectPath, USAGE_FILE);
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    cachedTokens: 0,
+    outputTokens: 0,
+    thinkingTokens: 0,
+    estimatedCost: 0,
+    // Calls whose model had no known prices, so the cost is a lower bound
+    unpricedCalls: 0
+  };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.cachedTokens += entry.cachedTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.thinkingTokens += entry.thinkingTokens || 0;
+  if (entry.estimatedCost === null || entry.estimatedCost === undefined) {
+    totals.unpricedCalls++;
+  } else {
+    totals.estimatedCost += entry.estimatedCost;
+  }
+}
+
+/**
+ * Add up usage entries overall, per tool and per month
+ * @param {Array<Object>} entries - Usage entries, each may carry a project name
+ * @returns {{total: Object, byTool: Object, byMonth: Object, byProject: Object}}
+ */
+function summarizeUsage(entries) {
+  const summary = {
+    total: emptyTotals(),
+    byTool: {},
+    byMonth: {},
+    byProject: {}
+  };
+
+  for (const entry of entries) {
+    const month = (entry.timestamp || '').slice(0, 7) || 'unknown';
+    const groups = [
+      [summary.byTool, entry.tool || 'unknown'],
+      [summary.byMonth, month]
+    ];
+    if (entry.project) {
+      groups.push([summary.byProject, entry.project]);
+    }
+
+    addToTotals(summary.total, entry);
+    for (const [group, key] of groups) {
+      if (!group[key]) {
+        group[key] = emptyTotals();
+      }
+      addToTotals(group[key], entry);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Summarize usage for one project, or for every project in the projects directory
+ * @param {string|null} projectPath - Project directory, or null for all projects
+ * @returns {Promise<Object>} - From summarizeUsage()
+ */
+async function getUsageSummary(projectPath) {
+  if (projectPath) {
+    const project = path.basename(projectPath);
+    const entries = await getUsage(projectPath);
+    return summarizeUsage(entries.map(entry => ({ ...entry, project })));
+  }
+
+  const entries = [];
+  let projectNames = [];
+  try {
+    const dirEntries = await fs.readdir(appState.PROJECTS_DIR, { withFileTypes: true });
+    projectNames = dirEntries
+      .filter(dirEntry => dirEntry.isDirectory() && !dirEntry.name.startsWith('.'))
+      .map(dirEntry => dirEntry.name);
+  } catch (error) {
+    console.error('Error reading projects directory for usage summary:', error);
+  }
+
+  for (const project of projectNames) {
+    const projectDir = path.join(appState.PROJECTS_DIR, project);
+    try {
+      await fs.access(path.join(getProjectDataDir(projectDir), USAGE_FILE));
+    } catch (error) {
+      continue;
+    }
+    const projectEntries = await getUsage(projectDir);
+    entries.push(...projectEntries.map(entry => ({ ...entry, project })));
+  }
+
+  return summarizeUsage(entries);
+}
+
+module.exports = {
+  normalizeUsage,
+  estimateCost,
+  recordUsage,
+  getUsage,
+  summarizeUsage,
+  getUsageSummary
+};
@@ -65,14 +65,15 @@ class WorldWriter extends ToolBase {
       this.emitOutput(`Reading outline file: ${outlineFile}\n`);
       const outlineContent = await this.readInputFile(this.ensureAbsolutePath(outlineFile, saveDir));
       
-      // Create prompt
-      const prompt = this.createPrompt(
-        title,
-        pov,
-        brainstormContent,
-        outlineContent,
-        language
-      );
+      // The prompt is world_writer.txt in the prompts folder, with the input files filled in
+      const prompt = await this.getPrompt(options, {
+        brainstorm_text: brainstormContent,
+        outline_text: outlineContent,
+        lang: language
+      });
+      if (prompt.error) {
+        throw new Error(`No usable prompt for ${this.title}`);
+      }
       
       const promptTokens = await this.apiService.countTokens(prompt);
       
@@ -94,7 +95,7 @@ class WorldWriter extends ToolBase {
       let thinkingContent = "";
       
       try {
-        await this.apiService.streamWithThinking(
+        await this.streamWithThinking(
           prompt,
           (textDelta) => {
             fullResponse += textDelta;
@@ -154,121 +155,6 @@ class WorldWriter extends ToolBase {
     }
   }
   
-  /**
-   * Create prompt for world document generation
-   * @param {string} title - Novel title
-   * @param {string} pov - Point of view
-   * @param {string} brainstormContent - brainstorm content
-   * @param {string} outlineContent - Outline content
-   * @param {string} language - Language
-   * @returns {string} - Prompt for AI API
-   */
-  createPrompt(title, pov, brainstormContent, outlineContent, language) {
-    return `
-You are a skilled novelist, worldbuilder, and character developer helping to create a comprehensive world document in fluent, authentic ${language}.
-This document will include both the world elements and detailed character profiles for a novel based on the outline below.
-
-=== OUTLINE ===
-${outlineContent}
-=== END OUTLINE ===
-
-Create a detailed world document with the following sections:
-
-----------------------------------------------
-WORLD: ${title}
-----------------------------------------------
-
-1. SETTING OVERVIEW:
-   - Time period and era
-   - General geography and environment
-   - Notable locations mentioned in the outline
-
-2. SOCIAL STRUCTURE:
-   - Government or ruling systems
-   - Social classes or hierarchies
-   - Cultural norms and values
-
-3. HISTORY:
-   - Major historical events that impact the story
-   - Historical figures relevant to the plot
-   - Timeline of important developments
-
-4. TECHNOLOGY AND MAGIC:
-   - Level of technological development
-   - Technological systems or devices crucial to the plot
-   - If applicable: magic systems, supernatural elements, or fantastic creatures
-
-5. ECONOMY:
-   - Economic systems
-   - Resources and trade
-   - Economic conflicts relevant to the story
-
-6. THEMES AND SYMBOLS:
-   - Recurring motifs and symbols
-   - Philosophical or moral questions explored
-   - Cultural or religious symbolism
-
-7. RULES OF THE WORLD:
-   - Laws (both legal and natural/supernatural)
-   - Limitations and constraints
-   - Unique aspects of how this world functions
-
-8. CHARACTER PROFILES:
-
-For each of the following characters, create a detailed profile but do NOT change the character names:
-
-=== CHARACTERS ===
-${brainstormContent}
-=== END CHARACTERS ===
-
-Include for each character:
-
-a) CHARACTER NAME: [Full name]
-b) ROLE: [Protagonist, Antagonist, Supporting Character, etc.]
-c) AGE: [Age or age range]
-d) PHYSICAL DESCRIPTION: [Detailed physical appearance]
-e) BACKGROUND: [Personal history relevant to the story]
-f) PERSONALITY: [Core personality traits, strengths, and flaws]
-g) MOTIVATIONS: [What drives this character? What do they want?]
-h) CONFLICTS: [Internal struggles and external conflicts]
-i) RELATIONSHIPS: [Important relationships with other characters]
-j) ARC: [How this character changes throughout the story]
-k) NOTABLE QUOTES: [3-5 examples of how this character might speak]
-l) SKILLS & ABILITIES: [Special skills, knowledge, or supernatural abilities]
-m) HABITS & QUIRKS: [Distinctive behaviors and mannerisms]
-n) SECRETS: [What this character is hiding]
-o) FEARS & WEAKNESSES: [What makes this character vulnerable]
-p) SYMBOLIC ELEMENTS: [Any symbolic elements associated with this character]
-q) NARRATIVE FUNCTION: [How this character serves the themes and plot]
-
-IMPORTANT FORMATTING INSTRUCTIONS:
-- Write in ${pov}
-- Make the existing character profiles deep and psychologically nuanced
-- Ensure the existing character motivations are complex and realistic
-- Ensure the existing characters have traits and backgrounds that naturally arise from the world of the story
-- Ensure the existing characters will create interesting dynamics and conflicts with each other
-- Keep all details consistent with the outline and list of characters
-- Focus on elements that directly impact the characters and plot
-- Provide enough detail to give the world depth while leaving room for creative development
-- Ensure the world elements support and enhance the narrative
-- Separate each major section with a line of dashes (------)
-- Separate each character profile with a line of dashes (------)
-- Be consistent in formatting throughout the document
-- Use plain text formatting with NO markdown in your outputs
-- Do NOT change nor add to character names
-
-IMPORTANT STYLISTIC RESTRICTIONS:
-- STRICTLY AVOID using the words "whisper", "whispered", "whispering", or any variation of "whisper"
-- STRICTLY AVOID using the words "echo", "echoed", "echoing", or any variation of "echo"
-- NEVER use phrases about voices/sounds "echoing off walls" or characters "whispering secrets"
-- DO NOT use clichés about "eyes widening" or character reactions involving gasping, sighing, or nodding
-- Avoid overused sensory descriptions involving shivers, tingling, or characters holding their breath
-- Do not repeatedly mention heartbeats, breathing, or physical reactions to emotions
-- EXPAND your vocabulary
-
-`;
-  }
-  
   /**
    * Count words in text
    * @param {string} text - Text to count words in